@@ -148,18 +148,42 @@ function switchView(viewName) {
         case 'orders':
             loadOrders();
             break;
+        case 'quotes':
+            loadQuoteRequests();
+            break;
         case 'customers':
             loadCustomers();
             break;
+        case 'gift-cards':
+            loadGiftCards();
+            break;
+        case 'referrals':
+            loadReferrals();
+            break;
         case 'promos':
             loadPromoCodes();
             break;
+        case 'pricing':
+            loadPricing();
+            break;
+        case 'pickup':
+            loadPickupLocations();
+            break;
         case 'gallery':
             loadGallery();
             break;
+        case 'emails':
+            loadEmailTemplates();
+            break;
+        case 'settings':
+            loadSettings();
+            break;
         case 'admins':
             loadAdmins();
             break;
+        case 'webhooks':
+            loadWebhookEvents();
+            break;
     }
 }
 
@@ -218,6 +242,10 @@ async function loadDashboard() {
                 <h3>Total Revenue</h3>
                 <div class="value primary">$${(stats.revenue.total / 100).toFixed(2)}</div>
             </div>
+            <div class="stat-card">
+                <h3>Refunded</h3>
+                <div class="value">$${(stats.revenue.refunded / 100).toFixed(2)}</div>
+            </div>
             <div class="stat-card">
                 <h3>Customers</h3>
                 <div class="value">${stats.customers.total}</div>
@@ -226,6 +254,14 @@ async function loadDashboard() {
                 <h3>Personal / Business</h3>
                 <div class="value">${stats.products.personal} / ${stats.products.business}</div>
             </div>
+            <div class="stat-card">
+                <h3>Reminded / Opened / Paid</h3>
+                <div class="value">${stats.recovery.reminded} / ${stats.recovery.resumed} / ${stats.recovery.recovered}</div>
+            </div>
+            <div class="stat-card">
+                <h3>Recovered Revenue</h3>
+                <div class="value">$${(stats.recovery.revenue / 100).toFixed(2)}</div>
+            </div>
         `;
 
         // Load recent orders
@@ -256,7 +292,7 @@ function filterOrders(status) {
     currentOrderFilter = status;
 
     // Update active tab
-    document.querySelectorAll('.filter-tab').forEach(tab => {
+    document.querySelectorAll('#filter-tabs .filter-tab').forEach(tab => {
         tab.classList.toggle('active', tab.dataset.status === status);
     });
 
@@ -295,10 +331,10 @@ function renderOrdersTable(orders) {
                         <td>
                             <div class="action-buttons">
                                 <button class="btn btn-small" onclick="viewOrder('${order.id}')">View</button>
-                                ${order.status !== 'archived' ?
-                                    `<button class="btn btn-small btn-outline" onclick="archiveOrder('${order.id}')">Archive</button>` :
-                                    `<button class="btn btn-small btn-outline" onclick="restoreOrder('${order.id}')">Restore</button>`
-                                }
+                                ${['completed', 'cancelled', 'expired', 'refunded'].includes(order.status) ?
+                                    `<button class="btn btn-small btn-outline" onclick="archiveOrder('${order.id}')">Archive</button>` : ''}
+                                ${order.status === 'archived' ?
+                                    `<button class="btn btn-small btn-outline" onclick="restoreOrder('${order.id}')">Restore</button>` : ''}
                             </div>
                         </td>
                     </tr>
@@ -319,8 +355,13 @@ async function viewOrder(orderId) {
     }
 }
 
+// How far along each status is; quick actions only move an order forward
+const ORDER_STATUS_STEPS = { pending: 0, paid: 1, printing: 2, shipped: 3, ready_pickup: 3, completed: 4 };
+
 function renderOrderModal(order) {
-    const statusOptions = ['paid', 'printing', 'shipped', 'ready_pickup', 'completed', 'archived', 'cancelled'];
+    const statusOptions = [order.status, ...order.allowed_transitions];
+    const quickActions = order.allowed_transitions.filter(status =>
+        ORDER_STATUS_STEPS[status] > ORDER_STATUS_STEPS[order.status]);
 
     document.getElementById('order-modal-content').innerHTML = `
         <h2>Order ${order.order_number}</h2>
@@ -334,11 +375,13 @@ function renderOrderModal(order) {
 
                 <h3>Delivery</h3>
                 ${order.shipping_type === 'pickup' ? `
-                    <p>Pickup in Forbes NSW</p>
+                    <p>Pickup at ${order.pickup?.name || 'unknown location'}${order.pickup?.address ? ` (${order.pickup.address})` : ''}</p>
+                    <p><strong>Pickup time:</strong> ${order.pickup?.slot || 'Not booked'}</p>
                 ` : `
                     <p>${order.shipping_address_line1 || ''}</p>
                     ${order.shipping_address_line2 ? `<p>${order.shipping_address_line2}</p>` : ''}
                     <p>${order.shipping_city || ''}, ${order.shipping_state || ''} ${order.shipping_postcode || ''}</p>
+                    ${order.shipping_service ? `<p><strong>Service:</strong> ${order.shipping_service}${order.shipping_zone ? ` (zone: ${order.shipping_zone})` : ''}</p>` : ''}
                 `}
 
                 ${order.is_gift ? `
@@ -352,27 +395,37 @@ function renderOrderModal(order) {
                 ` : ''}
 
                 <h3>Order Summary</h3>
-                <p>Product: ${order.product_type}</p>
-                <p>Quantity: ${order.quantity}</p>
+                ${order.lines.map(line => `
+                    <p>${line.quantity}x ${line.product_name} - ${line.variant_details.name} (${line.variant_details.widthMm}mm x ${line.variant_details.heightMm}mm ${line.variant_details.shape}): $${(line.subtotal / 100).toFixed(2)}</p>
+                `).join('')}
+                <p>Total quantity: ${order.quantity}</p>
                 <p>Subtotal: $${(order.subtotal / 100).toFixed(2)}</p>
                 <p>Shipping: $${(order.shipping_cost / 100).toFixed(2)}</p>
+                ${order.automatic_discount_amount > 0 ? `<p>Automatic discount: -$${(order.automatic_discount_amount / 100).toFixed(2)} (${order.automatic_discount_name})</p>` : ''}
                 ${order.discount_amount > 0 ? `<p>Discount: -$${(order.discount_amount / 100).toFixed(2)} (${order.promo_code_used})</p>` : ''}
                 <p><strong>Total: $${(order.total / 100).toFixed(2)}</strong></p>
+                ${order.gift_card_amount > 0 ? `<p>Paid by gift card: $${(order.gift_card_amount / 100).toFixed(2)} (${order.gift_card_code})</p>` : ''}
             </div>
 
             <div class="order-photos">
                 <h3>Photos</h3>
-                <div class="photo-grid">
-                    ${(order.items || []).map((item, i) => `
-                        <div class="photo-item">
-                            <img src="${item.previewUrl}" alt="Photo ${i + 1}">
-                            <span class="photo-num">${i + 1}</span>
+                ${order.lines.map((line, lineIndex) => `
+                    <div class="order-line-photos">
+                        <h4>${line.quantity}x ${line.product_name} - ${line.variant_details.name} (${line.items.length} photo${line.items.length !== 1 ? 's' : ''})</h4>
+                        <div class="photo-grid">
+                            ${line.items.map((item, i) => `
+                                <div class="photo-item">
+                                    <img src="${item.previewUrl}" alt="Photo ${i + 1}">
+                                    <span class="photo-num">${i + 1}</span>
+                                </div>
+                            `).join('')}
                         </div>
-                    `).join('')}
-                </div>
+                        <button class="btn btn-small" onclick="generatePrintSheet('${order.id}', ${lineIndex})">Download Print Sheet</button>
+                    </div>
+                `).join('')}
                 <div class="photo-download-actions">
-                    <button class="btn" onclick="generatePrintSheet('${order.id}')">Download Print Sheet</button>
                     <button class="btn btn-outline" onclick="downloadPhotos('${order.id}')">Download Photos (ZIP)</button>
+                    ${order.paid_at ? `<button class="btn btn-outline" onclick="downloadInvoice('${order.id}', '${order.order_number}')">Download Tax Invoice</button>` : ''}
                 </div>
             </div>
         </div>
@@ -380,10 +433,9 @@ function renderOrderModal(order) {
         <div class="order-actions">
             <h3>Quick Actions</h3>
             <div class="quick-actions">
-                <button class="btn btn-outline" onclick="quickUpdateStatus('${order.id}', 'printing')">Mark Printing</button>
-                <button class="btn btn-outline" onclick="quickUpdateStatus('${order.id}', 'shipped')">Mark Shipped</button>
-                <button class="btn btn-outline" onclick="quickUpdateStatus('${order.id}', 'ready_pickup')">Ready for Pickup</button>
-                <button class="btn" onclick="quickUpdateStatus('${order.id}', 'completed')">Mark Completed</button>
+                ${quickActions.length > 0 ? quickActions.map(status => `
+                    <button class="btn ${status === 'completed' ? '' : 'btn-outline'}" onclick="quickUpdateStatus('${order.id}', '${status}')">Mark ${formatStatus(status)}</button>
+                `).join('') : '<p>No further steps for this order.</p>'}
             </div>
 
             <h3>Update Status</h3>
@@ -396,17 +448,100 @@ function renderOrderModal(order) {
 
                 <input type="text" id="tracking-input" placeholder="Tracking number (optional)" value="${order.tracking_number || ''}">
                 <input type="text" id="carrier-input" placeholder="Carrier (e.g. Australia Post)" value="${order.carrier || ''}">
+                <input type="text" id="status-note-input" placeholder="Note for the status history (optional)">
 
-                <button class="btn" onclick="updateOrderStatus('${order.id}')">Update</button>
+                <button class="btn" onclick="updateOrderStatus('${order.id}', ${order.refundable_amount})">Update</button>
             </div>
 
+            <h3>Status History</h3>
+            ${order.history.length > 0 ? `
+                <ul class="status-history">
+                    ${order.history.map(entry => `
+                        <li>
+                            <span class="status-history-time">${formatDateTime(entry.created_at)}</span>
+                            ${entry.from_status && entry.from_status !== entry.to_status ? `${formatStatus(entry.from_status)} &rarr; ` : ''}<strong>${formatStatus(entry.to_status)}</strong>
+                            ${entry.changed_by_name ? `<small>by ${entry.changed_by_name}</small>` : ''}
+                            ${entry.note ? `<div class="status-history-note">${entry.note}</div>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p>No status changes recorded.</p>'}
+
+            <h3>Delivery Log</h3>
+            ${order.notifications.length > 0 ? `
+                <table class="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Queued</th>
+                            <th>Type</th>
+                            <th>To</th>
+                            <th>Subject</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${order.notifications.map(notification => `
+                            <tr>
+                                <td>${formatDateTime(notification.created_at)}</td>
+                                <td>${formatNotificationChannel(notification.channel)}</td>
+                                <td>${notification.recipient || 'Shop'}</td>
+                                <td>${notification.subject || ''}</td>
+                                <td>
+                                    <span class="status-badge ${notification.status}">${formatStatus(notification.status)}</span>
+                                    ${notification.sent_at ? `<br><small>${formatDateTime(notification.sent_at)} via ${notification.provider}</small>` : ''}
+                                    ${notification.last_error ? `<br><small>Attempt ${notification.attempts}: ${notification.last_error}</small>` : ''}
+                                    ${notification.status === 'pending' && notification.attempts > 0 ? `<br><small>Retrying ${formatDateTime(notification.next_attempt_at)}</small>` : ''}
+                                </td>
+                                <td>${notification.status === 'failed' ? `<button class="btn btn-small" onclick="retryNotification('${notification.id}', '${order.id}')">Retry</button>` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p>No emails or notifications sent for this order.</p>'}
+
+            <h3>Refunds</h3>
+            ${order.refunds.length > 0 ? `
+                <table class="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Amount</th>
+                            <th>Reason</th>
+                            <th>By</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${order.refunds.map(refund => `
+                            <tr>
+                                <td>${formatDateTime(refund.created_at)}</td>
+                                <td>$${(refund.amount / 100).toFixed(2)}</td>
+                                <td>${refund.reason || ''}</td>
+                                <td>${refund.refunded_by_name || 'Stripe'}</td>
+                                <td>${refund.status}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            ${order.refundable_amount > 0 && order.can_refund ? `
+                <p>Up to $${(order.refundable_amount / 100).toFixed(2)} can be refunded to the customer's card${order.gift_card_amount > 0 ? ' (gift card amounts aren\'t refunded)' : ''}.</p>
+                <div class="status-update">
+                    <input type="number" id="refund-amount-input" min="0.01" max="${(order.refundable_amount / 100).toFixed(2)}" step="0.01" value="${(order.refundable_amount / 100).toFixed(2)}">
+                    <input type="text" id="refund-reason-input" placeholder="Reason (for our records)">
+                    <button class="btn btn-danger" onclick="refundOrder('${order.id}', ${order.refundable_amount})">Refund</button>
+                </div>
+            ` : order.refunds.length === 0 ? '<p>Nothing to refund.</p>' : ''}
+
             <h3>Admin Notes</h3>
             <textarea id="admin-notes-input" placeholder="Internal notes...">${order.admin_notes || ''}</textarea>
-            <button class="btn btn-small" onclick="saveAdminNotes('${order.id}')">Save Notes</button>
+            <button class="btn btn-small" onclick="saveAdminNotes('${order.id}', '${order.status}')">Save Notes</button>
 
             <h3>Danger Zone</h3>
             <div class="quick-actions">
-                <button class="btn btn-outline" onclick="archiveOrder('${order.id}')">Archive Order</button>
+                ${order.allowed_transitions.includes('archived') ? `<button class="btn btn-outline" onclick="archiveOrder('${order.id}')">Archive Order</button>` : ''}
+                ${order.status === 'archived' ? `<button class="btn btn-outline" onclick="restoreOrder('${order.id}')">Restore Order</button>` : ''}
                 <button class="btn btn-danger" onclick="deleteOrder('${order.id}')">Delete Order</button>
             </div>
         </div>
@@ -417,17 +552,33 @@ function closeOrderModal() {
     document.getElementById('order-modal').classList.remove('active');
 }
 
-async function updateOrderStatus(orderId) {
+async function updateOrderStatus(orderId, refundableAmount = 0) {
     const status = document.getElementById('status-select').value;
     const tracking_number = document.getElementById('tracking-input').value.trim();
     const carrier = document.getElementById('carrier-input')?.value.trim() || '';
+    const note = document.getElementById('status-note-input').value.trim();
+
+    // Cancelling doesn't give the money back
+    if (status === 'cancelled' && refundableAmount > 0 &&
+        !confirm('This order has been paid. Cancelling it won\'t refund the customer - use Refund below for that. Cancel anyway?')) {
+        return;
+    }
 
     try {
-        await apiCall(`/api/admin/orders/${orderId}/status`, {
+        const result = await apiCall(`/api/admin/orders/${orderId}/status`, {
             method: 'PUT',
-            body: JSON.stringify({ status, tracking_number, carrier })
+            body: JSON.stringify({ status, tracking_number, carrier, note })
         });
 
+        // A cancelled paid order is given back through the refund form
+        if (result.refund_required) {
+            alert('Order cancelled. Use Refund to give the customer their money back.');
+            viewOrder(orderId);
+            loadOrders();
+            loadDashboard();
+            return;
+        }
+
         alert('Status updated!');
         closeOrderModal();
         loadOrders();
@@ -471,14 +622,56 @@ async function archiveOrder(orderId) {
     }
 }
 
-async function restoreOrder(orderId) {
+function formatNotificationChannel(channel) {
+    return { email: 'Email', push: 'Push', sms: 'SMS' }[channel] || channel;
+}
+
+async function retryNotification(notificationId, orderId) {
     try {
-        await apiCall(`/api/admin/orders/${orderId}/status`, {
-            method: 'PUT',
-            body: JSON.stringify({ status: 'completed' })
+        await apiCall(`/api/admin/notifications/${notificationId}/retry`, { method: 'POST' });
+        viewOrder(orderId);
+    } catch (err) {
+        alert('Failed to retry: ' + err.message);
+    }
+}
+
+async function refundOrder(orderId, refundableAmount) {
+    const amount = Math.round(parseFloat(document.getElementById('refund-amount-input').value) * 100);
+    const reason = document.getElementById('refund-reason-input').value.trim();
+
+    if (!amount || amount <= 0) {
+        alert('Enter the amount to refund');
+        return;
+    }
+    if (!reason) {
+        alert('Enter a reason for the refund');
+        return;
+    }
+
+    const description = amount >= refundableAmount ? 'the full remaining' : 'a partial';
+    if (!confirm(`Refund $${(amount / 100).toFixed(2)} (${description} amount) to the customer's card? This can't be undone.`)) return;
+
+    try {
+        await apiCall(`/api/admin/orders/${orderId}/refund`, {
+            method: 'POST',
+            body: JSON.stringify({ amount, reason })
         });
 
-        alert('Order restored!');
+        alert('Refund issued!');
+        viewOrder(orderId);
+        loadOrders();
+        loadDashboard();
+    } catch (err) {
+        alert('Failed to refund: ' + err.message);
+    }
+}
+
+async function restoreOrder(orderId) {
+    try {
+        const result = await apiCall(`/api/admin/orders/${orderId}/restore`, { method: 'POST' });
+
+        alert(`Order restored to ${formatStatus(result.status)}!`);
+        closeOrderModal();
         loadOrders();
     } catch (err) {
         alert('Failed to restore: ' + err.message);
@@ -503,13 +696,14 @@ async function deleteOrder(orderId) {
     }
 }
 
-async function saveAdminNotes(orderId) {
+async function saveAdminNotes(orderId, status) {
     const admin_notes = document.getElementById('admin-notes-input').value;
 
     try {
+        // Sending the current status saves the notes without moving the order
         await apiCall(`/api/admin/orders/${orderId}/status`, {
             method: 'PUT',
-            body: JSON.stringify({ status: document.getElementById('status-select').value, admin_notes })
+            body: JSON.stringify({ status, admin_notes })
         });
         alert('Notes saved!');
     } catch (err) {
@@ -521,11 +715,35 @@ function downloadPhotos(orderId) {
     window.open(`/api/admin/orders/${orderId}/download?token=${authToken}`, '_blank');
 }
 
+async function downloadInvoice(orderId, orderNumber) {
+    try {
+        const response = await fetch(`/api/admin/orders/${orderId}/invoice`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Request failed');
+        }
+
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `Heartsnaps_${orderNumber}_TaxInvoice.pdf`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        alert('Failed to download invoice: ' + err.message);
+    }
+}
+
 // =============================================================================
 // PRINT SHEET GENERATOR
 // =============================================================================
 
-async function generatePrintSheet(orderId) {
+// One print sheet per order line, since each line can be a different size/shape
+async function generatePrintSheet(orderId, lineIndex = 0) {
     const btn = event.target;
     const originalText = btn.textContent;
     btn.textContent = 'Generating...';
@@ -534,7 +752,8 @@ async function generatePrintSheet(orderId) {
     try {
         // Fetch order with photo URLs
         const order = await apiCall(`/api/admin/orders/${orderId}`);
-        const items = order.items || [];
+        const line = order.lines[lineIndex];
+        const items = line.items;
 
         if (items.length === 0) {
             alert('No photos found for this order.');
@@ -544,20 +763,27 @@ async function generatePrintSheet(orderId) {
         // A4 at 300 DPI
         const PAGE_W = 2480;  // 210mm
         const PAGE_H = 3508;  // 297mm
-        const MAGNET_PX = 750; // 63.5mm at 300 DPI
 
-        // Grid: 2 columns, 3 rows per page
-        const COLS = 2;
-        const ROWS = 3;
+        // Magnet size at 300 DPI comes from the order's variant (750px = 63.5mm)
+        const variant = line.variant_details;
+        const MAGNET_W = variant.widthPx;
+        const MAGNET_H = variant.heightPx;
+        const IS_ROUND = variant.shape === 'round';
+
+        // Grid: as many magnets as fit with at least 20mm between them
+        // (2 columns x 3 rows for 63.5mm squares)
+        const MIN_GAP = 236;
+        const COLS = Math.max(1, Math.floor(PAGE_W / (MAGNET_W + MIN_GAP)));
+        const ROWS = Math.max(1, Math.floor(PAGE_H / (MAGNET_H + MIN_GAP)));
         const PER_PAGE = COLS * ROWS;
 
         // Calculate cell and margin sizes
-        const CELL_W = Math.floor(PAGE_W / COLS);  // 1240
-        const CELL_H = Math.floor(PAGE_H / ROWS);  // 1169
+        const CELL_W = Math.floor(PAGE_W / COLS);
+        const CELL_H = Math.floor(PAGE_H / ROWS);
 
         // Center magnet in each cell
-        const OFFSET_X = Math.floor((CELL_W - MAGNET_PX) / 2);
-        const OFFSET_Y = Math.floor((CELL_H - MAGNET_PX) / 2);
+        const OFFSET_X = Math.floor((CELL_W - MAGNET_W) / 2);
+        const OFFSET_Y = Math.floor((CELL_H - MAGNET_H) / 2);
 
         // Load all images first
         const images = await Promise.all(items.map(item => {
@@ -588,11 +814,13 @@ async function generatePrintSheet(orderId) {
             ctx.lineWidth = 2;
             ctx.setLineDash([12, 8]);
 
-            // Vertical line (center)
-            ctx.beginPath();
-            ctx.moveTo(CELL_W, 0);
-            ctx.lineTo(CELL_W, PAGE_H);
-            ctx.stroke();
+            // Vertical lines
+            for (let c = 1; c < COLS; c++) {
+                ctx.beginPath();
+                ctx.moveTo(CELL_W * c, 0);
+                ctx.lineTo(CELL_W * c, PAGE_H);
+                ctx.stroke();
+            }
 
             // Horizontal lines
             for (let r = 1; r < ROWS; r++) {
@@ -618,18 +846,39 @@ async function generatePrintSheet(orderId) {
 
                 const img = images[i];
 
-                // Draw the photo scaled to fill the magnet square
-                const srcSize = Math.min(img.naturalWidth, img.naturalHeight);
-                const srcX = (img.naturalWidth - srcSize) / 2;
-                const srcY = (img.naturalHeight - srcSize) / 2;
-
-                ctx.drawImage(img, srcX, srcY, srcSize, srcSize, x, y, MAGNET_PX, MAGNET_PX);
+                // Draw the photo scaled to fill the magnet (centre crop to the variant's aspect)
+                const aspect = MAGNET_W / MAGNET_H;
+                let srcW = img.naturalWidth;
+                let srcH = img.naturalHeight;
+                if (srcW / srcH > aspect) srcW = srcH * aspect;
+                else srcH = srcW / aspect;
+                const srcX = (img.naturalWidth - srcW) / 2;
+                const srcY = (img.naturalHeight - srcH) / 2;
+
+                ctx.save();
+                if (IS_ROUND) {
+                    ctx.beginPath();
+                    ctx.arc(x + MAGNET_W / 2, y + MAGNET_H / 2, MAGNET_W / 2, 0, Math.PI * 2);
+                    ctx.clip();
+                }
+                ctx.drawImage(img, srcX, srcY, srcW, srcH, x, y, MAGNET_W, MAGNET_H);
+                ctx.restore();
+
+                // Round magnets get a cut guide around the circle
+                if (IS_ROUND) {
+                    ctx.setLineDash([12, 8]);
+                    ctx.beginPath();
+                    ctx.arc(x + MAGNET_W / 2, y + MAGNET_H / 2, MAGNET_W / 2, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
             }
 
             // Download
             const link = document.createElement('a');
+            const lineLabel = order.lines.length > 1 ? `_line${lineIndex + 1}` : '';
             const pageLabel = totalPages > 1 ? `_page${page + 1}` : '';
-            link.download = `Heartsnaps_${order.order_number}${pageLabel}_PrintSheet.png`;
+            link.download = `Heartsnaps_${order.order_number}${lineLabel}${pageLabel}_PrintSheet.png`;
             link.href = canvas.toDataURL('image/png');
             link.click();
 
@@ -648,6 +897,212 @@ async function generatePrintSheet(orderId) {
     }
 }
 
+// =============================================================================
+// QUOTE REQUESTS
+// =============================================================================
+
+let currentQuoteFilter = 'all';
+
+async function loadQuoteRequests() {
+    try {
+        const quoteRequests = await apiCall(`/api/admin/quote-requests?status=${currentQuoteFilter}`);
+        document.getElementById('quotes-table').innerHTML = renderQuoteRequestsTable(quoteRequests);
+    } catch (err) {
+        console.error('Quote requests load error:', err);
+    }
+}
+
+function filterQuoteRequests(status) {
+    currentQuoteFilter = status;
+
+    document.querySelectorAll('#quote-filter-tabs .filter-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.status === status);
+    });
+
+    loadQuoteRequests();
+}
+
+function renderQuoteRequestsTable(quoteRequests) {
+    if (!quoteRequests || quoteRequests.length === 0) {
+        return '<p class="empty-state">No quote requests found.</p>';
+    }
+
+    return `
+        <table class="admin-table">
+            <thead>
+                <tr>
+                    <th>Customer</th>
+                    <th>Event</th>
+                    <th>Product</th>
+                    <th>Qty</th>
+                    <th>Quote</th>
+                    <th>Status</th>
+                    <th>Received</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${quoteRequests.map(quoteRequest => `
+                    <tr>
+                        <td>${quoteRequest.customer_name}<br><small>${quoteRequest.customer_email}</small></td>
+                        <td>${quoteRequest.event_type}${quoteRequest.event_date ? `<br><small>${formatDate(quoteRequest.event_date)}</small>` : ''}</td>
+                        <td>${quoteRequest.product_type}</td>
+                        <td>${quoteRequest.quantity}</td>
+                        <td>${quoteRequest.total !== null ? `$${(quoteRequest.total / 100).toFixed(2)}` : '-'}</td>
+                        <td><span class="status-badge ${quoteRequest.status}">${formatStatus(quoteRequest.status)}</span></td>
+                        <td>${formatDate(quoteRequest.created_at)}</td>
+                        <td><button class="btn btn-small" onclick="viewQuoteRequest('${quoteRequest.id}')">View</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function viewQuoteRequest(quoteRequestId) {
+    try {
+        const quoteRequest = await apiCall(`/api/admin/quote-requests/${quoteRequestId}`);
+        renderQuoteModal(quoteRequest);
+        document.getElementById('quote-modal').classList.add('active');
+    } catch (err) {
+        console.error('View quote request error:', err);
+        alert('Failed to load quote request: ' + err.message);
+    }
+}
+
+function renderQuoteModal(quoteRequest) {
+    const canQuote = ['new', 'quoted', 'expired', 'declined'].includes(quoteRequest.status);
+
+    document.getElementById('quote-modal-content').innerHTML = `
+        <div class="order-modal-header">
+            <h2>Quote Request from ${quoteRequest.customer_name}</h2>
+            <span class="status-badge ${quoteRequest.status}">${formatStatus(quoteRequest.status)}</span>
+        </div>
+
+        <div class="order-modal-grid">
+            <div class="order-info">
+                <h3>Customer Details</h3>
+                <p><strong>${quoteRequest.customer_name}</strong></p>
+                <p>${quoteRequest.customer_phone}</p>
+                <p>${quoteRequest.customer_email}</p>
+
+                <h3>Request</h3>
+                <p>${quoteRequest.quantity}x ${quoteRequest.product_name} (${quoteRequest.variant_name})</p>
+                <p>Event: ${quoteRequest.event_type}${quoteRequest.event_date ? ` on ${formatDate(quoteRequest.event_date)}` : ''}</p>
+                ${quoteRequest.message ? `<p>${quoteRequest.message}</p>` : ''}
+
+                <h3>Delivery</h3>
+                ${quoteRequest.shipping_type === 'pickup' ? `
+                    <p>Pickup</p>
+                ` : `
+                    <p>${quoteRequest.shipping_address_line1 || ''}</p>
+                    ${quoteRequest.shipping_address_line2 ? `<p>${quoteRequest.shipping_address_line2}</p>` : ''}
+                    <p>${quoteRequest.shipping_city || ''}, ${quoteRequest.shipping_state || ''} ${quoteRequest.shipping_postcode || ''}</p>
+                `}
+
+                ${quoteRequest.total !== null ? `
+                    <h3>Current Quote</h3>
+                    <p>${quoteRequest.quantity} @ $${(quoteRequest.unit_price / 100).toFixed(2)} = $${(quoteRequest.subtotal / 100).toFixed(2)}</p>
+                    <p>Shipping: $${(quoteRequest.shipping_cost / 100).toFixed(2)}</p>
+                    <p><strong>Total: $${(quoteRequest.total / 100).toFixed(2)}</strong></p>
+                    ${quoteRequest.quote_expires_at ? `<p>Valid until ${formatDate(quoteRequest.quote_expires_at)}</p>` : ''}
+                    ${quoteRequest.payment_url ? `<p><a href="${quoteRequest.payment_url}" target="_blank">Payment link</a></p>` : ''}
+                    ${quoteRequest.order_number ? `<p>Order: <strong>${quoteRequest.order_number}</strong></p>` : ''}
+                ` : ''}
+            </div>
+
+            <div class="order-photos">
+                <h3>Sample Photos</h3>
+                <div class="photo-grid">
+                    ${quoteRequest.samples.map((sample, i) => `
+                        <div class="photo-item">
+                            <a href="${sample.previewUrl}" target="_blank"><img src="${sample.previewUrl}" alt="Sample ${i + 1}"></a>
+                            <span class="photo-num">${i + 1}</span>
+                        </div>
+                    `).join('') || '<p>No sample photos</p>'}
+                </div>
+            </div>
+        </div>
+
+        ${canQuote ? `
+            <div class="order-actions">
+                <h3>Send Quote</h3>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="quote-unit-price">Price Each ($)</label>
+                        <input type="number" id="quote-unit-price" min="0.01" step="0.01" value="${quoteRequest.unit_price ? (quoteRequest.unit_price / 100).toFixed(2) : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label for="quote-shipping">Shipping ($)</label>
+                        <input type="number" id="quote-shipping" min="0" step="0.01" value="${quoteRequest.shipping_cost !== null ? (quoteRequest.shipping_cost / 100).toFixed(2) : '0.00'}">
+                    </div>
+                    <div class="form-group">
+                        <label for="quote-valid-days">Valid For (days)</label>
+                        <input type="number" id="quote-valid-days" min="1" max="90" value="14">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="quote-message">Message to Customer (optional)</label>
+                    <textarea id="quote-message" placeholder="e.g. Includes a free proof before printing">${quoteRequest.quote_message || ''}</textarea>
+                </div>
+                <div class="form-group">
+                    <label for="quote-admin-notes">Admin Notes</label>
+                    <textarea id="quote-admin-notes" placeholder="Internal notes...">${quoteRequest.admin_notes || ''}</textarea>
+                </div>
+                <div class="quick-actions">
+                    <button class="btn" onclick="sendQuote('${quoteRequest.id}')">${quoteRequest.status === 'new' ? 'Send Quote' : 'Send Updated Quote'}</button>
+                    ${quoteRequest.status !== 'declined' ? `<button class="btn btn-outline" onclick="updateQuoteRequestStatus('${quoteRequest.id}', 'declined')">Decline</button>` : ''}
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+function closeQuoteModal() {
+    document.getElementById('quote-modal').classList.remove('active');
+}
+
+async function sendQuote(quoteRequestId) {
+    const unitPrice = readDollarsAsCents('quote-unit-price');
+    if (!unitPrice) {
+        alert('Please enter a price per magnet');
+        return;
+    }
+
+    try {
+        const result = await apiCall(`/api/admin/quote-requests/${quoteRequestId}/send-quote`, {
+            method: 'POST',
+            body: JSON.stringify({
+                unit_price: unitPrice,
+                shipping_cost: readDollarsAsCents('quote-shipping') || 0,
+                valid_days: readOptionalInt('quote-valid-days') || 14,
+                quote_message: document.getElementById('quote-message').value.trim() || null,
+                admin_notes: document.getElementById('quote-admin-notes').value.trim() || null
+            })
+        });
+        alert(`Quote sent! Payment link:\n${result.paymentUrl}`);
+        viewQuoteRequest(quoteRequestId);
+        loadQuoteRequests();
+    } catch (err) {
+        alert('Failed to send quote: ' + err.message);
+    }
+}
+
+async function updateQuoteRequestStatus(quoteRequestId, status) {
+    if (status === 'declined' && !confirm('Decline this quote request? Any payment link already sent will stop working.')) return;
+
+    try {
+        await apiCall(`/api/admin/quote-requests/${quoteRequestId}/status`, {
+            method: 'PUT',
+            body: JSON.stringify({ status })
+        });
+        closeQuoteModal();
+        loadQuoteRequests();
+    } catch (err) {
+        alert('Failed to update quote request: ' + err.message);
+    }
+}
+
 // =============================================================================
 // CUSTOMERS
 // =============================================================================
@@ -665,7 +1120,9 @@ async function loadCustomers() {
                         <th>Email</th>
                         <th>Orders</th>
                         <th>Total Spent</th>
+                        <th>Store Credit</th>
                         <th>Joined</th>
+                        <th>Actions</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -676,7 +1133,11 @@ async function loadCustomers() {
                             <td>${c.email || '-'}</td>
                             <td>${c.order_count}</td>
                             <td>$${(c.total_spent / 100).toFixed(2)}</td>
+                            <td>${c.store_credit_balance > 0 ? `$${(c.store_credit_balance / 100).toFixed(2)}` : '-'}</td>
                             <td>${formatDate(c.created_at)}</td>
+                            <td>
+                                <button class="btn btn-small" onclick="viewCustomer('${c.id}')">View</button>
+                            </td>
                         </tr>
                     `).join('')}
                 </tbody>
@@ -687,36 +1148,140 @@ async function loadCustomers() {
     }
 }
 
+async function viewCustomer(customerId) {
+    try {
+        const customer = await apiCall(`/api/admin/customers/${customerId}`);
+        renderCustomerModal(customer);
+        document.getElementById('customer-modal').classList.add('active');
+    } catch (err) {
+        console.error('View customer error:', err);
+        alert('Failed to load customer: ' + err.message);
+    }
+}
+
+function renderCustomerModal(customer) {
+    document.getElementById('customer-modal-content').innerHTML = `
+        <div class="order-modal-header">
+            <h2>${customer.name}</h2>
+        </div>
+
+        <div class="order-modal-grid">
+            <div class="order-info">
+                <h3>Contact</h3>
+                <p>${customer.phone}</p>
+                <p>${customer.email || 'No email'}</p>
+
+                <h3>Orders</h3>
+                ${customer.orders.map(order => `
+                    <p>
+                        <a href="#" onclick="closeCustomerModal(); viewOrder('${order.id}'); return false;">${order.order_number}</a>
+                        - $${(order.total / 100).toFixed(2)}
+                        <span class="status-badge ${order.status}">${formatStatus(order.status)}</span>
+                    </p>
+                `).join('') || '<p>No orders yet</p>'}
+            </div>
+
+            <div class="order-info">
+                <h3>Store Credit</h3>
+                ${customer.store_credits.map(card => `
+                    <p>
+                        <a href="#" onclick="viewGiftCard('${card.id}'); return false;">${card.code}</a>
+                        - $${(card.balance / 100).toFixed(2)} of $${(card.initial_amount / 100).toFixed(2)} left
+                        <span class="status-badge ${card.status}">${formatStatus(card.status)}</span>
+                    </p>
+                    ${card.reason ? `<p class="hint">${card.reason}</p>` : ''}
+                `).join('') || '<p>No store credit</p>'}
+            </div>
+        </div>
+
+        <div class="order-actions">
+            <h3>Issue Store Credit</h3>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="store-credit-amount">Amount ($)</label>
+                    <input type="number" id="store-credit-amount" min="0.01" step="0.01">
+                </div>
+                <div class="form-group">
+                    <label for="store-credit-reason">Reason</label>
+                    <input type="text" id="store-credit-reason" placeholder="e.g. Misprint on order HS-12345">
+                </div>
+            </div>
+            <p class="hint">${customer.email ? `The code will be emailed to ${customer.email}.` : 'This customer has no email address, so give them the code yourself.'}</p>
+            <div class="quick-actions">
+                <button class="btn" onclick="issueStoreCredit('${customer.id}')">Issue Credit</button>
+            </div>
+        </div>
+    `;
+}
+
+function closeCustomerModal() {
+    document.getElementById('customer-modal').classList.remove('active');
+}
+
+async function issueStoreCredit(customerId) {
+    const amount = readDollarsAsCents('store-credit-amount');
+    const reason = document.getElementById('store-credit-reason').value.trim();
+
+    if (!amount || amount < 1) {
+        alert('Please enter an amount');
+        return;
+    }
+    if (!reason) {
+        alert('Please enter a reason');
+        return;
+    }
+
+    try {
+        const card = await apiCall(`/api/admin/customers/${customerId}/store-credit`, {
+            method: 'POST',
+            body: JSON.stringify({ amount, reason })
+        });
+        alert(`Store credit issued! Code: ${card.code}`);
+        viewCustomer(customerId);
+        loadCustomers();
+    } catch (err) {
+        alert('Failed to issue store credit: ' + err.message);
+    }
+}
+
 // =============================================================================
-// PROMO CODES
+// GIFT CARDS
 // =============================================================================
 
-async function loadPromoCodes() {
+let currentGiftCardKind = 'all';
+
+async function loadGiftCards() {
     try {
-        const codes = await apiCall('/api/admin/promo-codes');
+        const query = currentGiftCardKind === 'all' ? '' : `?kind=${currentGiftCardKind}`;
+        const cards = await apiCall(`/api/admin/gift-cards${query}`);
 
-        document.getElementById('promos-table').innerHTML = `
+        document.getElementById('gift-cards-table').innerHTML = `
             <table class="admin-table">
                 <thead>
                     <tr>
                         <th>Code</th>
-                        <th>Discount</th>
-                        <th>Uses</th>
+                        <th>Type</th>
+                        <th>Amount</th>
+                        <th>Balance</th>
+                        <th>For</th>
                         <th>Status</th>
-                        <th>Expires</th>
+                        <th>Created</th>
                         <th>Actions</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${codes.map(c => `
+                    ${cards.map(card => `
                         <tr>
-                            <td><strong>${c.code}</strong></td>
-                            <td>${c.discount_type === 'percentage' ? c.discount_value + '%' : '$' + (c.discount_value / 100).toFixed(2)}</td>
-                            <td>${c.uses_count}${c.max_uses ? '/' + c.max_uses : ''}</td>
-                            <td><span class="status-badge ${c.is_active ? 'completed' : 'cancelled'}">${c.is_active ? 'Active' : 'Inactive'}</span></td>
-                            <td>${c.expires_at ? formatDate(c.expires_at) : 'Never'}</td>
+                            <td><strong>${card.code}</strong></td>
+                            <td>${card.kind === 'store_credit' ? 'Store Credit' : 'Gift Card'}</td>
+                            <td>$${(card.initial_amount / 100).toFixed(2)}</td>
+                            <td>$${(card.balance / 100).toFixed(2)}</td>
+                            <td>${card.recipient_name || card.recipient_email || '-'}</td>
+                            <td><span class="status-badge ${card.status}">${formatStatus(card.status)}</span></td>
+                            <td>${formatDate(card.created_at)}</td>
                             <td>
-                                ${c.is_active ? `<button class="btn btn-small" onclick="deactivatePromo('${c.id}')">Deactivate</button>` : ''}
+                                <button class="btn btn-small" onclick="viewGiftCard('${card.id}')">History</button>
+                                ${card.status === 'active' ? `<button class="btn btn-small btn-danger" onclick="voidGiftCard('${card.id}')">Void</button>` : ''}
                             </td>
                         </tr>
                     `).join('')}
@@ -724,60 +1289,1239 @@ async function loadPromoCodes() {
             </table>
         `;
     } catch (err) {
-        console.error('Promo codes load error:', err);
+        console.error('Gift cards load error:', err);
     }
 }
 
-function showCreatePromoModal() {
-    document.getElementById('promo-modal').classList.add('active');
-}
-
-function closePromoModal() {
-    document.getElementById('promo-modal').classList.remove('active');
+function filterGiftCards(kind) {
+    currentGiftCardKind = kind;
+    document.querySelectorAll('#gift-card-filter-tabs .filter-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.kind === kind);
+    });
+    loadGiftCards();
 }
 
-async function createPromoCode(event) {
-    event.preventDefault();
-
-    const code = document.getElementById('promo-code-input').value.toUpperCase();
-    const discount_type = document.getElementById('promo-discount-type').value;
-    const discount_value = parseInt(document.getElementById('promo-discount-value').value);
-    const max_uses = document.getElementById('promo-max-uses').value ? parseInt(document.getElementById('promo-max-uses').value) : null;
-    const expires_at = document.getElementById('promo-expires').value || null;
-    const description = document.getElementById('promo-description').value;
+async function viewGiftCard(giftCardId) {
+    try {
+        const card = await apiCall(`/api/admin/gift-cards/${giftCardId}`);
+        const transactionLabels = { issue: 'Issued', redeem: 'Spent', release: 'Refunded', adjust: 'Adjusted' };
 
-    // Convert fixed amount to cents
-    const value = discount_type === 'fixed' ? discount_value * 100 : discount_value;
+        document.getElementById('gift-card-modal-content').innerHTML = `
+            <div class="order-modal-header">
+                <h2>${card.code}</h2>
+                <span class="status-badge ${card.status}">${formatStatus(card.status)}</span>
+            </div>
+            <p>${card.kind === 'store_credit' ? `Store credit: ${card.reason || ''}` : `Gift card from ${card.purchaser_name || '-'} to ${card.recipient_name || card.recipient_email}`}</p>
+            ${card.kind === 'gift_card' && card.status === 'active' ? `<p>${card.delivered_at ? `Emailed ${formatDate(card.delivered_at)}` : `To be emailed ${card.deliver_on ? formatDate(card.deliver_on) : 'soon'}`}</p>` : ''}
+            ${card.expires_at ? `<p>Expires ${formatDate(card.expires_at)}</p>` : ''}
+            <p><strong>Balance: $${(card.balance / 100).toFixed(2)}</strong> of $${(card.initial_amount / 100).toFixed(2)}</p>
 
-    try {
-        await apiCall('/api/admin/promo-codes', {
-            method: 'POST',
-            body: JSON.stringify({
-                code,
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Type</th>
+                        <th>Amount</th>
+                        <th>Order / Note</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${card.transactions.map(t => `
+                        <tr>
+                            <td>${formatDate(t.created_at)}</td>
+                            <td>${transactionLabels[t.type] || t.type}</td>
+                            <td>${t.amount < 0 ? '-' : '+'}$${(Math.abs(t.amount) / 100).toFixed(2)}</td>
+                            <td>${t.orders?.order_number || t.note || '-'}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="4">No transactions yet</td></tr>'}
+                </tbody>
+            </table>
+        `;
+        document.getElementById('gift-card-modal').classList.add('active');
+    } catch (err) {
+        console.error('View gift card error:', err);
+        alert('Failed to load gift card: ' + err.message);
+    }
+}
+
+function closeGiftCardModal() {
+    document.getElementById('gift-card-modal').classList.remove('active');
+}
+
+async function voidGiftCard(giftCardId) {
+    if (!confirm('Void this gift card? Its remaining balance can no longer be spent.')) return;
+
+    try {
+        await apiCall(`/api/admin/gift-cards/${giftCardId}/void`, { method: 'POST' });
+        loadGiftCards();
+    } catch (err) {
+        alert('Failed to void gift card: ' + err.message);
+    }
+}
+
+// =============================================================================
+// REFERRALS
+// =============================================================================
+
+async function loadReferrals() {
+    try {
+        const { leaderboard, referrals } = await apiCall('/api/admin/referrals');
+
+        document.getElementById('referral-leaderboard').innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Customer</th>
+                        <th>Code</th>
+                        <th>Referred</th>
+                        <th>Pending</th>
+                        <th>Revoked</th>
+                        <th>Credit Earned</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${leaderboard.map((row, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td><strong>${row.name}</strong><br><small>${row.email || '-'}</small></td>
+                            <td>${row.referral_code}</td>
+                            <td>${row.rewarded}</td>
+                            <td>${row.pending}</td>
+                            <td>${row.revoked}</td>
+                            <td>$${(row.credit_earned / 100).toFixed(2)}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="7">No referrals yet</td></tr>'}
+                </tbody>
+            </table>
+        `;
+
+        document.getElementById('referrals-table').innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Referrer</th>
+                        <th>Friend</th>
+                        <th>Order</th>
+                        <th>Discount</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${referrals.map(r => `
+                        <tr>
+                            <td>${formatDate(r.created_at)}</td>
+                            <td>${r.referrer?.name || '-'}<br><small>${r.referral_code}</small></td>
+                            <td>${r.referred?.name || '-'}<br><small>${r.referred?.email || ''}</small></td>
+                            <td>${r.orders?.order_number || '-'}</td>
+                            <td>$${(r.discount_amount / 100).toFixed(2)}</td>
+                            <td>
+                                <span class="status-badge ${r.status}">${formatStatus(r.status)}</span>
+                                ${r.revoked_reason ? `<br><small>${r.revoked_reason}</small>` : ''}
+                            </td>
+                            <td>
+                                ${r.status !== 'revoked' ? `<button class="btn btn-small btn-danger" onclick="revokeReferral('${r.id}')">Revoke</button>` : ''}
+                            </td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="7">No referrals yet</td></tr>'}
+                </tbody>
+            </table>
+        `;
+    } catch (err) {
+        console.error('Referrals load error:', err);
+    }
+}
+
+async function revokeReferral(referralId) {
+    const reason = prompt('Why is this referral being revoked? Any credit it earned that has not been spent will be voided.');
+    if (!reason) return;
+
+    try {
+        await apiCall(`/api/admin/referrals/${referralId}/revoke`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+        loadReferrals();
+    } catch (err) {
+        alert('Failed to revoke referral: ' + err.message);
+    }
+}
+
+// =============================================================================
+// PROMO CODES
+// =============================================================================
+
+const AUSTRALIAN_STATES = ['NSW', 'VIC', 'QLD', 'WA', 'SA', 'TAS', 'ACT', 'NT'];
+
+async function loadPromoCodes() {
+    try {
+        const codes = await apiCall('/api/admin/promo-codes');
+
+        document.getElementById('promos-table').innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Code</th>
+                        <th>Discount</th>
+                        <th>Uses</th>
+                        <th>Status</th>
+                        <th>Expires</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${codes.map(c => `
+                        <tr>
+                            <td><strong>${c.code}</strong></td>
+                            <td>${describePromoDiscount(c)}${describePromoConditions(c) ? `<br><small>${describePromoConditions(c)}</small>` : ''}</td>
+                            <td>${c.uses_count}${c.max_uses ? '/' + c.max_uses : ''}</td>
+                            <td><span class="status-badge ${c.is_active ? 'completed' : 'cancelled'}">${c.is_active ? 'Active' : 'Inactive'}</span></td>
+                            <td>${c.expires_at ? formatDate(c.expires_at) : 'Never'}</td>
+                            <td>
+                                ${c.is_active ? `<button class="btn btn-small" onclick="deactivatePromo('${c.id}')">Deactivate</button>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (err) {
+        console.error('Promo codes load error:', err);
+    }
+
+    loadAutomaticDiscounts();
+    loadPromoCampaigns();
+}
+
+// Whether an automatic discount is running now, hasn't started or has finished
+function getAutomaticDiscountStatus(discount) {
+    const now = new Date();
+    if (!discount.is_active) return { label: 'Off', badge: 'cancelled' };
+    if (new Date(discount.starts_at) > now) return { label: 'Scheduled', badge: 'pending' };
+    if (discount.ends_at && new Date(discount.ends_at) <= now) return { label: 'Ended', badge: 'cancelled' };
+    return { label: 'Running', badge: 'completed' };
+}
+
+async function loadAutomaticDiscounts() {
+    try {
+        const discounts = await apiCall('/api/admin/automatic-discounts');
+
+        document.getElementById('automatic-discounts-table').innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Discount</th>
+                        <th>Runs</th>
+                        <th>Orders</th>
+                        <th>Discount Given</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${discounts.map(d => {
+                        const status = getAutomaticDiscountStatus(d);
+                        const conditions = describePromoConditions(d);
+                        return `
+                            <tr>
+                                <td><strong>${d.name}</strong>${d.combines_with_promo_codes ? '' : '<br><small>not with promo codes</small>'}</td>
+                                <td>${describePromoDiscount(d)}${conditions ? `<br><small>${conditions}</small>` : ''}</td>
+                                <td>${formatDate(d.starts_at)} – ${d.ends_at ? formatDate(d.ends_at) : 'no end date'}</td>
+                                <td>${d.orders}</td>
+                                <td>$${(d.discount_given / 100).toFixed(2)}</td>
+                                <td><span class="status-badge ${status.badge}">${status.label}</span></td>
+                                <td>
+                                    <button class="btn btn-small ${d.is_active ? 'btn-outline' : ''}" onclick="setAutomaticDiscountActive('${d.id}', ${!d.is_active})">${d.is_active ? 'Turn Off' : 'Turn On'}</button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('') || '<tr><td colspan="7">No automatic discounts yet</td></tr>'}
+                </tbody>
+            </table>
+        `;
+    } catch (err) {
+        console.error('Automatic discounts load error:', err);
+    }
+}
+
+async function setAutomaticDiscountActive(discountId, isActive) {
+    if (!isActive && !confirm('Turn off this discount? It will stop applying to new orders straight away.')) return;
+
+    try {
+        await apiCall(`/api/admin/automatic-discounts/${discountId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ is_active: isActive })
+        });
+        loadAutomaticDiscounts();
+    } catch (err) {
+        alert('Failed to update discount: ' + err.message);
+    }
+}
+
+async function loadPromoCampaigns() {
+    try {
+        const campaigns = await apiCall('/api/admin/promo-campaigns');
+
+        document.getElementById('campaigns-table').innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Campaign</th>
+                        <th>Prefix</th>
+                        <th>Issued</th>
+                        <th>Redeemed</th>
+                        <th>Revenue</th>
+                        <th>Created</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${campaigns.map(c => `
+                        <tr>
+                            <td><strong>${c.name}</strong>${c.description ? `<br><small>${c.description}</small>` : ''}</td>
+                            <td>${c.prefix}</td>
+                            <td>${c.issued}</td>
+                            <td>${c.redeemed}${c.issued ? ` (${Math.round(c.redeemed / c.issued * 100)}%)` : ''}</td>
+                            <td>$${(c.revenue / 100).toFixed(2)}</td>
+                            <td>${formatDate(c.created_at)}</td>
+                            <td>
+                                <button class="btn btn-small" onclick="exportCampaignCodes('${c.id}', '${c.prefix}')">Export CSV</button>
+                                <button class="btn btn-small btn-outline" onclick="deactivateCampaign('${c.id}')">Deactivate</button>
+                            </td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="7">No campaigns yet</td></tr>'}
+                </tbody>
+            </table>
+        `;
+    } catch (err) {
+        console.error('Promo campaigns load error:', err);
+    }
+}
+
+async function exportCampaignCodes(campaignId, prefix) {
+    try {
+        const response = await fetch(`/api/admin/promo-campaigns/${campaignId}/codes.csv`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Request failed');
+        }
+
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `Heartsnaps_${prefix}_codes.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        alert('Failed to export codes: ' + err.message);
+    }
+}
+
+async function deactivateCampaign(campaignId) {
+    if (!confirm('Deactivate every code in this campaign?')) return;
+
+    try {
+        await apiCall(`/api/admin/promo-campaigns/${campaignId}/deactivate`, { method: 'POST' });
+        loadPromoCampaigns();
+    } catch (err) {
+        alert('Failed to deactivate: ' + err.message);
+    }
+}
+
+function describePromoDiscount(promo) {
+    switch (promo.discount_type) {
+        case 'percentage': return `${promo.discount_value}%`;
+        case 'fixed': return `$${(promo.discount_value / 100).toFixed(2)}`;
+        case 'free_shipping': return 'Free shipping';
+        case 'buy_x_get_y': return `Buy ${promo.buy_quantity} get ${promo.free_quantity} free`;
+        default: return promo.discount_type;
+    }
+}
+
+function describePromoConditions(promo) {
+    const conditions = [];
+    if (promo.product_types?.length) conditions.push(promo.product_types.join(', '));
+    if (promo.min_quantity) conditions.push(`${promo.min_quantity}+ magnets`);
+    if (promo.min_order_amount > 0) conditions.push(`$${(promo.min_order_amount / 100).toFixed(2)}+`);
+    if (promo.states?.length) conditions.push(promo.states.join('/'));
+    if (promo.first_order_only) conditions.push('first order');
+    if (promo.stackable === false) conditions.push('no store credit');
+    return conditions.join(' · ');
+}
+
+// The promo modal creates a single code, a campaign of codes or an automatic
+// discount. They share the discount and condition fields; each mode shows its
+// own extra fields.
+const PROMO_MODAL_MODES = {
+    code: {
+        title: 'Create Promo Code',
+        submit: 'Create Code',
+        endpoint: '/api/admin/promo-codes',
+        fields: ['promo-code-group', 'promo-first-order-option', 'promo-stackable-option', 'promo-max-uses-group']
+    },
+    campaign: {
+        title: 'Create Campaign',
+        submit: 'Generate Codes',
+        endpoint: '/api/admin/promo-campaigns',
+        fields: ['promo-campaign-group', 'promo-first-order-option', 'promo-stackable-option']
+    },
+    automatic: {
+        title: 'Create Automatic Discount',
+        submit: 'Create Discount',
+        endpoint: '/api/admin/automatic-discounts',
+        fields: ['promo-automatic-group', 'promo-combines-option']
+    }
+};
+const PROMO_MODAL_FIELDS = [...new Set(Object.values(PROMO_MODAL_MODES).flatMap(mode => mode.fields))];
+
+let promoModalMode = 'code';
+
+function showCreateCampaignModal() {
+    showCreatePromoModal('campaign');
+}
+
+function showCreateAutomaticDiscountModal() {
+    showCreatePromoModal('automatic');
+}
+
+async function showCreatePromoModal(mode = 'code') {
+    promoModalMode = mode;
+    const { title, submit, fields } = PROMO_MODAL_MODES[mode];
+    document.getElementById('promo-modal-title').textContent = title;
+    document.getElementById('promo-submit').textContent = submit;
+    document.getElementById('promo-expires-label').textContent = mode === 'automatic' ? 'Ends (optional)' : 'Expires (optional)';
+    PROMO_MODAL_FIELDS.forEach(id => {
+        document.getElementById(id).style.display = fields.includes(id) ? '' : 'none';
+    });
+
+    document.getElementById('promo-states').innerHTML = AUSTRALIAN_STATES.map(state => `
+        <label class="checkbox-inline">
+            <input type="checkbox" name="promo-state" value="${state}"> ${state}
+        </label>
+    `).join('');
+
+    try {
+        const catalogue = await fetch('/api/pricing').then(response => response.json());
+        document.getElementById('promo-product-types').innerHTML = catalogue.products.map(product => `
+            <label class="checkbox-inline">
+                <input type="checkbox" name="promo-product-type" value="${product.key}"> ${product.name}
+            </label>
+        `).join('');
+    } catch (err) {
+        console.error('Products load error:', err);
+    }
+
+    togglePromoDiscountFields();
+    document.getElementById('promo-modal').classList.add('active');
+}
+
+function togglePromoDiscountFields() {
+    const discountType = document.getElementById('promo-discount-type').value;
+    document.getElementById('promo-value-group').style.display =
+        ['percentage', 'fixed'].includes(discountType) ? 'block' : 'none';
+    document.getElementById('promo-bogo-group').style.display =
+        discountType === 'buy_x_get_y' ? 'grid' : 'none';
+}
+
+function closePromoModal() {
+    document.getElementById('promo-modal').classList.remove('active');
+}
+
+async function createPromoCode(event) {
+    event.preventDefault();
+
+    const code = document.getElementById('promo-code-input').value.toUpperCase().trim();
+    const discount_type = document.getElementById('promo-discount-type').value;
+    const discount_value = parseInt(document.getElementById('promo-discount-value').value);
+    const max_uses = document.getElementById('promo-max-uses').value ? parseInt(document.getElementById('promo-max-uses').value) : null;
+    const expires_at = document.getElementById('promo-expires').value || null;
+    const description = document.getElementById('promo-description').value;
+    const checkedValues = (name) => [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+
+    // Convert fixed amount to cents
+    const value = discount_type === 'fixed' ? discount_value * 100 : discount_value;
+
+    if (promoModalMode === 'code' && !code) {
+        alert('Please enter a code');
+        return;
+    }
+
+    let details = { code };
+    if (promoModalMode === 'campaign') {
+        details = {
+            name: document.getElementById('campaign-name').value.trim(),
+            prefix: document.getElementById('campaign-prefix').value.toUpperCase().trim(),
+            count: readOptionalInt('campaign-count')
+        };
+    } else if (promoModalMode === 'automatic') {
+        details = {
+            name: document.getElementById('automatic-discount-name').value.trim(),
+            starts_at: document.getElementById('automatic-discount-starts').value || null,
+            ends_at: expires_at,
+            combines_with_promo_codes: document.getElementById('automatic-discount-combines').checked
+        };
+    }
+
+    try {
+        await apiCall(PROMO_MODAL_MODES[promoModalMode].endpoint, {
+            method: 'POST',
+            body: JSON.stringify({
+                ...details,
                 discount_type,
                 discount_value: value,
+                buy_quantity: readOptionalInt('promo-buy-quantity'),
+                free_quantity: readOptionalInt('promo-free-quantity'),
+                min_order_amount: readDollarsAsCents('promo-min-order') || 0,
+                min_quantity: readOptionalInt('promo-min-quantity'),
+                product_types: checkedValues('promo-product-type'),
+                states: checkedValues('promo-state'),
+                first_order_only: document.getElementById('promo-first-order').checked,
+                stackable: document.getElementById('promo-stackable').checked,
                 max_uses,
                 expires_at,
                 description
             })
         });
 
-        alert('Promo code created!');
-        closePromoModal();
-        loadPromoCodes();
+        const messages = {
+            code: 'Promo code created!',
+            campaign: `${details.count} codes generated!`,
+            automatic: 'Automatic discount created!'
+        };
+        alert(messages[promoModalMode]);
+        closePromoModal();
+        loadPromoCodes();
+    } catch (err) {
+        alert('Failed to create: ' + err.message);
+    }
+}
+
+async function deactivatePromo(promoId) {
+    if (!confirm('Are you sure you want to deactivate this promo code?')) return;
+
+    try {
+        await apiCall(`/api/admin/promo-codes/${promoId}`, { method: 'DELETE' });
+        loadPromoCodes();
+    } catch (err) {
+        alert('Failed to deactivate: ' + err.message);
+    }
+}
+
+// =============================================================================
+// PRICING
+// =============================================================================
+
+async function loadPricing() {
+    try {
+        const pricing = await apiCall('/api/admin/pricing');
+        const shapeOptions = (selected) => ['square', 'rectangle', 'round'].map(shape => `
+            <option value="${shape}" ${shape === selected ? 'selected' : ''}>${shape}</option>
+        `).join('');
+        const variantOptions = (selected) => `
+            <option value="" ${!selected ? 'selected' : ''}>All sizes</option>
+            ${pricing.variants.map(variant => `
+                <option value="${variant.key}" ${variant.key === selected ? 'selected' : ''}>${variant.name}</option>
+            `).join('')}
+        `;
+
+        document.getElementById('pricing-editor').innerHTML = `
+            <div class="pricing-card">
+                <div class="pricing-card-header">
+                    <h2>Sizes &amp; Shapes</h2>
+                </div>
+                <table class="admin-table pricing-table">
+                    <thead>
+                        <tr>
+                            <th>Key</th>
+                            <th>Name</th>
+                            <th>Shape</th>
+                            <th>Width (mm)</th>
+                            <th>Height (mm)</th>
+                            <th>Print Size</th>
+                            <th>Active</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pricing.variants.map(variant => `
+                            <tr>
+                                <td><strong>${variant.key}</strong></td>
+                                <td><input type="text" id="variant-name-${variant.key}" value="${variant.name}"></td>
+                                <td><select id="variant-shape-${variant.key}">${shapeOptions(variant.shape)}</select></td>
+                                <td><input type="number" id="variant-width-${variant.key}" min="1" step="0.1" value="${variant.width_mm}"></td>
+                                <td><input type="number" id="variant-height-${variant.key}" min="1" step="0.1" value="${variant.height_mm}"></td>
+                                <td>${variant.width_px} x ${variant.height_px}px</td>
+                                <td><input type="checkbox" id="variant-active-${variant.key}" ${variant.is_active ? 'checked' : ''}></td>
+                                <td><button class="btn btn-small" onclick="saveVariant('${variant.key}')">Save</button></td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <td><input type="text" id="new-variant-key" placeholder="round-50"></td>
+                            <td><input type="text" id="new-variant-name" placeholder="Small Round"></td>
+                            <td><select id="new-variant-shape">${shapeOptions('square')}</select></td>
+                            <td><input type="number" id="new-variant-width" min="1" step="0.1" placeholder="50.8"></td>
+                            <td><input type="number" id="new-variant-height" min="1" step="0.1" placeholder="50.8"></td>
+                            <td colspan="2"></td>
+                            <td><button class="btn btn-small" onclick="addVariant()">Add Size</button></td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            ${pricing.products.map(product => `
+                <div class="pricing-card">
+                    <div class="pricing-card-header">
+                        <input type="text" id="product-name-${product.key}" value="${product.name}">
+                        <label class="checkbox-inline">
+                            <input type="checkbox" id="product-active-${product.key}" ${product.is_active ? 'checked' : ''}> Active
+                        </label>
+                        <button class="btn btn-small btn-outline" onclick="saveProductType('${product.key}')">Save</button>
+                    </div>
+                    <input type="text" class="pricing-description" id="product-description-${product.key}" value="${product.description || ''}" placeholder="Description">
+
+                    <table class="admin-table pricing-table">
+                        <thead>
+                            <tr>
+                                <th>Size</th>
+                                <th>Min Qty</th>
+                                <th>Max Qty</th>
+                                <th>Price Each ($)</th>
+                                <th>Label</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${product.tiers.map(tier => `
+                                <tr>
+                                    <td>${tier.variant ? (pricing.variants.find(v => v.key === tier.variant)?.name || tier.variant) : 'All sizes'}</td>
+                                    <td><input type="number" id="tier-min-${tier.id}" min="1" value="${tier.min_quantity}"></td>
+                                    <td><input type="number" id="tier-max-${tier.id}" min="1" value="${tier.max_quantity ?? ''}" placeholder="No limit"></td>
+                                    <td><input type="number" id="tier-price-${tier.id}" min="0.01" step="0.01" value="${(tier.price_per_unit / 100).toFixed(2)}"></td>
+                                    <td><input type="text" id="tier-label-${tier.id}" value="${tier.label || ''}"></td>
+                                    <td>
+                                        <div class="action-buttons">
+                                            <button class="btn btn-small" onclick="saveTier('${tier.id}')">Save</button>
+                                            <button class="btn btn-small btn-outline" onclick="deleteTier('${tier.id}')">Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                            <tr>
+                                <td><select id="new-tier-variant-${product.key}">${variantOptions(null)}</select></td>
+                                <td><input type="number" id="new-tier-min-${product.key}" min="1" placeholder="1"></td>
+                                <td><input type="number" id="new-tier-max-${product.key}" min="1" placeholder="No limit"></td>
+                                <td><input type="number" id="new-tier-price-${product.key}" min="0.01" step="0.01" placeholder="12.00"></td>
+                                <td><input type="text" id="new-tier-label-${product.key}" placeholder="6-pack rate"></td>
+                                <td><button class="btn btn-small" onclick="addTier('${product.key}')">Add Tier</button></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            `).join('')}
+
+            <div class="pricing-card">
+                <div class="pricing-card-header">
+                    <h2>Pickup</h2>
+                </div>
+                <table class="admin-table pricing-table">
+                    <thead>
+                        <tr>
+                            <th>Method</th>
+                            <th>Label</th>
+                            <th>Cost ($)</th>
+                            <th>Free Over ($)</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pricing.shipping.map(rule => `
+                            <tr>
+                                <td><strong>${rule.shipping_type}</strong></td>
+                                <td><input type="text" id="shipping-label-${rule.shipping_type}" value="${rule.label}"></td>
+                                <td><input type="number" id="shipping-cost-${rule.shipping_type}" min="0" step="0.01" value="${(rule.cost / 100).toFixed(2)}"></td>
+                                <td><input type="number" id="shipping-free-${rule.shipping_type}" min="0" step="0.01" value="${rule.free_threshold !== null ? (rule.free_threshold / 100).toFixed(2) : ''}" placeholder="Never"></td>
+                                <td><button class="btn btn-small" onclick="saveShippingRule('${rule.shipping_type}')">Save</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="pricing-card">
+                <div class="pricing-card-header">
+                    <h2>Delivery Services</h2>
+                </div>
+                <table class="admin-table pricing-table">
+                    <thead>
+                        <tr>
+                            <th>Key</th>
+                            <th>Name</th>
+                            <th>Description</th>
+                            <th>Free Over ($)</th>
+                            <th>Active</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pricing.shippingServices.map(service => `
+                            <tr>
+                                <td><strong>${service.key}</strong></td>
+                                <td><input type="text" id="service-name-${service.key}" value="${service.name}"></td>
+                                <td><input type="text" id="service-description-${service.key}" value="${service.description || ''}"></td>
+                                <td><input type="number" id="service-free-${service.key}" min="0" step="0.01" value="${service.free_threshold !== null ? (service.free_threshold / 100).toFixed(2) : ''}" placeholder="Never"></td>
+                                <td><input type="checkbox" id="service-active-${service.key}" ${service.is_active ? 'checked' : ''}></td>
+                                <td><button class="btn btn-small" onclick="saveShippingService('${service.key}')">Save</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="pricing-card">
+                <div class="pricing-card-header">
+                    <h2>Delivery Zones</h2>
+                </div>
+                <p class="pricing-description">An address gets the first zone (lowest priority) whose postcodes or states contain it.</p>
+                <table class="admin-table pricing-table">
+                    <thead>
+                        <tr>
+                            <th>Key</th>
+                            <th>Name</th>
+                            <th>States</th>
+                            <th>Postcodes</th>
+                            <th>Priority</th>
+                            <th>Active</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pricing.shippingZones.map(zone => `
+                            <tr>
+                                <td><strong>${zone.key}</strong></td>
+                                <td><input type="text" id="zone-name-${zone.key}" value="${zone.name}"></td>
+                                <td><input type="text" id="zone-states-${zone.key}" value="${(zone.states || []).join(', ')}" placeholder="NSW, ACT"></td>
+                                <td><input type="text" id="zone-postcodes-${zone.key}" value="${formatPostcodeRanges(zone.postcode_ranges)}" placeholder="2800-2899"></td>
+                                <td><input type="number" id="zone-priority-${zone.key}" value="${zone.priority}"></td>
+                                <td><input type="checkbox" id="zone-active-${zone.key}" ${zone.is_active ? 'checked' : ''}></td>
+                                <td><button class="btn btn-small" onclick="saveShippingZone('${zone.key}')">Save</button></td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <td><input type="text" id="new-zone-key" placeholder="regional-qld"></td>
+                            <td><input type="text" id="new-zone-name" placeholder="Regional QLD"></td>
+                            <td><input type="text" id="new-zone-states" placeholder="QLD"></td>
+                            <td><input type="text" id="new-zone-postcodes" placeholder="4700-4899"></td>
+                            <td><input type="number" id="new-zone-priority" placeholder="50"></td>
+                            <td></td>
+                            <td><button class="btn btn-small" onclick="addShippingZone()">Add Zone</button></td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            ${pricing.shippingZones.map(zone => `
+                <div class="pricing-card">
+                    <div class="pricing-card-header">
+                        <h2>${zone.name} Rates</h2>
+                    </div>
+                    <table class="admin-table pricing-table">
+                        <thead>
+                            <tr>
+                                <th>Service</th>
+                                <th>Min Qty</th>
+                                <th>Max Qty</th>
+                                <th>Cost ($)</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${pricing.shippingRates.filter(rate => rate.zone_key === zone.key).map(rate => `
+                                <tr>
+                                    <td>${pricing.shippingServices.find(s => s.key === rate.service_key)?.name || rate.service_key}</td>
+                                    <td><input type="number" id="rate-min-${rate.id}" min="1" value="${rate.min_quantity}"></td>
+                                    <td><input type="number" id="rate-max-${rate.id}" min="1" value="${rate.max_quantity ?? ''}" placeholder="No limit"></td>
+                                    <td><input type="number" id="rate-cost-${rate.id}" min="0" step="0.01" value="${(rate.cost / 100).toFixed(2)}"></td>
+                                    <td>
+                                        <div class="action-buttons">
+                                            <button class="btn btn-small" onclick="saveShippingRate('${rate.id}')">Save</button>
+                                            <button class="btn btn-small btn-outline" onclick="deleteShippingRate('${rate.id}')">Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                            <tr>
+                                <td>
+                                    <select id="new-rate-service-${zone.key}">
+                                        ${pricing.shippingServices.map(service => `<option value="${service.key}">${service.name}</option>`).join('')}
+                                    </select>
+                                </td>
+                                <td><input type="number" id="new-rate-min-${zone.key}" min="1" placeholder="1"></td>
+                                <td><input type="number" id="new-rate-max-${zone.key}" min="1" placeholder="No limit"></td>
+                                <td><input type="number" id="new-rate-cost-${zone.key}" min="0" step="0.01" placeholder="8.00"></td>
+                                <td><button class="btn btn-small" onclick="addShippingRate('${zone.key}')">Add Rate</button></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            `).join('')}
+        `;
+    } catch (err) {
+        console.error('Pricing load error:', err);
+    }
+}
+
+function readDollarsAsCents(inputId) {
+    const value = document.getElementById(inputId).value;
+    return value === '' ? null : Math.round(parseFloat(value) * 100);
+}
+
+function readOptionalInt(inputId) {
+    const value = document.getElementById(inputId).value;
+    return value === '' ? null : parseInt(value);
+}
+
+async function saveProductType(key) {
+    try {
+        await apiCall(`/api/admin/pricing/products/${key}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                name: document.getElementById(`product-name-${key}`).value.trim(),
+                description: document.getElementById(`product-description-${key}`).value.trim(),
+                is_active: document.getElementById(`product-active-${key}`).checked
+            })
+        });
+        alert('Product saved!');
+        loadPricing();
+    } catch (err) {
+        alert('Failed to save: ' + err.message);
+    }
+}
+
+function readVariantForm(prefix) {
+    return {
+        name: document.getElementById(`${prefix}-name`).value.trim(),
+        shape: document.getElementById(`${prefix}-shape`).value,
+        width_mm: parseFloat(document.getElementById(`${prefix}-width`).value),
+        height_mm: parseFloat(document.getElementById(`${prefix}-height`).value)
+    };
+}
+
+async function addVariant() {
+    try {
+        await apiCall('/api/admin/pricing/variants', {
+            method: 'POST',
+            body: JSON.stringify({
+                key: document.getElementById('new-variant-key').value.trim().toLowerCase(),
+                ...readVariantForm('new-variant')
+            })
+        });
+        loadPricing();
+    } catch (err) {
+        alert('Failed to add size: ' + err.message);
+    }
+}
+
+async function saveVariant(key) {
+    try {
+        await apiCall(`/api/admin/pricing/variants/${key}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                ...readVariantForm(`variant-${key}`),
+                is_active: document.getElementById(`variant-active-${key}`).checked
+            })
+        });
+        alert('Size saved!');
+        loadPricing();
+    } catch (err) {
+        alert('Failed to save size: ' + err.message);
+    }
+}
+
+async function addTier(productType) {
+    try {
+        await apiCall('/api/admin/pricing/tiers', {
+            method: 'POST',
+            body: JSON.stringify({
+                product_type: productType,
+                variant: document.getElementById(`new-tier-variant-${productType}`).value || null,
+                min_quantity: readOptionalInt(`new-tier-min-${productType}`),
+                max_quantity: readOptionalInt(`new-tier-max-${productType}`),
+                price_per_unit: readDollarsAsCents(`new-tier-price-${productType}`),
+                label: document.getElementById(`new-tier-label-${productType}`).value.trim()
+            })
+        });
+        loadPricing();
+    } catch (err) {
+        alert('Failed to add tier: ' + err.message);
+    }
+}
+
+async function saveTier(tierId) {
+    try {
+        await apiCall(`/api/admin/pricing/tiers/${tierId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                min_quantity: readOptionalInt(`tier-min-${tierId}`),
+                max_quantity: readOptionalInt(`tier-max-${tierId}`),
+                price_per_unit: readDollarsAsCents(`tier-price-${tierId}`),
+                label: document.getElementById(`tier-label-${tierId}`).value.trim()
+            })
+        });
+        alert('Tier saved!');
+        loadPricing();
+    } catch (err) {
+        alert('Failed to save tier: ' + err.message);
+    }
+}
+
+async function deleteTier(tierId) {
+    if (!confirm('Are you sure you want to delete this price tier? Customers will not be able to order quantities in this range.')) return;
+
+    try {
+        await apiCall(`/api/admin/pricing/tiers/${tierId}`, { method: 'DELETE' });
+        loadPricing();
+    } catch (err) {
+        alert('Failed to delete tier: ' + err.message);
+    }
+}
+
+async function saveShippingRule(shippingType) {
+    try {
+        await apiCall(`/api/admin/pricing/shipping/${shippingType}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                label: document.getElementById(`shipping-label-${shippingType}`).value.trim(),
+                cost: readDollarsAsCents(`shipping-cost-${shippingType}`),
+                free_threshold: readDollarsAsCents(`shipping-free-${shippingType}`)
+            })
+        });
+        alert('Shipping saved!');
+        loadPricing();
+    } catch (err) {
+        alert('Failed to save shipping: ' + err.message);
+    }
+}
+
+async function saveShippingService(key) {
+    try {
+        await apiCall(`/api/admin/pricing/shipping-services/${key}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                name: document.getElementById(`service-name-${key}`).value.trim(),
+                description: document.getElementById(`service-description-${key}`).value.trim(),
+                free_threshold: readDollarsAsCents(`service-free-${key}`),
+                is_active: document.getElementById(`service-active-${key}`).checked
+            })
+        });
+        alert('Delivery service saved!');
+        loadPricing();
+    } catch (err) {
+        alert('Failed to save delivery service: ' + err.message);
+    }
+}
+
+// [{ from: 2800, to: 2899 }] <-> "2800-2899, 2600"
+function formatPostcodeRanges(ranges) {
+    return (ranges || []).map(range => range.from === range.to ? `${range.from}` : `${range.from}-${range.to}`).join(', ');
+}
+
+function parsePostcodeRanges(text) {
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [from, to = from] = part.split('-').map(n => parseInt(n.trim()));
+        return { from, to };
+    });
+}
+
+function readZoneForm(prefix) {
+    return {
+        name: document.getElementById(`${prefix}-name`).value.trim(),
+        states: document.getElementById(`${prefix}-states`).value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+        postcode_ranges: parsePostcodeRanges(document.getElementById(`${prefix}-postcodes`).value),
+        priority: readOptionalInt(`${prefix}-priority`) ?? 50
+    };
+}
+
+async function addShippingZone() {
+    try {
+        await apiCall('/api/admin/pricing/shipping-zones', {
+            method: 'POST',
+            body: JSON.stringify({
+                key: document.getElementById('new-zone-key').value.trim().toLowerCase(),
+                ...readZoneForm('new-zone')
+            })
+        });
+        loadPricing();
+    } catch (err) {
+        alert('Failed to add zone: ' + err.message);
+    }
+}
+
+async function saveShippingZone(key) {
+    try {
+        await apiCall(`/api/admin/pricing/shipping-zones/${key}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                ...readZoneForm(`zone-${key}`),
+                is_active: document.getElementById(`zone-active-${key}`).checked
+            })
+        });
+        alert('Zone saved!');
+        loadPricing();
     } catch (err) {
-        alert('Failed to create: ' + err.message);
+        alert('Failed to save zone: ' + err.message);
     }
 }
 
-async function deactivatePromo(promoId) {
-    if (!confirm('Are you sure you want to deactivate this promo code?')) return;
+async function addShippingRate(zoneKey) {
+    try {
+        await apiCall('/api/admin/pricing/shipping-rates', {
+            method: 'POST',
+            body: JSON.stringify({
+                zone_key: zoneKey,
+                service_key: document.getElementById(`new-rate-service-${zoneKey}`).value,
+                min_quantity: readOptionalInt(`new-rate-min-${zoneKey}`),
+                max_quantity: readOptionalInt(`new-rate-max-${zoneKey}`),
+                cost: readDollarsAsCents(`new-rate-cost-${zoneKey}`)
+            })
+        });
+        loadPricing();
+    } catch (err) {
+        alert('Failed to add rate: ' + err.message);
+    }
+}
 
+async function saveShippingRate(rateId) {
     try {
-        await apiCall(`/api/admin/promo-codes/${promoId}`, { method: 'DELETE' });
-        loadPromoCodes();
+        await apiCall(`/api/admin/pricing/shipping-rates/${rateId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                min_quantity: readOptionalInt(`rate-min-${rateId}`),
+                max_quantity: readOptionalInt(`rate-max-${rateId}`),
+                cost: readDollarsAsCents(`rate-cost-${rateId}`)
+            })
+        });
+        alert('Rate saved!');
+        loadPricing();
     } catch (err) {
-        alert('Failed to deactivate: ' + err.message);
+        alert('Failed to save rate: ' + err.message);
+    }
+}
+
+async function deleteShippingRate(rateId) {
+    if (!confirm('Delete this shipping rate? Orders of this size may no longer be deliverable to this zone.')) return;
+
+    try {
+        await apiCall(`/api/admin/pricing/shipping-rates/${rateId}`, { method: 'DELETE' });
+        loadPricing();
+    } catch (err) {
+        alert('Failed to delete rate: ' + err.message);
+    }
+}
+
+// =============================================================================
+// PICKUP LOCATIONS
+// =============================================================================
+
+async function loadPickupLocations() {
+    try {
+        const locations = await apiCall('/api/admin/pickup-locations');
+
+        document.getElementById('pickup-editor').innerHTML = `
+            <div class="pricing-card">
+                <div class="pricing-card-header">
+                    <h2>Locations</h2>
+                </div>
+                <table class="admin-table pricing-table">
+                    <thead>
+                        <tr>
+                            <th>Key</th>
+                            <th>Name</th>
+                            <th>Address</th>
+                            <th>Opening Hours</th>
+                            <th>Instructions</th>
+                            <th>Active</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${locations.map(location => `
+                            <tr>
+                                <td><strong>${location.key}</strong></td>
+                                <td><input type="text" id="location-name-${location.key}" value="${location.name}"></td>
+                                <td><input type="text" id="location-address-${location.key}" value="${location.address}"></td>
+                                <td><input type="text" id="location-hours-${location.key}" value="${location.opening_hours || ''}"></td>
+                                <td><input type="text" id="location-instructions-${location.key}" value="${location.instructions || ''}"></td>
+                                <td><input type="checkbox" id="location-active-${location.key}" ${location.is_active ? 'checked' : ''}></td>
+                                <td><button class="btn btn-small" onclick="savePickupLocation('${location.key}')">Save</button></td>
+                            </tr>
+                        `).join('')}
+                        <tr>
+                            <td><input type="text" id="new-location-key" placeholder="parkes-markets"></td>
+                            <td><input type="text" id="new-location-name" placeholder="Parkes Markets"></td>
+                            <td><input type="text" id="new-location-address" placeholder="Cooke Park, Parkes NSW 2870"></td>
+                            <td><input type="text" id="new-location-hours" placeholder="2nd Sunday, 8am-1pm"></td>
+                            <td><input type="text" id="new-location-instructions" placeholder="Find us at the pink stall"></td>
+                            <td></td>
+                            <td><button class="btn btn-small" onclick="addPickupLocation()">Add Location</button></td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            ${locations.map(location => `
+                <div class="pricing-card">
+                    <div class="pricing-card-header">
+                        <h2>${location.name} Pickup Times</h2>
+                    </div>
+                    <table class="admin-table pricing-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Booked</th>
+                                <th>Capacity</th>
+                                <th>Open</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${location.slots.map(slot => `
+                                <tr>
+                                    <td>${slot.label}</td>
+                                    <td>${slot.booked_count}</td>
+                                    <td><input type="number" id="slot-capacity-${slot.id}" min="1" value="${slot.capacity}"></td>
+                                    <td><input type="checkbox" id="slot-active-${slot.id}" ${slot.is_active ? 'checked' : ''}></td>
+                                    <td>
+                                        <div class="action-buttons">
+                                            <button class="btn btn-small" onclick="savePickupSlot('${slot.id}')">Save</button>
+                                            ${slot.booked_count === 0 ? `<button class="btn btn-small btn-outline" onclick="deletePickupSlot('${slot.id}')">Delete</button>` : ''}
+                                        </div>
+                                    </td>
+                                </tr>
+                            `).join('') || '<tr><td colspan="5">No upcoming pickup times</td></tr>'}
+                            <tr>
+                                <td>
+                                    <input type="datetime-local" id="new-slot-start-${location.key}">
+                                    <input type="time" id="new-slot-end-${location.key}" title="End time">
+                                </td>
+                                <td>
+                                    Repeat weekly for
+                                    <input type="number" id="new-slot-weeks-${location.key}" min="1" max="52" value="1"> week(s)
+                                </td>
+                                <td><input type="number" id="new-slot-capacity-${location.key}" min="1" value="5"></td>
+                                <td></td>
+                                <td><button class="btn btn-small" onclick="addPickupSlots('${location.key}')">Add Time</button></td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            `).join('')}
+        `;
+    } catch (err) {
+        console.error('Pickup locations load error:', err);
+    }
+}
+
+function readPickupLocationForm(prefix) {
+    return {
+        name: document.getElementById(`${prefix}-name`).value.trim(),
+        address: document.getElementById(`${prefix}-address`).value.trim(),
+        opening_hours: document.getElementById(`${prefix}-hours`).value.trim() || null,
+        instructions: document.getElementById(`${prefix}-instructions`).value.trim() || null
+    };
+}
+
+async function addPickupLocation() {
+    try {
+        await apiCall('/api/admin/pickup-locations', {
+            method: 'POST',
+            body: JSON.stringify({
+                key: document.getElementById('new-location-key').value.trim().toLowerCase(),
+                ...readPickupLocationForm('new-location')
+            })
+        });
+        loadPickupLocations();
+    } catch (err) {
+        alert('Failed to add location: ' + err.message);
+    }
+}
+
+async function savePickupLocation(key) {
+    try {
+        await apiCall(`/api/admin/pickup-locations/${key}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                ...readPickupLocationForm(`location-${key}`),
+                is_active: document.getElementById(`location-active-${key}`).checked
+            })
+        });
+        alert('Location saved!');
+        loadPickupLocations();
+    } catch (err) {
+        alert('Failed to save location: ' + err.message);
+    }
+}
+
+async function addPickupSlots(locationKey) {
+    const start = document.getElementById(`new-slot-start-${locationKey}`).value;
+    const endTime = document.getElementById(`new-slot-end-${locationKey}`).value;
+
+    if (!start || !endTime) {
+        alert('Please enter a start date/time and an end time');
+        return;
+    }
+
+    // The end time is on the same day as the start (entered in this browser's timezone)
+    const startsAt = new Date(start);
+    const endsAt = new Date(`${start.split('T')[0]}T${endTime}`);
+
+    try {
+        await apiCall('/api/admin/pickup-slots', {
+            method: 'POST',
+            body: JSON.stringify({
+                location_key: locationKey,
+                starts_at: startsAt.toISOString(),
+                ends_at: endsAt.toISOString(),
+                capacity: readOptionalInt(`new-slot-capacity-${locationKey}`),
+                repeat_weeks: readOptionalInt(`new-slot-weeks-${locationKey}`) || 1
+            })
+        });
+        loadPickupLocations();
+    } catch (err) {
+        alert('Failed to add pickup time: ' + err.message);
+    }
+}
+
+async function savePickupSlot(slotId) {
+    try {
+        await apiCall(`/api/admin/pickup-slots/${slotId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                capacity: readOptionalInt(`slot-capacity-${slotId}`),
+                is_active: document.getElementById(`slot-active-${slotId}`).checked
+            })
+        });
+        alert('Pickup time saved!');
+        loadPickupLocations();
+    } catch (err) {
+        alert('Failed to save pickup time: ' + err.message);
+    }
+}
+
+async function deletePickupSlot(slotId) {
+    if (!confirm('Delete this pickup time?')) return;
+
+    try {
+        await apiCall(`/api/admin/pickup-slots/${slotId}`, { method: 'DELETE' });
+        loadPickupLocations();
+    } catch (err) {
+        alert('Failed to delete pickup time: ' + err.message);
     }
 }
 
@@ -860,6 +2604,235 @@ async function deleteGalleryItem(itemId) {
     }
 }
 
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+// Customer emails sent as an order moves along, each switched on in settings
+const ORDER_EMAIL_SETTINGS = [
+    { key: 'notify_printing', name: 'Printing', description: 'When an order starts printing' },
+    { key: 'notify_shipped', name: 'Shipped', description: 'When an order is shipped, with its tracking number and a link to the carrier' },
+    { key: 'notify_ready_pickup', name: 'Ready for Pickup', description: 'When a pickup order is ready, with the location and opening hours' },
+    { key: 'notify_completed', name: 'Completed', description: 'When an order is completed, asking for a review' },
+    { key: 'notify_payment_failed', name: 'Payment Failed', description: 'When a card payment is declined, with a link to try again' },
+    { key: 'notify_refunded', name: 'Refunded', description: 'When all or part of an order is refunded, with the amount refunded so far' },
+    { key: 'notify_recovery', name: 'Payment Reminder', description: 'Once, when an order is left unpaid, with a link to finish paying' }
+];
+
+const ABANDONED_ORDER_SETTINGS = [
+    { key: 'recovery_email_delay_hours', name: 'Remind after (hours)', description: 'Unpaid orders with no checkout activity for this long get the payment reminder email', min: 1, max: 168 },
+    { key: 'pending_order_expiry_hours', name: 'Expire after (hours)', description: 'Unpaid orders with no checkout activity for this long are marked expired, giving back their promo code, gift card balance and pickup place', min: 2, max: 720 },
+    { key: 'expired_order_photo_days', name: 'Keep photos (days)', description: 'Photos of expired orders are deleted this many days later. The order itself is kept', min: 0, max: 365 }
+];
+
+async function loadSettings() {
+    try {
+        const settings = await apiCall('/api/admin/settings');
+
+        document.getElementById('settings-editor').innerHTML = `
+            <div class="pricing-card">
+                <div class="pricing-card-header">
+                    <h2>Order Emails</h2>
+                </div>
+                <p>Emails sent are noted in each order's status history.</p>
+                <table class="admin-table pricing-table">
+                    <thead>
+                        <tr>
+                            <th>Email</th>
+                            <th>Sent</th>
+                            <th>On</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${ORDER_EMAIL_SETTINGS.map(setting => `
+                            <tr>
+                                <td><strong>${setting.name}</strong></td>
+                                <td>${setting.description}</td>
+                                <td><input type="checkbox" id="setting-${setting.key}" ${settings[setting.key] ? 'checked' : ''}></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <button class="btn btn-small" onclick="saveSettings()">Save</button>
+            </div>
+
+            <div class="pricing-card">
+                <div class="pricing-card-header">
+                    <h2>Abandoned Orders</h2>
+                </div>
+                <p>Checked every hour. Orders expired and cleaned up are recorded in the admin log.</p>
+                <table class="admin-table pricing-table">
+                    <thead>
+                        <tr>
+                            <th>Setting</th>
+                            <th>What it does</th>
+                            <th>Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${ABANDONED_ORDER_SETTINGS.map(setting => `
+                            <tr>
+                                <td><strong>${setting.name}</strong></td>
+                                <td>${setting.description}</td>
+                                <td><input type="number" id="setting-${setting.key}" min="${setting.min}" max="${setting.max}" step="1" value="${settings[setting.key]}"></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <button class="btn btn-small" onclick="saveSettings()">Save</button>
+            </div>
+        `;
+    } catch (err) {
+        console.error('Settings load error:', err);
+    }
+}
+
+async function saveSettings() {
+    const settings = {};
+    ORDER_EMAIL_SETTINGS.forEach(setting => {
+        settings[setting.key] = document.getElementById(`setting-${setting.key}`).checked;
+    });
+    ABANDONED_ORDER_SETTINGS.forEach(setting => {
+        settings[setting.key] = parseInt(document.getElementById(`setting-${setting.key}`).value, 10);
+    });
+
+    try {
+        await apiCall('/api/admin/settings', {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+        alert('Settings saved!');
+        loadSettings();
+    } catch (err) {
+        alert('Failed to save settings: ' + err.message);
+    }
+}
+
+// =============================================================================
+// EMAIL TEMPLATES
+// =============================================================================
+
+let emailTemplates = [];
+let editingEmailTemplate = null;
+let emailPreviewTimer = null;
+
+async function loadEmailTemplates() {
+    try {
+        emailTemplates = await apiCall('/api/admin/email-templates');
+
+        document.getElementById('email-templates-table').innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>Email</th>
+                        <th>Sent To</th>
+                        <th>When</th>
+                        <th>Wording</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${emailTemplates.map(template => `
+                        <tr>
+                            <td><strong>${template.name}</strong></td>
+                            <td>${template.recipient === 'admin' ? 'Shop' : 'Customer'}</td>
+                            <td>${template.description}</td>
+                            <td>${template.is_customised ? `Edited ${formatDate(template.updated_at)}` : 'Default'}</td>
+                            <td><button class="btn btn-small" onclick="editEmailTemplate('${template.key}')">Edit</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (err) {
+        console.error('Email templates load error:', err);
+    }
+}
+
+function editEmailTemplate(key) {
+    editingEmailTemplate = emailTemplates.find(template => template.key === key);
+
+    document.getElementById('email-template-title').textContent = `Edit ${editingEmailTemplate.name}`;
+    document.getElementById('email-template-subject').value = editingEmailTemplate.subject;
+    document.getElementById('email-template-html').value = editingEmailTemplate.html;
+    document.getElementById('email-template-reset').style.display = editingEmailTemplate.is_customised ? '' : 'none';
+    document.getElementById('email-template-editor').style.display = 'block';
+
+    previewEmailTemplate();
+}
+
+function readEmailTemplateForm() {
+    return {
+        subject: document.getElementById('email-template-subject').value,
+        html: document.getElementById('email-template-html').value,
+        order_number: document.getElementById('email-preview-order').value.trim() || null
+    };
+}
+
+// Re-render the preview once typing pauses
+function scheduleEmailPreview() {
+    clearTimeout(emailPreviewTimer);
+    emailPreviewTimer = setTimeout(previewEmailTemplate, 500);
+}
+
+async function previewEmailTemplate() {
+    const errorEl = document.getElementById('email-preview-error');
+
+    try {
+        const preview = await apiCall(`/api/admin/email-templates/${editingEmailTemplate.key}/preview`, {
+            method: 'POST',
+            body: JSON.stringify(readEmailTemplateForm())
+        });
+
+        errorEl.textContent = '';
+        document.getElementById('email-preview-order').placeholder = `Latest order (${preview.order_number})`;
+        document.getElementById('email-preview-subject').textContent = preview.subject;
+        document.getElementById('email-preview-frame').srcdoc = preview.html;
+    } catch (err) {
+        errorEl.textContent = err.message;
+    }
+}
+
+async function saveEmailTemplate() {
+    const { subject, html } = readEmailTemplateForm();
+
+    try {
+        await apiCall(`/api/admin/email-templates/${editingEmailTemplate.key}`, {
+            method: 'PUT',
+            body: JSON.stringify({ subject, html })
+        });
+        alert('Email saved!');
+        await loadEmailTemplates();
+        editEmailTemplate(editingEmailTemplate.key);
+    } catch (err) {
+        alert('Failed to save email: ' + err.message);
+    }
+}
+
+async function sendTestEmail() {
+    try {
+        const result = await apiCall(`/api/admin/email-templates/${editingEmailTemplate.key}/test`, {
+            method: 'POST',
+            body: JSON.stringify(readEmailTemplateForm())
+        });
+        alert(`Test email sent to ${result.sent_to}`);
+    } catch (err) {
+        alert('Failed to send test email: ' + err.message);
+    }
+}
+
+async function resetEmailTemplate() {
+    if (!confirm('Go back to the default wording for this email? Your changes will be lost.')) return;
+
+    try {
+        await apiCall(`/api/admin/email-templates/${editingEmailTemplate.key}`, { method: 'DELETE' });
+        await loadEmailTemplates();
+        editEmailTemplate(editingEmailTemplate.key);
+    } catch (err) {
+        alert('Failed to reset email: ' + err.message);
+    }
+}
+
 // =============================================================================
 // ADMIN USERS
 // =============================================================================
@@ -934,6 +2907,81 @@ async function removeAdmin(userId) {
     }
 }
 
+// =============================================================================
+// WEBHOOK EVENTS
+// =============================================================================
+
+let currentWebhookFilter = 'all';
+
+async function loadWebhookEvents() {
+    try {
+        const events = await apiCall(`/api/admin/webhook-events?status=${currentWebhookFilter}`);
+        document.getElementById('webhooks-table').innerHTML = renderWebhookEventsTable(events);
+    } catch (err) {
+        console.error('Webhook events load error:', err);
+    }
+}
+
+function filterWebhookEvents(status) {
+    currentWebhookFilter = status;
+
+    document.querySelectorAll('#webhook-filter-tabs .filter-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.status === status);
+    });
+
+    loadWebhookEvents();
+}
+
+function renderWebhookEventsTable(events) {
+    if (!events || events.length === 0) {
+        return '<p class="empty-state">No webhook events found.</p>';
+    }
+
+    return `
+        <table class="admin-table">
+            <thead>
+                <tr>
+                    <th>Event</th>
+                    <th>Object</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th>Received</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${events.map(event => `
+                    <tr>
+                        <td><strong>${event.type}</strong><br><small>${event.id}</small></td>
+                        <td>${event.order_number || ''}${event.object_id ? `<br><small>${event.object_id}</small>` : ''}</td>
+                        <td>
+                            <span class="status-badge ${event.status}">${formatStatus(event.status)}</span>
+                            ${event.last_error ? `<br><small>${event.last_error}</small>` : ''}
+                        </td>
+                        <td>${event.attempts}</td>
+                        <td>${formatDateTime(event.received_at)}</td>
+                        <td>
+                            ${event.status === 'failed' ? `<button class="btn btn-small" onclick="replayWebhookEvent('${event.id}')">Replay</button>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function replayWebhookEvent(eventId) {
+    if (!confirm('Process this event again?')) return;
+
+    try {
+        const event = await apiCall(`/api/admin/webhook-events/${eventId}/replay`, { method: 'POST' });
+        alert(event.status === 'processed' ? 'Event processed.' : `Event failed again: ${event.last_error}`);
+        loadWebhookEvents();
+    } catch (err) {
+        alert('Failed to replay: ' + err.message);
+    }
+}
+
 // =============================================================================
 // UTILITIES
 // =============================================================================
@@ -947,7 +2995,27 @@ function formatStatus(status) {
         ready_pickup: 'Ready for Pickup',
         completed: 'Completed',
         archived: 'Archived',
-        cancelled: 'Cancelled'
+        cancelled: 'Cancelled',
+        partially_refunded: 'Partly Refunded',
+        refunded: 'Refunded',
+        payment_failed: 'Payment Failed',
+        disputed: 'Disputed',
+        new: 'New',
+        quoted: 'Quoted',
+        accepting: 'Accepting',
+        accepted: 'Accepted',
+        declined: 'Declined',
+        expired: 'Expired',
+        active: 'Active',
+        void: 'Void',
+        rewarded: 'Rewarded',
+        revoked: 'Revoked',
+        sending: 'Sending',
+        sent: 'Sent',
+        failed: 'Failed',
+        processing: 'Processing',
+        processed: 'Processed',
+        ignored: 'Ignored'
     };
     return labels[status] || status;
 }
@@ -959,3 +3027,13 @@ function formatDate(dateStr) {
         year: 'numeric'
     });
 }
+
+function formatDateTime(dateStr) {
+    return new Date(dateStr).toLocaleString('en-AU', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
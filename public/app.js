@@ -16,6 +16,7 @@ function showToast(message, type = 'info', duration = 4000) {
 let supabaseClient = null;
 let stripe = null;
 let currentUser = null;
+let pricingCatalogue = null;
 
 // Order state
 let orderState = {
@@ -25,19 +26,36 @@ let orderState = {
     customerEmail: '',
     shippingType: 'delivery',
     shippingAddress: null,
+    shippingService: 'standard', // shipping_services key, delivery only
+    pickupLocation: null, // pickup_locations key, pickup only
+    pickupSlot: null,     // { id, label } of the booked pickup time
+    // The product being configured (steps 2-3). Finished products move to `lines`.
     productType: 'personal',
+    variant: null,     // product_variants key (size/shape), defaults to the first variant
     quantity: 6,
     photos: [],        // cropped Blob objects
     photoOriginals: [], // original File objects (for re-cropping)
+    lines: [],         // other products in the cart: { productType, variant, quantity, photos, photoOriginals }
+    reorderQueue: [],  // reordered products still missing photos, configured one at a time after the current one
     uploadedPhotos: [],
     isGift: false,
     giftMessage: '',
     notes: '',
     promoCode: null,
-    promoDiscount: 0,
-    orderId: null
+    giftCardCode: null, // gift card or store credit code, entered in the promo box
+    quote: null,       // server price quote (amounts in cents + signed quoteToken)
+    orderId: null,
+    resumeToken: null  // set once the order and all its photos are saved
 };
 
+// Unpaid order being paid for again (GET /api/orders/resume)
+let resumedOrder = null;
+
+// Photos carried over from a previous order (GET /api/orders/reorder), keyed
+// by Blob. They're copied server-side at checkout instead of uploaded; a
+// re-cropped photo is a new Blob, so it uploads as usual.
+const reorderedPhotos = new WeakMap(); // Blob -> { reorderToken, itemId }
+
 // Crop state
 let cropper = null;
 let cropQueue = [];      // files waiting to be cropped
@@ -65,6 +83,9 @@ async function initApp() {
         // Initialize Stripe
         stripe = Stripe(config.stripePublishableKey);
 
+        // Load pricing catalogue
+        await loadPricing();
+
         // Check for existing session
         const { data: { session } } = await supabaseClient.auth.getSession();
         if (session) {
@@ -80,12 +101,31 @@ async function initApp() {
 
         // Check URL params
         const params = new URLSearchParams(window.location.search);
-        if (params.get('cancelled') === 'true') {
-            const orderId = params.get('order');
-            if (orderId) {
-                orderState.orderId = orderId;
-                showToast('Payment was cancelled. You can try again.', 'error');
+        // Back from Stripe Checkout without paying, or from the payment
+        // reminder email (/?resume=TOKEN) - either way the order is kept
+        const resumeToken = params.get('resume');
+        if (resumeToken) {
+            const resumed = await resumeOrder(resumeToken);
+            if (resumed && params.get('cancelled') === 'true') {
+                showToast('Payment was cancelled. Your order is saved, so you can try again.', 'error');
             }
+        } else if (params.get('cancelled') === 'true' && params.get('order')) {
+            // Sessions started before resume links
+            showToast('Payment was cancelled. You can try again.', 'error');
+        }
+
+        // "Order again" from the account or track page (/?reorder=TOKEN)
+        const reorderToken = params.get('reorder');
+        if (reorderToken) {
+            await startReorder(reorderToken);
+        }
+
+        // Share links from the referral programme (/?ref=CODE)
+        const referralCode = params.get('ref');
+        if (referralCode) {
+            orderState.promoCode = referralCode.toUpperCase();
+            document.getElementById('promo-code').value = orderState.promoCode;
+            showToast(`Referral code ${orderState.promoCode} will be applied to your first order`, 'success');
         }
 
     } catch (err) {
@@ -93,6 +133,21 @@ async function initApp() {
     }
 }
 
+async function loadPricing() {
+    try {
+        const response = await fetch('/api/pricing');
+        pricingCatalogue = await response.json();
+        if (!getSelectedVariant()) {
+            orderState.variant = pricingCatalogue.variants[0]?.key || null;
+        }
+        renderVariantOptions();
+        updateShippingOptionLabels();
+        updatePriceSummary();
+    } catch (err) {
+        console.error('Pricing load error:', err);
+    }
+}
+
 function setupEventListeners() {
     // Details form submission
     document.getElementById('details-form').addEventListener('submit', (e) => {
@@ -140,6 +195,16 @@ function startOrder() {
 }
 
 function goToStep(step) {
+    if (step === 4 && orderState.reorderQueue.length > 0) {
+        nextReorderLine();
+        return;
+    }
+
+    if (step === 3 && pricingCatalogue && !findPriceTier(orderState.productType, orderState.quantity)) {
+        showToast(`${getProductName(orderState.productType)} aren't available in a quantity of ${orderState.quantity}.`, 'error');
+        return;
+    }
+
     // Update step indicators
     document.querySelectorAll('.progress-steps .step').forEach(s => {
         const stepNum = parseInt(s.dataset.step);
@@ -153,6 +218,10 @@ function goToStep(step) {
     document.querySelector(`.order-step[data-step="${step}"]`).classList.add('active');
 
     // Step-specific actions
+    if (step === 2) {
+        renderCartLines();
+    }
+
     if (step === 3) {
         document.getElementById('upload-count').textContent = orderState.quantity;
         updateUploadUI();
@@ -173,10 +242,75 @@ function toggleShippingFields() {
     const shippingType = document.querySelector('input[name="shipping-type"]:checked').value;
     const shippingFields = document.getElementById('shipping-fields');
     shippingFields.style.display = shippingType === 'delivery' ? 'block' : 'none';
+    document.getElementById('pickup-fields').style.display = shippingType === 'pickup' ? 'block' : 'none';
     orderState.shippingType = shippingType;
+    if (shippingType === 'pickup') renderPickupLocations();
     updatePriceSummary();
 }
 
+function renderPickupLocations() {
+    const locations = pricingCatalogue?.pickupLocations || [];
+    if (!orderState.pickupLocation && locations.length > 0) {
+        orderState.pickupLocation = locations[0].key;
+    }
+
+    document.getElementById('pickup-locations').innerHTML = locations.map(location => `
+        <label class="pickup-location ${location.key === orderState.pickupLocation ? 'selected' : ''}">
+            <input type="radio" name="pickup-location" value="${location.key}"
+                ${location.key === orderState.pickupLocation ? 'checked' : ''}
+                onchange="selectPickupLocation('${location.key}')">
+            <strong>${location.name}</strong>
+            <span>${location.address}</span>
+            ${location.openingHours ? `<span class="pickup-hours">${location.openingHours}</span>` : ''}
+        </label>
+    `).join('');
+
+    loadPickupSlots();
+}
+
+function selectPickupLocation(locationKey) {
+    orderState.pickupLocation = locationKey;
+    orderState.pickupSlot = null;
+    renderPickupLocations();
+}
+
+async function loadPickupSlots() {
+    const container = document.getElementById('pickup-slots');
+    if (!orderState.pickupLocation) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = '<p class="pickup-slots-empty">Loading pickup times...</p>';
+
+    try {
+        const response = await fetch(`/api/pickup-slots?location=${encodeURIComponent(orderState.pickupLocation)}`);
+        const slots = await response.json();
+        if (!response.ok) throw new Error(slots.error || 'Failed to load pickup times');
+
+        if (orderState.pickupSlot && !slots.some(slot => slot.id === orderState.pickupSlot.id)) {
+            orderState.pickupSlot = null;
+        }
+
+        container.innerHTML = slots.length > 0 ? slots.map(slot => `
+            <button type="button" class="pickup-slot ${slot.id === orderState.pickupSlot?.id ? 'selected' : ''}"
+                data-slot-id="${slot.id}" onclick="selectPickupSlot('${slot.id}', '${slot.label}')">
+                ${slot.label}
+            </button>
+        `).join('') : '<p class="pickup-slots-empty">No pickup times are available here at the moment. Please choose another location or delivery.</p>';
+    } catch (err) {
+        console.error('Pickup slots error:', err);
+        container.innerHTML = '<p class="pickup-slots-empty">Could not load pickup times. Please try again.</p>';
+    }
+}
+
+function selectPickupSlot(slotId, label) {
+    orderState.pickupSlot = { id: slotId, label };
+    document.querySelectorAll('.pickup-slot').forEach(button => {
+        button.classList.toggle('selected', button.dataset.slotId === slotId);
+    });
+}
+
 function saveDetailsAndContinue() {
     const name = document.getElementById('customer-name').value.trim();
     const phone = document.getElementById('customer-phone').value.trim();
@@ -208,6 +342,11 @@ function saveDetailsAndContinue() {
         };
     }
 
+    if (shippingType === 'pickup' && (!orderState.pickupLocation || !orderState.pickupSlot)) {
+        showToast('Please choose a pickup location and time.', 'error');
+        return;
+    }
+
     orderState.customerName = name;
     orderState.customerPhone = phone;
     orderState.customerEmail = email;
@@ -231,6 +370,38 @@ function selectProductType(type) {
     updatePriceSummary();
 }
 
+function renderVariantOptions() {
+    const container = document.getElementById('variant-options');
+    if (!container) return;
+
+    container.innerHTML = pricingCatalogue.variants.map(variant => `
+        <label class="variant-card ${variant.key === orderState.variant ? 'selected' : ''}" onclick="selectVariant('${variant.key}')">
+            <input type="radio" name="variant" value="${variant.key}" ${variant.key === orderState.variant ? 'checked' : ''}>
+            <div class="variant-shape shape-${variant.shape}" style="--magnet-aspect: ${variant.widthPx} / ${variant.heightPx}"></div>
+            <h4>${variant.name}</h4>
+            <p>${describeVariant(variant)}</p>
+        </label>
+    `).join('');
+}
+
+async function selectVariant(key) {
+    const previous = getSelectedVariant();
+    orderState.variant = key;
+    const variant = getSelectedVariant();
+
+    document.querySelectorAll('.variant-card').forEach(card => {
+        card.classList.toggle('selected', card.querySelector('input').value === key);
+    });
+    updatePriceSummary();
+
+    // Photos already cropped for a different shape need re-framing
+    const aspectChanged = previous && previous.widthPx * variant.heightPx !== previous.heightPx * variant.widthPx;
+    if (orderState.photos.length > 0 && (aspectChanged || previous?.shape !== variant.shape)) {
+        await reframePhotosForVariant();
+        showToast('Your photos have been re-framed for the new size. Use Re-crop to adjust any of them.');
+    }
+}
+
 function setQuantity(qty) {
     orderState.quantity = qty;
     document.getElementById('quantity-input').value = qty;
@@ -260,50 +431,230 @@ function updateQuantity() {
 }
 
 function updatePriceSummary() {
+    if (!pricingCatalogue) return;
+
     const qty = orderState.quantity;
-    let pricePerUnit, tierLabel;
-
-    if (qty >= 100) {
-        pricePerUnit = 6.50;
-        tierLabel = '$6.50 each (bulk rate)';
-    } else if (qty >= 50) {
-        pricePerUnit = 7.00;
-        tierLabel = '$7.00 each (bulk rate)';
-    } else if (qty >= 20) {
-        pricePerUnit = 7.50;
-        tierLabel = '$7.50 each (bulk rate)';
-    } else if (qty >= 12) {
-        pricePerUnit = 8.50;
-        tierLabel = '$8.50 each (12-pack rate)';
-    } else if (qty >= 6) {
-        pricePerUnit = 9.50;
-        tierLabel = '$9.50 each (6-pack rate)';
-    } else {
-        pricePerUnit = 12;
-        tierLabel = '$12 each';
+    const summary = document.getElementById('price-summary');
+    const tier = findPriceTier(orderState.productType, qty);
+    const variant = getSelectedVariant();
+
+    if (!tier) {
+        summary.innerHTML = `
+            <div class="price-row">
+                <span>${getProductName(orderState.productType)} (${variant?.name || 'this size'}) aren't available in a quantity of ${qty}.</span>
+            </div>
+        `;
+        return;
     }
 
-    const subtotal = qty * pricePerUnit;
-    const shipping = orderState.shippingType === 'pickup' ? 0 : 8;
+    const lineSubtotal = qty * tier.pricePerUnit;
+    const otherLinesSubtotal = orderState.lines.reduce((sum, line) => sum + estimateLineSubtotal(line), 0);
+    const subtotal = lineSubtotal + otherLinesSubtotal;
+    const shipping = calculateShippingCost(subtotal);
     const total = subtotal + shipping;
+    const tierLabel = `${formatMoney(tier.pricePerUnit)} each${tier.label ? ` (${tier.label})` : ''}`;
 
-    const summary = document.getElementById('price-summary');
     summary.innerHTML = `
         <div class="price-row">
-            <span>${qty} magnets @ ${tierLabel}</span>
-            <span>$${subtotal.toFixed(2)}</span>
+            <span>${qty} ${variant.name.toLowerCase()} magnets @ ${tierLabel}</span>
+            <span>${formatMoney(lineSubtotal)}</span>
         </div>
+        ${orderState.lines.length > 0 ? `
+            <div class="price-row">
+                <span>Other items in your cart</span>
+                <span>${formatMoney(otherLinesSubtotal)}</span>
+            </div>
+        ` : ''}
         <div class="price-row">
             <span>Shipping</span>
-            <span id="shipping-cost">${shipping === 0 ? 'FREE' : '$' + shipping.toFixed(2)}</span>
+            <span id="shipping-cost">${shipping === 0 ? 'FREE' : formatMoney(shipping)}</span>
         </div>
         <div class="price-row total">
             <span>Total</span>
-            <span id="total-price">$${total.toFixed(2)}</span>
+            <span id="total-price">${formatMoney(total)}</span>
         </div>
     `;
 }
 
+// =============================================================================
+// CART LINES
+// =============================================================================
+// The product being configured lives on orderState itself; "Add Another
+// Product" moves it into orderState.lines and starts a fresh one.
+
+function currentLine() {
+    return {
+        productType: orderState.productType,
+        variant: orderState.variant,
+        quantity: orderState.quantity,
+        photos: orderState.photos,
+        photoOriginals: orderState.photoOriginals
+    };
+}
+
+function getCartLines() {
+    return [...orderState.lines, currentLine()];
+}
+
+// Storefront estimate only - the review screen shows the server quote
+function estimateLineSubtotal(line) {
+    const tier = findPriceTier(line.productType, line.quantity, line.variant);
+    return tier ? line.quantity * tier.pricePerUnit : 0;
+}
+
+function addAnotherProduct() {
+    if (orderState.photos.length !== orderState.quantity) {
+        showToast(`Please add all ${orderState.quantity} photos first.`, 'error');
+        return;
+    }
+
+    if (orderState.reorderQueue.length > 0) {
+        nextReorderLine();
+        return;
+    }
+
+    orderState.lines.push(currentLine());
+    orderState.photos = [];
+    orderState.photoOriginals = [];
+    orderState.quote = null;
+
+    selectProductType('personal');
+    orderState.variant = pricingCatalogue.variants[0]?.key || null;
+    renderVariantOptions();
+    setQuantity(6);
+    goToStep(2);
+}
+
+function removeCartLine(index) {
+    orderState.lines.splice(index, 1);
+    orderState.quote = null;
+    renderCartLines();
+    updatePriceSummary();
+    if (document.querySelector('.order-step[data-step="4"]').classList.contains('active')) {
+        updateReviewPage();
+    }
+}
+
+function renderCartLines() {
+    const container = document.getElementById('cart-lines');
+    if (!container) return;
+
+    if (orderState.lines.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = `
+        <h3>Already in your cart</h3>
+        ${orderState.lines.map((line, index) => `
+            <div class="cart-line">
+                <span>${line.quantity}x ${getProductName(line.productType)} (${getSelectedVariant(line.variant)?.name || ''})</span>
+                <button class="btn btn-small btn-outline" onclick="removeCartLine(${index})">Remove</button>
+            </div>
+        `).join('')}
+    `;
+}
+
+// =============================================================================
+// PRICING HELPERS (all amounts in cents)
+// =============================================================================
+
+// A variant with its own tiers uses those; otherwise the product's default tiers apply
+function findPriceTier(productType, qty, variantKey = orderState.variant) {
+    const product = pricingCatalogue?.products.find(p => p.key === productType);
+    if (!product) return null;
+
+    const variantTiers = product.tiers.filter(tier => tier.variant && tier.variant === variantKey);
+    const tiers = variantTiers.length > 0 ? variantTiers : product.tiers.filter(tier => !tier.variant);
+    return tiers.find(tier => qty >= tier.min && (tier.max === null || qty <= tier.max)) || null;
+}
+
+function getSelectedVariant(variantKey = orderState.variant) {
+    return pricingCatalogue?.variants.find(v => v.key === variantKey) || null;
+}
+
+// e.g. "63.5mm x 63.5mm square" or "63.5mm round"
+function describeVariant(variant) {
+    if (variant.shape === 'round') {
+        return `${variant.widthMm}mm ${variant.shape}`;
+    }
+    return `${variant.widthMm}mm x ${variant.heightMm}mm ${variant.shape}`;
+}
+
+// Shape a magnet preview frame like its variant
+function applyMagnetShape(frame, variantKey = orderState.variant) {
+    const variant = getSelectedVariant(variantKey);
+    if (!variant) return;
+    frame.classList.add(`shape-${variant.shape}`);
+    frame.style.setProperty('--magnet-aspect', `${variant.widthPx} / ${variant.heightPx}`);
+}
+
+function getPickupLocationName(locationKey) {
+    const location = pricingCatalogue?.pickupLocations.find(l => l.key === locationKey);
+    return location ? `${location.name} (${location.address})` : locationKey;
+}
+
+function getProductName(productType) {
+    const product = pricingCatalogue?.products.find(p => p.key === productType);
+    return product ? product.name : 'Magnets';
+}
+
+// Same zone matching as resolveShippingZone() in server.js
+function resolveShippingZone(state, postcode) {
+    const postcodeNumber = parseInt(postcode);
+
+    return pricingCatalogue.shipping.zones.find(zone => {
+        if (zone.states.length === 0 && zone.postcodeRanges.length === 0) return true;
+
+        const inRange = !isNaN(postcodeNumber) && zone.postcodeRanges.some(range =>
+            postcodeNumber >= range.from && postcodeNumber <= range.to
+        );
+        return inRange || (state && zone.states.includes(state));
+    }) || null;
+}
+
+// Storefront estimate only - the review screen shows the server quote
+function calculateShippingCost(subtotal) {
+    if (orderState.shippingType === 'pickup') {
+        const rule = pricingCatalogue.shipping.pickup;
+        if (rule.freeThreshold && subtotal >= rule.freeThreshold) return 0;
+        return rule.cost;
+    }
+
+    const { state, postcode } = orderState.shippingAddress || {};
+    const zone = resolveShippingZone(state, postcode);
+    const service = pricingCatalogue.shipping.services.find(s => s.key === orderState.shippingService)
+        || pricingCatalogue.shipping.services[0];
+    if (!zone || !service) return 0;
+
+    if (service.freeThreshold !== null && service.freeThreshold !== undefined && subtotal >= service.freeThreshold) return 0;
+
+    const quantity = getCartLines().reduce((sum, line) => sum + line.quantity, 0);
+    const rate = pricingCatalogue.shipping.rates.find(r =>
+        r.zone === zone.key && r.service === service.key &&
+        quantity >= r.min && (r.max === null || r.max === undefined || quantity <= r.max)
+    );
+    return rate ? rate.cost : 0;
+}
+
+function updateShippingOptionLabels() {
+    const { services, rates, pickup } = pricingCatalogue.shipping;
+    const pickupPlaces = pricingCatalogue.pickupLocations.map(location => location.name).join(', ');
+    const standard = services[0];
+    const lowestRate = rates.length > 0 ? Math.min(...rates.map(r => r.cost)) : null;
+    document.getElementById('delivery-option-label').textContent =
+        `Delivery (${lowestRate !== null ? `from ${formatMoney(lowestRate)}` : 'calculated at checkout'}` +
+        `${standard?.freeThreshold ? `, free ${standard.name.toLowerCase()} shipping over ${formatMoney(standard.freeThreshold)}` : ''})`;
+    document.getElementById('pickup-option-label').textContent =
+        `${pickup.cost === 0 ? 'Free Pickup' : `Pickup (${formatMoney(pickup.cost)})`} (${pickupPlaces})`;
+}
+
+function formatMoney(cents) {
+    return `$${(cents / 100).toFixed(2)}`;
+}
+
 // =============================================================================
 // STEP 3: PHOTO UPLOAD
 // =============================================================================
@@ -366,12 +717,17 @@ function openCropModal(file) {
     // Store current file for reference
     cropImage._currentFile = file;
 
+    const variant = getSelectedVariant();
+    modal.classList.toggle('crop-round', variant.shape === 'round');
+    document.querySelector('#crop-modal .crop-subtitle').textContent =
+        `Adjust the ${variant.shape === 'round' ? 'circle' : variant.shape} to frame your ${describeVariant(variant)} magnet`;
+
     modal.classList.add('active');
 
     // Initialize Cropper.js once image loads
     cropImage.onload = () => {
         cropper = new Cropper(cropImage, {
-            aspectRatio: 1,
+            aspectRatio: variant.widthPx / variant.heightPx,
             viewMode: 1,
             dragMode: 'move',
             autoCropArea: 0.85,
@@ -390,9 +746,10 @@ function openCropModal(file) {
 function applyCrop() {
     if (!cropper) return;
 
+    const variant = getSelectedVariant();
     const canvas = cropper.getCroppedCanvas({
-        width: 750,
-        height: 750,
+        width: variant.widthPx,
+        height: variant.heightPx,
         imageSmoothingEnabled: true,
         imageSmoothingQuality: 'high',
     });
@@ -422,12 +779,12 @@ function applyCrop() {
 }
 
 function skipCrop() {
-    // Use full photo without cropping — still resize to 750x750 square (center crop)
+    // Use full photo without cropping — still resize to the variant's print size (center crop)
     if (!cropper) return;
 
-    // Use the cropper's full image data as a square crop
+    // Use the largest centred area of the photo with the variant's aspect ratio
     const imageData = cropper.getImageData();
-    const size = Math.min(imageData.naturalWidth, imageData.naturalHeight);
+    const { width, height } = largestCropArea(imageData.naturalWidth, imageData.naturalHeight, getSelectedVariant());
 
     cropper.setCropBoxData({
         left: (cropper.getContainerData().width - cropper.getCropBoxData().width) / 2,
@@ -436,15 +793,46 @@ function skipCrop() {
 
     // Set crop to cover entire image
     cropper.setData({
-        x: (imageData.naturalWidth - size) / 2,
-        y: (imageData.naturalHeight - size) / 2,
-        width: size,
-        height: size,
+        x: (imageData.naturalWidth - width) / 2,
+        y: (imageData.naturalHeight - height) / 2,
+        width,
+        height,
     });
 
     applyCrop();
 }
 
+function largestCropArea(imageWidth, imageHeight, variant) {
+    const aspect = variant.widthPx / variant.heightPx;
+    if (imageWidth / imageHeight > aspect) {
+        return { width: imageHeight * aspect, height: imageHeight };
+    }
+    return { width: imageWidth, height: imageWidth / aspect };
+}
+
+// Centre-crop every original photo to the selected variant's print size
+async function reframePhotosForVariant() {
+    const variant = getSelectedVariant();
+
+    orderState.photos = await Promise.all(orderState.photoOriginals.map(async (file) => {
+        const bitmap = await createImageBitmap(file);
+        const { width, height } = largestCropArea(bitmap.width, bitmap.height, variant);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = variant.widthPx;
+        canvas.height = variant.heightPx;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(bitmap, (bitmap.width - width) / 2, (bitmap.height - height) / 2, width, height,
+            0, 0, variant.widthPx, variant.heightPx);
+        bitmap.close();
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+    }));
+
+    updateUploadUI();
+}
+
 function closeCropModal() {
     const modal = document.getElementById('crop-modal');
     modal.classList.remove('active');
@@ -483,6 +871,7 @@ function updateUploadUI() {
 
         const frame = document.createElement('div');
         frame.className = 'magnet-frame';
+        applyMagnetShape(frame);
 
         const img = document.createElement('img');
         img.src = URL.createObjectURL(blob);
@@ -512,6 +901,7 @@ function updateUploadUI() {
     // Update continue button state
     const continueBtn = document.getElementById('continue-to-review');
     continueBtn.disabled = orderState.photos.length !== orderState.quantity;
+    document.getElementById('add-another-product').disabled = continueBtn.disabled;
 
     // Update instructions
     const remaining = orderState.quantity - orderState.photos.length;
@@ -535,18 +925,37 @@ function removePhoto(index) {
 
 function updateReviewPage() {
     // Update magnet previews with mockup style
+    // Grouped by cart line
     const magnetsContainer = document.getElementById('review-magnets');
     magnetsContainer.innerHTML = '';
-    orderState.photos.forEach((blob, index) => {
-        const mockup = document.createElement('div');
-        mockup.className = 'review-magnet-mockup';
-        const frame = document.createElement('div');
-        frame.className = 'magnet-frame';
-        const img = document.createElement('img');
-        img.src = URL.createObjectURL(blob);
-        frame.appendChild(img);
-        mockup.appendChild(frame);
-        magnetsContainer.appendChild(mockup);
+    getCartLines().forEach((line, lineIndex) => {
+        const group = document.createElement('div');
+        group.className = 'review-line';
+
+        const heading = document.createElement('div');
+        heading.className = 'review-line-header';
+        heading.innerHTML = `
+            <strong>${line.quantity}x ${getProductName(line.productType)} (${getSelectedVariant(line.variant)?.name || ''})</strong>
+            ${lineIndex < orderState.lines.length ? `<button class="btn btn-small btn-outline" onclick="removeCartLine(${lineIndex})">Remove</button>` : ''}
+        `;
+        group.appendChild(heading);
+
+        const magnets = document.createElement('div');
+        magnets.className = 'review-magnets';
+        line.photos.forEach((blob) => {
+            const mockup = document.createElement('div');
+            mockup.className = 'review-magnet-mockup';
+            const frame = document.createElement('div');
+            frame.className = 'magnet-frame';
+            applyMagnetShape(frame, line.variant);
+            const img = document.createElement('img');
+            img.src = URL.createObjectURL(blob);
+            frame.appendChild(img);
+            mockup.appendChild(frame);
+            magnets.appendChild(mockup);
+        });
+        group.appendChild(magnets);
+        magnetsContainer.appendChild(group);
     });
 
     // Update delivery details
@@ -564,17 +973,43 @@ function updateReviewPage() {
     } else {
         addressHTML = `
             <p><strong>${orderState.customerName}</strong></p>
-            <p>Pickup in Forbes, NSW</p>
+            <p>Pickup at ${getPickupLocationName(orderState.pickupLocation)}</p>
+            <p>${orderState.pickupSlot?.label || ''}</p>
             <p>Phone: ${orderState.customerPhone}</p>
             ${orderState.customerEmail ? `<p>Email: ${orderState.customerEmail}</p>` : ''}
         `;
     }
     detailsContainer.innerHTML = addressHTML;
+    document.getElementById('shipping-service-section').style.display =
+        orderState.shippingType === 'delivery' ? 'block' : 'none';
 
     // Update order summary
     updateOrderSummary();
 }
 
+// Delivery services offered for this address and order, from the quote
+function renderShippingServiceOptions(quote) {
+    const container = document.getElementById('shipping-service-options');
+    if (!container) return;
+
+    const options = quote?.shippingOptions || [];
+    container.innerHTML = options.map(option => `
+        <label class="shipping-service-option ${option.service === quote.shippingService ? 'selected' : ''}">
+            <input type="radio" name="shipping-service" value="${option.service}"
+                ${option.service === quote.shippingService ? 'checked' : ''}
+                onchange="selectShippingService('${option.service}')">
+            <span class="shipping-service-name">${option.name}</span>
+            <span class="shipping-service-description">${option.description || ''}</span>
+            <span class="shipping-service-cost">${option.cost === 0 ? 'FREE' : formatMoney(option.cost)}</span>
+        </label>
+    `).join('');
+}
+
+async function selectShippingService(serviceKey) {
+    orderState.shippingService = serviceKey;
+    await updateOrderSummary();
+}
+
 function toggleGiftFields() {
     const isGift = document.getElementById('is-gift').checked;
     document.getElementById('gift-fields').style.display = isGift ? 'block' : 'none';
@@ -588,79 +1023,156 @@ async function applyPromoCode() {
     if (!code) {
         messageEl.textContent = '';
         messageEl.className = 'promo-message';
+        orderState.promoCode = null;
+        await updateOrderSummary();
         return;
     }
 
+    orderState.promoCode = code;
+    const previousGiftCardCode = orderState.giftCardCode;
+    const quote = await updateOrderSummary();
+    if (!quote) {
+        messageEl.textContent = 'Failed to validate promo code';
+        messageEl.className = 'promo-message error';
+        return;
+    }
+
+    if (quote.promo) {
+        orderState.promoCode = quote.promo.code;
+        messageEl.textContent = `Code applied! ${describePromoOffer(quote.promo)}`;
+        messageEl.className = 'promo-message success';
+    } else if (quote.referral) {
+        orderState.promoCode = quote.referral.code;
+        messageEl.textContent = `Referral code applied! ${formatMoney(quote.discountAmount)} off your first order`;
+        messageEl.className = 'promo-message success';
+    } else if (quote.giftCard && quote.giftCard.code !== previousGiftCardCode) {
+        // The server recognised the code as a gift card or store credit
+        orderState.promoCode = null;
+        document.getElementById('promo-code').value = '';
+        messageEl.textContent = `${quote.giftCard.kind === 'store_credit' ? 'Store credit' : 'Gift card'} applied! ${formatMoney(quote.giftCardAmount)} off, ${formatMoney(quote.giftCard.balance - quote.giftCardAmount)} left on the card`;
+        messageEl.className = 'promo-message success';
+    } else {
+        orderState.promoCode = null;
+        messageEl.textContent = quote.promoError || 'Invalid promo code';
+        messageEl.className = 'promo-message error';
+    }
+}
+
+function describePromoOffer(promo) {
+    switch (promo.discountType) {
+        case 'percentage': return `${promo.discountValue}% off`;
+        case 'free_shipping': return 'Free shipping';
+        case 'buy_x_get_y': return `Buy ${promo.buyQuantity} get ${promo.freeQuantity} free`;
+        default: return `${formatMoney(promo.discountValue)} off`;
+    }
+}
+
+async function removeGiftCard() {
+    orderState.giftCardCode = null;
+    const messageEl = document.getElementById('promo-message');
+    messageEl.textContent = '';
+    messageEl.className = 'promo-message';
+    await updateOrderSummary();
+}
+
+// Fetch a server-side quote and render it. The quote is the single source of
+// truth for the totals shown here and for what POST /api/orders will charge.
+async function updateOrderSummary() {
     try {
-        const subtotal = calculateSubtotal();
-        const response = await fetch('/api/validate-promo', {
+        const response = await fetch('/api/quote', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ code, subtotal: subtotal * 100 })
+            body: JSON.stringify({
+                lines: getCartLines().map(({ productType, variant, quantity }) => ({ productType, variant, quantity })),
+                shippingType: orderState.shippingType,
+                shippingService: orderState.shippingType === 'delivery' ? orderState.shippingService : null,
+                state: orderState.shippingType === 'delivery' ? orderState.shippingAddress?.state : null,
+                postcode: orderState.shippingType === 'delivery' ? orderState.shippingAddress?.postcode : null,
+                promoCode: orderState.promoCode,
+                giftCardCode: orderState.giftCardCode
+            })
         });
 
-        const data = await response.json();
+        const quote = await response.json();
 
-        if (response.ok && data.valid) {
-            orderState.promoCode = data.code;
-            orderState.promoDiscount = data.calculatedDiscount / 100;
-            messageEl.textContent = `Code applied! ${data.discountType === 'percentage' ? data.discountValue + '% off' : '$' + (data.discountValue / 100).toFixed(2) + ' off'}`;
-            messageEl.className = 'promo-message success';
-            updateOrderSummary();
+        if (!response.ok) {
+            throw new Error(quote.error || 'Failed to price order');
+        }
+
+        orderState.quote = quote;
+        if (quote.shippingService) {
+            orderState.shippingService = quote.shippingService;
+        }
+        if (orderState.giftCardCode && quote.giftCardError) {
+            showToast(quote.giftCardError, 'error');
+        }
+        orderState.giftCardCode = quote.giftCard ? quote.giftCard.code : null;
+        renderShippingServiceOptions(quote);
+
+        document.getElementById('summary-subtotal').textContent = formatMoney(quote.subtotal);
+        document.getElementById('summary-shipping').textContent = quote.shippingCost === 0 ? 'FREE' : formatMoney(quote.shippingCost);
+
+        // Automatic discounts apply without a code, so show what they're for
+        const automaticDiscountRow = document.getElementById('automatic-discount-row');
+        if (quote.automaticDiscountAmount > 0) {
+            automaticDiscountRow.style.display = 'flex';
+            document.getElementById('summary-automatic-discount-label').textContent = quote.automaticDiscount.name;
+            document.getElementById('summary-automatic-discount').textContent = `-${formatMoney(quote.automaticDiscountAmount)}`;
         } else {
-            orderState.promoCode = null;
-            orderState.promoDiscount = 0;
-            messageEl.textContent = data.error || 'Invalid promo code';
-            messageEl.className = 'promo-message error';
-            updateOrderSummary();
+            automaticDiscountRow.style.display = 'none';
         }
-    } catch (err) {
-        console.error('Promo error:', err);
-        messageEl.textContent = 'Failed to validate promo code';
-        messageEl.className = 'promo-message error';
-    }
-}
 
-function calculateSubtotal() {
-    const qty = orderState.quantity;
-    if (qty >= 100) return qty * 6.50;
-    if (qty >= 50) return qty * 7.00;
-    if (qty >= 20) return qty * 7.50;
-    if (qty >= 12) return qty * 8.50;
-    if (qty >= 6) return qty * 9.50;
-    return qty * 12;
-}
-
-function updateOrderSummary() {
-    const subtotal = calculateSubtotal();
-    const shipping = orderState.shippingType === 'pickup' ? 0 : 8;
-    const discount = orderState.promoDiscount;
-    const total = subtotal + shipping - discount;
-
-    document.getElementById('summary-subtotal').textContent = `$${subtotal.toFixed(2)}`;
-    document.getElementById('summary-shipping').textContent = shipping === 0 ? 'FREE' : `$${shipping.toFixed(2)}`;
-
-    const discountRow = document.getElementById('discount-row');
-    if (discount > 0) {
-        discountRow.style.display = 'flex';
-        document.getElementById('summary-discount').textContent = `-$${discount.toFixed(2)}`;
-    } else {
-        discountRow.style.display = 'none';
-    }
+        const discountRow = document.getElementById('discount-row');
+        if (quote.discountAmount > 0) {
+            discountRow.style.display = 'flex';
+            document.getElementById('summary-discount').textContent = `-${formatMoney(quote.discountAmount)}`;
+        } else {
+            discountRow.style.display = 'none';
+        }
 
-    document.getElementById('summary-total').textContent = `$${total.toFixed(2)}`;
+        document.getElementById('summary-total').textContent = formatMoney(quote.total);
+        document.getElementById('summary-gst').textContent = formatMoney(quote.gst);
+
+        // Gift cards pay towards the total rather than discounting it
+        const giftCardRow = document.getElementById('gift-card-row');
+        const amountDueRow = document.getElementById('amount-due-row');
+        if (quote.giftCardAmount > 0) {
+            giftCardRow.style.display = 'flex';
+            amountDueRow.style.display = 'flex';
+            document.getElementById('summary-gift-card-label').textContent =
+                quote.giftCard.kind === 'store_credit' ? 'Store credit' : `Gift card ${quote.giftCard.code}`;
+            document.getElementById('summary-gift-card').textContent = `-${formatMoney(quote.giftCardAmount)}`;
+            document.getElementById('summary-amount-due').textContent = formatMoney(quote.amountDue);
+        } else {
+            giftCardRow.style.display = 'none';
+            amountDueRow.style.display = 'none';
+        }
+
+        return quote;
+    } catch (err) {
+        console.error('Quote error:', err);
+        orderState.quote = null;
+        showToast('Could not calculate your total: ' + err.message, 'error');
+        return null;
+    }
 }
 
 async function proceedToCheckout() {
     const checkoutBtn = document.getElementById('checkout-btn');
     checkoutBtn.disabled = true;
     checkoutBtn.textContent = 'Processing...';
+    orderState.resumeToken = null;
 
     try {
         // Get gift message and notes
         orderState.giftMessage = document.getElementById('gift-message')?.value || '';
         orderState.notes = document.getElementById('order-notes')?.value || '';
 
+        if (!orderState.quote) {
+            await updateOrderSummary();
+            if (!orderState.quote) throw new Error('Could not calculate your total');
+        }
+
         // Create order first
         const orderResponse = await fetch('/api/orders', {
             method: 'POST',
@@ -671,17 +1183,54 @@ async function proceedToCheckout() {
                 customerEmail: orderState.customerEmail,
                 shippingType: orderState.shippingType,
                 shippingAddress: orderState.shippingAddress,
-                productType: orderState.productType,
-                quantity: orderState.quantity,
+                shippingService: orderState.shippingType === 'delivery' ? orderState.shippingService : null,
+                pickupLocation: orderState.shippingType === 'pickup' ? orderState.pickupLocation : null,
+                pickupSlotId: orderState.shippingType === 'pickup' ? orderState.pickupSlot?.id : null,
+                lines: getCartLines().map(({ productType, variant, quantity }) => ({ productType, variant, quantity })),
                 isGift: orderState.isGift,
                 giftMessage: orderState.giftMessage,
                 notes: orderState.notes,
-                promoCode: orderState.promoCode
+                promoCode: orderState.promoCode,
+                giftCardCode: orderState.giftCardCode,
+                quoteToken: orderState.quote.quoteToken
             })
         });
 
         const orderData = await orderResponse.json();
 
+        if (orderResponse.status === 409 && orderData.code === 'quote_invalid') {
+            // Quote expired or prices changed - show the fresh total before charging
+            await updateOrderSummary();
+            showToast('Your total has been updated. Please check it and try again.', 'error');
+            checkoutBtn.disabled = false;
+            checkoutBtn.textContent = 'Proceed to Payment';
+            return;
+        }
+
+        if (orderResponse.status === 409 && orderData.code === 'promo_invalid') {
+            // The promo code can't be used on this order after all
+            orderState.promoCode = null;
+            const messageEl = document.getElementById('promo-message');
+            messageEl.textContent = orderData.error;
+            messageEl.className = 'promo-message error';
+            await updateOrderSummary();
+            showToast(orderData.error, 'error');
+            checkoutBtn.disabled = false;
+            checkoutBtn.textContent = 'Proceed to Payment';
+            return;
+        }
+
+        if (orderResponse.status === 409 && orderData.code === 'pickup_slot_unavailable') {
+            // Someone else took the last place - pick another time
+            orderState.pickupSlot = null;
+            showToast(orderData.error, 'error');
+            checkoutBtn.disabled = false;
+            checkoutBtn.textContent = 'Proceed to Payment';
+            goToStep(1);
+            loadPickupSlots();
+            return;
+        }
+
         if (!orderResponse.ok) {
             throw new Error(orderData.error || 'Failed to create order');
         }
@@ -691,18 +1240,47 @@ async function proceedToCheckout() {
         // Upload photos
         checkoutBtn.textContent = 'Uploading photos...';
 
-        for (let i = 0; i < orderState.photos.length; i++) {
-            const formData = new FormData();
-            formData.append('file', orderState.photos[i]);
-            formData.append('orderId', orderState.orderId);
-            formData.append('position', i);
-
-            await fetch('/api/upload-photo', {
-                method: 'POST',
-                body: formData
-            });
+        // Photos attach to their order line (lines come back in cart order)
+        const cartLines = getCartLines();
+        let position = 0;
+        for (let lineIndex = 0; lineIndex < cartLines.length; lineIndex++) {
+            for (const photo of cartLines[lineIndex].photos) {
+                const reordered = reorderedPhotos.get(photo);
+                let uploadResponse;
+
+                if (reordered) {
+                    // Already stored with the previous order
+                    uploadResponse = await fetch('/api/copy-photo', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            orderId: orderState.orderId,
+                            orderLineId: orderData.lines[lineIndex].id,
+                            position: position++,
+                            reorderToken: reordered.reorderToken,
+                            itemId: reordered.itemId
+                        })
+                    });
+                } else {
+                    const formData = new FormData();
+                    formData.append('file', photo);
+                    formData.append('orderId', orderState.orderId);
+                    formData.append('orderLineId', orderData.lines[lineIndex].id);
+                    formData.append('position', position++);
+
+                    uploadResponse = await fetch('/api/upload-photo', {
+                        method: 'POST',
+                        body: formData
+                    });
+                }
+                if (!uploadResponse.ok) throw new Error('A photo failed to upload');
+            }
         }
 
+        // The order is complete, so if payment can't start it's paid for from
+        // the resume screen rather than placed again
+        orderState.resumeToken = orderData.resumeToken;
+
         // Create checkout session
         checkoutBtn.textContent = 'Redirecting to payment...';
 
@@ -726,7 +1304,273 @@ async function proceedToCheckout() {
         showToast('Something went wrong: ' + err.message, 'error');
         checkoutBtn.disabled = false;
         checkoutBtn.textContent = 'Proceed to Payment';
+
+        if (orderState.resumeToken) {
+            await resumeOrder(orderState.resumeToken);
+        }
+    }
+}
+
+// =============================================================================
+// RESUME ORDER
+// =============================================================================
+
+// Show a saved unpaid order ready to pay for. Returns true if it's shown.
+async function resumeOrder(token) {
+    try {
+        const response = await fetch(`/api/orders/resume?token=${encodeURIComponent(token)}`);
+        const order = await response.json();
+
+        if (!response.ok) {
+            showToast(order.error || 'We couldn\'t find that order', 'error');
+            return false;
+        }
+
+        // Already paid - show where it's up to instead
+        if (order.paid_at) {
+            window.location.href = `/track.html?order=${order.order_number}`;
+            return false;
+        }
+
+        resumedOrder = order;
+        renderResumedOrder();
+        showScreen('resume-order');
+        return true;
+    } catch (err) {
+        console.error('Resume order error:', err);
+        showToast('We couldn\'t load your order. Please try again.', 'error');
+        return false;
+    }
+}
+
+function renderResumedOrder() {
+    const order = resumedOrder;
+
+    document.getElementById('resume-intro').textContent =
+        `Welcome back, ${order.customer_name}. Order ${order.order_number} is saved with your photos - check it over and pay when you're ready.`;
+
+    const magnetsContainer = document.getElementById('resume-magnets');
+    magnetsContainer.innerHTML = '';
+    order.lines.forEach(line => {
+        const group = document.createElement('div');
+        group.className = 'review-line';
+
+        const heading = document.createElement('div');
+        heading.className = 'review-line-header';
+        heading.innerHTML = `<strong>${line.quantity}x ${line.product_name} (${line.variant_name})</strong>`;
+        group.appendChild(heading);
+
+        const magnets = document.createElement('div');
+        magnets.className = 'review-magnets';
+        line.photos.forEach(url => {
+            const mockup = document.createElement('div');
+            mockup.className = 'review-magnet-mockup';
+            const frame = document.createElement('div');
+            frame.className = 'magnet-frame';
+            applyMagnetShape(frame, line.variant);
+            const img = document.createElement('img');
+            img.src = url;
+            frame.appendChild(img);
+            mockup.appendChild(frame);
+            magnets.appendChild(mockup);
+        });
+        group.appendChild(magnets);
+        magnetsContainer.appendChild(group);
+    });
+
+    const address = order.shipping_address;
+    document.getElementById('resume-details').innerHTML = `
+        <p><strong>${order.customer_name}</strong></p>
+        ${address ? `
+            <p>${address.line1}</p>
+            ${address.line2 ? `<p>${address.line2}</p>` : ''}
+            <p>${address.city}, ${address.state} ${address.postcode}</p>
+        ` : `
+            <p>Pickup at ${order.pickup?.name || ''}</p>
+            ${order.pickup?.slot ? `<p>${order.pickup.slot}</p>` : ''}
+        `}
+        <p>Phone: ${order.customer_phone}</p>
+        ${order.customer_email ? `<p>Email: ${order.customer_email}</p>` : ''}
+    `;
+
+    const amountDue = order.total - order.gift_card_amount;
+    document.getElementById('resume-summary').innerHTML = `
+        <div class="summary-row">
+            <span>Subtotal</span>
+            <span>${formatMoney(order.subtotal)}</span>
+        </div>
+        <div class="summary-row">
+            <span>Shipping</span>
+            <span>${order.shipping_cost === 0 ? 'FREE' : formatMoney(order.shipping_cost)}</span>
+        </div>
+        ${order.discount_amount > 0 ? `
+            <div class="summary-row discount">
+                <span>Discount</span>
+                <span>-${formatMoney(order.discount_amount)}</span>
+            </div>
+        ` : ''}
+        <div class="summary-row total">
+            <span>Total</span>
+            <span>${formatMoney(order.total)}</span>
+        </div>
+        <div class="summary-row gst">
+            <span>Includes GST of</span>
+            <span>${formatMoney(order.gst_amount)}</span>
+        </div>
+        ${order.gift_card_amount > 0 ? `
+            <div class="summary-row discount">
+                <span>Gift card</span>
+                <span>-${formatMoney(order.gift_card_amount)}</span>
+            </div>
+            <div class="summary-row total">
+                <span>To pay</span>
+                <span>${formatMoney(amountDue)}</span>
+            </div>
+        ` : ''}
+    `;
+}
+
+// Pay for the resumed order with a fresh Stripe Checkout session
+async function checkoutResumedOrder() {
+    const checkoutBtn = document.getElementById('resume-checkout-btn');
+    checkoutBtn.disabled = true;
+    checkoutBtn.textContent = 'Redirecting to payment...';
+
+    try {
+        const checkoutResponse = await fetch('/api/create-checkout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ orderId: resumedOrder.id })
+        });
+
+        const checkoutData = await checkoutResponse.json();
+
+        if (!checkoutResponse.ok) {
+            throw new Error(checkoutData.error || 'Failed to create checkout');
+        }
+
+        window.location.href = checkoutData.url;
+
+    } catch (err) {
+        console.error('Checkout error:', err);
+        showToast('Something went wrong: ' + err.message, 'error');
+        checkoutBtn.disabled = false;
+        checkoutBtn.textContent = 'Proceed to Payment';
+    }
+}
+
+// =============================================================================
+// REORDER
+// =============================================================================
+
+// Start a new order filled in from a previous one: the same details, products
+// and photos. Everything can still be changed before paying.
+async function startReorder(token) {
+    try {
+        const response = await fetch(`/api/orders/reorder?token=${encodeURIComponent(token)}`);
+        const previous = await response.json();
+
+        if (!response.ok) {
+            showToast(previous.error || 'We couldn\'t find that order', 'error');
+            return;
+        }
+
+        showToast('Loading your previous order...');
+
+        // Download the stored photos so they can be previewed and re-cropped
+        const lines = await Promise.all(previous.lines.map(async line => {
+            const photos = await Promise.all(line.photos.map(async photo => {
+                const photoResponse = await fetch(photo.url);
+                if (!photoResponse.ok) return null;
+                const blob = await photoResponse.blob();
+                reorderedPhotos.set(blob, { reorderToken: token, itemId: photo.id });
+                return blob;
+            }));
+
+            const available = photos.filter(Boolean);
+            return {
+                productType: line.product_type,
+                variant: getSelectedVariant(line.variant) ? line.variant : pricingCatalogue.variants[0]?.key || null,
+                quantity: line.quantity,
+                photos: available,
+                photoOriginals: [...available]
+            };
+        }));
+
+        // Only the product being configured can take more photos, so lines
+        // missing some are queued and configured one after another
+        const incomplete = lines.filter(line => line.photos.length < line.quantity);
+        const current = incomplete[0] || lines[lines.length - 1];
+        orderState.lines = lines.filter(line => line !== current && !incomplete.includes(line));
+        orderState.reorderQueue = incomplete.slice(1);
+        loadLine(current);
+
+        fillReorderDetails(previous);
+
+        showScreen('order-flow');
+        goToStep(1);
+
+        if (incomplete.length > 0) {
+            const missing = incomplete
+                .map(line => `${line.quantity}x ${getProductName(line.productType)} (${line.quantity - line.photos.length} missing)`)
+                .join(', ');
+            showToast(`Some photos from order ${previous.order_number} are no longer available. You'll be asked to add them for: ${missing}.`, 'info', 10000);
+        } else {
+            showToast(`We've filled in your order from ${previous.order_number}. Check your details and photos, then continue.`, 'success', 6000);
+        }
+    } catch (err) {
+        console.error('Reorder error:', err);
+        showToast('We couldn\'t load your previous order. Please try again.', 'error');
+    }
+}
+
+function loadLine(line) {
+    selectProductType(line.productType);
+    orderState.variant = line.variant;
+    renderVariantOptions();
+    setQuantity(line.quantity);
+    orderState.photos = line.photos;
+    orderState.photoOriginals = line.photoOriginals;
+    orderState.quote = null;
+}
+
+// Put the finished product in the cart and move on to the next reordered
+// product that still needs photos
+function nextReorderLine() {
+    orderState.lines.push(currentLine());
+    const next = orderState.reorderQueue.shift();
+    loadLine(next);
+    renderCartLines();
+    goToStep(3);
+    showToast(`Now add the missing photos for your ${next.quantity}x ${getProductName(next.productType)}.`, 'info', 6000);
+}
+
+function fillReorderDetails(previous) {
+    document.getElementById('customer-name').value = previous.customer_name || '';
+    document.getElementById('customer-phone').value = previous.customer_phone || '';
+    document.getElementById('customer-email').value = previous.customer_email || '';
+
+    if (previous.shipping_address) {
+        document.getElementById('address-line1').value = previous.shipping_address.line1 || '';
+        document.getElementById('address-line2').value = previous.shipping_address.line2 || '';
+        document.getElementById('address-city').value = previous.shipping_address.city || '';
+        document.getElementById('address-state').value = previous.shipping_address.state || '';
+        document.getElementById('address-postcode').value = previous.shipping_address.postcode || '';
+    }
+
+    if (previous.shipping_service) {
+        orderState.shippingService = previous.shipping_service;
     }
+
+    // Pickup times are booked fresh for each order
+    const locations = pricingCatalogue?.pickupLocations || [];
+    if (locations.some(location => location.key === previous.pickup_location)) {
+        orderState.pickupLocation = previous.pickup_location;
+    }
+
+    const shippingType = previous.shipping_type === 'pickup' && locations.length > 0 ? 'pickup' : 'delivery';
+    document.querySelector(`input[name="shipping-type"][value="${shippingType}"]`).checked = true;
+    toggleShippingFields();
 }
 
 // =============================================================================
@@ -885,6 +1729,3 @@ function closeMobileNav() {
     nav.classList.remove('open');
     hamburger.classList.remove('open');
 }
-
-// Initialize price summary on load
-updatePriceSummary();
@@ -4,9 +4,13 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const Stripe = require('stripe');
+const nodemailer = require('nodemailer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,1302 +28,7434 @@ const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
 // Owner emails (can't be removed as admin)
 const OWNER_EMAILS = (process.env.OWNER_EMAILS || '').split(',').map(e => e.trim().toLowerCase());
 
-// Pricing configuration (in cents)
-const PRICING = {
-    personal: {
-        tier1: { min: 1, max: 5, pricePerUnit: 1200 },   // $12 each
-        tier2: { min: 6, max: 11, pricePerUnit: 950 },   // $9.50 each
-        tier3: { min: 12, max: 19, pricePerUnit: 850 }   // $8.50 each
-    },
-    business: {
-        tier1: { min: 1, max: 5, pricePerUnit: 1200 },
-        tier2: { min: 6, max: 11, pricePerUnit: 950 },
-        tier3: { min: 12, max: 19, pricePerUnit: 850 }
-    },
-    wedding: {
-        tier1: { min: 20, max: 49, pricePerUnit: 750 },  // $7.50 each
-        tier2: { min: 50, max: 99, pricePerUnit: 700 },  // $7.00 each
-        tier3: { min: 100, max: 999, pricePerUnit: 650 } // $6.50 each
-    },
-    shipping: 800,  // $8 flat rate
-    freeShippingThreshold: 35000, // Free shipping for orders over $350
-    freePickupLocation: 'Forbes NSW'
+// Business details printed on tax invoices
+const BUSINESS_DETAILS = {
+    name: process.env.BUSINESS_NAME || 'Heartsnaps',
+    abn: process.env.BUSINESS_ABN || '',
+    address: process.env.BUSINESS_ADDRESS || 'Forbes NSW 2871',
+    email: process.env.BUSINESS_EMAIL || 'heartsnaps2871@gmail.com',
+    phone: process.env.BUSINESS_PHONE || '0421 191 476'
 };
 
-// Calculate price for quantity
-function calculatePrice(quantity, productType = 'personal') {
-    // Use wedding pricing for bulk orders
-    if (quantity >= 20) {
-        const tiers = PRICING.wedding;
-        if (quantity >= tiers.tier3.min) return quantity * tiers.tier3.pricePerUnit;
-        if (quantity >= tiers.tier2.min) return quantity * tiers.tier2.pricePerUnit;
-        return quantity * tiers.tier1.pricePerUnit;
-    }
+// Who customer and admin emails come from
+const EMAIL_FROM = process.env.EMAIL_FROM || `${BUSINESS_DETAILS.name} <orders@heartsnaps.com.au>`;
+
+// Magnets are printed at 300 DPI
+const PRINT_DPI = 300;
 
-    const tiers = PRICING[productType] || PRICING.personal;
-    if (quantity >= tiers.tier3.min) return quantity * tiers.tier3.pricePerUnit;
-    if (quantity >= tiers.tier2.min) return quantity * tiers.tier2.pricePerUnit;
-    return quantity * tiers.tier1.pricePerUnit;
+function mmToPrintPx(mm) {
+    return Math.round(mm / 25.4 * PRINT_DPI);
 }
 
-// =============================================================================
-// STRIPE WEBHOOK (must be before express.json())
-// =============================================================================
+// Fallback pricing catalogue (in cents), used when the pricing tables are
+// empty or unreachable. The live catalogue is edited from the admin dashboard.
+// Tiers with a null variant apply to every size that doesn't have its own tiers.
+const DEFAULT_PRICING_CATALOGUE = {
+    variants: [
+        { key: 'square-63', name: 'Square', shape: 'square', widthMm: 63.5, heightMm: 63.5, widthPx: 750, heightPx: 750 },
+        { key: 'rectangle-2x3', name: 'Rectangle 2x3"', shape: 'rectangle', widthMm: 50.8, heightMm: 76.2, widthPx: 600, heightPx: 900 },
+        { key: 'round-63', name: 'Round', shape: 'round', widthMm: 63.5, heightMm: 63.5, widthPx: 750, heightPx: 750 }
+    ],
+    products: [
+        {
+            key: 'personal',
+            name: 'Personal Magnets',
+            description: 'Family photos, wedding memories, travel moments, quotes',
+            tiers: [
+                { min: 1, max: 5, pricePerUnit: 1200, label: null, variant: null },
+                { min: 6, max: 11, pricePerUnit: 950, label: '6-pack rate', variant: null },
+                { min: 12, max: 19, pricePerUnit: 850, label: '12-pack rate', variant: null },
+                { min: 20, max: 49, pricePerUnit: 750, label: 'bulk rate', variant: null },
+                { min: 50, max: 99, pricePerUnit: 700, label: 'bulk rate', variant: null },
+                { min: 100, max: null, pricePerUnit: 650, label: 'bulk rate', variant: null }
+            ]
+        },
+        {
+            key: 'business',
+            name: 'Business Magnets',
+            description: 'Logo magnets, business card magnets, promotional items',
+            tiers: [
+                { min: 1, max: 5, pricePerUnit: 1200, label: null, variant: null },
+                { min: 6, max: 11, pricePerUnit: 950, label: '6-pack rate', variant: null },
+                { min: 12, max: 19, pricePerUnit: 850, label: '12-pack rate', variant: null },
+                { min: 20, max: 49, pricePerUnit: 750, label: 'bulk rate', variant: null },
+                { min: 50, max: 99, pricePerUnit: 700, label: 'bulk rate', variant: null },
+                { min: 100, max: null, pricePerUnit: 650, label: 'bulk rate', variant: null }
+            ]
+        },
+        {
+            key: 'wedding',
+            name: 'Wedding Magnets',
+            description: 'Wedding favours, save the dates and thank you gifts',
+            tiers: [
+                { min: 20, max: 49, pricePerUnit: 750, label: 'bulk rate', variant: null },
+                { min: 50, max: 99, pricePerUnit: 700, label: 'bulk rate', variant: null },
+                { min: 100, max: null, pricePerUnit: 650, label: 'bulk rate', variant: null }
+            ]
+        }
+    ],
+    shipping: {
+        pickup: { label: 'Free pickup', cost: 0, freeThreshold: null },
+        services: [
+            { key: 'standard', name: 'Standard', description: 'Australia Post parcel, 3-7 business days', freeThreshold: 35000 },
+            { key: 'express', name: 'Express', description: 'Australia Post Express, 1-3 business days', freeThreshold: null },
+            { key: 'tracked', name: 'Tracked', description: 'Tracked with signature on delivery', freeThreshold: null }
+        ],
+        // A zone with no states or postcode ranges matches any address
+        zones: [
+            { key: 'australia', name: 'Australia-wide', states: [], postcodeRanges: [], priority: 100 }
+        ],
+        rates: [
+            { zone: 'australia', service: 'standard', min: 1, max: null, cost: 800 },
+            { zone: 'australia', service: 'express', min: 1, max: null, cost: 1500 },
+            { zone: 'australia', service: 'tracked', min: 1, max: null, cost: 1100 }
+        ]
+    },
+    pickupLocations: [
+        { key: 'forbes', name: 'Forbes', address: 'Forbes NSW 2871', openingHours: 'By appointment - book a time below', instructions: null }
+    ]
+};
 
-app.post('/api/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+// The catalogue is read on every priced request, so keep it briefly in memory
+const PRICING_CACHE_MS = 60 * 1000;
+let pricingCache = null;
+let pricingCacheLoadedAt = 0;
 
-    let event;
-    try {
-        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-    } catch (err) {
-        console.error('Webhook signature verification failed:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+// Load the pricing catalogue (variants, product types, tiers, pickup rule and
+// locations, delivery zones/services/rates)
+async function getPricingCatalogue() {
+    if (pricingCache && Date.now() - pricingCacheLoadedAt < PRICING_CACHE_MS) {
+        return pricingCache;
     }
 
-    if (event.type === 'checkout.session.completed') {
-        const session = event.data.object;
-        const orderId = session.metadata?.orderId;
-        const orderNumber = session.metadata?.orderNumber;
+    try {
+        const [variantsResult, productsResult, tiersResult, shippingResult, servicesResult, zonesResult, ratesResult, pickupLocationsResult] = await Promise.all([
+            supabaseAdmin.from('product_variants').select('*').eq('is_active', true).order('display_order'),
+            supabaseAdmin.from('product_types').select('*').eq('is_active', true).order('display_order'),
+            supabaseAdmin.from('price_tiers').select('*').order('min_quantity'),
+            supabaseAdmin.from('shipping_rules').select('*').eq('is_active', true),
+            supabaseAdmin.from('shipping_services').select('*').eq('is_active', true).order('display_order'),
+            supabaseAdmin.from('shipping_zones').select('*').eq('is_active', true).order('priority'),
+            supabaseAdmin.from('shipping_rates').select('*').order('min_quantity'),
+            supabaseAdmin.from('pickup_locations').select('*').eq('is_active', true).order('display_order')
+        ]);
+
+        for (const result of [variantsResult, productsResult, tiersResult, shippingResult, servicesResult, zonesResult, ratesResult, pickupLocationsResult]) {
+            if (result.error) throw result.error;
+        }
 
-        if (!orderId) {
-            console.error('No orderId in webhook metadata');
-            return res.json({ received: true });
+        if (productsResult.data.length === 0 || variantsResult.data.length === 0) {
+            return DEFAULT_PRICING_CATALOGUE;
         }
 
-        console.log(`Payment received for order ${orderNumber}`);
+        const variants = variantsResult.data.map(variant => ({
+            key: variant.key,
+            name: variant.name,
+            shape: variant.shape,
+            widthMm: Number(variant.width_mm),
+            heightMm: Number(variant.height_mm),
+            widthPx: variant.width_px,
+            heightPx: variant.height_px
+        }));
 
-        try {
-            // Check idempotency
-            const { data: existingOrder } = await supabaseAdmin
-                .from('orders')
-                .select('status')
-                .eq('id', orderId)
-                .single();
+        const products = productsResult.data.map(product => ({
+            key: product.key,
+            name: product.name,
+            description: product.description,
+            tiers: tiersResult.data
+                .filter(tier => tier.product_type === product.key)
+                .map(tier => ({
+                    id: tier.id,
+                    min: tier.min_quantity,
+                    max: tier.max_quantity,
+                    pricePerUnit: tier.price_per_unit,
+                    label: tier.label,
+                    variant: tier.variant
+                }))
+        }));
 
-            if (existingOrder?.status !== 'pending') {
-                console.log(`Order ${orderNumber} already processed, skipping`);
-                return res.json({ received: true });
-            }
+        const shipping = { ...DEFAULT_PRICING_CATALOGUE.shipping };
+        const pickupRule = shippingResult.data.find(rule => rule.shipping_type === 'pickup');
+        if (pickupRule) {
+            shipping.pickup = {
+                label: pickupRule.label,
+                cost: pickupRule.cost,
+                freeThreshold: pickupRule.free_threshold
+            };
+        }
 
-            // Update order status to paid
-            await supabaseAdmin
-                .from('orders')
-                .update({
-                    status: 'paid',
-                    stripe_payment_intent_id: session.payment_intent,
-                    stripe_checkout_session_id: session.id,
-                    paid_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', orderId);
+        if (servicesResult.data.length > 0 && zonesResult.data.length > 0) {
+            shipping.services = servicesResult.data.map(service => ({
+                key: service.key,
+                name: service.name,
+                description: service.description,
+                freeThreshold: service.free_threshold
+            }));
+            shipping.zones = zonesResult.data.map(zone => ({
+                key: zone.key,
+                name: zone.name,
+                states: zone.states || [],
+                postcodeRanges: zone.postcode_ranges || [],
+                priority: zone.priority
+            }));
+            shipping.rates = ratesResult.data.map(rate => ({
+                id: rate.id,
+                zone: rate.zone_key,
+                service: rate.service_key,
+                min: rate.min_quantity,
+                max: rate.max_quantity,
+                cost: rate.cost
+            }));
+        }
 
-            // Get order details for notifications
-            const { data: order } = await supabaseAdmin
-                .from('orders')
-                .select('*')
-                .eq('id', orderId)
-                .single();
+        const pickupLocations = pickupLocationsResult.data.length > 0
+            ? pickupLocationsResult.data.map(location => ({
+                key: location.key,
+                name: location.name,
+                address: location.address,
+                openingHours: location.opening_hours,
+                instructions: location.instructions
+            }))
+            : DEFAULT_PRICING_CATALOGUE.pickupLocations;
+
+        pricingCache = { variants, products, shipping, pickupLocations };
+        pricingCacheLoadedAt = Date.now();
+        return pricingCache;
+    } catch (err) {
+        console.error('Failed to load pricing catalogue:', err);
+        return pricingCache || DEFAULT_PRICING_CATALOGUE;
+    }
+}
 
-            // Update customer stats
-            if (order?.customer_id) {
-                await supabaseAdmin.rpc('increment_customer_stats', {
-                    p_customer_id: order.customer_id,
-                    p_order_total: order.total
-                });
-            }
+function invalidatePricingCatalogue() {
+    pricingCache = null;
+    pricingCacheLoadedAt = 0;
+}
 
-            // Send notifications
-            await sendOrderConfirmationEmail(order);
-            await sendAdminNotification(order);
+// Admin switches stored in app_settings; these apply until a row is saved
+const DEFAULT_APP_SETTINGS = {
+    notify_printing: true,
+    notify_shipped: true,
+    notify_ready_pickup: true,
+    notify_completed: true,
+    notify_recovery: true,
+    notify_refunded: true,
+    notify_payment_failed: true,
+    recovery_email_delay_hours: 2,
+    pending_order_expiry_hours: 48,
+    expired_order_photo_days: 14
+};
 
-            console.log(`Order ${orderNumber} marked as paid, notifications sent`);
+// Allowed range for each number setting. An unpaid order has to outlast its
+// Stripe Checkout session (CHECKOUT_SESSION_MINUTES), so it can't expire sooner.
+const APP_SETTING_RANGES = {
+    recovery_email_delay_hours: { min: 1, max: 24 * 7 },
+    pending_order_expiry_hours: { min: 2, max: 24 * 30 },
+    expired_order_photo_days: { min: 0, max: 365 }
+};
 
-        } catch (err) {
-            console.error('Webhook processing error:', err);
-            return res.status(500).json({ error: 'Processing failed' });
-        }
+// Load the current settings, falling back to the defaults if they can't be read
+async function getAppSettings() {
+    const settings = { ...DEFAULT_APP_SETTINGS };
+
+    const { data, error } = await supabaseAdmin.from('app_settings').select('key, value');
+    if (error) {
+        console.error('Failed to load settings:', error);
+        return settings;
     }
 
-    res.json({ received: true });
-});
+    for (const row of data) {
+        if (row.key in settings) settings[row.key] = row.value;
+    }
+    return settings;
+}
 
-// =============================================================================
-// MIDDLEWARE
-// =============================================================================
+// Look up a variant by key, or null if it doesn't exist or isn't on sale
+function getVariant(catalogue, variantKey) {
+    return catalogue.variants.find(v => v.key === variantKey) || null;
+}
 
-app.use(helmet({
-    contentSecurityPolicy: false
-}));
+function getDefaultVariant(catalogue) {
+    return catalogue.variants[0];
+}
 
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// e.g. "63.5mm x 63.5mm square" or "63.5mm round"
+function describeVariant(variant) {
+    if (variant.shape === 'round') {
+        return `${variant.widthMm}mm ${variant.shape}`;
+    }
+    return `${variant.widthMm}mm x ${variant.heightMm}mm ${variant.shape}`;
+}
 
-// Rate limiting
-const apiLimiter = rateLimit({
-    windowMs: 60 * 1000,
-    max: 60,
-    message: { error: 'Too many requests, please try again later.' }
-});
-app.use('/api/', apiLimiter);
+// Find the price tier for a quantity, or null if the product isn't sold in that quantity.
+// A variant with its own tiers uses those; otherwise the product's default tiers apply.
+function findPriceTier(catalogue, productType, quantity, variantKey = null) {
+    const product = catalogue.products.find(p => p.key === productType);
+    if (!product) return null;
 
-// Multer for file uploads
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/heic'];
-        if (allowedTypes.includes(file.mimetype)) {
-            cb(null, true);
-        } else {
-            cb(new Error('Invalid file type. Please upload JPG, PNG, or WebP.'));
-        }
-    }
-});
+    const variantTiers = product.tiers.filter(tier => tier.variant && tier.variant === variantKey);
+    const tiers = variantTiers.length > 0 ? variantTiers : product.tiers.filter(tier => !tier.variant);
 
-// =============================================================================
-// HELPER FUNCTIONS
-// =============================================================================
+    return tiers.find(tier =>
+        quantity >= tier.min && (tier.max === null || tier.max === undefined || quantity <= tier.max)
+    ) || null;
+}
 
-// Verify admin status
-async function verifyAdmin(req, requiredRole = 'admin') {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return null;
-    }
+// Calculate price for quantity
+function calculatePrice(catalogue, quantity, productType = 'personal', variantKey = null) {
+    const tier = findPriceTier(catalogue, productType, quantity, variantKey);
+    if (!tier) return null;
+    return quantity * tier.pricePerUnit;
+}
 
-    const token = authHeader.split(' ')[1];
+// Find the delivery zone for an address. Zones are checked in priority order;
+// postcode ranges beat states, and a zone with neither matches anything.
+function resolveShippingZone(catalogue, state, postcode) {
+    const postcodeNumber = parseInt(postcode);
 
-    try {
-        const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
-        if (error || !user) return null;
+    return catalogue.shipping.zones.find(zone => {
+        const hasRules = zone.states.length > 0 || zone.postcodeRanges.length > 0;
+        if (!hasRules) return true;
 
-        // Check if owner
-        if (OWNER_EMAILS.includes(user.email?.toLowerCase())) {
-            return { userId: user.id, email: user.email, role: 'owner' };
-        }
+        const inRange = !isNaN(postcodeNumber) && zone.postcodeRanges.some(range =>
+            postcodeNumber >= range.from && postcodeNumber <= range.to
+        );
+        return inRange || (state && zone.states.includes(state));
+    }) || null;
+}
 
-        // Check admin table
-        const { data: admin } = await supabaseAdmin
-            .from('admins')
-            .select('role')
-            .eq('user_id', user.id)
-            .single();
+// Delivery services available for an address and parcel size (total magnets),
+// each with its cost after any free-shipping threshold
+function getShippingOptions(catalogue, { state, postcode, quantity, subtotal }) {
+    const zone = resolveShippingZone(catalogue, state, postcode);
+    if (!zone) return [];
+
+    return catalogue.shipping.services.map(service => {
+        const rate = catalogue.shipping.rates.find(r =>
+            r.zone === zone.key && r.service === service.key &&
+            quantity >= r.min && (r.max === null || r.max === undefined || quantity <= r.max)
+        );
+        if (!rate) return null;
+
+        const free = service.freeThreshold !== null && service.freeThreshold !== undefined && subtotal >= service.freeThreshold;
+        return {
+            service: service.key,
+            name: service.name,
+            description: service.description,
+            zone: zone.key,
+            cost: free ? 0 : rate.cost,
+            freeThreshold: service.freeThreshold
+        };
+    }).filter(Boolean);
+}
 
-        if (!admin) return null;
+function getShippingServiceName(catalogue, serviceKey) {
+    const service = catalogue.shipping.services.find(s => s.key === serviceKey);
+    return service ? service.name : serviceKey;
+}
 
-        // Role hierarchy
-        const roleHierarchy = { owner: 4, super_admin: 3, admin: 2, moderator: 1 };
-        const requiredLevel = roleHierarchy[requiredRole] || 2;
-        const userLevel = roleHierarchy[admin.role] || 0;
+function getPickupLocation(catalogue, locationKey) {
+    return catalogue.pickupLocations.find(location => location.key === locationKey) || null;
+}
 
-        if (userLevel >= requiredLevel) {
-            return { userId: user.id, email: user.email, role: admin.role };
-        }
+// "Sat, 24 Oct, 9:00 am - 9:30 am" in the shop's timezone
+function formatPickupSlot(startsAt, endsAt) {
+    const options = { timeZone: 'Australia/Sydney' };
+    const day = new Date(startsAt).toLocaleDateString('en-AU', { ...options, weekday: 'short', day: 'numeric', month: 'short' });
+    const time = (ts) => new Date(ts).toLocaleTimeString('en-AU', { ...options, hour: 'numeric', minute: '2-digit' });
+    return `${day}, ${time(startsAt)} - ${time(endsAt)}`;
+}
 
-        return null;
-    } catch (err) {
-        console.error('Admin verification error:', err);
-        return null;
-    }
+// Booking details shown to customers and staff for a pickup order
+function describePickup(catalogue, order) {
+    if (order.shipping_type !== 'pickup') return null;
+
+    const location = getPickupLocation(catalogue, order.pickup_location);
+    return {
+        location: order.pickup_location,
+        name: location?.name || order.pickup_location || 'Pickup',
+        address: location?.address || null,
+        opening_hours: location?.openingHours || null,
+        instructions: location?.instructions || null,
+        slot: order.pickup_slot_starts_at ? formatPickupSlot(order.pickup_slot_starts_at, order.pickup_slot_ends_at) : null
+    };
 }
 
-// Log admin actions
-async function logAdminAction(adminId, action, targetType, targetId, details = {}) {
-    try {
-        await supabaseAdmin.from('admin_logs').insert({
-            admin_id: adminId,
-            action,
-            target_type: targetType,
-            target_id: targetId,
-            details
-        });
-    } catch (err) {
-        console.error('Failed to log admin action:', err);
+// Calculate shipping for a cart. Delivery uses the requested service, or the
+// first one available for the address if it isn't offered there.
+// Returns { cost, service, zone, options } or { error }.
+function calculateShipping(catalogue, { shippingType, shippingService, state, postcode, quantity, subtotal }) {
+    if (shippingType === 'pickup') {
+        const rule = catalogue.shipping.pickup;
+        const cost = rule.freeThreshold && subtotal >= rule.freeThreshold ? 0 : rule.cost;
+        return { cost, service: null, zone: null, options: [] };
+    }
+
+    const options = getShippingOptions(catalogue, { state, postcode, quantity, subtotal });
+    if (options.length === 0) {
+        return { error: 'Sorry, we can\'t deliver this order to that address. Please contact us.' };
     }
+
+    const chosen = options.find(option => option.service === shippingService) || options[0];
+    return { cost: chosen.cost, service: chosen.service, zone: chosen.zone, options };
 }
 
-// Generate order number
-async function generateOrderNumber() {
-    const { data, error } = await supabaseAdmin.rpc('generate_order_number');
-    if (error) {
-        // Fallback
-        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-        return `HS-${date}-${random}`;
+function getProductName(catalogue, productType) {
+    const product = catalogue.products.find(p => p.key === productType);
+    return product ? product.name : 'Photo Magnets';
+}
+
+// Prices are GST-inclusive, so the GST component is 1/11th of the total
+function calculateGst(total) {
+    return Math.round(total / 11);
+}
+
+// Largest order we take online; bigger orders go through a quote request
+const MAX_ORDER_QUANTITY = 200;
+
+// Stripe won't take a card payment under 50c (AUD)
+const STRIPE_MINIMUM_CHARGE = 50;
+
+// Cart lines as sent by the storefront. Older clients send a single product at
+// the top level instead of a lines array.
+function normaliseCartLines(cart) {
+    const lines = Array.isArray(cart.lines) && cart.lines.length > 0
+        ? cart.lines
+        : [{ productType: cart.productType, variant: cart.variant, quantity: cart.quantity }];
+
+    return lines.map(line => ({
+        productType: line.productType || 'personal',
+        variant: line.variant || null,
+        quantity: parseInt(line.quantity) || 0
+    }));
+}
+
+// Returns an error message if the cart lines can't be ordered online
+function validateCartLines(lines) {
+    if (lines.some(line => line.quantity < 1)) {
+        return 'Each item needs a quantity of at least 1';
     }
-    return data;
+    const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+    if (totalQuantity > MAX_ORDER_QUANTITY) {
+        return `Orders are limited to ${MAX_ORDER_QUANTITY} magnets. For larger orders, please email us for a quote.`;
+    }
+    return null;
 }
 
-// Send order confirmation email
-async function sendOrderConfirmationEmail(order) {
-    if (!process.env.RESEND_API_KEY || !order.customer_email) return;
+// Price a cart: each line is priced on its own tiers, then shipping, automatic
+// and promo (or referral) discounts and GST are worked out on the whole cart
+// (all in cents).
+// A gift card or store credit pays part or all of the total; it doesn't change
+// the price, only the amount left to pay by card.
+// Returns { error, status } if the cart can't be priced.
+async function priceCart({ lines, shippingType, shippingService, state, postcode, promoCode, giftCardCode, customerId = null }) {
+    const catalogue = await getPricingCatalogue();
+    const pricedLines = [];
+
+    for (const line of lines) {
+        const variantDetails = line.variant ? getVariant(catalogue, line.variant) : getDefaultVariant(catalogue);
+        if (!variantDetails) {
+            return { error: 'That magnet size is no longer available', status: 400 };
+        }
 
-    const trackingUrl = `${process.env.SITE_URL}/track.html?order=${order.order_number}`;
+        const tier = findPriceTier(catalogue, line.productType, line.quantity, variantDetails.key);
+        if (!tier) {
+            return { error: `${getProductName(catalogue, line.productType)} (${variantDetails.name}) are not available in a quantity of ${line.quantity}`, status: 400 };
+        }
 
-    const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h1 style="color: #e91e63;">Thanks for your order, ${order.customer_name}!</h1>
-            <p>We've received your order and are getting started on your custom magnets.</p>
+        pricedLines.push({
+            productType: line.productType,
+            variant: variantDetails.key,
+            quantity: line.quantity,
+            unitPrice: tier.pricePerUnit,
+            subtotal: line.quantity * tier.pricePerUnit
+        });
+    }
 
-            <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                <p><strong>Order Number:</strong> ${order.order_number}</p>
-                <p><strong>Product:</strong> ${order.product_type === 'business' ? 'Business Magnets' : 'Personal Magnets'}</p>
-                <p><strong>Quantity:</strong> ${order.quantity} magnets</p>
-                <p><strong>Total:</strong> $${(order.total / 100).toFixed(2)} AUD</p>
-            </div>
+    const subtotal = pricedLines.reduce((sum, line) => sum + line.subtotal, 0);
 
-            <p><a href="${trackingUrl}" style="display: inline-block; background: #e91e63; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Track Your Order</a></p>
+    const totalQuantity = pricedLines.reduce((sum, line) => sum + line.quantity, 0);
+    const shipping = calculateShipping(catalogue, { shippingType, shippingService, state, postcode, quantity: totalQuantity, subtotal });
+    if (shipping.error) {
+        return { error: shipping.error, status: 400 };
+    }
+    const shippingCost = shipping.cost;
+    const deliveryState = shippingType === 'delivery' ? state : null;
 
-            <p style="color: #666; margin-top: 30px;">Questions? Reply to this email or call us at 0421 191 476.</p>
+    const automatic = await findAutomaticDiscount({ lines: pricedLines, subtotal, shippingCost, state: deliveryState });
+    let automaticDiscount = automatic?.discount || null;
+    let automaticDiscountAmount = automatic?.amount || 0;
 
-            <p>- The Heartsnaps Team</p>
-        </div>
-    `;
+    let discountAmount = 0;
+    let promo = null;
+    let promoError = null;
+    let referral = null;
 
-    try {
-        await fetch('https://api.resend.com/emails', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                from: 'Heartsnaps <orders@heartsnaps.com.au>',
-                to: order.customer_email,
-                subject: `Order Confirmed: ${order.order_number}`,
-                html
-            })
+    if (promoCode) {
+        const result = await checkPromoCode(promoCode, {
+            lines: pricedLines,
+            subtotal,
+            // Shipping can only be made free once
+            shippingCost: automaticDiscount?.discount_type === 'free_shipping' ? 0 : shippingCost,
+            state: deliveryState,
+            customerId
         });
-    } catch (err) {
-        console.error('Failed to send confirmation email:', err);
+
+        // Referral codes are entered in the promo code box too
+        const referrer = result.promo ? null : await findReferrer(promoCode);
+
+        if (result.promo && !result.error) {
+            if (automaticDiscount && !automaticDiscount.combines_with_promo_codes) {
+                // The customer gets whichever saves them more
+                if (result.discountAmount > automaticDiscountAmount) {
+                    automaticDiscount = null;
+                    automaticDiscountAmount = 0;
+                } else {
+                    promoError = `Promo code ${result.promo.code} can't be combined with ${automaticDiscount.name}`;
+                }
+            }
+            if (!promoError) {
+                discountAmount = Math.min(result.discountAmount, subtotal + shippingCost - automaticDiscountAmount);
+                promo = result.promo;
+            }
+        } else if (referrer) {
+            promoError = customerId ? await checkReferral(referrer, customerId) : null;
+            if (!promoError) {
+                discountAmount = Math.min(REFERRAL_DISCOUNT, subtotal + shippingCost - automaticDiscountAmount);
+                referral = { code: referrer.referral_code, referrerId: referrer.id };
+            }
+        } else if (!result.promo && !giftCardCode && await findGiftCard(promoCode)) {
+            // Gift cards and store credit can be entered in the promo code box
+            giftCardCode = promoCode;
+        } else {
+            promoError = result.error;
+        }
     }
-}
 
-// Send admin notification
-async function sendAdminNotification(order) {
-    const message = `New Order: ${order.order_number}\n${order.quantity}x ${order.product_type} magnets\nTotal: $${(order.total / 100).toFixed(2)}\nCustomer: ${order.customer_name}`;
+    const total = subtotal + shippingCost - automaticDiscountAmount - discountAmount;
 
-    // Push notification via ntfy.sh (free)
-    if (process.env.NTFY_TOPIC) {
-        try {
-            await fetch(`https://ntfy.sh/${process.env.NTFY_TOPIC}`, {
-                method: 'POST',
-                headers: {
-                    'Title': `New Order! ${order.order_number}`,
-                    'Priority': 'high',
-                    'Tags': 'magnet,moneybag'
-                },
-                body: message
-            });
-        } catch (err) {
-            console.error('Failed to send push notification:', err);
+    let giftCard = null;
+    let giftCardError = null;
+    let giftCardAmount = 0;
+
+    if (giftCardCode) {
+        const card = await findGiftCard(giftCardCode);
+        giftCardError = getGiftCardError(card);
+        if (!giftCardError && card.kind === 'store_credit' && promo && !promo.stackable) {
+            giftCardError = `Store credit can't be combined with promo code ${promo.code}`;
+        }
+        if (!giftCardError) {
+            giftCard = card;
+            giftCardAmount = Math.min(card.balance, total);
         }
     }
 
-    // Email to admin
-    if (process.env.RESEND_API_KEY && process.env.ADMIN_EMAIL) {
-        try {
-            await fetch('https://api.resend.com/emails', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    from: 'Heartsnaps <orders@heartsnaps.com.au>',
-                    to: process.env.ADMIN_EMAIL,
-                    subject: `New Order: ${order.order_number} - $${(order.total / 100).toFixed(2)}`,
-                    html: `<pre>${message}</pre><p><a href="${process.env.SITE_URL}/admin.html">View in Admin Dashboard</a></p>`
-                })
-            });
-        } catch (err) {
-            console.error('Failed to send admin email:', err);
+    // Whatever's left to pay by card has to be enough for Stripe to charge.
+    // A gift card that nearly covers the total keeps some balance back.
+    if (total - giftCardAmount > 0 && total - giftCardAmount < STRIPE_MINIMUM_CHARGE) {
+        if (total < STRIPE_MINIMUM_CHARGE) {
+            return { error: `Orders paid by card must come to at least ${formatCents(STRIPE_MINIMUM_CHARGE)}`, status: 400 };
         }
+        giftCardAmount = total - STRIPE_MINIMUM_CHARGE;
     }
+
+    return {
+        lines: pricedLines,
+        subtotal,
+        shippingCost,
+        shippingService: shipping.service,
+        shippingZone: shipping.zone,
+        shippingOptions: shipping.options,
+        automaticDiscount,
+        automaticDiscountAmount,
+        discountAmount,
+        gst: calculateGst(total),
+        total,
+        promo,
+        promoError,
+        referral,
+        giftCard,
+        giftCardError,
+        giftCardAmount,
+        amountDue: total - giftCardAmount
+    };
 }
 
 // =============================================================================
-// PUBLIC API ENDPOINTS
+// PROMO CODE REDEMPTION
 // =============================================================================
+// A promo code is checked when the cart is priced, reserved when the order is
+// created, and confirmed into promo_code_usage when Stripe says it's paid.
+// Cancelling an unpaid order releases the reservation. The rules themselves
+// live in the check_promo_code database function, which the reservation also
+// uses, so every path applies the same checks.
+
+const PROMO_DISCOUNT_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+const PROMO_CODE_ERRORS = {
+    invalid: 'Invalid promo code',
+    inactive: 'Invalid promo code',
+    not_started: 'Promo code is not yet active',
+    expired: 'Promo code has expired',
+    max_uses: 'Promo code has reached its usage limit',
+    customer_limit: 'You have already used this promo code'
+};
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+function describePromoCodeError(reason, promo) {
+    if (reason === 'min_order') {
+        return `Minimum order of $${(promo.min_order_amount / 100).toFixed(2)} required`;
+    }
+    return PROMO_CODE_ERRORS[reason] || PROMO_CODE_ERRORS.invalid;
+}
 
-// Config (public keys only)
-app.get('/api/config', (req, res) => {
-    res.json({
-        supabaseUrl: process.env.SUPABASE_URL,
-        supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
-        stripePublishableKey: process.env.STRIPE_PUBLISHABLE_KEY
-    });
-});
+// Look up a promo code and check it can be used on this cart (priced lines,
+// shipping and delivery state). customerId is only known once an order is
+// placed, so quotes skip the per-customer and first-order rules.
+// Returns { promo, error, discountAmount }; promo is null if no such code exists.
+async function checkPromoCode(code, { lines = [], subtotal = null, shippingCost = 0, state = null, customerId = null } = {}) {
+    const { data: promo } = await supabaseAdmin
+        .from('promo_codes')
+        .select('*')
+        .eq('code', code.toUpperCase())
+        .single();
+
+    if (!promo) {
+        return { promo: null, error: PROMO_CODE_ERRORS.invalid, discountAmount: 0 };
+    }
 
-// Get pricing
-app.get('/api/pricing', (req, res) => {
-    res.json({
-        personal: [
-            { min: 1, max: 5, price: 12.00, label: '$12 each' },
-            { min: 6, max: 11, price: 9.50, label: '$9.50 each (6-pack)' },
-            { min: 12, max: 19, price: 8.50, label: '$8.50 each (12-pack)' }
-        ],
-        business: [
-            { min: 1, max: 5, price: 12.00, label: '$12 each' },
-            { min: 6, max: 11, price: 9.50, label: '$9.50 each (6-pack)' },
-            { min: 12, max: 19, price: 8.50, label: '$8.50 each (12-pack)' }
-        ],
-        wedding: [
-            { min: 20, max: 49, price: 9.00, label: '$9.00 each (20-49)' },
-            { min: 50, max: 99, price: 8.00, label: '$8.00 each (50-99)' },
-            { min: 100, max: 999, price: 8.50, label: 'Contact us for 100+' }
-        ],
-        shipping: 8.00,
-        freeShippingThreshold: 35000, // $350 in cents - free shipping for wedding orders over $350
-        freePickupLocation: 'Forbes NSW'
+    const { data: reason, error } = await supabaseAdmin.rpc('check_promo_code', {
+        p_promo_code_id: promo.id,
+        p_customer_id: customerId,
+        p_subtotal: subtotal
     });
-});
+    if (error) throw error;
 
-// Get gallery items
-app.get('/api/gallery', async (req, res) => {
-    try {
-        const { data, error } = await supabaseAdmin
-            .from('gallery_items')
-            .select('*')
-            .eq('is_active', true)
-            .order('display_order');
+    const promoError = reason
+        ? describePromoCodeError(reason, promo)
+        : await checkPromoConditions(promo, { lines, state, customerId });
 
-        if (error) throw error;
+    if (promoError) {
+        return { promo, error: promoError, discountAmount: 0 };
+    }
 
-        // Generate public URLs for images
-        const items = await Promise.all(data.map(async (item) => {
-            const { data: urlData } = supabaseAdmin.storage
-                .from('gallery')
-                .getPublicUrl(item.image_path);
-            return { ...item, imageUrl: urlData.publicUrl };
-        }));
+    return { promo, error: null, discountAmount: calculatePromoDiscount(promo, { lines, subtotal, shippingCost }) };
+}
 
-        res.json(items);
-    } catch (err) {
-        console.error('Gallery fetch error:', err);
+// Cart lines the code's discount applies to (all of them unless it's limited
+// to some product types)
+function getPromoEligibleLines(promo, lines) {
+    if (!promo.product_types || promo.product_types.length === 0) return lines;
+    return lines.filter(line => promo.product_types.includes(line.productType));
+}
+
+// The rule conditions on a promo code. Returns an error message, or null if the
+// cart meets them all.
+async function checkPromoConditions(promo, { lines, state, customerId }) {
+    const eligibleLines = getPromoEligibleLines(promo, lines);
+    const eligibleQuantity = eligibleLines.reduce((sum, line) => sum + line.quantity, 0);
+
+    if (promo.product_types?.length > 0 && eligibleLines.length === 0) {
+        const catalogue = await getPricingCatalogue();
+        const names = promo.product_types.map(key => getProductName(catalogue, key));
+        return `This code only applies to ${names.join(' or ')}`;
+    }
+
+    if (promo.min_quantity && eligibleQuantity < promo.min_quantity) {
+        return `This code needs at least ${promo.min_quantity} magnets`;
+    }
+
+    if (promo.discount_type === 'buy_x_get_y' && eligibleQuantity < promo.buy_quantity + promo.free_quantity) {
+        return `Order ${promo.buy_quantity + promo.free_quantity} magnets to get ${promo.free_quantity} free`;
+    }
+
+    if (promo.states?.length > 0 && !promo.states.includes(state)) {
+        return `This code is only valid for delivery to ${promo.states.join(', ')}`;
+    }
+
+    if (promo.first_order_only && customerId) {
+        const { data: customer } = await supabaseAdmin
+            .from('customers')
+            .select('order_count')
+            .eq('id', customerId)
+            .single();
+
+        if (customer?.order_count > 0) {
+            return 'This code is for first orders only';
+        }
+    }
+
+    return null;
+}
+
+// Discount in cents. Without priced lines (older callers only send a subtotal)
+// the whole subtotal counts towards the discount.
+function calculatePromoDiscount(promo, { lines = [], subtotal = 0, shippingCost = 0 }) {
+    const eligibleLines = getPromoEligibleLines(promo, lines);
+    const eligibleSubtotal = lines.length > 0
+        ? eligibleLines.reduce((sum, line) => sum + line.subtotal, 0)
+        : subtotal;
+
+    let discount = 0;
+    if (promo.discount_type === 'percentage') {
+        discount = Math.floor(eligibleSubtotal * (promo.discount_value / 100));
+    } else if (promo.discount_type === 'fixed') {
+        discount = Math.min(promo.discount_value, eligibleSubtotal);
+    } else if (promo.discount_type === 'free_shipping') {
+        discount = shippingCost;
+    } else if (promo.discount_type === 'buy_x_get_y') {
+        // Every (buy + free) magnets, the free ones are the cheapest in the cart
+        const eligibleQuantity = eligibleLines.reduce((sum, line) => sum + line.quantity, 0);
+        const freeMagnets = Math.floor(eligibleQuantity / (promo.buy_quantity + promo.free_quantity)) * promo.free_quantity;
+        const cheapestUnitPrice = Math.min(...eligibleLines.map(line => line.unitPrice));
+        discount = freeMagnets > 0 ? freeMagnets * cheapestUnitPrice : 0;
+    }
+
+    return Math.min(discount, subtotal + shippingCost);
+}
+
+// One-line summary of a promo code's discount, e.g. for printed cards
+function formatPromoDiscount(promo) {
+    switch (promo.discount_type) {
+        case 'percentage': return `${promo.discount_value}% off`;
+        case 'fixed': return `${formatCents(promo.discount_value)} off`;
+        case 'free_shipping': return 'Free shipping';
+        case 'buy_x_get_y': return `Buy ${promo.buy_quantity} get ${promo.free_quantity} free`;
+        default: return promo.discount_type;
+    }
+}
+
+// How a promo code is shown to customers in quotes
+function describePromo(promo) {
+    return {
+        code: promo.code,
+        discountType: promo.discount_type,
+        discountValue: promo.discount_value,
+        buyQuantity: promo.buy_quantity,
+        freeQuantity: promo.free_quantity,
+        description: promo.description
+    };
+}
+
+// Hold the promo code for a pending order. Returns an error message if the code
+// can no longer be used (e.g. someone else took its last use).
+async function reservePromoCode({ promoCodeId, orderId, customerId, subtotal, discountAmount }) {
+    const { data: reason, error } = await supabaseAdmin.rpc('reserve_promo_code', {
+        p_promo_code_id: promoCodeId,
+        p_order_id: orderId,
+        p_customer_id: customerId,
+        p_subtotal: subtotal,
+        p_discount: discountAmount
+    });
+    if (error) throw error;
+
+    if (!reason) {
+        await extendPromoCodeReservation(orderId);
+        return null;
+    }
+
+    const { data: promo } = await supabaseAdmin
+        .from('promo_codes')
+        .select('min_order_amount')
+        .eq('id', promoCodeId)
+        .single();
+
+    return describePromoCodeError(reason, promo || {});
+}
+
+// Keep an order's promo code held for as long as the order can still be paid:
+// pending_order_expiry_hours from now, its latest activity
+async function extendPromoCodeReservation(orderId) {
+    const settings = await getAppSettings();
+    const { error } = await supabaseAdmin
+        .from('promo_code_reservations')
+        .update({ expires_at: new Date(Date.now() + settings.pending_order_expiry_hours * 60 * 60 * 1000).toISOString() })
+        .eq('order_id', orderId);
+    if (error) throw error;
+}
+
+async function confirmPromoCode(orderId) {
+    const { error } = await supabaseAdmin.rpc('confirm_promo_code', { p_order_id: orderId });
+    if (error) throw error;
+}
+
+async function releasePromoCode(orderId) {
+    const { error } = await supabaseAdmin.rpc('release_promo_code', { p_order_id: orderId });
+    if (error) throw error;
+}
+
+// =============================================================================
+// AUTOMATIC DISCOUNTS
+// =============================================================================
+// Discounts that apply without a code while they're running, e.g. "10% off
+// Mother's Day week" or "free shipping on 12+ magnets". They use the promo code
+// rule columns, conditions and discount maths.
+
+// The running automatic discount that saves this cart the most.
+// Returns { discount, amount }, or null if none apply.
+async function findAutomaticDiscount({ lines, subtotal, shippingCost, state }) {
+    const now = new Date().toISOString();
+    const { data: discounts, error } = await supabaseAdmin
+        .from('automatic_discounts')
+        .select('*')
+        .eq('is_active', true)
+        .lte('starts_at', now)
+        .or(`ends_at.is.null,ends_at.gt.${now}`);
+
+    if (error) throw error;
+
+    let best = null;
+    for (const discount of discounts) {
+        if (subtotal < (discount.min_order_amount || 0)) continue;
+        if (await checkPromoConditions(discount, { lines, state, customerId: null })) continue;
+
+        const amount = calculatePromoDiscount(discount, { lines, subtotal, shippingCost });
+        if (amount > 0 && (!best || amount > best.amount)) {
+            best = { discount, amount };
+        }
+    }
+
+    return best;
+}
+
+// How an automatic discount is shown to customers in quotes
+function describeAutomaticDiscount(discount) {
+    return {
+        name: discount.name,
+        discountType: discount.discount_type,
+        discountValue: discount.discount_value,
+        description: discount.description
+    };
+}
+
+// =============================================================================
+// QUOTE TOKENS
+// =============================================================================
+// A quote token is a signed snapshot of a priced cart. POST /api/orders honours
+// the quoted amounts while the token is valid, so the total shown on the review
+// screen is the total that gets stored and charged.
+
+const QUOTE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET;
+
+// Its own secret, so a leaked signing key never exposes the database key
+if (!QUOTE_SIGNING_SECRET) {
+    throw new Error('QUOTE_SIGNING_SECRET is required (any long random string)');
+}
+
+function normaliseQuoteCart(cart) {
+    return {
+        lines: normaliseCartLines(cart),
+        shippingType: cart.shippingType === 'pickup' ? 'pickup' : 'delivery',
+        shippingService: cart.shippingType === 'pickup' ? null : (cart.shippingService || null),
+        state: cart.shippingType === 'pickup' ? null : (cart.state || cart.shippingAddress?.state || null),
+        postcode: cart.shippingType === 'pickup' ? null : (cart.postcode || cart.shippingAddress?.postcode || null),
+        promoCode: cart.promoCode ? cart.promoCode.toUpperCase() : null,
+        giftCardCode: cart.giftCardCode ? normaliseGiftCardCode(cart.giftCardCode) : null
+    };
+}
+
+function signQuote(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', QUOTE_SIGNING_SECRET).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+// Returns the quote payload, or null if the token is forged or expired
+function verifyQuoteToken(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [body, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', QUOTE_SIGNING_SECRET).update(body).digest('base64url');
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+        if (!payload.expiresAt || payload.expiresAt < Date.now()) return null;
+        return payload;
+    } catch (err) {
+        return null;
+    }
+}
+
+function quoteMatchesCart(quote, cart) {
+    const a = quote.cart;
+    const b = normaliseQuoteCart(cart);
+
+    // Lines without a variant were quoted at the default variant
+    const linesMatch = a.lines.length === b.lines.length && a.lines.every((line, i) =>
+        line.productType === b.lines[i].productType &&
+        line.variant === (b.lines[i].variant || line.variant) &&
+        line.quantity === b.lines[i].quantity
+    );
+
+    // A cart without a chosen service was quoted at the default service
+    return linesMatch &&
+        a.shippingType === b.shippingType &&
+        a.shippingService === (b.shippingService || a.shippingService) &&
+        a.state === b.state &&
+        a.postcode === b.postcode &&
+        a.promoCode === b.promoCode &&
+        a.giftCardCode === b.giftCardCode;
+}
+
+// =============================================================================
+// RESUME AND REORDER LINKS
+// =============================================================================
+// A resume link takes a customer back to an unpaid order so they can pay for
+// it without uploading their photos again; it stops working once the order is
+// no longer pending. A reorder link starts a new order from a paid one, with
+// the same details and photos. Both tokens are the order id and an expiry,
+// signed with the quote secret for their purpose so one can't be used as the
+// other (or as a quote token).
+
+// Unpaid orders can be kept for up to 30 days (pending_order_expiry_hours)
+const RESUME_LINK_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Long enough to finish the new order, including its checkout
+const REORDER_LINK_TTL_MS = 24 * 60 * 60 * 1000;
+
+function signOrderToken(purpose, orderId, ttlMs) {
+    const body = Buffer.from(JSON.stringify({ orderId, expiresAt: Date.now() + ttlMs })).toString('base64url');
+    const signature = crypto.createHmac('sha256', QUOTE_SIGNING_SECRET).update(`${purpose}:${body}`).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+// Returns the order id, or null if the token is forged or expired
+function verifyOrderToken(purpose, token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [body, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', QUOTE_SIGNING_SECRET).update(`${purpose}:${body}`).digest('base64url');
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+        if (!payload.expiresAt || payload.expiresAt < Date.now()) return null;
+        return payload.orderId || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function signResumeToken(orderId) {
+    return signOrderToken('resume', orderId, RESUME_LINK_TTL_MS);
+}
+
+function verifyResumeToken(token) {
+    return verifyOrderToken('resume', token);
+}
+
+function getResumeUrl(orderId) {
+    return `${process.env.SITE_URL}/?resume=${signResumeToken(orderId)}`;
+}
+
+// =============================================================================
+// STRIPE WEBHOOK (must be before express.json())
+// =============================================================================
+
+app.post('/api/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    let event;
+    try {
+        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    } catch (err) {
+        console.error('Webhook signature verification failed:', err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    // Store the event first. Stripe may deliver it more than once (or twice
+    // at the same time), and the stored row decides who processes it.
+    const { error: storeError } = await supabaseAdmin
+        .from('webhook_events')
+        .upsert({
+            id: event.id,
+            type: event.type,
+            payload: event,
+            status: STRIPE_WEBHOOK_HANDLERS[event.type] ? 'pending' : 'ignored'
+        }, { onConflict: 'id', ignoreDuplicates: true });
+
+    if (storeError) {
+        console.error('Webhook store error:', storeError);
+        return res.status(500).json({ error: 'Processing failed' });
+    }
+
+    try {
+        const status = await processWebhookEvent(event.id);
+        if (status === 'failed') {
+            return res.status(500).json({ error: 'Processing failed' });
+        }
+    } catch (err) {
+        console.error('Webhook claim error:', err);
+        return res.status(500).json({ error: 'Processing failed' });
+    }
+
+    res.json({ received: true });
+});
+
+// Process a stored webhook event, unless it has been already or is in progress.
+// Returns the event's new status, or null if it wasn't ours to process.
+async function processWebhookEvent(eventId) {
+    const { data: claimed, error } = await supabaseAdmin.rpc('claim_webhook_event', { p_event_id: eventId });
+    if (error) throw error;
+
+    const event = claimed?.[0];
+    if (!event) return null;
+
+    const handler = STRIPE_WEBHOOK_HANDLERS[event.type];
+    let update;
+    try {
+        if (handler) await handler(event.payload.data.object);
+        update = { status: 'processed', last_error: null, processed_at: new Date().toISOString() };
+    } catch (err) {
+        console.error(`Webhook ${event.type} error:`, err);
+        update = { status: 'failed', last_error: err.message || String(err) };
+    }
+
+    await supabaseAdmin
+        .from('webhook_events')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('id', eventId);
+
+    return update.status;
+}
+
+async function handleCheckoutSessionCompleted(session) {
+    if (session.metadata?.giftCardId) {
+        await activateGiftCard(session);
+        return;
+    }
+
+    const orderId = session.metadata?.orderId;
+    const orderNumber = session.metadata?.orderNumber;
+
+    if (!orderId) {
+        console.error('No orderId in webhook metadata');
+        return;
+    }
+
+    console.log(`Payment received for order ${orderNumber}`);
+
+    const processed = await markOrderPaid(orderId, {
+        paymentIntentId: session.payment_intent,
+        checkoutSessionId: session.id
+    });
+
+    if (!processed) {
+        console.log(`Order ${orderNumber} already processed, skipping`);
+        await refundUnusedCheckoutPayment(orderId, session);
+        return;
+    }
+
+    console.log(`Order ${orderNumber} marked as paid, notifications sent`);
+}
+
+// A checkout paid after the order was already paid some other way (an older
+// session, a gift card, the shop), or after it expired, didn't pay for
+// anything, so the money goes back.
+async function refundUnusedCheckoutPayment(orderId, session) {
+    if (!session.payment_intent || session.payment_status !== 'paid') return;
+
+    const { data: order } = await supabaseAdmin
+        .from('orders')
+        .select('id, order_number, status, stripe_payment_intent_id')
+        .eq('id', orderId)
+        .single();
+
+    if (!order || order.stripe_payment_intent_id === session.payment_intent) return;
+
+    await stripe.refunds.create({
+        payment_intent: session.payment_intent,
+        reason: 'duplicate',
+        metadata: { orderId: order.id, orderNumber: order.order_number, checkoutSessionId: session.id }
+    }, {
+        idempotencyKey: `unused-checkout-${session.id}`
+    });
+
+    console.log(`Refunded unused checkout ${session.id} for order ${order.order_number}`);
+    await recordOrderStatus(order.id, order.status, order.status, {
+        changedByName: 'Stripe',
+        note: `Refunded ${formatCents(session.amount_total)} paid through another checkout for this order`
+    });
+}
+
+// The customer left Stripe Checkout open until it timed out. The order expires
+// unless we've emailed (or are about to email) a link that starts a new checkout.
+async function handleCheckoutSessionExpired(session) {
+    const orderId = session.metadata?.orderId;
+    if (!orderId) return;
+
+    const { data: order } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .eq('id', orderId)
+        .single();
+
+    // A newer checkout for the order may still be open
+    if (!order || !UNPAID_STATUSES.includes(order.status) || order.stripe_checkout_session_id !== session.id) return;
+
+    const settings = await getAppSettings();
+    const reminderDue = settings.notify_recovery && order.customer_email && !order.recovery_email_sent_at;
+
+    if (order.status === 'payment_failed' || reminderDue) {
+        await recordOrderStatus(order.id, order.status, order.status, {
+            changedByName: 'Stripe',
+            note: 'Checkout expired without payment - kept open for the link emailed to the customer'
+        });
+        return;
+    }
+
+    const expired = await transitionOrderStatus(order, 'expired', {
+        changedByName: 'Stripe',
+        note: 'Checkout expired without payment'
+    });
+
+    if (expired) {
+        await releaseOrderHolds(expired);
+    }
+}
+
+// A card was declined. The customer can try again in the same checkout, so
+// only the first failure changes the status and emails them a retry link.
+async function handlePaymentFailed(paymentIntent) {
+    const orderId = paymentIntent.metadata?.orderId;
+    if (!orderId) return;
+
+    const { data: order } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .eq('id', orderId)
+        .single();
+
+    if (!order) return;
+
+    const reason = paymentIntent.last_payment_error?.message;
+    const note = `Card payment failed${reason ? `: ${reason}` : ''}`;
+
+    if (order.status === 'payment_failed') {
+        await recordOrderStatus(order.id, order.status, order.status, { changedByName: 'Stripe', note });
+        return;
+    }
+
+    if (order.status !== 'pending') return;
+
+    const updated = await transitionOrderStatus(order, 'payment_failed', { changedByName: 'Stripe', note });
+    if (updated) {
+        await sendOrderStatusEmail(updated, 'payment_failed');
+    }
+}
+
+async function findOrderByPaymentIntent(paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    const { data: order } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .eq('stripe_payment_intent_id', paymentIntentId)
+        .maybeSingle();
+
+    return order;
+}
+
+// Record refunds made in the Stripe dashboard (and any refund from the admin
+// dashboard that didn't get recorded). Refunds already recorded are skipped.
+async function handleChargeRefunded(charge) {
+    const order = await findOrderByPaymentIntent(charge.payment_intent);
+    if (!order) return;
+
+    const refunds = await stripe.refunds.list({ payment_intent: charge.payment_intent, limit: 100 });
+
+    for (const stripeRefund of refunds.data) {
+        if (stripeRefund.status === 'failed' || stripeRefund.status === 'canceled') continue;
+
+        await recordRefund(order, {
+            amount: stripeRefund.amount,
+            reason: stripeRefund.metadata?.reason || 'Refunded in Stripe',
+            stripeRefund,
+            refundedBy: stripeRefund.metadata?.refundedBy || null,
+            refundedByName: stripeRefund.metadata?.refundedByName || 'Stripe'
+        });
+    }
+}
+
+// The customer asked their bank to reverse the payment. Flag the order and
+// tell the shop, as Stripe only allows a few days to respond.
+async function handleDisputeCreated(dispute) {
+    const order = await findOrderByPaymentIntent(dispute.payment_intent);
+    if (!order || order.status === 'disputed') return;
+
+    const reason = dispute.reason.replace(/_/g, ' ');
+    const updated = await transitionOrderStatus(order, 'disputed', {
+        changedByName: 'Stripe',
+        note: `Customer disputed ${formatCents(dispute.amount)} (${reason})`,
+        updates: { stripe_dispute_id: dispute.id }
+    });
+
+    if (!updated) return;
+
+    const dueBy = dispute.evidence_details?.due_by
+        ? new Date(dispute.evidence_details.due_by * 1000).toLocaleDateString('en-AU', { timeZone: 'Australia/Sydney', day: 'numeric', month: 'long' })
+        : null;
+
+    await sendAdminNotification(updated, {
+        subject: `Payment disputed: ${updated.order_number}`,
+        message: `${updated.customer_name} has disputed ${formatCents(dispute.amount)} on order ${updated.order_number} (${reason}).\nRespond with evidence in the Stripe dashboard${dueBy ? ` by ${dueBy}` : ''}.`
+    });
+}
+
+// The Stripe events we act on. A handler throws if Stripe should retry.
+const STRIPE_WEBHOOK_HANDLERS = {
+    'checkout.session.completed': handleCheckoutSessionCompleted,
+    'checkout.session.expired': handleCheckoutSessionExpired,
+    'payment_intent.payment_failed': handlePaymentFailed,
+    'charge.refunded': handleChargeRefunded,
+    'charge.dispute.created': handleDisputeCreated
+};
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+app.use(helmet({
+    contentSecurityPolicy: false
+}));
+
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Rate limiting
+const apiLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 60,
+    message: { error: 'Too many requests, please try again later.' }
+});
+app.use('/api/', apiLimiter);
+
+// Stricter limit for routes that create an order or a Stripe Checkout session
+const checkoutLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20,
+    message: { error: 'Too many orders, please try again later.' }
+});
+
+// Multer for file uploads
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/heic'];
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Please upload JPG, PNG, or WebP.'));
+        }
+    }
+});
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+// Letters and digits that can't be misread for each other (no 0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Random code for gift cards and promo campaigns
+function generateRandomCode(length) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Quote a value for a CSV cell
+function toCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Admin roles, lowest to highest
+const ADMIN_ROLE_LEVELS = { moderator: 1, admin: 2, super_admin: 3, owner: 4 };
+
+function hasAdminRole(admin, requiredRole) {
+    return (ADMIN_ROLE_LEVELS[admin.role] || 0) >= (ADMIN_ROLE_LEVELS[requiredRole] || ADMIN_ROLE_LEVELS.admin);
+}
+
+// Verify admin status
+async function verifyAdmin(req, requiredRole = 'admin') {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    try {
+        const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+        if (error || !user) return null;
+
+        // Check if owner
+        if (OWNER_EMAILS.includes(user.email?.toLowerCase())) {
+            return { userId: user.id, email: user.email, role: 'owner' };
+        }
+
+        // Check admin table
+        const { data: admin } = await supabaseAdmin
+            .from('admins')
+            .select('role')
+            .eq('user_id', user.id)
+            .single();
+
+        if (!admin) return null;
+
+        if (hasAdminRole(admin, requiredRole)) {
+            return { userId: user.id, email: user.email, role: admin.role };
+        }
+
+        return null;
+    } catch (err) {
+        console.error('Admin verification error:', err);
+        return null;
+    }
+}
+
+// Verify a signed-in customer (Supabase session token)
+async function verifyCustomer(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return null;
+    }
+
+    try {
+        const { data: { user }, error } = await supabaseAdmin.auth.getUser(authHeader.split(' ')[1]);
+        if (error || !user) return null;
+        return { userId: user.id, email: user.email };
+    } catch (err) {
+        console.error('Customer verification error:', err);
+        return null;
+    }
+}
+
+// Customers can access their own order documents either signed in with the
+// order's email, or by quoting the order's email alongside the order number
+async function verifyOrderAccess(req, order) {
+    if (!order.customer_email) return false;
+    const orderEmail = order.customer_email.toLowerCase();
+
+    const customer = await verifyCustomer(req);
+    if (customer?.email?.toLowerCase() === orderEmail) return true;
+
+    const email = typeof req.query.email === 'string' ? req.query.email.trim().toLowerCase() : '';
+    return email !== '' && email === orderEmail;
+}
+
+// Log admin actions
+async function logAdminAction(adminId, action, targetType, targetId, details = {}) {
+    try {
+        await supabaseAdmin.from('admin_logs').insert({
+            admin_id: adminId,
+            action,
+            target_type: targetType,
+            target_id: targetId,
+            details
+        });
+    } catch (err) {
+        console.error('Failed to log admin action:', err);
+    }
+}
+
+// Find the customer by phone (updating their details) or create them.
+// Returns the customer id, or null if the insert failed.
+async function findOrCreateCustomer({ customerName, customerPhone, customerEmail, shippingAddress }) {
+    const { data: existingCustomer } = await supabaseAdmin
+        .from('customers')
+        .select('id')
+        .eq('phone', customerPhone)
+        .single();
+
+    if (existingCustomer) {
+        await supabaseAdmin
+            .from('customers')
+            .update({
+                name: customerName,
+                email: customerEmail,
+                default_address_line1: shippingAddress?.line1,
+                default_address_line2: shippingAddress?.line2,
+                default_city: shippingAddress?.city,
+                default_state: shippingAddress?.state,
+                default_postcode: shippingAddress?.postcode,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', existingCustomer.id);
+        return existingCustomer.id;
+    }
+
+    const { data: newCustomer } = await supabaseAdmin
+        .from('customers')
+        .insert({
+            name: customerName,
+            phone: customerPhone,
+            email: customerEmail,
+            default_address_line1: shippingAddress?.line1,
+            default_address_line2: shippingAddress?.line2,
+            default_city: shippingAddress?.city,
+            default_state: shippingAddress?.state,
+            default_postcode: shippingAddress?.postcode
+        })
+        .select('id')
+        .single();
+    return newCustomer?.id || null;
+}
+
+// =============================================================================
+// ORDER STATUS
+// =============================================================================
+// Orders move through a fixed set of statuses. Every move is checked against
+// ORDER_STATUS_TRANSITIONS and recorded in order_status_history.
+
+// Where an order can go from each status, and the least admin role that can
+// move it there. Stripe moves orders from pending to paid (see markOrderPaid);
+// marking one paid by hand is for payments taken some other way. Going back a
+// step or cancelling an order that has been paid is for super admins. Unpaid
+// orders are moved to expired by the expire-orders job, and paid orders to
+// refunded or partially_refunded by a refund (see recordRefund), never by hand.
+// Stripe webhooks also move orders to payment_failed and disputed. Partly
+// refunded and disputed orders can carry on being made.
+const ORDER_STATUS_TRANSITIONS = {
+    pending: { paid: 'super_admin', cancelled: 'admin' },
+    payment_failed: { paid: 'super_admin', cancelled: 'admin' },
+    paid: { printing: 'admin', cancelled: 'super_admin' },
+    printing: { shipped: 'admin', ready_pickup: 'admin', paid: 'super_admin', cancelled: 'super_admin' },
+    shipped: { completed: 'admin', printing: 'super_admin' },
+    ready_pickup: { completed: 'admin', printing: 'super_admin' },
+    completed: { archived: 'admin' },
+    cancelled: { archived: 'admin' },
+    expired: { archived: 'admin' },
+    partially_refunded: { printing: 'admin', shipped: 'admin', ready_pickup: 'admin', completed: 'admin', cancelled: 'super_admin', archived: 'admin' },
+    refunded: { archived: 'admin' },
+    disputed: { printing: 'admin', shipped: 'admin', ready_pickup: 'admin', completed: 'admin', cancelled: 'super_admin', archived: 'admin' },
+    archived: { completed: 'admin', cancelled: 'admin', expired: 'admin', partially_refunded: 'admin', refunded: 'admin', disputed: 'admin' }
+};
+
+// Orders still waiting to be paid for
+const UNPAID_STATUSES = ['pending', 'payment_failed'];
+
+// Stamped the first time an order reaches the status
+const ORDER_STATUS_TIMESTAMPS = {
+    paid: 'paid_at',
+    printing: 'printed_at',
+    shipped: 'shipped_at',
+    ready_pickup: 'shipped_at',
+    completed: 'completed_at',
+    expired: 'expired_at',
+    disputed: 'disputed_at'
+};
+
+// Returns an error message if the admin can't move the order to this status
+function getOrderTransitionError(order, toStatus, admin) {
+    const requiredRole = ORDER_STATUS_TRANSITIONS[order.status]?.[toStatus];
+    if (!requiredRole) {
+        return `An order can't go from ${order.status} to ${toStatus}`;
+    }
+    if (!hasAdminRole(admin, requiredRole)) {
+        return `Only a ${requiredRole.replace('_', ' ')} can move an order from ${order.status} to ${toStatus}`;
+    }
+    if (toStatus === 'shipped' && order.shipping_type === 'pickup') {
+        return 'Pickup orders are marked ready for pickup, not shipped';
+    }
+    if (toStatus === 'ready_pickup' && order.shipping_type !== 'pickup') {
+        return 'Only pickup orders can be ready for pickup';
+    }
+    return null;
+}
+
+// The statuses this admin can move the order to
+function getAllowedOrderTransitions(order, admin) {
+    return Object.keys(ORDER_STATUS_TRANSITIONS[order.status] || {})
+        .filter(status => !getOrderTransitionError(order, status, admin));
+}
+
+async function recordOrderStatus(orderId, fromStatus, toStatus, { changedBy = null, changedByName = null, note = null } = {}) {
+    try {
+        await supabaseAdmin.from('order_status_history').insert({
+            order_id: orderId,
+            from_status: fromStatus,
+            to_status: toStatus,
+            changed_by: changedBy,
+            changed_by_name: changedByName,
+            note
+        });
+    } catch (err) {
+        console.error('Failed to record order status:', err);
+    }
+}
+
+// Move an order on from the status it was read in. The update only applies if
+// the order is still in that status, so two changes can't race each other.
+// Returns the updated order, or null if its status had already changed.
+async function transitionOrderStatus(order, toStatus, { changedBy = null, changedByName = null, note = null, updates = {} } = {}) {
+    const now = new Date().toISOString();
+    const timestampColumn = ORDER_STATUS_TIMESTAMPS[toStatus];
+
+    const { data: updated } = await supabaseAdmin
+        .from('orders')
+        .update({
+            ...updates,
+            ...(timestampColumn && !order[timestampColumn] ? { [timestampColumn]: now } : {}),
+            status: toStatus,
+            updated_at: now
+        })
+        .eq('id', order.id)
+        .eq('status', order.status)
+        .select()
+        .single();
+
+    if (!updated) return null;
+
+    await recordOrderStatus(order.id, order.status, toStatus, { changedBy, changedByName, note });
+    return updated;
+}
+
+// Give back everything an order was holding when it's cancelled or expires
+async function releaseOrderHolds(order) {
+    // A pickup order frees its place in the slot
+    if (order.pickup_slot_id) {
+        await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: order.pickup_slot_id });
+    }
+
+    // ...and puts any gift card balance it used back on the card
+    if (order.gift_card_id) {
+        await supabaseAdmin.rpc('release_gift_card_redemptions', { p_order_id: order.id });
+    }
+
+    // An unpaid order gives up its promo code (paid uses stay recorded)
+    if (order.promo_code_id) {
+        await releasePromoCode(order.id);
+    }
+
+    // ...and an unpaid referral, so the friend can use it on another order
+    await releaseReferral(order.id);
+}
+
+// Delete an order's uploaded photos, including any uploaded without an
+// order_items row (e.g. the customer left part way through). Returns how many
+// files were removed.
+async function deleteOrderPhotos(orderId) {
+    const [{ data: items }, { data: files }] = await Promise.all([
+        supabaseAdmin.from('order_items').select('original_file_path').eq('order_id', orderId),
+        supabaseAdmin.storage.from('order-photos').list(`orders/${orderId}`, { limit: 1000 })
+    ]);
+
+    const filePaths = [...new Set([
+        ...(items || []).map(item => item.original_file_path),
+        ...(files || []).map(file => `orders/${orderId}/${file.name}`)
+    ])];
+
+    if (filePaths.length > 0) {
+        const { error } = await supabaseAdmin.storage.from('order-photos').remove(filePaths);
+        if (error) throw error;
+    }
+
+    await supabaseAdmin
+        .from('order_items')
+        .delete()
+        .eq('order_id', orderId);
+
+    return filePaths.length;
+}
+
+// Mark an unpaid order as paid, then issue its invoice and send notifications.
+// Returns the paid order, or null if it was already processed.
+//
+// The status change and customer stats are made together in the database. If
+// a replayed webhook finds the order paid but never confirmed (the first
+// attempt failed part way), it finishes the remaining steps, which are all
+// safe to repeat. The confirmation emails are claimed so they only go once.
+async function markOrderPaid(orderId, { paymentIntentId = null, checkoutSessionId = null, changedBy = null, changedByName = 'Stripe', note = null } = {}) {
+    const { data: existingOrder } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .eq('id', orderId)
+        .single();
+
+    if (!existingOrder) return null;
+
+    let order;
+    if (UNPAID_STATUSES.includes(existingOrder.status)) {
+        const { data: paid, error } = await supabaseAdmin.rpc('mark_order_paid', {
+            p_order_id: orderId,
+            p_payment_intent_id: paymentIntentId,
+            p_checkout_session_id: checkoutSessionId
+        });
+        if (error) throw error;
+
+        order = paid?.[0];
+        if (!order) return null;
+
+        await recordOrderStatus(order.id, existingOrder.status, 'paid', { changedBy, changedByName, note });
+    } else if (existingOrder.status === 'paid' && !existingOrder.payment_confirmed_at) {
+        order = existingOrder;
+    } else {
+        return null;
+    }
+
+    // Record the promo code use now that it's been paid for
+    if (order.promo_code_id) {
+        await confirmPromoCode(order.id);
+    }
+
+    // A friend's first order earns the referrer their credit
+    await rewardReferral(order);
+
+    // Issue tax invoice
+    const invoice = await issueInvoice(order);
+
+    // Send notifications, unless an earlier attempt already has
+    const { data: confirmed } = await supabaseAdmin
+        .from('orders')
+        .update({ payment_confirmed_at: new Date().toISOString() })
+        .eq('id', order.id)
+        .is('payment_confirmed_at', null)
+        .select('id');
+
+    if (confirmed?.length) {
+        await sendOrderConfirmationEmail(order, invoice);
+        await sendAdminNotification(order);
+    }
+
+    return order;
+}
+
+// Statuses a paid order can be refunded from (archived orders are restored first)
+const REFUNDABLE_STATUSES = ['paid', 'printing', 'shipped', 'ready_pickup', 'completed', 'cancelled', 'partially_refunded'];
+
+// What's left to refund. Gift card and store credit amounts weren't paid
+// through Stripe, so only the card payment can go back.
+function getRefundableAmount(order) {
+    if (!order.stripe_payment_intent_id || !REFUNDABLE_STATUSES.includes(order.status)) return 0;
+    return Math.max(order.total - (order.gift_card_amount || 0) - (order.refunded_amount || 0), 0);
+}
+
+// Record a Stripe refund against its order: store it, take it off the
+// customer's spend, move the order to refunded or partially_refunded and email
+// the customer. Returns the updated order, or null if it was already recorded.
+async function recordRefund(order, { amount, reason = null, stripeRefund, refundedBy = null, refundedByName = null }) {
+    const { data: refunded, error } = await supabaseAdmin.rpc('record_order_refund', {
+        p_order_id: order.id,
+        p_amount: amount,
+        p_reason: reason,
+        p_stripe_refund_id: stripeRefund.id,
+        p_refund_status: stripeRefund.status,
+        p_refunded_by: refundedBy,
+        p_refunded_by_name: refundedByName,
+        p_note: `Refunded ${formatCents(amount)}${reason ? `: ${reason}` : ''}`
+    });
+
+    if (error) throw error;
+
+    const updated = refunded?.[0];
+    if (!updated) return null;
+
+    await sendRefundEmail(updated);
+
+    return updated;
+}
+
+// Generate order number
+async function generateOrderNumber() {
+    const { data, error } = await supabaseAdmin.rpc('generate_order_number');
+    if (error) {
+        // Fallback
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+        return `HS-${date}-${random}`;
+    }
+    return data;
+}
+
+// Get an order's lines. Orders placed before multi-line carts have no
+// order_lines rows, so their single product is returned as one line.
+async function getOrderLines(order) {
+    const { data: lines } = await supabaseAdmin
+        .from('order_lines')
+        .select('*')
+        .eq('order_id', order.id)
+        .order('position');
+
+    if (lines && lines.length > 0) return lines;
+
+    return [{
+        id: null,
+        order_id: order.id,
+        position: 0,
+        product_type: order.product_type,
+        variant: order.variant,
+        quantity: order.quantity,
+        unit_price: Math.round(order.subtotal / order.quantity),
+        subtotal: order.subtotal
+    }];
+}
+
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
+// Emails, push notifications and texts go into the notifications table (the
+// outbox) and are delivered by a worker, so a slow or failing provider never
+// holds up a request. Failed deliveries are retried with backoff; what
+// happened to each one shows in the order's delivery log.
+
+// Minutes to wait before each retry. A notification that still fails after
+// the last one is marked failed (admins can retry it from the order).
+const NOTIFICATION_RETRY_MINUTES = [1, 5, 30, 120, 720];
+
+// How many notifications the worker delivers per run, and how often the
+// running server checks for due ones (cron does the same on serverless)
+const NOTIFICATION_BATCH_SIZE = 20;
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+let smtpTransport = null;
+
+async function sendWithResend(notification, attachments) {
+    const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            from: EMAIL_FROM,
+            to: notification.recipient,
+            subject: notification.subject,
+            html: notification.body,
+            attachments: attachments.map(a => ({ filename: a.filename, content: a.content.toString('base64') }))
+        })
+    });
+
+    if (!response.ok) throw new Error(`Resend returned ${response.status}: ${await response.text()}`);
+    return (await response.json()).id;
+}
+
+async function sendWithSmtp(notification, attachments) {
+    if (!smtpTransport) {
+        smtpTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_PORT === '465',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+
+    const info = await smtpTransport.sendMail({
+        from: EMAIL_FROM,
+        to: notification.recipient,
+        subject: notification.subject,
+        html: notification.body,
+        attachments
+    });
+    return info.messageId;
+}
+
+async function sendWithNtfy(notification) {
+    const response = await fetch(`https://ntfy.sh/${process.env.NTFY_TOPIC}`, {
+        method: 'POST',
+        headers: {
+            'Title': notification.subject || '',
+            ...(notification.options.priority ? { 'Priority': notification.options.priority } : {}),
+            ...(notification.options.tags ? { 'Tags': notification.options.tags } : {})
+        },
+        body: notification.body
+    });
+
+    if (!response.ok) throw new Error(`ntfy returned ${response.status}`);
+    return (await response.json()).id;
+}
+
+async function sendWithTwilio(notification) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Basic ${Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ From: process.env.TWILIO_FROM, To: notification.recipient, Body: notification.body })
+    });
+
+    if (!response.ok) throw new Error(`Twilio returned ${response.status}: ${await response.text()}`);
+    return (await response.json()).sid;
+}
+
+// For development: log the message, and write it to NOTIFICATION_LOG_DIR if set
+// (emails as .html files you can open in a browser)
+async function sendLocally(notification, attachments) {
+    console.log(`[${notification.channel}] to ${notification.recipient || 'shop'}: ${notification.subject || notification.body}`);
+
+    if (process.env.NOTIFICATION_LOG_DIR) {
+        await fs.promises.mkdir(process.env.NOTIFICATION_LOG_DIR, { recursive: true });
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${notification.channel}-${notification.id}`;
+        await fs.promises.writeFile(
+            path.join(process.env.NOTIFICATION_LOG_DIR, `${name}.${notification.channel === 'email' ? 'html' : 'txt'}`),
+            notification.channel === 'email' ? `<!-- To: ${notification.recipient} | ${notification.subject} -->\n${notification.body}` : notification.body
+        );
+        for (const attachment of attachments) {
+            await fs.promises.writeFile(path.join(process.env.NOTIFICATION_LOG_DIR, `${name}-${attachment.filename}`), attachment.content);
+        }
+    }
+    return null;
+}
+
+// Providers by name. A provider with a channel only delivers that channel.
+const NOTIFICATION_PROVIDERS = {
+    resend: { channel: 'email', send: sendWithResend },
+    smtp: { channel: 'email', send: sendWithSmtp },
+    ntfy: { channel: 'push', send: sendWithNtfy },
+    twilio: { channel: 'sms', send: sendWithTwilio },
+    local: { channel: null, send: sendLocally }
+};
+
+// The provider a channel is delivered with: EMAIL_PROVIDER, PUSH_PROVIDER or
+// SMS_PROVIDER if set, otherwise whichever is configured. In development
+// messages are delivered locally. Null means the channel is switched off.
+function getNotificationProvider(channel) {
+    const configured = process.env[`${channel.toUpperCase()}_PROVIDER`];
+    if (configured) return configured;
+
+    if (channel === 'email' && process.env.RESEND_API_KEY) return 'resend';
+    if (channel === 'email' && process.env.SMTP_HOST) return 'smtp';
+    if (channel === 'push' && process.env.NTFY_TOPIC) return 'ntfy';
+    if (channel === 'sms' && process.env.TWILIO_ACCOUNT_SID) return 'twilio';
+    if (process.env.NODE_ENV === 'development') return 'local';
+    return null;
+}
+
+// Send straight away through the channel's provider, skipping the outbox.
+// Returns the provider and its message id; throws if delivery fails.
+async function sendNotificationNow(notification) {
+    const providerName = getNotificationProvider(notification.channel);
+    const provider = NOTIFICATION_PROVIDERS[providerName];
+
+    if (!provider || (provider.channel && provider.channel !== notification.channel)) {
+        throw new Error(`No ${notification.channel} provider is set up`);
+    }
+
+    // The tax invoice is attached at delivery rather than stored in the outbox
+    const attachments = [];
+    if (notification.options?.invoice_id) {
+        const { data: invoice } = await supabaseAdmin
+            .from('invoices')
+            .select('*')
+            .eq('id', notification.options.invoice_id)
+            .single();
+
+        if (invoice) {
+            attachments.push({ filename: `${invoice.invoice_number}.pdf`, content: await generateInvoicePdf(invoice) });
+        }
+    }
+
+    const messageId = await provider.send({ ...notification, options: notification.options || {} }, attachments);
+    return { provider: providerName, messageId };
+}
+
+// Add a notification to the outbox and nudge the worker. Returns the queued
+// row, or null if nothing is set up to deliver that channel.
+async function queueNotification({ channel, recipient = null, subject = null, body, options = {}, orderId = null }) {
+    if (!getNotificationProvider(channel)) return null;
+    if (channel !== 'push' && !recipient) return null;
+
+    const { data: notification, error } = await supabaseAdmin
+        .from('notifications')
+        .insert({ channel, recipient, subject, body, options, order_id: orderId })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Failed to queue notification:', error);
+        return null;
+    }
+
+    deliverNotificationsSoon();
+    return notification;
+}
+
+// Deliver one claimed notification and record how it went
+async function deliverNotification(notification) {
+    try {
+        const { provider, messageId } = await sendNotificationNow(notification);
+
+        await supabaseAdmin
+            .from('notifications')
+            .update({
+                status: 'sent',
+                provider,
+                provider_message_id: messageId || null,
+                last_error: null,
+                sent_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', notification.id);
+
+        return true;
+    } catch (err) {
+        const retryMinutes = NOTIFICATION_RETRY_MINUTES[notification.attempts - 1];
+        console.error(`Notification ${notification.id} failed (attempt ${notification.attempts}):`, err.message);
+
+        await supabaseAdmin
+            .from('notifications')
+            .update({
+                status: retryMinutes ? 'pending' : 'failed',
+                provider: getNotificationProvider(notification.channel),
+                last_error: err.message.slice(0, 1000),
+                next_attempt_at: new Date(Date.now() + (retryMinutes || 0) * 60 * 1000).toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', notification.id);
+
+        return false;
+    }
+}
+
+// Deliver everything that's due (run by the worker and by cron)
+async function deliverDueNotifications() {
+    let sent = 0;
+    let failed = 0;
+
+    // Keep going while full batches come back, so a backlog clears in one run
+    for (;;) {
+        const { data: batch, error } = await supabaseAdmin.rpc('claim_notifications', { p_limit: NOTIFICATION_BATCH_SIZE });
+        if (error) throw error;
+
+        for (const notification of batch) {
+            if (await deliverNotification(notification)) sent++;
+            else failed++;
+        }
+
+        if (batch.length < NOTIFICATION_BATCH_SIZE) break;
+    }
+
+    return { sent, failed };
+}
+
+// Run the worker in the background unless it's already running
+let notificationWorkerRunning = false;
+
+function deliverNotificationsSoon() {
+    if (notificationWorkerRunning) return;
+    notificationWorkerRunning = true;
+
+    setImmediate(async () => {
+        try {
+            await deliverDueNotifications();
+        } catch (err) {
+            console.error('Notification worker error:', err);
+        } finally {
+            notificationWorkerRunning = false;
+        }
+    });
+}
+
+// =============================================================================
+// EMAILS
+// =============================================================================
+// Order emails are rendered from templates. The defaults below can be
+// reworded from the admin dashboard, which saves an override in
+// email_templates; deleting the override goes back to the default.
+
+// Carrier tracking pages, matched against the carrier name typed in by admins
+// (with spaces removed). Parcels with no carrier go with Australia Post.
+const CARRIER_TRACKING_URLS = [
+    { match: 'startrack', url: number => `https://startrack.com.au/track/details/${number}` },
+    { match: 'australiapost', url: number => `https://auspost.com.au/mypost/track/details/${number}` },
+    { match: 'auspost', url: number => `https://auspost.com.au/mypost/track/details/${number}` },
+    { match: 'aramex', url: number => `https://www.aramex.com.au/tools/track?l=${number}` },
+    { match: 'couriersplease', url: number => `https://www.couriersplease.com.au/tools-track/no/${number}` },
+    { match: 'sendle', url: number => `https://track.sendle.com/tracking?ref=${number}` },
+    { match: 'dhl', url: number => `https://www.dhl.com/au-en/home/tracking.html?tracking-id=${number}` }
+];
+
+function getCarrierTrackingUrl(carrier, trackingNumber) {
+    if (!trackingNumber) return null;
+
+    const name = (carrier || 'Australia Post').toLowerCase().replace(/\s+/g, '');
+    const found = CARRIER_TRACKING_URLS.find(c => name.includes(c.match));
+    return found ? found.url(encodeURIComponent(trackingNumber)) : null;
+}
+
+// Shared look for the default customer emails
+function customerEmailLayout(heading, content, footer = 'Questions? Reply to this email or call us at {{business.phone}}.') {
+    return `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h1 style="color: #e91e63;">${heading}</h1>
+${content}
+    <p style="color: #666; margin-top: 30px;">${footer}</p>
+
+    <p>- The {{business.name}} Team</p>
+</div>`;
+}
+
+function emailButton(url, label) {
+    return `<p><a href="${url}" style="display: inline-block; background: #e91e63; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">${label}</a></p>`;
+}
+
+// Each template is sent to the customer or to ADMIN_EMAIL. See
+// buildOrderEmailContext for the variables they can use.
+const DEFAULT_EMAIL_TEMPLATES = {
+    order_confirmation: {
+        name: 'Order Confirmation',
+        description: 'Sent when an order is paid, with the tax invoice attached',
+        recipient: 'customer',
+        subject: 'Order Confirmed: {{order.number}}',
+        html: customerEmailLayout('Thanks for your order, {{customer.name}}!', `
+    <p>We've received your order and are getting started on your custom magnets.</p>
+
+    <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Order Number:</strong> {{order.number}}</p>
+        {{#items}}<p>{{quantity}}x {{product_name}} - {{variant_name}}: {{subtotal}}</p>{{/items}}
+        {{#order.discount}}<p><strong>Discount:</strong> -{{order.discount}}</p>{{/order.discount}}
+        <p><strong>Total:</strong> {{order.total}} AUD</p>
+    </div>
+
+    ${emailButton('{{tracking_url}}', 'Track Your Order')}
+`)
+    },
+    order_printing: {
+        name: 'Order Printing',
+        description: 'Sent when an order starts printing',
+        recipient: 'customer',
+        subject: 'Now Printing: {{order.number}}',
+        html: customerEmailLayout('Your magnets are being printed, {{customer.name}}!', `
+    <p>We've started printing order {{order.number}}. We'll let you know as soon as it's {{#order.is_pickup}}ready to collect{{/order.is_pickup}}{{^order.is_pickup}}on its way{{/order.is_pickup}}.</p>
+
+    ${emailButton('{{tracking_url}}', 'Track Your Order')}
+`)
+    },
+    order_shipped: {
+        name: 'Order Shipped',
+        description: 'Sent when an order is shipped, with its tracking details',
+        recipient: 'customer',
+        subject: 'Shipped: {{order.number}}',
+        html: customerEmailLayout('Your magnets are on their way, {{customer.name}}!', `
+    <p>Order {{order.number}} has been shipped to {{order.shipping_city}}, {{order.shipping_state}}.</p>
+
+    {{#order.tracking_number}}
+    <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        {{#order.carrier}}<p><strong>Carrier:</strong> {{order.carrier}}</p>{{/order.carrier}}
+        <p><strong>Tracking number:</strong> {{order.tracking_number}}</p>
+    </div>
+    {{/order.tracking_number}}
+
+    {{#order.carrier_tracking_url}}${emailButton('{{order.carrier_tracking_url}}', 'Track Your Parcel')}{{/order.carrier_tracking_url}}
+    {{^order.carrier_tracking_url}}${emailButton('{{tracking_url}}', 'Track Your Order')}{{/order.carrier_tracking_url}}
+`)
+    },
+    order_ready_pickup: {
+        name: 'Ready for Pickup',
+        description: 'Sent when a pickup order is ready, with the location and opening hours',
+        recipient: 'customer',
+        subject: 'Ready for Pickup: {{order.number}}',
+        html: customerEmailLayout('Your magnets are ready, {{customer.name}}!', `
+    <p>Order {{order.number}} is ready to collect.</p>
+
+    <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Pickup from:</strong> {{pickup.name}}</p>
+        {{#pickup.address}}<p><strong>Address:</strong> {{pickup.address}}</p>{{/pickup.address}}
+        {{#pickup.slot}}<p><strong>Your pickup time:</strong> {{pickup.slot}}</p>{{/pickup.slot}}
+        {{#pickup.opening_hours}}<p><strong>Opening hours:</strong> {{pickup.opening_hours}}</p>{{/pickup.opening_hours}}
+        {{#pickup.instructions}}<p>{{pickup.instructions}}</p>{{/pickup.instructions}}
+    </div>
+
+    ${emailButton('{{tracking_url}}', 'View Your Order')}
+`, 'Can\'t make it? Reply to this email or call us at {{business.phone}}.')
+    },
+    order_completed: {
+        name: 'Order Completed',
+        description: 'Sent when an order is completed, asking for a review',
+        recipient: 'customer',
+        subject: 'Thanks for your order: {{order.number}}',
+        html: customerEmailLayout('We hope you love your magnets, {{customer.name}}!', `
+    <p>Order {{order.number}} is complete. Thank you for choosing {{business.name}}.</p>
+
+    {{#review_url}}
+    <p>If you have a minute, a review helps other people find us and means a lot to a small business.</p>
+    ${emailButton('{{review_url}}', 'Leave a Review')}
+    {{/review_url}}
+    {{^review_url}}<p>We'd love to hear what you think - just reply to this email.</p>{{/review_url}}
+`)
+    },
+    order_refunded: {
+        name: 'Order Refunded',
+        description: 'Sent when all or part of an order is refunded',
+        recipient: 'customer',
+        subject: 'Refund for order {{order.number}}',
+        html: customerEmailLayout('We\'ve refunded your order, {{customer.name}}', `
+    <p>{{#refund.is_full}}Order {{order.number}} has been refunded in full.{{/refund.is_full}}{{^refund.is_full}}We've refunded part of order {{order.number}}.{{/refund.is_full}}</p>
+    <p><strong>Refunded so far: {{refund.total}}</strong></p>
+    <p>The money goes back to the card you paid with and usually shows up within 5-10 business days.</p>
+    <p>If you have any questions, just reply to this email or call us on {{business.phone}}.</p>
+`)
+    },
+    order_payment_failed: {
+        name: 'Payment Failed',
+        description: 'Sent when the card payment for an order is declined, with a link to try again',
+        recipient: 'customer',
+        subject: 'Your payment didn\'t go through: {{order.number}}',
+        html: customerEmailLayout('Your payment didn\'t go through, {{customer.name}}', `
+    <p>We couldn't take payment for order {{order.number}}. Your photos are saved, so you can try again with the same card or a different one.</p>
+
+    ${emailButton('{{resume_url}}', 'Try Again')}
+
+    <p>If it keeps happening, your bank may be able to tell you why - or just reply to this email and we'll help.</p>
+`)
+    },
+    order_recovery: {
+        name: 'Payment Reminder',
+        description: 'Sent once when an order is left unpaid, with a link to finish paying',
+        recipient: 'customer',
+        subject: 'Your magnets are waiting: {{order.number}}',
+        html: customerEmailLayout('Still want your magnets, {{customer.name}}?', `
+    <p>Your photos are saved and order {{order.number}} is ready to go - it just hasn't been paid for yet.</p>
+
+    <ul>
+        {{#items}}<li>{{quantity}}x {{product_name}} - {{variant_name}}</li>{{/items}}
+    </ul>
+    <p><strong>Total: {{order.total}}</strong></p>
+
+    ${emailButton('{{resume_url}}', 'Finish Your Order')}
+
+    <p>Unpaid orders are cancelled after a couple of days. If something went wrong at checkout, just reply to this email and we'll help.</p>
+`)
+    },
+    admin_new_order: {
+        name: 'New Order (admin)',
+        description: 'Sent to the shop when an order is paid',
+        recipient: 'admin',
+        subject: 'New Order: {{order.number}} - {{order.total}}',
+        html: `<p><strong>New order {{order.number}}</strong> from {{customer.name}} ({{customer.email}}, {{customer.phone}})</p>
+<ul>
+    {{#items}}<li>{{quantity}}x {{product_name}} - {{variant_name}}: {{subtotal}}</li>{{/items}}
+</ul>
+<p>Total: {{order.total}}</p>
+<p>{{#order.is_pickup}}Pickup at {{pickup.name}}{{#pickup.slot}}, {{pickup.slot}}{{/pickup.slot}}{{/order.is_pickup}}{{^order.is_pickup}}Delivery to {{order.shipping_city}}, {{order.shipping_state}}{{/order.is_pickup}}</p>
+{{#order.notes}}<p>Notes: {{order.notes}}</p>{{/order.notes}}
+<p><a href="{{admin_url}}">View in Admin Dashboard</a></p>`
+    }
+};
+
+const TEMPLATE_TAG = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+// Parse a template into text and tags. Throws if a section isn't closed properly.
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(TEMPLATE_TAG)) {
+        const [tag, type, name] = match;
+        const parent = stack[stack.length - 1];
+        parent.children.push(template.slice(lastIndex, match.index));
+        lastIndex = match.index + tag.length;
+
+        if (type === '#' || type === '^') {
+            const section = { type, name, children: [] };
+            parent.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (parent.name !== name) throw new Error(`{{/${name}}} doesn't close an open section`);
+            stack.pop();
+        } else {
+            parent.children.push({ name });
+        }
+    }
+
+    if (stack.length > 1) throw new Error(`{{#${stack[stack.length - 1].name}}} is never closed`);
+
+    root.children.push(template.slice(lastIndex));
+    return root.children;
+}
+
+// Find "customer.name" in the innermost scope that has "customer"
+function lookupTemplateValue(scopes, path) {
+    const [first, ...rest] = path.split('.');
+    const scope = scopes.find(s => s && typeof s === 'object' && first in s);
+    if (!scope) return undefined;
+    return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[first]);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderTemplateNodes(nodes, scopes, escape) {
+    return nodes.map(node => {
+        if (typeof node === 'string') return node;
+
+        const value = lookupTemplateValue(scopes, node.name);
+        if (!node.type) {
+            if (value == null) return '';
+            return escape ? escapeHtml(value) : String(value);
+        }
+
+        const isEmpty = value == null || value === false || value === '' || (Array.isArray(value) && value.length === 0);
+        if (node.type === '^') return isEmpty ? renderTemplateNodes(node.children, scopes, escape) : '';
+        if (isEmpty) return '';
+
+        if (Array.isArray(value)) {
+            return value.map(item => renderTemplateNodes(node.children, [item, ...scopes], escape)).join('');
+        }
+        return renderTemplateNodes(node.children, typeof value === 'object' ? [value, ...scopes] : scopes, escape);
+    }).join('');
+}
+
+// Render a template against a context. {{order.number}} inserts a value (with
+// HTML escaped unless escape is false, as for subject lines).
+// {{#items}}...{{/items}} repeats for each item of a list, or shows once if the
+// value is set; {{^name}}...{{/name}} shows only if it isn't.
+function renderTemplate(template, context, { escape = true } = {}) {
+    return renderTemplateNodes(parseTemplate(template), [context], escape);
+}
+
+// A template with any saved override applied
+async function getEmailTemplate(key) {
+    const template = DEFAULT_EMAIL_TEMPLATES[key];
+    if (!template) return null;
+
+    const { data: saved } = await supabaseAdmin
+        .from('email_templates')
+        .select('subject, html, updated_at')
+        .eq('key', key)
+        .maybeSingle();
+
+    return { key, ...template, ...(saved || {}), is_customised: !!saved };
+}
+
+// The variables available to order email templates
+async function buildOrderEmailContext(order) {
+    const [catalogue, orderLines] = await Promise.all([getPricingCatalogue(), getOrderLines(order)]);
+
+    return {
+        order: {
+            number: order.order_number,
+            status: order.status,
+            quantity: order.quantity,
+            subtotal: formatCents(order.subtotal),
+            shipping: formatCents(order.shipping_cost),
+            discount: order.discount_amount + (order.automatic_discount_amount || 0) > 0
+                ? formatCents(order.discount_amount + (order.automatic_discount_amount || 0))
+                : null,
+            total: formatCents(order.total),
+            gift_card_amount: order.gift_card_amount > 0 ? formatCents(order.gift_card_amount) : null,
+            is_pickup: order.shipping_type === 'pickup',
+            shipping_city: order.shipping_city,
+            shipping_state: order.shipping_state,
+            tracking_number: order.tracking_number,
+            carrier: order.carrier,
+            carrier_tracking_url: getCarrierTrackingUrl(order.carrier, order.tracking_number),
+            gift_message: order.is_gift ? order.gift_message : null,
+            notes: order.notes
+        },
+        customer: {
+            name: order.customer_name,
+            email: order.customer_email,
+            phone: order.customer_phone
+        },
+        items: orderLines.map(line => ({
+            quantity: line.quantity,
+            product_name: getProductName(catalogue, line.product_type),
+            variant_name: (getVariant(catalogue, line.variant) || getDefaultVariant(catalogue)).name,
+            subtotal: formatCents(line.subtotal)
+        })),
+        pickup: describePickup(catalogue, order),
+        business: BUSINESS_DETAILS,
+        tracking_url: `${process.env.SITE_URL}/track.html?order=${order.order_number}`,
+        resume_url: getResumeUrl(order.id),
+        refund: {
+            total: formatCents(order.refunded_amount || 0),
+            is_full: order.status === 'refunded'
+        },
+        admin_url: `${process.env.SITE_URL}/admin.html`,
+        review_url: process.env.REVIEW_URL || null
+    };
+}
+
+// Render an order email template (with any unsaved edits passed in
+// `overrides`, as the admin preview does)
+async function renderOrderEmail(key, order, overrides = {}) {
+    const template = { ...(await getEmailTemplate(key)), ...overrides };
+    const context = await buildOrderEmailContext(order);
+
+    return {
+        subject: renderTemplate(template.subject, context, { escape: false }),
+        html: renderTemplate(template.html, context)
+    };
+}
+
+// Send order confirmation email (with the tax invoice attached when available)
+async function sendOrderConfirmationEmail(order, invoice = null) {
+    if (!order.customer_email) return;
+
+    try {
+        const email = await renderOrderEmail('order_confirmation', order);
+
+        await queueNotification({
+            channel: 'email',
+            recipient: order.customer_email,
+            subject: email.subject,
+            body: email.html,
+            options: invoice ? { invoice_id: invoice.id } : {},
+            orderId: order.id
+        });
+    } catch (err) {
+        console.error('Failed to send confirmation email:', err);
+    }
+}
+
+// Email the customer that their order has moved along, if that email is
+// switched on in settings, and note the email in the order's history.
+// Pickup customers also get a text when their order is ready.
+async function sendOrderStatusEmail(order, status) {
+    const key = `order_${status}`;
+    const settings = await getAppSettings();
+    if (!settings[`notify_${status}`] || !DEFAULT_EMAIL_TEMPLATES[key]) return;
+
+    try {
+        const email = await renderOrderEmail(key, order);
+        const queued = order.customer_email && await queueNotification({
+            channel: 'email',
+            recipient: order.customer_email,
+            subject: email.subject,
+            body: email.html,
+            orderId: order.id
+        });
+
+        if (queued) {
+            await recordOrderStatus(order.id, status, status, { changedByName: 'System', note: `Emailed customer: ${email.subject}` });
+        }
+
+        if (status === 'ready_pickup' && order.customer_phone) {
+            const pickup = describePickup(await getPricingCatalogue(), order);
+            await queueNotification({
+                channel: 'sms',
+                recipient: order.customer_phone,
+                body: `${BUSINESS_DETAILS.name}: order ${order.order_number} is ready to collect from ${pickup.name}${pickup.slot ? ` (${pickup.slot})` : ''}.`,
+                orderId: order.id
+            });
+        }
+    } catch (err) {
+        console.error('Failed to send order status email:', err);
+    }
+}
+
+// Tell the customer about a refund (if switched on in settings), and note the
+// email in the order's history
+async function sendRefundEmail(order) {
+    const settings = await getAppSettings();
+    if (!settings.notify_refunded || !order.customer_email) return;
+
+    try {
+        const email = await renderOrderEmail('order_refunded', order);
+        await queueNotification({
+            channel: 'email',
+            recipient: order.customer_email,
+            subject: email.subject,
+            body: email.html,
+            orderId: order.id
+        });
+        await recordOrderStatus(order.id, order.status, order.status, { changedByName: 'System', note: `Emailed customer: ${email.subject}` });
+    } catch (err) {
+        console.error('Failed to send refund email:', err);
+    }
+}
+
+// Tell the admin a quote request has come in
+async function sendQuoteRequestNotification(quoteRequest) {
+    const message = `Quote request: ${quoteRequest.quantity}x ${quoteRequest.product_type} magnets\nEvent: ${quoteRequest.event_type}${quoteRequest.event_date ? ` on ${quoteRequest.event_date}` : ''}\nCustomer: ${quoteRequest.customer_name} (${quoteRequest.customer_email})\nSample photos: ${quoteRequest.sample_photo_paths.length}`;
+
+    await queueNotification({
+        channel: 'push',
+        subject: `Quote Request from ${quoteRequest.customer_name}`,
+        body: message,
+        options: { tags: 'magnet,memo' }
+    });
+
+    await queueNotification({
+        channel: 'email',
+        recipient: process.env.ADMIN_EMAIL,
+        subject: `Quote Request: ${quoteRequest.quantity} magnets for ${quoteRequest.customer_name}`,
+        body: `<pre>${escapeHtml(message)}</pre>${quoteRequest.message ? `<p>${escapeHtml(quoteRequest.message)}</p>` : ''}<p><a href="${process.env.SITE_URL}/admin.html">View in Admin Dashboard</a></p>`
+    });
+}
+
+// Send the customer their priced quote with its payment link
+async function sendQuoteEmail(quoteRequest, paymentUrl) {
+    if (!quoteRequest.customer_email) return;
+
+    const expires = new Date(quoteRequest.quote_expires_at).toLocaleDateString('en-AU', {
+        timeZone: 'Australia/Sydney', day: 'numeric', month: 'long', year: 'numeric'
+    });
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h1 style="color: #e91e63;">Your quote is ready, ${escapeHtml(quoteRequest.customer_name)}!</h1>
+            <p>Thanks for asking us about your ${quoteRequest.event_type === 'other' ? 'order' : `${quoteRequest.event_type} order`}. Here's your custom price.</p>
+
+            <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Magnets:</strong> ${quoteRequest.quantity} @ ${formatCents(quoteRequest.unit_price)} each</p>
+                <p><strong>${quoteRequest.shipping_type === 'pickup' ? 'Pickup' : 'Shipping'}:</strong> ${quoteRequest.shipping_cost === 0 ? 'FREE' : formatCents(quoteRequest.shipping_cost)}</p>
+                <p><strong>Total:</strong> ${formatCents(quoteRequest.total)} AUD (inc. GST)</p>
+                ${quoteRequest.quote_message ? `<p>${escapeHtml(quoteRequest.quote_message)}</p>` : ''}
+            </div>
+
+            <p><a href="${paymentUrl}" style="display: inline-block; background: #e91e63; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Accept &amp; Pay</a></p>
+
+            <p>This quote is valid until ${expires}.</p>
+
+            <p style="color: #666; margin-top: 30px;">Questions? Reply to this email or call us at ${BUSINESS_DETAILS.phone}.</p>
+
+            <p>- The ${escapeHtml(BUSINESS_DETAILS.name)} Team</p>
+        </div>
+    `;
+
+    await queueNotification({
+        channel: 'email',
+        recipient: quoteRequest.customer_email,
+        subject: `Your Heartsnaps quote for ${quoteRequest.quantity} magnets`,
+        body: html
+    });
+}
+
+// Email a gift card or store credit code to whoever is going to spend it
+async function sendGiftCardEmail(card) {
+    const to = card.recipient_email || card.purchaser_email;
+    if (!to) return;
+
+    const isStoreCredit = card.kind === 'store_credit';
+    const name = card.recipient_name || card.purchaser_name;
+    const expires = card.expires_at ? new Date(card.expires_at).toLocaleDateString('en-AU', {
+        timeZone: 'Australia/Sydney', day: 'numeric', month: 'long', year: 'numeric'
+    }) : null;
+
+    const intro = isStoreCredit
+        ? `We've added ${formatCents(card.initial_amount)} of store credit for you${card.reason ? ` (${escapeHtml(card.reason)})` : ''}.`
+        : `${card.purchaser_name ? escapeHtml(card.purchaser_name) : 'Someone'} has sent you a ${formatCents(card.initial_amount)} ${escapeHtml(BUSINESS_DETAILS.name)} gift card!`;
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h1 style="color: #e91e63;">${name ? `Hi ${escapeHtml(name)}!` : 'Hi there!'}</h1>
+            <p>${intro}</p>
+            ${card.message ? `<p style="font-style: italic;">"${escapeHtml(card.message)}"</p>` : ''}
+
+            <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+                <p style="margin: 0;">Your ${isStoreCredit ? 'credit' : 'gift card'} code</p>
+                <p style="font-size: 24px; font-weight: bold; letter-spacing: 2px;">${card.code}</p>
+                <p style="margin: 0;"><strong>Balance:</strong> ${formatCents(card.balance)}</p>
+                ${expires ? `<p style="margin: 0;">Valid until ${expires}</p>` : ''}
+            </div>
+
+            <p>Enter the code in the promo code box when you check out. Anything you don't spend stays on the code for next time.</p>
+
+            <p><a href="${process.env.SITE_URL}" style="display: inline-block; background: #e91e63; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Create Your Magnets</a></p>
+
+            <p>- The ${escapeHtml(BUSINESS_DETAILS.name)} Team</p>
+        </div>
+    `;
+
+    await queueNotification({
+        channel: 'email',
+        recipient: to,
+        subject: isStoreCredit ? `Your ${BUSINESS_DETAILS.name} store credit` : `You've received a ${BUSINESS_DETAILS.name} gift card`,
+        body: html
+    });
+}
+
+// Let the purchaser know their gift card is paid for and when it will arrive
+async function sendGiftCardReceiptEmail(card) {
+    if (!card.purchaser_email) return;
+
+    const deliverOn = card.deliver_on
+        ? new Date(`${card.deliver_on}T00:00:00`).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' })
+        : null;
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h1 style="color: #e91e63;">Thanks for your gift card order, ${escapeHtml(card.purchaser_name)}!</h1>
+
+            <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Gift card:</strong> ${formatCents(card.initial_amount)}</p>
+                <p><strong>For:</strong> ${card.recipient_name ? `${escapeHtml(card.recipient_name)} (${escapeHtml(card.recipient_email)})` : escapeHtml(card.recipient_email)}</p>
+                <p><strong>Delivery:</strong> ${deliverOn ? `Emailed on ${deliverOn}` : 'Emailed now'}</p>
+            </div>
+
+            <p style="color: #666; margin-top: 30px;">Questions? Reply to this email or call us at ${BUSINESS_DETAILS.phone}.</p>
+
+            <p>- The ${escapeHtml(BUSINESS_DETAILS.name)} Team</p>
+        </div>
+    `;
+
+    await queueNotification({
+        channel: 'email',
+        recipient: card.purchaser_email,
+        subject: `Your ${BUSINESS_DETAILS.name} gift card receipt`,
+        body: html
+    });
+}
+
+// Send admin notification
+// Tell the shop about a new paid order, or raise an `alert` ({ subject, message })
+// about one that needs looking at, such as a payment dispute
+async function sendAdminNotification(order, alert = null) {
+    const message = alert?.message || `New Order: ${order.order_number}\n${order.quantity}x ${order.product_type} magnets\nTotal: $${(order.total / 100).toFixed(2)}\nCustomer: ${order.customer_name}`;
+
+    // Push notification via ntfy.sh (free)
+    await queueNotification({
+        channel: 'push',
+        subject: alert?.subject || `New Order! ${order.order_number}`,
+        body: message,
+        options: { priority: 'high', tags: alert ? 'warning' : 'magnet,moneybag' },
+        orderId: order.id
+    });
+
+    // Email to admin
+    if (process.env.ADMIN_EMAIL) {
+        try {
+            const email = alert
+                ? {
+                    subject: alert.subject,
+                    html: `<p>${escapeHtml(message).replace(/\n/g, '<br>')}</p><p><a href="${process.env.SITE_URL}/admin.html">View in Admin Dashboard</a></p>`
+                }
+                : await renderOrderEmail('admin_new_order', order);
+            await queueNotification({
+                channel: 'email',
+                recipient: process.env.ADMIN_EMAIL,
+                subject: email.subject,
+                body: email.html,
+                orderId: order.id
+            });
+        } catch (err) {
+            console.error('Failed to send admin email:', err);
+        }
+    }
+}
+
+// =============================================================================
+// TAX INVOICES
+// =============================================================================
+// One GST tax invoice per paid order. Invoice numbers come from their own
+// gap-free counter (see issue_invoice() in supabase-schema.sql), and each
+// invoice snapshots the billing details and line items at the time of issue.
+
+function formatCents(cents) {
+    return `$${(cents / 100).toFixed(2)}`;
+}
+
+function buildInvoiceLineItems(order, orderLines, catalogue) {
+    const lineItems = orderLines.map(line => {
+        const variant = getVariant(catalogue, line.variant) || getDefaultVariant(catalogue);
+        return {
+            description: `${getProductName(catalogue, line.product_type)} (${describeVariant(variant)})`,
+            quantity: line.quantity,
+            unit_price: line.unit_price,
+            amount: line.subtotal
+        };
+    });
+
+    if (order.shipping_cost > 0) {
+        const description = order.shipping_service ? `${getShippingServiceName(catalogue, order.shipping_service)} shipping` : 'Shipping';
+        lineItems.push({ description, quantity: 1, unit_price: order.shipping_cost, amount: order.shipping_cost });
+    }
+
+    if (order.automatic_discount_amount > 0) {
+        lineItems.push({
+            description: order.automatic_discount_name || 'Discount',
+            quantity: 1,
+            unit_price: -order.automatic_discount_amount,
+            amount: -order.automatic_discount_amount
+        });
+    }
+
+    if (order.discount_amount > 0) {
+        lineItems.push({
+            description: order.promo_code_used ? `Discount (${order.promo_code_used})` : 'Discount',
+            quantity: 1,
+            unit_price: -order.discount_amount,
+            amount: -order.discount_amount
+        });
+    }
+
+    return lineItems;
+}
+
+// Issue (or fetch the existing) tax invoice for a paid order
+async function issueInvoice(order) {
+    if (!order?.paid_at) return null;
+
+    const [catalogue, orderLines] = await Promise.all([getPricingCatalogue(), getOrderLines(order)]);
+    const { data, error } = await supabaseAdmin.rpc('issue_invoice', {
+        p_order_id: order.id,
+        p_line_items: buildInvoiceLineItems(order, orderLines, catalogue)
+    });
+
+    if (error) {
+        console.error('Failed to issue invoice:', error);
+        return null;
+    }
+
+    return Array.isArray(data) ? data[0] : data;
+}
+
+// Render a tax invoice as a PDF buffer
+function generateInvoicePdf(invoice) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const formatDate = (date) => new Date(date).toLocaleDateString('en-AU', {
+            day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Australia/Sydney'
+        });
+
+        // Header
+        doc.font('Helvetica-Bold').fontSize(22).fillColor('#e91e63').text('TAX INVOICE', 50, 50);
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000').text(BUSINESS_DETAILS.name, 350, 50, { align: 'right' });
+        doc.font('Helvetica').fontSize(9)
+            .text(BUSINESS_DETAILS.abn ? `ABN ${BUSINESS_DETAILS.abn}` : '', { align: 'right' })
+            .text(BUSINESS_DETAILS.address, { align: 'right' })
+            .text(BUSINESS_DETAILS.email, { align: 'right' })
+            .text(BUSINESS_DETAILS.phone, { align: 'right' });
+
+        // Invoice details
+        doc.fontSize(10).text(`Invoice number: ${invoice.invoice_number}`, 50, 140)
+            .text(`Invoice date: ${formatDate(invoice.issued_at)}`)
+            .text(`Order number: ${invoice.order_number}`)
+            .text(`Payment date: ${formatDate(invoice.paid_at)}`);
+
+        // Bill to
+        doc.font('Helvetica-Bold').text('Bill to', 350, 140);
+        doc.font('Helvetica').text(invoice.customer_name, 350);
+        if (invoice.customer_email) doc.text(invoice.customer_email, 350);
+        if (invoice.customer_phone) doc.text(invoice.customer_phone, 350);
+        if (invoice.billing_address) doc.text(invoice.billing_address, 350, undefined, { width: 195 });
+
+        // Line items
+        const columns = { description: 50, quantity: 310, unitPrice: 370, amount: 460 };
+        let y = 250;
+        doc.font('Helvetica-Bold').fontSize(9)
+            .text('Description', columns.description, y)
+            .text('Qty', columns.quantity, y, { width: 40, align: 'right' })
+            .text('Unit price', columns.unitPrice, y, { width: 75, align: 'right' })
+            .text('Amount', columns.amount, y, { width: 85, align: 'right' });
+        doc.moveTo(50, y + 14).lineTo(545, y + 14).strokeColor('#cccccc').stroke();
+
+        doc.font('Helvetica').fontSize(10);
+        y += 22;
+        for (const item of invoice.line_items) {
+            doc.text(item.description, columns.description, y, { width: 250 })
+                .text(String(item.quantity), columns.quantity, y, { width: 40, align: 'right' })
+                .text(formatCents(item.unit_price), columns.unitPrice, y, { width: 75, align: 'right' })
+                .text(formatCents(item.amount), columns.amount, y, { width: 85, align: 'right' });
+            y += 20;
+        }
+
+        // Totals
+        doc.moveTo(310, y + 4).lineTo(545, y + 4).strokeColor('#cccccc').stroke();
+        y += 14;
+        doc.font('Helvetica-Bold')
+            .text('Total (inc. GST)', columns.quantity, y, { width: 145, align: 'right' })
+            .text(formatCents(invoice.total), columns.amount, y, { width: 85, align: 'right' });
+        y += 18;
+        doc.font('Helvetica')
+            .text('GST included', columns.quantity, y, { width: 145, align: 'right' })
+            .text(formatCents(invoice.gst_amount), columns.amount, y, { width: 85, align: 'right' });
+        y += 18;
+        doc.text('Amount paid', columns.quantity, y, { width: 145, align: 'right' })
+            .text(formatCents(invoice.total), columns.amount, y, { width: 85, align: 'right' });
+
+        doc.fontSize(9).fillColor('#666666')
+            .text('All amounts are in Australian dollars and include GST. Thank you for supporting a small Australian business!', 50, y + 60, { width: 495 });
+
+        doc.end();
+    });
+}
+
+async function sendInvoicePdf(res, invoice) {
+    const pdf = await generateInvoicePdf(invoice);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    res.send(pdf);
+}
+
+// =============================================================================
+// PUBLIC API ENDPOINTS
+// =============================================================================
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Config (public keys only)
+app.get('/api/config', (req, res) => {
+    res.json({
+        supabaseUrl: process.env.SUPABASE_URL,
+        supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
+        stripePublishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    });
+});
+
+// Get pricing
+app.get('/api/pricing', async (req, res) => {
+    const catalogue = await getPricingCatalogue();
+    res.json(catalogue);
+});
+
+// Bookable pickup slots for a location over the next few weeks
+const PICKUP_BOOKING_DAYS = 28;
+
+app.get('/api/pickup-slots', async (req, res) => {
+    const { location } = req.query;
+
+    if (!location) {
+        return res.status(400).json({ error: 'Pickup location required' });
+    }
+
+    try {
+        const now = new Date();
+        const until = new Date(now.getTime() + PICKUP_BOOKING_DAYS * 24 * 60 * 60 * 1000);
+
+        const { data: slots, error } = await supabaseAdmin
+            .from('pickup_slots')
+            .select('id, starts_at, ends_at, capacity, booked_count')
+            .eq('location_key', location)
+            .eq('is_active', true)
+            .gt('starts_at', now.toISOString())
+            .lt('starts_at', until.toISOString())
+            .order('starts_at');
+
+        if (error) throw error;
+
+        res.json(slots
+            .filter(slot => slot.booked_count < slot.capacity)
+            .map(slot => ({
+                id: slot.id,
+                startsAt: slot.starts_at,
+                endsAt: slot.ends_at,
+                label: formatPickupSlot(slot.starts_at, slot.ends_at),
+                remaining: slot.capacity - slot.booked_count
+            })));
+
+    } catch (err) {
+        console.error('Pickup slots error:', err);
+        res.status(500).json({ error: 'Failed to load pickup times' });
+    }
+});
+
+// Get gallery items
+app.get('/api/gallery', async (req, res) => {
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('gallery_items')
+            .select('*')
+            .eq('is_active', true)
+            .order('display_order');
+
+        if (error) throw error;
+
+        // Generate public URLs for images
+        const items = await Promise.all(data.map(async (item) => {
+            const { data: urlData } = supabaseAdmin.storage
+                .from('gallery')
+                .getPublicUrl(item.image_path);
+            return { ...item, imageUrl: urlData.publicUrl };
+        }));
+
+        res.json(items);
+    } catch (err) {
+        console.error('Gallery fetch error:', err);
         res.status(500).json({ error: 'Failed to load gallery' });
     }
 });
 
-// Validate promo code
-app.post('/api/validate-promo', async (req, res) => {
-    const { code, subtotal, customerId } = req.body;
+// Validate promo code
+app.post('/api/validate-promo', async (req, res) => {
+    const { code, subtotal, customerId } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ error: 'Promo code required' });
+    }
+
+    try {
+        // Product, quantity and state rules need the cart; older callers only
+        // send a subtotal
+        let cart = { lines: [], subtotal: subtotal || null, shippingCost: 0, state: req.body.state || null };
+        if (Array.isArray(req.body.lines) || req.body.quantity) {
+            const quoteCart = normaliseQuoteCart(req.body);
+            const cartError = validateCartLines(quoteCart.lines);
+            if (cartError) {
+                return res.status(400).json({ error: cartError });
+            }
+
+            const pricing = await priceCart({ ...quoteCart, promoCode: null, giftCardCode: null });
+            if (pricing.error) {
+                return res.status(pricing.status).json({ error: pricing.error });
+            }
+            cart = { lines: pricing.lines, subtotal: pricing.subtotal, shippingCost: pricing.shippingCost, state: quoteCart.state };
+        }
+
+        const { promo, error, discountAmount } = await checkPromoCode(code, { ...cart, customerId: customerId || null });
+
+        if (!promo) {
+            return res.status(404).json({ error });
+        }
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json({
+            valid: true,
+            promoId: promo.id,
+            ...describePromo(promo),
+            calculatedDiscount: discountAmount
+        });
+
+    } catch (err) {
+        console.error('Promo validation error:', err);
+        res.status(500).json({ error: 'Failed to validate promo code' });
+    }
+});
+
+// Price a cart and return a signed quote token for POST /api/orders
+app.post('/api/quote', async (req, res) => {
+    const cart = normaliseQuoteCart(req.body);
+
+    const cartError = validateCartLines(cart.lines);
+    if (cartError) {
+        return res.status(400).json({ error: cartError });
+    }
+
+    try {
+        const pricing = await priceCart(cart);
+        if (pricing.error) {
+            return res.status(pricing.status).json({ error: pricing.error });
+        }
+
+        // Only lock in promo codes and gift cards that actually applied
+        const quotedCart = {
+            ...cart,
+            lines: pricing.lines.map(({ productType, variant, quantity }) => ({ productType, variant, quantity })),
+            shippingService: pricing.shippingService,
+            promoCode: pricing.promo?.code || pricing.referral?.code || null,
+            giftCardCode: pricing.giftCard ? pricing.giftCard.code : null
+        };
+        const expiresAt = Date.now() + QUOTE_TTL_MS;
+        const amounts = {
+            lines: pricing.lines,
+            subtotal: pricing.subtotal,
+            shippingCost: pricing.shippingCost,
+            shippingService: pricing.shippingService,
+            shippingZone: pricing.shippingZone,
+            automaticDiscountAmount: pricing.automaticDiscountAmount,
+            discountAmount: pricing.discountAmount,
+            gst: pricing.gst,
+            total: pricing.total,
+            giftCardAmount: pricing.giftCardAmount,
+            amountDue: pricing.amountDue
+        };
+
+        res.json({
+            ...amounts,
+            shippingOptions: pricing.shippingOptions,
+            currency: 'aud',
+            automaticDiscount: pricing.automaticDiscount ? describeAutomaticDiscount(pricing.automaticDiscount) : null,
+            promo: pricing.promo ? describePromo(pricing.promo) : null,
+            promoError: pricing.promoError,
+            referral: pricing.referral ? { code: pricing.referral.code } : null,
+            giftCard: pricing.giftCard ? {
+                code: pricing.giftCard.code,
+                kind: pricing.giftCard.kind,
+                balance: pricing.giftCard.balance
+            } : null,
+            giftCardError: pricing.giftCardError,
+            expiresAt: new Date(expiresAt).toISOString(),
+            quoteToken: signQuote({
+                cart: quotedCart,
+                amounts,
+                automaticDiscount: pricing.automaticDiscount
+                    ? { id: pricing.automaticDiscount.id, name: pricing.automaticDiscount.name }
+                    : null,
+                promoCodeId: pricing.promo?.id || null,
+                referrerId: pricing.referral?.referrerId || null,
+                giftCardId: pricing.giftCard?.id || null,
+                expiresAt
+            })
+        });
+
+    } catch (err) {
+        console.error('Quote error:', err);
+        res.status(500).json({ error: 'Failed to price order' });
+    }
+});
+
+// Track order
+app.get('/api/track/:orderNumber', async (req, res) => {
+    const { orderNumber } = req.params;
+
+    try {
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('order_number, status, product_type, variant, quantity, total, shipping_type, shipping_city, shipping_state, pickup_location, pickup_slot_starts_at, pickup_slot_ends_at, tracking_number, carrier, created_at, paid_at, order_lines(position, product_type, variant, quantity), order_status_history(from_status, to_status, created_at)')
+            .eq('order_number', orderNumber.toUpperCase())
+            .single();
+
+        if (error || !order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Describe each line for display (older orders have no order_lines rows)
+        const catalogue = await getPricingCatalogue();
+        const orderLines = order.order_lines?.length > 0
+            ? order.order_lines.sort((a, b) => a.position - b.position)
+            : [{ product_type: order.product_type, variant: order.variant, quantity: order.quantity }];
+        delete order.order_lines;
+
+        // Archiving and emails are bookkeeping; customers see where the order ended up
+        const history = (order.order_status_history || [])
+            .filter(entry => entry.to_status !== 'archived' && entry.from_status !== entry.to_status)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+            .map(({ to_status, created_at }) => ({ to_status, created_at }));
+        delete order.order_status_history;
+
+        if (order.status === 'archived') {
+            order.status = history[history.length - 1]?.to_status || 'completed';
+        }
+
+        res.json({
+            ...order,
+            history,
+            lines: orderLines.map(line => ({
+                product_name: getProductName(catalogue, line.product_type),
+                variant_name: (getVariant(catalogue, line.variant) || getDefaultVariant(catalogue)).name,
+                quantity: line.quantity
+            })),
+            pickup: describePickup(catalogue, order)
+        });
+    } catch (err) {
+        console.error('Track order error:', err);
+        res.status(500).json({ error: 'Failed to track order' });
+    }
+});
+
+// Download tax invoice (signed in as the customer, or ?email= matching the order)
+app.get('/api/invoices/:orderNumber', async (req, res) => {
+    try {
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('order_number', req.params.orderNumber.toUpperCase())
+            .single();
+
+        if (error || !order || !(await verifyOrderAccess(req, order))) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        if (!order.paid_at) {
+            return res.status(400).json({ error: 'An invoice is available once the order has been paid' });
+        }
+
+        const invoice = await issueInvoice(order);
+        if (!invoice) throw new Error('Invoice could not be issued');
+
+        await sendInvoicePdf(res, invoice);
+
+    } catch (err) {
+        console.error('Invoice download error:', err);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+});
+
+// =============================================================================
+// CUSTOMER API ENDPOINTS
+// =============================================================================
+
+// Upload photo
+app.post('/api/upload-photo', upload.single('file'), async (req, res) => {
+    try {
+        const { orderId, orderLineId, position } = req.body;
+        const file = req.file;
+
+        if (!file || !orderId) {
+            return res.status(400).json({ error: 'File and orderId required' });
+        }
+
+        if (orderLineId) {
+            const { data: line } = await supabaseAdmin
+                .from('order_lines')
+                .select('id')
+                .eq('id', orderLineId)
+                .eq('order_id', orderId)
+                .single();
+
+            if (!line) {
+                return res.status(400).json({ error: 'Order line does not belong to this order' });
+            }
+        }
+
+        // Generate path
+        const ext = file.originalname.split('.').pop();
+        const filePath = `orders/${orderId}/${position}_${Date.now()}.${ext}`;
+
+        // Upload to Supabase Storage
+        const { data, error } = await supabaseAdmin.storage
+            .from('order-photos')
+            .upload(filePath, file.buffer, {
+                contentType: file.mimetype,
+                upsert: false
+            });
+
+        if (error) throw error;
+
+        // Create order_item record
+        await supabaseAdmin
+            .from('order_items')
+            .insert({
+                order_id: orderId,
+                order_line_id: orderLineId || null,
+                original_file_path: filePath,
+                original_filename: file.originalname,
+                file_size: file.size,
+                mime_type: file.mimetype,
+                position: parseInt(position)
+            });
+
+        // Generate signed URL for preview
+        const { data: signedUrl } = await supabaseAdmin.storage
+            .from('order-photos')
+            .createSignedUrl(filePath, 3600);
+
+        res.json({
+            success: true,
+            path: filePath,
+            previewUrl: signedUrl?.signedUrl
+        });
+
+    } catch (err) {
+        console.error('Upload error:', err);
+        res.status(500).json({ error: 'Upload failed' });
+    }
+});
+
+// Copy a photo from a previous order into a reorder, instead of uploading it
+// again. It's a copy rather than a reference so deleting either order's
+// photos never affects the other.
+app.post('/api/copy-photo', async (req, res) => {
+    try {
+        const { orderId, orderLineId, reorderToken, itemId } = req.body;
+        const position = Number(req.body.position);
+        const sourceOrderId = verifyOrderToken('reorder', reorderToken);
+
+        if (!orderId || !orderLineId || !itemId || !Number.isInteger(position)) {
+            return res.status(400).json({ error: 'Order, order line, position and photo required' });
+        }
+        if (!sourceOrderId) {
+            return res.status(400).json({ error: 'This reorder link has expired. Please start the reorder again.' });
+        }
+
+        const [{ data: order }, { data: lines }, { count: linePhotos }, { data: item }] = await Promise.all([
+            supabaseAdmin
+                .from('orders')
+                .select('id, status')
+                .eq('id', orderId)
+                .single(),
+            supabaseAdmin
+                .from('order_lines')
+                .select('id, quantity')
+                .eq('order_id', orderId),
+            supabaseAdmin
+                .from('order_items')
+                .select('*', { count: 'exact', head: true })
+                .eq('order_line_id', orderLineId),
+            supabaseAdmin
+                .from('order_items')
+                .select('*')
+                .eq('id', itemId)
+                .eq('order_id', sourceOrderId)
+                .single()
+        ]);
+
+        // Photos only go on an order that's still being placed
+        if (!order || !UNPAID_STATUSES.includes(order.status)) {
+            return res.status(400).json({ error: 'Photos can no longer be added to this order' });
+        }
+
+        const line = (lines || []).find(l => l.id === orderLineId);
+        if (!line) {
+            return res.status(400).json({ error: 'Order line does not belong to this order' });
+        }
+
+        // Positions run across the whole order; each line takes its quantity
+        const orderQuantity = lines.reduce((sum, l) => sum + l.quantity, 0);
+        if (position < 0 || position >= orderQuantity) {
+            return res.status(400).json({ error: 'Invalid photo position' });
+        }
+        if ((linePhotos || 0) >= line.quantity) {
+            return res.status(400).json({ error: 'This product already has all its photos' });
+        }
+
+        if (!item) {
+            return res.status(404).json({ error: 'That photo is no longer available' });
+        }
+
+        const ext = item.original_file_path.split('.').pop();
+        const filePath = `orders/${orderId}/${position}_${Date.now()}.${ext}`;
+
+        const { error } = await supabaseAdmin.storage
+            .from('order-photos')
+            .copy(item.original_file_path, filePath);
+
+        if (error) throw error;
+
+        await supabaseAdmin
+            .from('order_items')
+            .insert({
+                order_id: orderId,
+                order_line_id: orderLineId,
+                original_file_path: filePath,
+                original_filename: item.original_filename,
+                file_size: item.file_size,
+                mime_type: item.mime_type,
+                width: item.width,
+                height: item.height,
+                position
+            });
+
+        res.json({
+            success: true,
+            path: filePath
+        });
+
+    } catch (err) {
+        console.error('Copy photo error:', err);
+        res.status(500).json({ error: 'Photo copy failed' });
+    }
+});
+
+// Create order
+app.post('/api/orders', checkoutLimiter, async (req, res) => {
+    try {
+        const {
+            customerName, customerPhone, customerEmail,
+            shippingType, shippingAddress, shippingService,
+            pickupLocation, pickupSlotId,
+            isGift, giftMessage, notes,
+            promoCode, giftCardCode, quoteToken
+        } = req.body;
+        const lines = normaliseCartLines(req.body);
+
+        // Validate required fields
+        if (!customerName || !customerPhone || lines.length === 0) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        // Server-side quantity cap
+        const cartError = validateCartLines(lines);
+        if (cartError) {
+            return res.status(400).json({ error: cartError });
+        }
+
+        if (shippingType === 'delivery' && !shippingAddress) {
+            return res.status(400).json({ error: 'Shipping address required for delivery' });
+        }
+
+        let pickupSlot = null;
+        if (shippingType === 'pickup') {
+            if (!pickupLocation || !pickupSlotId) {
+                return res.status(400).json({ error: 'Please choose a pickup location and time' });
+            }
+
+            const catalogue = await getPricingCatalogue();
+            if (!getPickupLocation(catalogue, pickupLocation)) {
+                return res.status(400).json({ error: 'Invalid pickup location' });
+            }
+
+            const { data: slot } = await supabaseAdmin
+                .from('pickup_slots')
+                .select('id, location_key, starts_at, ends_at')
+                .eq('id', pickupSlotId)
+                .single();
+
+            if (!slot || slot.location_key !== pickupLocation) {
+                return res.status(400).json({ error: 'Invalid pickup time' });
+            }
+            pickupSlot = slot;
+        }
+
+        let pricedLines, subtotal, shippingCost, shippingServiceUsed, shippingZone, discountAmount, gstAmount, total;
+        let automaticDiscount = null;
+        let automaticDiscountAmount = 0;
+        let promoCodeId = null;
+        let promoCodeUsed = null;
+        let referrerId = null;
+        let giftCardId = null;
+        let giftCardUsed = null;
+        let giftCardAmount = 0;
+
+        if (quoteToken) {
+            // Honour the quoted price as long as the quote is intact and matches the cart
+            const quote = verifyQuoteToken(quoteToken);
+            const cart = { lines, shippingType, shippingService, shippingAddress, promoCode, giftCardCode };
+            if (!quote || !quoteMatchesCart(quote, cart)) {
+                return res.status(409).json({
+                    error: 'Your price quote has expired. Please review your order total and try again.',
+                    code: 'quote_invalid'
+                });
+            }
+
+            ({ lines: pricedLines, subtotal, shippingCost, discountAmount, gst: gstAmount, total } = quote.amounts);
+            shippingServiceUsed = quote.amounts.shippingService;
+            shippingZone = quote.amounts.shippingZone;
+            automaticDiscount = quote.automaticDiscount || null;
+            automaticDiscountAmount = quote.amounts.automaticDiscountAmount || 0;
+            promoCodeId = quote.promoCodeId;
+            promoCodeUsed = quote.cart.promoCode;
+            referrerId = quote.referrerId || null;
+            giftCardId = quote.giftCardId || null;
+            giftCardUsed = quote.cart.giftCardCode || null;
+            giftCardAmount = quote.amounts.giftCardAmount || 0;
+        } else {
+            const pricing = await priceCart({
+                lines,
+                shippingType,
+                shippingService,
+                state: shippingAddress?.state,
+                postcode: shippingAddress?.postcode,
+                promoCode,
+                giftCardCode
+            });
+            if (pricing.error) {
+                return res.status(pricing.status).json({ error: pricing.error });
+            }
+
+            ({ lines: pricedLines, subtotal, shippingCost, discountAmount, gst: gstAmount, total } = pricing);
+            shippingServiceUsed = pricing.shippingService;
+            shippingZone = pricing.shippingZone;
+            automaticDiscount = pricing.automaticDiscount;
+            automaticDiscountAmount = pricing.automaticDiscountAmount;
+            promoCodeId = pricing.promo?.id || null;
+            promoCodeUsed = pricing.promo?.code || pricing.referral?.code || null;
+            referrerId = pricing.referral?.referrerId || null;
+            giftCardId = pricing.giftCard?.id || null;
+            giftCardUsed = pricing.giftCard?.code || null;
+            giftCardAmount = pricing.giftCardAmount;
+        }
+
+        // Hold a place in the pickup slot before anything else is committed
+        if (pickupSlot) {
+            const { data: booked, error: bookError } = await supabaseAdmin.rpc('book_pickup_slot', { p_slot_id: pickupSlot.id });
+            if (bookError) throw bookError;
+            if (!booked) {
+                return res.status(409).json({
+                    error: 'Sorry, that pickup time has just been booked out. Please choose another time.',
+                    code: 'pickup_slot_unavailable'
+                });
+            }
+        }
+
+        // Generate order number
+        const orderNumber = await generateOrderNumber();
+
+        // The order row keeps a summary of its lines for lists and reports
+        const productTypes = [...new Set(pricedLines.map(line => line.productType))];
+        const totalQuantity = pricedLines.reduce((sum, line) => sum + line.quantity, 0);
+
+        const customerId = await findOrCreateCustomer({ customerName, customerPhone, customerEmail, shippingAddress });
+
+        // Quotes don't know who the customer is, so check the promo code's rules
+        // again now that we do (e.g. first order only)
+        if (promoCodeId) {
+            const { error: promoError } = await checkPromoCode(promoCodeUsed, {
+                lines: pricedLines,
+                subtotal,
+                shippingCost,
+                state: shippingType === 'delivery' ? shippingAddress?.state : null,
+                customerId
+            });
+
+            if (promoError) {
+                if (pickupSlot) await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: pickupSlot.id });
+                return res.status(409).json({ error: promoError, code: 'promo_invalid' });
+            }
+        }
+
+        // ...and that a referral code is for this customer's first order
+        const referrer = referrerId ? await findReferrer(promoCodeUsed) : null;
+        if (referrerId) {
+            const referralError = referrer?.id === referrerId
+                ? await checkReferral(referrer, customerId)
+                : 'Invalid promo code';
+
+            if (referralError) {
+                if (pickupSlot) await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: pickupSlot.id });
+                return res.status(409).json({ error: referralError, code: 'promo_invalid' });
+            }
+        }
+
+        // Create order
+        const { data: order, error: orderError } = await supabaseAdmin
+            .from('orders')
+            .insert({
+                order_number: orderNumber,
+                customer_id: customerId,
+                customer_name: customerName,
+                customer_phone: customerPhone,
+                customer_email: customerEmail,
+                shipping_type: shippingType,
+                shipping_service: shippingServiceUsed,
+                shipping_zone: shippingZone,
+                shipping_address_line1: shippingAddress?.line1,
+                shipping_address_line2: shippingAddress?.line2,
+                shipping_city: shippingAddress?.city,
+                shipping_state: shippingAddress?.state,
+                shipping_postcode: shippingAddress?.postcode,
+                pickup_location: pickupSlot ? pickupLocation : null,
+                pickup_slot_id: pickupSlot?.id || null,
+                pickup_slot_starts_at: pickupSlot?.starts_at || null,
+                pickup_slot_ends_at: pickupSlot?.ends_at || null,
+                product_type: productTypes.length === 1 ? productTypes[0] : 'mixed',
+                variant: pricedLines[0].variant,
+                quantity: totalQuantity,
+                subtotal,
+                shipping_cost: shippingCost,
+                automatic_discount_id: automaticDiscount?.id || null,
+                automatic_discount_name: automaticDiscount?.name || null,
+                automatic_discount_amount: automaticDiscountAmount,
+                discount_amount: discountAmount,
+                promo_code_id: promoCodeId,
+                promo_code_used: promoCodeUsed,
+                gift_card_id: giftCardId,
+                gift_card_code: giftCardUsed,
+                gift_card_amount: giftCardAmount,
+                gst_amount: gstAmount,
+                total,
+                is_gift: isGift,
+                gift_message: giftMessage,
+                notes,
+                status: 'pending'
+            })
+            .select()
+            .single();
+
+        if (orderError) {
+            if (pickupSlot) await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: pickupSlot.id });
+            throw orderError;
+        }
+
+        // Hold the promo code until the order is paid. This is where the
+        // per-customer limit is checked, now that we know who the customer is.
+        if (promoCodeId) {
+            const promoError = await reservePromoCode({
+                promoCodeId,
+                orderId: order.id,
+                customerId,
+                subtotal,
+                discountAmount
+            });
+
+            if (promoError) {
+                await supabaseAdmin.from('orders').delete().eq('id', order.id);
+                if (pickupSlot) await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: pickupSlot.id });
+                return res.status(409).json({ error: promoError, code: 'promo_invalid' });
+            }
+        }
+
+        if (referrer) {
+            const referralError = await recordReferral({ referrer, customerId, orderId: order.id, discountAmount });
+
+            if (referralError) {
+                await supabaseAdmin.from('orders').delete().eq('id', order.id);
+                if (pickupSlot) await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: pickupSlot.id });
+                return res.status(409).json({ error: referralError, code: 'promo_invalid' });
+            }
+        }
+
+        // Take the gift card amount off the card's balance. If someone else spent
+        // it in the meantime, back the order out and ask for a fresh quote.
+        if (giftCardId && giftCardAmount > 0) {
+            const { data: redeemed, error: redeemError } = await supabaseAdmin.rpc('redeem_gift_card', {
+                p_gift_card_id: giftCardId,
+                p_order_id: order.id,
+                p_amount: giftCardAmount
+            });
+
+            if (redeemError || !redeemed) {
+                await supabaseAdmin.from('orders').delete().eq('id', order.id);
+                if (pickupSlot) await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: pickupSlot.id });
+                if (redeemError) throw redeemError;
+                return res.status(409).json({
+                    error: 'Your gift card balance has changed. Please review your order total and try again.',
+                    code: 'quote_invalid'
+                });
+            }
+        }
+
+        const { data: orderLines, error: linesError } = await supabaseAdmin
+            .from('order_lines')
+            .insert(pricedLines.map((line, position) => ({
+                order_id: order.id,
+                position,
+                product_type: line.productType,
+                variant: line.variant,
+                quantity: line.quantity,
+                unit_price: line.unitPrice,
+                subtotal: line.subtotal
+            })))
+            .select()
+            .order('position');
+
+        // Back the whole order out: its slot, gift card balance, promo code
+        // and referral go back before the order row is removed
+        if (linesError) {
+            await releaseOrderHolds(order);
+            await supabaseAdmin.from('orders').delete().eq('id', order.id);
+            throw linesError;
+        }
+
+        await recordOrderStatus(order.id, null, 'pending', { changedByName: 'Customer', note: 'Order placed' });
+
+        res.json({
+            success: true,
+            orderId: order.id,
+            orderNumber: order.order_number,
+            resumeToken: signResumeToken(order.id),
+            lines: orderLines.map(line => ({
+                id: line.id,
+                productType: line.product_type,
+                variant: line.variant,
+                quantity: line.quantity,
+                unitPrice: line.unit_price,
+                subtotal: line.subtotal
+            })),
+            subtotal,
+            shippingCost,
+            automaticDiscountAmount,
+            discountAmount,
+            giftCardAmount,
+            gst: gstAmount,
+            total,
+            amountDue: total - giftCardAmount
+        });
+
+    } catch (err) {
+        console.error('Create order error:', err);
+        res.status(500).json({ error: 'Failed to create order' });
+    }
+});
+
+// An unpaid order opened from a resume link or after leaving Stripe Checkout,
+// with its photos, so the customer can check it and pay again. Paid orders
+// just return their number to track.
+app.get('/api/orders/resume', async (req, res) => {
+    const orderId = verifyResumeToken(req.query.token);
+    if (!orderId) {
+        return res.status(404).json({ error: 'This link is not valid or has expired' });
+    }
+
+    try {
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (error || !order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (order.paid_at) {
+            return res.json({ order_number: order.order_number, status: order.status, paid_at: order.paid_at });
+        }
+
+        if (!UNPAID_STATUSES.includes(order.status)) {
+            return res.status(410).json({ error: 'This order has expired. Please place a new order.' });
+        }
+
+        const [catalogue, orderLines, { data: items }] = await Promise.all([
+            getPricingCatalogue(),
+            getOrderLines(order),
+            supabaseAdmin
+                .from('order_items')
+                .select('order_line_id, original_file_path, position')
+                .eq('order_id', order.id)
+                .order('position')
+        ]);
+
+        // Every photo has to have uploaded, or there's nothing to pay for yet
+        // (older orders have one line and photos without a line id)
+        const photosMissing = orderLines.some(line =>
+            items.filter(item => !line.id || item.order_line_id === line.id).length < line.quantity
+        );
+        if (photosMissing) {
+            return res.status(409).json({
+                error: 'Some of your photos didn\'t finish uploading. Please start your order again.',
+                code: 'photos_missing'
+            });
+        }
+
+        const { data: signedUrls } = items.length > 0
+            ? await supabaseAdmin.storage
+                .from('order-photos')
+                .createSignedUrls(items.map(item => item.original_file_path), 3600)
+            : { data: [] };
+
+        // The first visit after a payment reminder counts towards recovery
+        if (order.recovery_email_sent_at && !order.resumed_at) {
+            await supabaseAdmin
+                .from('orders')
+                .update({ resumed_at: new Date().toISOString() })
+                .eq('id', order.id);
+        }
+
+        res.json({
+            id: order.id,
+            order_number: order.order_number,
+            status: order.status,
+            customer_name: order.customer_name,
+            customer_phone: order.customer_phone,
+            customer_email: order.customer_email,
+            shipping_type: order.shipping_type,
+            shipping_address: order.shipping_type === 'delivery' ? {
+                line1: order.shipping_address_line1,
+                line2: order.shipping_address_line2,
+                city: order.shipping_city,
+                state: order.shipping_state,
+                postcode: order.shipping_postcode
+            } : null,
+            pickup: describePickup(catalogue, order),
+            lines: orderLines.map(line => ({
+                product_name: getProductName(catalogue, line.product_type),
+                variant: line.variant,
+                variant_name: (getVariant(catalogue, line.variant) || getDefaultVariant(catalogue)).name,
+                quantity: line.quantity,
+                subtotal: line.subtotal,
+                photos: items
+                    .map((item, i) => ({ ...item, url: signedUrls?.[i]?.signedUrl }))
+                    .filter(item => !line.id || item.order_line_id === line.id)
+                    .map(item => item.url)
+            })),
+            subtotal: order.subtotal,
+            shipping_cost: order.shipping_cost,
+            discount_amount: order.discount_amount + (order.automatic_discount_amount || 0),
+            gift_card_amount: order.gift_card_amount || 0,
+            total: order.total,
+            gst_amount: order.gst_amount
+        });
+    } catch (err) {
+        console.error('Resume order error:', err);
+        res.status(500).json({ error: 'Failed to load order' });
+    }
+});
+
+// A token to order the same again (signed in as the customer, or ?email=
+// matching the order). The storefront opens it as /?reorder=TOKEN.
+app.get('/api/orders/:orderNumber/reorder-token', async (req, res) => {
+    try {
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('id, customer_email, paid_at')
+            .eq('order_number', req.params.orderNumber.toUpperCase())
+            .single();
+
+        if (error || !order || !(await verifyOrderAccess(req, order))) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!order.paid_at) {
+            return res.status(400).json({ error: 'Only paid orders can be ordered again' });
+        }
+
+        res.json({ reorderToken: signOrderToken('reorder', order.id, REORDER_LINK_TTL_MS) });
+
+    } catch (err) {
+        console.error('Reorder token error:', err);
+        res.status(500).json({ error: 'Failed to reorder' });
+    }
+});
+
+// A previous order's details, products and photos, for the storefront to
+// start a new order from. Photos are copied with POST /api/copy-photo.
+app.get('/api/orders/reorder', async (req, res) => {
+    const orderId = verifyOrderToken('reorder', req.query.token);
+    if (!orderId) {
+        return res.status(404).json({ error: 'This link is not valid or has expired' });
+    }
+
+    try {
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (error || !order || !order.paid_at) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const [orderLines, { data: items }] = await Promise.all([
+            getOrderLines(order),
+            supabaseAdmin
+                .from('order_items')
+                .select('id, order_line_id, original_file_path, position')
+                .eq('order_id', order.id)
+                .order('position')
+        ]);
+
+        const { data: signedUrls } = items.length > 0
+            ? await supabaseAdmin.storage
+                .from('order-photos')
+                .createSignedUrls(items.map(item => item.original_file_path), 3600)
+            : { data: [] };
+
+        res.json({
+            order_number: order.order_number,
+            customer_name: order.customer_name,
+            customer_phone: order.customer_phone,
+            customer_email: order.customer_email,
+            shipping_type: order.shipping_type,
+            shipping_address: order.shipping_type === 'delivery' ? {
+                line1: order.shipping_address_line1,
+                line2: order.shipping_address_line2,
+                city: order.shipping_city,
+                state: order.shipping_state,
+                postcode: order.shipping_postcode
+            } : null,
+            shipping_service: order.shipping_service,
+            pickup_location: order.pickup_location,
+            // Older orders have one line and photos without a line id
+            lines: orderLines.map(line => ({
+                product_type: line.product_type,
+                variant: line.variant,
+                quantity: line.quantity,
+                photos: items
+                    .map((item, i) => ({ id: item.id, order_line_id: item.order_line_id, url: signedUrls?.[i]?.signedUrl }))
+                    .filter(item => item.url && (!line.id || item.order_line_id === line.id))
+                    .slice(0, line.quantity)
+                    .map(({ id, url }) => ({ id, url }))
+            }))
+        });
+    } catch (err) {
+        console.error('Reorder error:', err);
+        res.status(500).json({ error: 'Failed to load order' });
+    }
+});
+
+// Create checkout session
+app.post('/api/create-checkout', async (req, res) => {
+    try {
+        const { orderId } = req.body;
+
+        if (!orderId) {
+            return res.status(400).json({ error: 'Order ID required' });
+        }
+
+        // Get order details
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', orderId)
+            .single();
+
+        if (error || !order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (order.status === 'expired') {
+            return res.status(400).json({ error: 'This order has expired. Please place a new order.' });
+        }
+
+        if (!UNPAID_STATUSES.includes(order.status)) {
+            return res.status(400).json({ error: 'Order already processed' });
+        }
+
+        // Fully paid by gift card or store credit, so there's nothing to charge
+        const amountDue = order.total - (order.gift_card_amount || 0);
+        if (amountDue <= 0) {
+            await markOrderPaid(order.id, { changedByName: 'Customer', note: 'Paid in full by gift card' });
+            return res.json({ url: `${process.env.SITE_URL}/track.html?order=${order.order_number}&success=true` });
+        }
+
+        // Priced before the minimum was enforced
+        if (amountDue < STRIPE_MINIMUM_CHARGE) {
+            return res.status(400).json({ error: `The amount left to pay by card must be at least ${formatCents(STRIPE_MINIMUM_CHARGE)}. Please contact us to complete this order.` });
+        }
+
+        const session = await createCheckoutSession(order);
+        if (!session) {
+            return res.status(400).json({ error: 'Order already processed' });
+        }
+
+        res.json({ url: session.url });
+
+    } catch (err) {
+        console.error('Create checkout error:', err);
+        res.status(500).json({ error: 'Failed to create checkout session' });
+    }
+});
+
+// How long a customer has to pay once they're sent to Stripe Checkout
+const CHECKOUT_SESSION_MINUTES = 60;
+
+// Build the Stripe Checkout session for a pending order. An order only ever
+// has one open session, so it can't be paid twice. Returns null if its last
+// session has been paid (the order is paid, its webhook just hasn't arrived).
+async function createCheckoutSession(order) {
+    const previousSession = order.stripe_checkout_session_id
+        ? await stripe.checkout.sessions.retrieve(order.stripe_checkout_session_id).catch(() => null)
+        : null;
+
+    if (previousSession?.status === 'complete') return null;
+
+    const [catalogue, orderLines] = await Promise.all([getPricingCatalogue(), getOrderLines(order)]);
+
+    // One Stripe line item per order line
+    const lineItems = orderLines.map(line => {
+        const variant = getVariant(catalogue, line.variant) || getDefaultVariant(catalogue);
+        return {
+            price_data: {
+                currency: 'aud',
+                product_data: {
+                    name: `${getProductName(catalogue, line.product_type)} x${line.quantity}`,
+                    description: `Custom ${line.quantity} photo magnet${line.quantity > 1 ? 's' : ''} (${describeVariant(variant)})`
+                },
+                unit_amount: line.subtotal
+            },
+            quantity: 1
+        };
+    });
+
+    // Add the shipping service as its own line item if applicable
+    if (order.shipping_cost > 0) {
+        const service = catalogue.shipping.services.find(s => s.key === order.shipping_service);
+        lineItems.push({
+            price_data: {
+                currency: 'aud',
+                product_data: {
+                    name: service ? `${service.name} shipping` : 'Shipping',
+                    description: service?.description || 'Australia-wide delivery'
+                },
+                unit_amount: order.shipping_cost
+            },
+            quantity: 1
+        });
+    }
+
+    // Add discount if applicable. Stripe allows one coupon per session, so the
+    // automatic discount and a gift card redemption share it with the promo discount.
+    let discounts = [];
+    const automaticDiscount = order.automatic_discount_amount || 0;
+    const promoDiscount = order.promo_code_used ? order.discount_amount : 0;
+    const giftCardAmount = order.gift_card_amount || 0;
+    if (automaticDiscount > 0 || promoDiscount > 0 || giftCardAmount > 0) {
+        const names = [];
+        if (automaticDiscount > 0) names.push(order.automatic_discount_name || 'Discount');
+        if (promoDiscount > 0) names.push(`Promo: ${order.promo_code_used}`);
+        if (giftCardAmount > 0) names.push(`Gift card: ${order.gift_card_code}`);
+
+        // Create a coupon for this specific discount
+        const coupon = await stripe.coupons.create({
+            amount_off: automaticDiscount + promoDiscount + giftCardAmount,
+            currency: 'aud',
+            name: names.join(', '),
+            duration: 'once'
+        });
+        discounts = [{ coupon: coupon.id }];
+    }
+
+    // Create Stripe checkout session
+    const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: lineItems,
+        discounts,
+        mode: 'payment',
+        success_url: `${process.env.SITE_URL}/track.html?order=${order.order_number}&success=true`,
+        cancel_url: `${process.env.SITE_URL}/?cancelled=true&resume=${signResumeToken(order.id)}`,
+        expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_MINUTES * 60,
+        metadata: {
+            orderId: order.id,
+            orderNumber: order.order_number
+        },
+        customer_email: order.customer_email || undefined,
+        payment_intent_data: {
+            metadata: {
+                orderId: order.id,
+                orderNumber: order.order_number
+            }
+        }
+    });
+
+    // Starting checkout counts as activity, so the order doesn't expire
+    // mid-payment, and only this session's expiry can expire it
+    await supabaseAdmin
+        .from('orders')
+        .update({ stripe_checkout_session_id: session.id, updated_at: new Date().toISOString() })
+        .eq('id', order.id);
+
+    // ...and its promo code stays held for as long as the order lasts
+    if (order.promo_code_id) {
+        await extendPromoCodeReservation(order.id);
+    }
+
+    // Close the previous session only now, so its checkout.session.expired
+    // webhook finds it's no longer the order's session and leaves the order
+    // alone. One paid in the meantime is refunded by the webhook.
+    if (previousSession?.status === 'open') {
+        try {
+            await stripe.checkout.sessions.expire(previousSession.id);
+        } catch (err) {
+            console.error('Expire previous checkout session error:', err.message);
+        }
+    }
+
+    return session;
+}
+
+// =============================================================================
+// QUOTE REQUESTS (large wedding and corporate orders)
+// =============================================================================
+// Customers ask for a quote, an admin prices it and emails back a payment
+// link that expires. Accepting the quote creates a normal order.
+
+const QUOTE_REQUEST_EVENT_TYPES = ['wedding', 'corporate', 'other'];
+const MAX_QUOTE_SAMPLE_PHOTOS = 5;
+// An acceptance holds the quote ('accepting') while it creates the order. One
+// that stalls for this long (e.g. the server died) can be taken over.
+const QUOTE_ACCEPT_CLAIM_MS = 5 * 60 * 1000;
+
+const quoteRequestLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    message: { error: 'Too many quote requests, please try again later.' }
+});
+
+// A quote is payable while it's been sent and hasn't passed its expiry
+function isQuoteRequestExpired(quoteRequest) {
+    return quoteRequest.status === 'quoted' && new Date(quoteRequest.quote_expires_at) < new Date();
+}
+
+// Submit a quote request (multipart, with up to 5 sample photos as "samples")
+app.post('/api/quote-requests', quoteRequestLimiter, upload.array('samples', MAX_QUOTE_SAMPLE_PHOTOS), async (req, res) => {
+    try {
+        const {
+            customerName, customerEmail, customerPhone,
+            eventType, eventDate, productType, variant, message,
+            shippingType, addressLine1, addressLine2, city, state, postcode
+        } = req.body;
+        const quantity = parseInt(req.body.quantity);
+
+        if (!customerName || !customerEmail || !customerPhone) {
+            return res.status(400).json({ error: 'Please enter your name, email and phone number' });
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return res.status(400).json({ error: 'Please enter how many magnets you need' });
+        }
+        if (!QUOTE_REQUEST_EVENT_TYPES.includes(eventType)) {
+            return res.status(400).json({ error: 'Invalid event type' });
+        }
+
+        const catalogue = await getPricingCatalogue();
+        if (!catalogue.products.some(product => product.key === productType)) {
+            return res.status(400).json({ error: 'Invalid product type' });
+        }
+        const selectedVariant = variant ? getVariant(catalogue, variant) : getDefaultVariant(catalogue);
+        if (!selectedVariant) {
+            return res.status(400).json({ error: 'Invalid magnet size' });
+        }
+
+        const isPickup = shippingType === 'pickup';
+        if (!isPickup && (!addressLine1 || !city || !state || !postcode)) {
+            return res.status(400).json({ error: 'Please enter your delivery address' });
+        }
+
+        const { data: quoteRequest, error } = await supabaseAdmin
+            .from('quote_requests')
+            .insert({
+                customer_name: customerName,
+                customer_email: customerEmail,
+                customer_phone: customerPhone,
+                event_type: eventType,
+                event_date: eventDate || null,
+                product_type: productType,
+                variant: selectedVariant.key,
+                quantity,
+                message,
+                shipping_type: isPickup ? 'pickup' : 'delivery',
+                shipping_address_line1: isPickup ? null : addressLine1,
+                shipping_address_line2: isPickup ? null : addressLine2,
+                shipping_city: isPickup ? null : city,
+                shipping_state: isPickup ? null : state,
+                shipping_postcode: isPickup ? null : postcode
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        // Sample photos live alongside order photos in the private bucket
+        const samplePaths = [];
+        for (const [index, file] of (req.files || []).entries()) {
+            const ext = file.originalname.split('.').pop();
+            const filePath = `quote-requests/${quoteRequest.id}/${index}_${Date.now()}.${ext}`;
+
+            const { error: uploadError } = await supabaseAdmin.storage
+                .from('order-photos')
+                .upload(filePath, file.buffer, { contentType: file.mimetype, upsert: false });
+
+            if (uploadError) {
+                console.error('Quote sample upload error:', uploadError);
+                continue;
+            }
+            samplePaths.push(filePath);
+        }
+
+        if (samplePaths.length > 0) {
+            await supabaseAdmin
+                .from('quote_requests')
+                .update({ sample_photo_paths: samplePaths })
+                .eq('id', quoteRequest.id);
+        }
+
+        await sendQuoteRequestNotification({ ...quoteRequest, sample_photo_paths: samplePaths });
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Quote request error:', err);
+        res.status(500).json({ error: 'Failed to send quote request' });
+    }
+});
+
+async function getQuoteRequestByToken(token) {
+    if (!token) return null;
+
+    const { data } = await supabaseAdmin
+        .from('quote_requests')
+        .select('*')
+        .eq('payment_token', token)
+        .single();
+
+    return data || null;
+}
+
+// View a quote from its payment link
+app.get('/api/quote-requests/:token', async (req, res) => {
+    try {
+        const quoteRequest = await getQuoteRequestByToken(req.params.token);
+
+        if (!quoteRequest || !['quoted', 'accepting', 'accepted'].includes(quoteRequest.status)) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+
+        const catalogue = await getPricingCatalogue();
+        const variant = getVariant(catalogue, quoteRequest.variant) || getDefaultVariant(catalogue);
+
+        let orderNumber = null;
+        if (quoteRequest.order_id) {
+            const { data: order } = await supabaseAdmin
+                .from('orders')
+                .select('order_number')
+                .eq('id', quoteRequest.order_id)
+                .single();
+            orderNumber = order?.order_number || null;
+        }
+
+        res.json({
+            status: isQuoteRequestExpired(quoteRequest) ? 'expired' : (quoteRequest.status === 'accepting' ? 'quoted' : quoteRequest.status),
+            customer_name: quoteRequest.customer_name,
+            event_type: quoteRequest.event_type,
+            event_date: quoteRequest.event_date,
+            product_name: getProductName(catalogue, quoteRequest.product_type),
+            variant_name: describeVariant(variant),
+            quantity: quoteRequest.quantity,
+            unit_price: quoteRequest.unit_price,
+            subtotal: quoteRequest.subtotal,
+            shipping_type: quoteRequest.shipping_type,
+            shipping_cost: quoteRequest.shipping_cost,
+            total: quoteRequest.total,
+            gst: calculateGst(quoteRequest.total),
+            quote_message: quoteRequest.quote_message,
+            expires_at: quoteRequest.quote_expires_at,
+            order_number: orderNumber
+        });
+
+    } catch (err) {
+        console.error('Get quote error:', err);
+        res.status(500).json({ error: 'Failed to load quote' });
+    }
+});
+
+// Accept a quote: create the order (once) and send the customer to Stripe
+app.post('/api/quote-requests/:token/accept', async (req, res) => {
+    try {
+        const quoteRequest = await getQuoteRequestByToken(req.params.token);
+
+        if (!quoteRequest || !['quoted', 'accepting', 'accepted'].includes(quoteRequest.status)) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        if (isQuoteRequestExpired(quoteRequest)) {
+            return res.status(410).json({ error: 'This quote has expired. Please contact us for an updated quote.' });
+        }
+
+        let order = null;
+
+        if (quoteRequest.order_id) {
+            // Already accepted - let them retry payment if they didn't finish
+            const { data: existingOrder } = await supabaseAdmin
+                .from('orders')
+                .select('*')
+                .eq('id', quoteRequest.order_id)
+                .single();
+
+            if (existingOrder && !UNPAID_STATUSES.includes(existingOrder.status)) {
+                return res.status(400).json({ error: 'This quote has already been paid', orderNumber: existingOrder.order_number });
+            }
+            order = existingOrder;
+        }
+
+        if (!order) {
+            // Claim the quote before creating anything, so a concurrent
+            // acceptance stops here instead of creating a second order
+            const staleBefore = new Date(Date.now() - QUOTE_ACCEPT_CLAIM_MS).toISOString();
+            const { data: claimed } = await supabaseAdmin
+                .from('quote_requests')
+                .update({ status: 'accepting', updated_at: new Date().toISOString() })
+                .eq('id', quoteRequest.id)
+                .or(`status.eq.quoted,and(status.eq.accepting,updated_at.lt.${staleBefore})`)
+                .select('id');
+
+            if (!claimed || claimed.length === 0) {
+                return res.status(409).json({ error: 'This quote is already being paid. Please refresh and try again.' });
+            }
+
+            try {
+                order = await createOrderFromQuoteRequest(quoteRequest);
+            } catch (err) {
+                await supabaseAdmin
+                    .from('quote_requests')
+                    .update({ status: 'quoted', updated_at: new Date().toISOString() })
+                    .eq('id', quoteRequest.id)
+                    .eq('status', 'accepting');
+                throw err;
+            }
+
+            await supabaseAdmin
+                .from('quote_requests')
+                .update({
+                    status: 'accepted',
+                    order_id: order.id,
+                    accepted_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', quoteRequest.id);
+        }
+
+        const session = await createCheckoutSession(order);
+        if (!session) {
+            return res.status(400).json({ error: 'This quote has already been paid', orderNumber: order.order_number });
+        }
+
+        res.json({ url: session.url, orderNumber: order.order_number });
+
+    } catch (err) {
+        console.error('Accept quote error:', err);
+        res.status(500).json({ error: 'Failed to accept quote' });
+    }
+});
+
+// Turn a priced quote request into a pending order with a single line
+async function createOrderFromQuoteRequest(quoteRequest) {
+    const shippingAddress = quoteRequest.shipping_type === 'delivery' ? {
+        line1: quoteRequest.shipping_address_line1,
+        line2: quoteRequest.shipping_address_line2,
+        city: quoteRequest.shipping_city,
+        state: quoteRequest.shipping_state,
+        postcode: quoteRequest.shipping_postcode
+    } : null;
+
+    const customerId = await findOrCreateCustomer({
+        customerName: quoteRequest.customer_name,
+        customerPhone: quoteRequest.customer_phone,
+        customerEmail: quoteRequest.customer_email,
+        shippingAddress
+    });
+
+    const orderNumber = await generateOrderNumber();
+
+    const { data: order, error: orderError } = await supabaseAdmin
+        .from('orders')
+        .insert({
+            order_number: orderNumber,
+            customer_id: customerId,
+            customer_name: quoteRequest.customer_name,
+            customer_phone: quoteRequest.customer_phone,
+            customer_email: quoteRequest.customer_email,
+            shipping_type: quoteRequest.shipping_type,
+            shipping_address_line1: shippingAddress?.line1,
+            shipping_address_line2: shippingAddress?.line2,
+            shipping_city: shippingAddress?.city,
+            shipping_state: shippingAddress?.state,
+            shipping_postcode: shippingAddress?.postcode,
+            product_type: quoteRequest.product_type,
+            variant: quoteRequest.variant,
+            quantity: quoteRequest.quantity,
+            subtotal: quoteRequest.subtotal,
+            shipping_cost: quoteRequest.shipping_cost,
+            discount_amount: 0,
+            gst_amount: calculateGst(quoteRequest.total),
+            total: quoteRequest.total,
+            notes: `Custom quote for ${quoteRequest.event_type}${quoteRequest.event_date ? ` on ${quoteRequest.event_date}` : ''}`,
+            status: 'pending'
+        })
+        .select()
+        .single();
+
+    if (orderError) throw orderError;
+
+    const { error: lineError } = await supabaseAdmin
+        .from('order_lines')
+        .insert({
+            order_id: order.id,
+            position: 0,
+            product_type: quoteRequest.product_type,
+            variant: quoteRequest.variant,
+            quantity: quoteRequest.quantity,
+            unit_price: quoteRequest.unit_price,
+            subtotal: quoteRequest.subtotal
+        });
+
+    if (lineError) throw lineError;
+
+    await recordOrderStatus(order.id, null, 'pending', { changedByName: 'Customer', note: 'Quote accepted' });
+
+    return order;
+}
+
+// Look up customer by email/phone
+// Strict rate limit for customer lookup (PII endpoint)
+const lookupLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5,
+    message: { error: 'Too many lookup attempts, please try again later.' }
+});
+
+app.post('/api/customer/lookup', lookupLimiter, async (req, res) => {
+    const { email, phone } = req.body;
+
+    if (!email && !phone) {
+        return res.status(400).json({ error: 'Email or phone required' });
+    }
+
+    try {
+        let query = supabaseAdmin.from('customers').select('*');
+
+        if (email) {
+            query = query.eq('email', email);
+        } else if (phone) {
+            query = query.eq('phone', phone);
+        }
+
+        const { data: customer, error } = await query.single();
+
+        if (error || !customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        // Get their orders
+        const { data: orders } = await supabaseAdmin
+            .from('orders')
+            .select('order_number, product_type, quantity, total, status, paid_at, created_at')
+            .eq('customer_id', customer.id)
+            .order('created_at', { ascending: false })
+            .limit(10);
+
+        res.json({
+            customer: {
+                name: customer.name,
+                phone: customer.phone,
+                email: customer.email,
+                address: {
+                    line1: customer.default_address_line1,
+                    line2: customer.default_address_line2,
+                    city: customer.default_city,
+                    state: customer.default_state,
+                    postcode: customer.default_postcode
+                }
+            },
+            orders: orders || []
+        });
+
+    } catch (err) {
+        console.error('Customer lookup error:', err);
+        res.status(500).json({ error: 'Lookup failed' });
+    }
+});
+
+// =============================================================================
+// GIFT CARDS AND STORE CREDIT
+// =============================================================================
+// Gift cards are bought online and emailed to the recipient on the chosen day.
+// Store credit is issued by an admin to a customer. Both are a code with a
+// balance that can be spent over several orders; every change to the balance
+// is recorded in gift_card_transactions.
+
+const GIFT_CARD_AMOUNTS = [2500, 5000, 7500, 10000];
+const GIFT_CARD_MIN_AMOUNT = 1000;
+const GIFT_CARD_MAX_AMOUNT = 50000;
+const GIFT_CARD_VALID_YEARS = 3;
+
+// Codes are stored as XXXX-XXXX-XXXX-XXXX; customers can type them any old way
+function normaliseGiftCardCode(code) {
+    const raw = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return (raw.match(/.{1,4}/g) || []).join('-');
+}
+
+function generateGiftCardCode() {
+    return normaliseGiftCardCode(generateRandomCode(16));
+}
+
+// Today's date (YYYY-MM-DD) in the shop's timezone
+function todayInSydney() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'Australia/Sydney' });
+}
+
+async function findGiftCard(code) {
+    const normalised = normaliseGiftCardCode(code);
+    if (!normalised) return null;
+
+    const { data } = await supabaseAdmin
+        .from('gift_cards')
+        .select('*')
+        .eq('code', normalised)
+        .single();
+
+    return data || null;
+}
+
+// Returns an error message if the card can't be spent right now
+function getGiftCardError(card) {
+    if (!card || card.status === 'pending') return 'Invalid gift card code';
+    if (card.status === 'void') return 'This gift card is no longer valid';
+    if (card.expires_at && new Date(card.expires_at) < new Date()) return 'This gift card has expired';
+    if (card.balance <= 0) return 'This gift card has no balance left';
+    return null;
+}
+
+// Create a card with a code that isn't already taken
+async function createGiftCard(fields) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const { data: card, error } = await supabaseAdmin
+            .from('gift_cards')
+            .insert({ ...fields, code: generateGiftCardCode(), balance: fields.initial_amount })
+            .select()
+            .single();
+
+        if (!error) return card;
+        if (error.code !== '23505') throw error;
+    }
+    throw new Error('Could not generate a unique gift card code');
+}
+
+// Void a card, recording whatever balance was left on it as an adjustment
+async function voidGiftCard(card, note) {
+    const { error } = await supabaseAdmin
+        .from('gift_cards')
+        .update({ status: 'void', balance: 0, updated_at: new Date().toISOString() })
+        .eq('id', card.id);
+
+    if (error) throw error;
+
+    if (card.balance > 0) {
+        await supabaseAdmin
+            .from('gift_card_transactions')
+            .insert({ gift_card_id: card.id, amount: -card.balance, type: 'adjust', note });
+    }
+}
+
+// Email the card and remember that it has gone out
+async function deliverGiftCard(card) {
+    await sendGiftCardEmail(card);
+
+    await supabaseAdmin
+        .from('gift_cards')
+        .update({ delivered_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('id', card.id);
+}
+
+// Called from the Stripe webhook once a gift card purchase is paid
+async function activateGiftCard(session) {
+    const expiresAt = new Date();
+    expiresAt.setFullYear(expiresAt.getFullYear() + GIFT_CARD_VALID_YEARS);
+
+    // Only a pending card is activated, so a repeated webhook does nothing
+    const { data: card } = await supabaseAdmin
+        .from('gift_cards')
+        .update({
+            status: 'active',
+            stripe_payment_intent_id: session.payment_intent,
+            paid_at: new Date().toISOString(),
+            expires_at: expiresAt.toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', session.metadata.giftCardId)
+        .eq('status', 'pending')
+        .select()
+        .single();
+
+    if (!card) {
+        console.log(`Gift card ${session.metadata.giftCardId} already processed, skipping`);
+        return;
+    }
+
+    await supabaseAdmin
+        .from('gift_card_transactions')
+        .insert({ gift_card_id: card.id, amount: card.initial_amount, type: 'issue', note: 'Purchased online' });
+
+    await sendGiftCardReceiptEmail(card);
+
+    if (!card.deliver_on || card.deliver_on <= todayInSydney()) {
+        await deliverGiftCard(card);
+    }
+
+    console.log(`Gift card ${card.code} activated`);
+}
+
+// Send gift cards whose delivery date has arrived (run daily by cron)
+async function deliverDueGiftCards() {
+    const { data: cards, error } = await supabaseAdmin
+        .from('gift_cards')
+        .select('*')
+        .eq('kind', 'gift_card')
+        .eq('status', 'active')
+        .is('delivered_at', null)
+        .lte('deliver_on', todayInSydney());
+
+    if (error) throw error;
+
+    for (const card of cards) {
+        await deliverGiftCard(card);
+    }
+
+    return { delivered: cards.length };
+}
+
+// Buy a gift card
+app.post('/api/gift-cards', checkoutLimiter, async (req, res) => {
+    const { purchaserName, purchaserEmail, recipientName, recipientEmail, message, deliverOn } = req.body;
+    const amount = parseInt(req.body.amount);
+
+    if (!purchaserName || !purchaserEmail || !recipientEmail) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!purchaserEmail.includes('@') || !recipientEmail.includes('@')) {
+        return res.status(400).json({ error: 'Please enter valid email addresses' });
+    }
+
+    if (!GIFT_CARD_AMOUNTS.includes(amount) &&
+        (!Number.isInteger(amount) || amount % 100 !== 0 || amount < GIFT_CARD_MIN_AMOUNT || amount > GIFT_CARD_MAX_AMOUNT)) {
+        return res.status(400).json({
+            error: `Gift cards can be any whole dollar amount from ${formatCents(GIFT_CARD_MIN_AMOUNT)} to ${formatCents(GIFT_CARD_MAX_AMOUNT)}`
+        });
+    }
+
+    if (message && message.length > 500) {
+        return res.status(400).json({ error: 'Message must be 500 characters or less' });
+    }
+
+    if (deliverOn && (!/^\d{4}-\d{2}-\d{2}$/.test(deliverOn) || deliverOn < todayInSydney())) {
+        return res.status(400).json({ error: 'Please choose a delivery date from today onwards' });
+    }
+
+    try {
+        const card = await createGiftCard({
+            kind: 'gift_card',
+            initial_amount: amount,
+            status: 'pending',
+            purchaser_name: purchaserName,
+            purchaser_email: purchaserEmail,
+            recipient_name: recipientName || null,
+            recipient_email: recipientEmail,
+            message: message || null,
+            deliver_on: deliverOn || null
+        });
+
+        const session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            line_items: [{
+                price_data: {
+                    currency: 'aud',
+                    product_data: {
+                        name: `Heartsnaps gift card ${formatCents(amount)}`,
+                        description: `For ${recipientName || recipientEmail}`
+                    },
+                    unit_amount: amount
+                },
+                quantity: 1
+            }],
+            mode: 'payment',
+            success_url: `${process.env.SITE_URL}/gift-cards.html?success=true`,
+            cancel_url: `${process.env.SITE_URL}/gift-cards.html?cancelled=true`,
+            metadata: { giftCardId: card.id },
+            customer_email: purchaserEmail,
+            payment_intent_data: { metadata: { giftCardId: card.id } }
+        });
+
+        await supabaseAdmin
+            .from('gift_cards')
+            .update({ stripe_checkout_session_id: session.id })
+            .eq('id', card.id);
+
+        res.json({ url: session.url });
+
+    } catch (err) {
+        console.error('Gift card purchase error:', err);
+        res.status(500).json({ error: 'Failed to start gift card checkout' });
+    }
+});
+
+// Check a gift card balance
+app.get('/api/gift-cards/:code', lookupLimiter, async (req, res) => {
+    try {
+        const card = await findGiftCard(req.params.code);
+        if (!card || card.status === 'pending') {
+            return res.status(404).json({ error: 'Gift card not found' });
+        }
+
+        res.json({
+            code: card.code,
+            kind: card.kind,
+            balance: card.balance,
+            expiresAt: card.expires_at,
+            error: getGiftCardError(card)
+        });
+
+    } catch (err) {
+        console.error('Gift card balance error:', err);
+        res.status(500).json({ error: 'Failed to check balance' });
+    }
+});
+
+// =============================================================================
+// REFERRALS
+// =============================================================================
+// Every customer has a personal referral code and share link (/?ref=CODE). A
+// friend enters the code in the promo code box for a discount on their first
+// order, and the referrer earns store credit once that order is paid.
+
+const REFERRAL_DISCOUNT = 1000;  // off the friend's first order, in cents
+const REFERRAL_REWARD = 1000;  // store credit for the referrer, in cents
+
+// Codes look like SARAH-7KQ2: the customer's first name and a random suffix
+function generateReferralCode(name) {
+    const firstName = String(name || '').split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, '').slice(0, 8);
+    return `${firstName || 'FRIEND'}-${generateRandomCode(4)}`;
+}
+
+// The customer's referral code, creating it the first time it's asked for
+async function ensureReferralCode(customer) {
+    if (customer.referral_code) return customer.referral_code;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const { data, error } = await supabaseAdmin
+            .from('customers')
+            .update({ referral_code: generateReferralCode(customer.name) })
+            .eq('id', customer.id)
+            .is('referral_code', null)
+            .select('referral_code')
+            .single();
+
+        if (data) return data.referral_code;
+        if (error && error.code !== '23505') break;
+    }
+
+    // Someone else gave them a code in the meantime
+    const { data: existing } = await supabaseAdmin
+        .from('customers')
+        .select('referral_code')
+        .eq('id', customer.id)
+        .single();
+
+    if (!existing?.referral_code) throw new Error('Could not generate a unique referral code');
+    return existing.referral_code;
+}
+
+async function findReferrer(code) {
+    const normalised = String(code).toUpperCase().trim();
+    if (!normalised) return null;
+
+    const { data } = await supabaseAdmin
+        .from('customers')
+        .select('id, name, email, phone, referral_code')
+        .eq('referral_code', normalised)
+        .single();
+
+    return data || null;
+}
+
+// Contact details in a form that can be compared: emails ignoring case, and
+// phone numbers as digits with +61 written as a leading 0
+function normaliseEmail(email) {
+    return email ? String(email).trim().toLowerCase() : '';
+}
+
+function normalisePhone(phone) {
+    const digits = phone ? String(phone).replace(/\D/g, '') : '';
+    return digits.startsWith('61') ? `0${digits.slice(2)}` : digits;
+}
+
+// Returns an error message if this customer can't use the referral code
+async function checkReferral(referrer, customerId) {
+    if (referrer.id === customerId) {
+        return 'You can\'t use your own referral code';
+    }
+
+    const [{ data: customer }, { data: existing }] = await Promise.all([
+        supabaseAdmin.from('customers').select('email, phone, order_count').eq('id', customerId).single(),
+        supabaseAdmin.from('referrals').select('id').eq('referred_customer_id', customerId).limit(1)
+    ]);
+
+    // Customers are keyed by phone, so the same person ordering with another
+    // number has a new customer row. Their email or phone still gives them away.
+    const email = normaliseEmail(customer?.email);
+    const phone = normalisePhone(customer?.phone);
+    if ((email && email === normaliseEmail(referrer.email)) || (phone && phone === normalisePhone(referrer.phone))) {
+        return 'You can\'t use your own referral code';
+    }
+
+    if (customer?.order_count > 0) {
+        return 'Referral codes are for first orders only';
+    }
+    if (existing?.length > 0) {
+        return 'You have already used a referral code';
+    }
+    return null;
+}
+
+// Record the referral against a new order. Returns an error message if the
+// customer was referred by another order in the meantime.
+async function recordReferral({ referrer, customerId, orderId, discountAmount }) {
+    const { error } = await supabaseAdmin
+        .from('referrals')
+        .insert({
+            referrer_customer_id: referrer.id,
+            referred_customer_id: customerId,
+            order_id: orderId,
+            referral_code: referrer.referral_code,
+            discount_amount: discountAmount
+        });
+
+    if (!error) return null;
+    if (error.code === '23505') return 'You have already used a referral code';
+    throw error;
+}
+
+// Called once the friend's order is paid. The status check makes a repeated
+// webhook a no-op.
+async function rewardReferral(order) {
+    const { data: referral } = await supabaseAdmin
+        .from('referrals')
+        .update({ status: 'rewarded', reward_amount: REFERRAL_REWARD, rewarded_at: new Date().toISOString() })
+        .eq('order_id', order.id)
+        .eq('status', 'pending')
+        .select('*, referrer:referrer_customer_id(id, name, email)')
+        .single();
+
+    if (!referral) return;
+
+    const friendName = (order.customer_name || 'a friend').split(/\s+/)[0];
+    const reason = `Thanks for referring ${friendName}`;
+    const card = await createGiftCard({
+        kind: 'store_credit',
+        initial_amount: REFERRAL_REWARD,
+        status: 'active',
+        customer_id: referral.referrer.id,
+        recipient_name: referral.referrer.name,
+        recipient_email: referral.referrer.email,
+        reason
+    });
+
+    await Promise.all([
+        supabaseAdmin
+            .from('gift_card_transactions')
+            .insert({ gift_card_id: card.id, amount: REFERRAL_REWARD, type: 'issue', order_id: order.id, note: reason }),
+        supabaseAdmin
+            .from('referrals')
+            .update({ reward_gift_card_id: card.id })
+            .eq('id', referral.id)
+    ]);
+
+    if (card.recipient_email) {
+        await deliverGiftCard(card);
+    }
+}
+
+// An unpaid order gives up its referral (order cancelled, expired or deleted)
+async function releaseReferral(orderId) {
+    await supabaseAdmin
+        .from('referrals')
+        .delete()
+        .eq('order_id', orderId)
+        .eq('status', 'pending');
+}
+
+// Referral code, share link and stats for the signed-in customer
+app.get('/api/account/referrals', async (req, res) => {
+    const user = await verifyCustomer(req);
+    if (!user) return res.status(401).json({ error: 'Please sign in' });
+
+    try {
+        // Customers are keyed by phone, so one email can have several rows.
+        // The code belongs to the one that already has it (or the oldest);
+        // referrals and credit are totalled across all of them.
+        const { data: customers, error: customersError } = await supabaseAdmin
+            .from('customers')
+            .select('id, name, referral_code')
+            .eq('email', user.email)
+            .order('created_at');
+
+        if (customersError) throw customersError;
+
+        if (!customers || customers.length === 0) {
+            return res.status(404).json({ error: 'Place your first order to get a referral code' });
+        }
+
+        const customer = customers.find(c => c.referral_code) || customers[0];
+        const customerIds = customers.map(c => c.id);
+        const code = await ensureReferralCode(customer);
+
+        const [{ data: referrals, error }, { data: credits }] = await Promise.all([
+            supabaseAdmin
+                .from('referrals')
+                .select('status, reward_amount, created_at, referred:referred_customer_id(name)')
+                .in('referrer_customer_id', customerIds)
+                .neq('status', 'revoked')
+                .order('created_at', { ascending: false }),
+            supabaseAdmin
+                .from('gift_cards')
+                .select('balance')
+                .in('customer_id', customerIds)
+                .eq('kind', 'store_credit')
+                .eq('status', 'active')
+        ]);
+
+        if (error) throw error;
+
+        res.json({
+            code,
+            shareUrl: `${process.env.SITE_URL}/?ref=${encodeURIComponent(code)}`,
+            friendDiscount: REFERRAL_DISCOUNT,
+            reward: REFERRAL_REWARD,
+            rewarded: referrals.filter(r => r.status === 'rewarded').length,
+            pending: referrals.filter(r => r.status === 'pending').length,
+            creditEarned: referrals.reduce((sum, r) => sum + (r.status === 'rewarded' ? r.reward_amount : 0), 0),
+            creditBalance: (credits || []).reduce((sum, card) => sum + card.balance, 0),
+            referrals: referrals.map(r => ({
+                // Only the friend's first name is shown
+                friend: (r.referred?.name || 'A friend').split(/\s+/)[0],
+                status: r.status,
+                createdAt: r.created_at
+            }))
+        });
+
+    } catch (err) {
+        console.error('Account referrals error:', err);
+        res.status(500).json({ error: 'Failed to load referrals' });
+    }
+});
+
+// =============================================================================
+// SCHEDULED JOBS
+// =============================================================================
+// Vercel Cron calls GET /api/cron/<job> with "Authorization: Bearer $CRON_SECRET"
+// (see vercel.json for the schedule).
+
+// Orders handled per run, so one run can't go on past the function time limit
+const ABANDONED_ORDERS_BATCH_SIZE = 100;
+
+// Email customers who left an order unpaid for recovery_email_delay_hours,
+// once, with a link back to it. Starting checkout updates an order's
+// updated_at, so nobody is reminded while they're still paying.
+async function sendRecoveryEmails() {
+    const settings = await getAppSettings();
+    if (!settings.notify_recovery) return { sent: 0 };
+
+    const remindBefore = new Date(Date.now() - settings.recovery_email_delay_hours * 60 * 60 * 1000);
+
+    const { data: orders, error } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .eq('status', 'pending')
+        .is('recovery_email_sent_at', null)
+        .not('customer_email', 'is', null)
+        .lt('updated_at', remindBefore.toISOString())
+        .order('updated_at')
+        .limit(ABANDONED_ORDERS_BATCH_SIZE);
+
+    if (error) throw error;
+
+    let sent = 0;
+    for (const order of orders) {
+        // Claim the order first, so overlapping runs can't both send a reminder
+        const { data: claimed } = await supabaseAdmin
+            .from('orders')
+            .update({ recovery_email_sent_at: new Date().toISOString() })
+            .eq('id', order.id)
+            .eq('status', 'pending')
+            .is('recovery_email_sent_at', null)
+            .select('id')
+            .maybeSingle();
+
+        if (!claimed) continue;
+
+        const email = await renderOrderEmail('order_recovery', order);
+        await queueNotification({
+            channel: 'email',
+            recipient: order.customer_email,
+            subject: email.subject,
+            body: email.html,
+            orderId: order.id
+        });
+        await recordOrderStatus(order.id, 'pending', 'pending', { changedByName: 'System', note: `Emailed customer: ${email.subject}` });
+        sent++;
+    }
+
+    return { sent };
+}
+
+// Expire unpaid orders with no activity for pending_order_expiry_hours and
+// give back what they were holding. Once expired_order_photo_days have passed
+// their photos are deleted; the order itself stays as a record.
+async function expirePendingOrders() {
+    const settings = await getAppSettings();
+    const expireBefore = new Date(Date.now() - settings.pending_order_expiry_hours * 60 * 60 * 1000);
+    const cleanUpBefore = new Date(Date.now() - settings.expired_order_photo_days * 24 * 60 * 60 * 1000);
+
+    const { data: abandoned, error } = await supabaseAdmin
+        .from('orders')
+        .select('*')
+        .in('status', UNPAID_STATUSES)
+        .lt('updated_at', expireBefore.toISOString())
+        .order('updated_at')
+        .limit(ABANDONED_ORDERS_BATCH_SIZE);
+
+    if (error) throw error;
+
+    const expired = [];
+    for (const order of abandoned) {
+        // Null if it was paid in the meantime
+        const updated = await transitionOrderStatus(order, 'expired', {
+            changedByName: 'System',
+            note: `Not paid within ${settings.pending_order_expiry_hours} hours`
+        });
+        if (!updated) continue;
+
+        await releaseOrderHolds(updated);
+        expired.push(updated.order_number);
+    }
+
+    const { data: stale, error: staleError } = await supabaseAdmin
+        .from('orders')
+        .select('id, order_number')
+        .eq('status', 'expired')
+        .is('photos_deleted_at', null)
+        .lt('expired_at', cleanUpBefore.toISOString())
+        .order('expired_at')
+        .limit(ABANDONED_ORDERS_BATCH_SIZE);
+
+    if (staleError) throw staleError;
+
+    let photosDeleted = 0;
+    for (const order of stale) {
+        photosDeleted += await deleteOrderPhotos(order.id);
+
+        await supabaseAdmin
+            .from('orders')
+            .update({ photos_deleted_at: new Date().toISOString() })
+            .eq('id', order.id);
+    }
+
+    const summary = { expired: expired.length, cleaned_up: stale.length, photos_deleted: photosDeleted };
+
+    if (expired.length > 0 || stale.length > 0) {
+        await logAdminAction(null, 'expire_pending_orders', 'order', null, {
+            ...summary,
+            expired_orders: expired,
+            cleaned_up_orders: stale.map(order => order.order_number)
+        });
+    }
+
+    return summary;
+}
+
+const CRON_JOBS = {
+    'gift-card-delivery': deliverDueGiftCards,
+    'notifications': deliverDueNotifications,
+    'recovery-emails': sendRecoveryEmails,
+    'expire-orders': expirePendingOrders
+};
+
+app.get('/api/cron/:job', async (req, res) => {
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const job = CRON_JOBS[req.params.job];
+    if (!job) {
+        return res.status(404).json({ error: 'Unknown job' });
+    }
+
+    try {
+        const result = await job();
+        console.log(`Cron ${req.params.job}:`, result);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error(`Cron ${req.params.job} error:`, err);
+        res.status(500).json({ error: 'Job failed' });
+    }
+});
+
+// =============================================================================
+// ADMIN API ENDPOINTS
+// =============================================================================
+
+// Check admin status
+app.get('/api/admin/check', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) {
+        return res.status(403).json({ isAdmin: false });
+    }
+    res.json({ isAdmin: true, role: admin.role, email: admin.email });
+});
+
+// Get dashboard stats
+app.get('/api/admin/stats', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: orders } = await supabaseAdmin
+            .from('orders')
+            .select('id, status, total, refunded_amount, product_type, paid_at, created_at, recovery_email_sent_at, resumed_at');
+
+        const now = new Date();
+        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const weekStart = new Date(todayStart);
+        weekStart.setDate(weekStart.getDate() - 7);
+        const monthStart = new Date(todayStart);
+        monthStart.setMonth(monthStart.getMonth() - 1);
+
+        // Revenue counts what was kept after refunds
+        const paidOrders = orders.filter(o => o.paid_at && o.status !== 'cancelled');
+        const netTotal = o => o.total - (o.refunded_amount || 0);
+
+        // Orders reminded to finish paying, and the ones that then paid
+        const remindedOrders = orders.filter(o => o.recovery_email_sent_at);
+        const recoveredOrders = paidOrders.filter(o => o.recovery_email_sent_at && new Date(o.paid_at) > new Date(o.recovery_email_sent_at));
+
+        const stats = {
+            orders: {
+                total: orders.length,
+                pending: orders.filter(o => o.status === 'pending').length,
+                payment_failed: orders.filter(o => o.status === 'payment_failed').length,
+                disputed: orders.filter(o => o.status === 'disputed').length,
+                paid: orders.filter(o => o.status === 'paid').length,
+                printing: orders.filter(o => o.status === 'printing').length,
+                shipped: orders.filter(o => o.status === 'shipped').length,
+                ready_pickup: orders.filter(o => o.status === 'ready_pickup').length,
+                completed: orders.filter(o => o.status === 'completed').length,
+                cancelled: orders.filter(o => o.status === 'cancelled').length,
+                expired: orders.filter(o => o.status === 'expired').length,
+                refunded: orders.filter(o => o.status === 'refunded' || o.status === 'partially_refunded').length,
+                needsAction: orders.filter(o => ['paid'].includes(o.status)).length
+            },
+            revenue: {
+                total: paidOrders.reduce((sum, o) => sum + netTotal(o), 0),
+                today: paidOrders.filter(o => new Date(o.created_at) >= todayStart).reduce((sum, o) => sum + netTotal(o), 0),
+                week: paidOrders.filter(o => new Date(o.created_at) >= weekStart).reduce((sum, o) => sum + netTotal(o), 0),
+                month: paidOrders.filter(o => new Date(o.created_at) >= monthStart).reduce((sum, o) => sum + netTotal(o), 0),
+                refunded: orders.reduce((sum, o) => sum + (o.refunded_amount || 0), 0)
+            },
+            products: {
+                personal: orders.filter(o => o.product_type === 'personal').length,
+                business: orders.filter(o => o.product_type === 'business').length
+            },
+            recovery: {
+                reminded: remindedOrders.length,
+                resumed: remindedOrders.filter(o => o.resumed_at).length,
+                recovered: recoveredOrders.length,
+                revenue: recoveredOrders.reduce((sum, o) => sum + netTotal(o), 0)
+            }
+        };
+
+        const { count: customerCount } = await supabaseAdmin
+            .from('customers')
+            .select('*', { count: 'exact', head: true });
+
+        stats.customers = { total: customerCount };
+
+        res.json(stats);
+
+    } catch (err) {
+        console.error('Stats error:', err);
+        res.status(500).json({ error: 'Failed to load stats' });
+    }
+});
+
+// List orders
+app.get('/api/admin/orders', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    try {
+        let query = supabaseAdmin
+            .from('orders')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+        if (status && status !== 'all') {
+            query = query.eq('status', status);
+        }
+
+        const { data: orders, error } = await query;
+
+        if (error) throw error;
+
+        res.json(orders);
+
+    } catch (err) {
+        console.error('List orders error:', err);
+        res.status(500).json({ error: 'Failed to load orders' });
+    }
+});
+
+// Get single order with items
+app.get('/api/admin/orders/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Get order items with signed URLs
+        const { data: items } = await supabaseAdmin
+            .from('order_items')
+            .select('*')
+            .eq('order_id', order.id)
+            .order('position');
+
+        const itemsWithUrls = await Promise.all((items || []).map(async (item) => {
+            const { data: signedUrl } = await supabaseAdmin.storage
+                .from('order-photos')
+                .createSignedUrl(item.original_file_path, 3600);
+            return { ...item, previewUrl: signedUrl?.signedUrl };
+        }));
+
+        // Group photos under their order line (legacy orders have a single line)
+        const [catalogue, orderLines] = await Promise.all([getPricingCatalogue(), getOrderLines(order)]);
+        const lines = orderLines.map(line => ({
+            ...line,
+            product_name: getProductName(catalogue, line.product_type),
+            variant_details: getVariant(catalogue, line.variant) || getDefaultVariant(catalogue),
+            items: itemsWithUrls.filter(item => orderLines.length === 1 || item.order_line_id === line.id)
+        }));
+
+        const [{ data: history }, { data: notifications }, { data: refunds }] = await Promise.all([
+            supabaseAdmin.from('order_status_history').select('*').eq('order_id', order.id).order('created_at'),
+            supabaseAdmin
+                .from('notifications')
+                .select('id, channel, recipient, subject, status, provider, attempts, last_error, next_attempt_at, sent_at, created_at')
+                .eq('order_id', order.id)
+                .order('created_at'),
+            supabaseAdmin.from('refunds').select('*').eq('order_id', order.id).order('created_at')
+        ]);
+
+        res.json({
+            ...order,
+            lines,
+            items: itemsWithUrls,
+            pickup: describePickup(catalogue, order),
+            history: history || [],
+            notifications: notifications || [],
+            refunds: refunds || [],
+            refundable_amount: getRefundableAmount(order),
+            can_refund: hasAdminRole(admin, 'super_admin'),
+            allowed_transitions: getAllowedOrderTransitions(order, admin)
+        });
+
+    } catch (err) {
+        console.error('Get order error:', err);
+        res.status(500).json({ error: 'Failed to load order' });
+    }
+});
+
+// Update order status
+app.put('/api/admin/orders/:id/status', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const { status, tracking_number, carrier, admin_notes, note } = req.body;
+
+    if (!ORDER_STATUS_TRANSITIONS[status]) {
+        return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    try {
+        const { data: previous } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!previous) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const updateData = {};
+        if (tracking_number) updateData.tracking_number = tracking_number;
+        if (carrier) updateData.carrier = carrier;
+        if (admin_notes !== undefined) updateData.admin_notes = admin_notes;
+
+        // Same status: just saving notes or tracking details
+        if (status === previous.status) {
+            await supabaseAdmin
+                .from('orders')
+                .update({ ...updateData, updated_at: new Date().toISOString() })
+                .eq('id', previous.id);
+
+            return res.json({ success: true });
+        }
+
+        const transitionError = getOrderTransitionError(previous, status, admin);
+        if (transitionError) {
+            return res.status(400).json({ error: transitionError });
+        }
+
+        const changedBy = { changedBy: admin.userId, changedByName: admin.email, note: note?.trim() || null };
+        let order;
+
+        if (status === 'paid' && UNPAID_STATUSES.includes(previous.status)) {
+            // Paid outside Stripe: invoice and confirm it as if the payment came through
+            order = await markOrderPaid(previous.id, changedBy);
+            if (order && Object.keys(updateData).length > 0) {
+                await supabaseAdmin.from('orders').update(updateData).eq('id', order.id);
+            }
+        } else {
+            order = await transitionOrderStatus(previous, status, { ...changedBy, updates: updateData });
+        }
+
+        if (!order) {
+            return res.status(409).json({ error: 'The order was updated by someone else. Reload it and try again.' });
+        }
+
+        await logAdminAction(admin.userId, 'update_order_status', 'order', req.params.id, { from: previous.status, status, tracking_number });
+
+        // Cancelling an unpaid order gives back everything it was holding. A
+        // paid order's gift card stays spent and its money comes back through
+        // a refund, so only its pickup place is freed here.
+        const wasPaid = !UNPAID_STATUSES.includes(previous.status);
+        if (status === 'cancelled' && !wasPaid) {
+            await releaseOrderHolds(order);
+        } else if (status === 'cancelled' && order.pickup_slot_id && previous.status !== 'archived') {
+            await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: order.pickup_slot_id });
+        }
+
+        // Tell the customer the first time their order reaches each step
+        if (!previous[ORDER_STATUS_TIMESTAMPS[status]]) {
+            await sendOrderStatusEmail(order, status);
+        }
+
+        res.json({ success: true, refund_required: status === 'cancelled' && wasPaid && getRefundableAmount(order) > 0 });
+
+    } catch (err) {
+        console.error('Update status error:', err);
+        res.status(500).json({ error: 'Failed to update status' });
+    }
+});
+
+// Restore an archived order to the status it was archived from
+app.post('/api/admin/orders/:id/restore', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: order } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (order.status !== 'archived') {
+            return res.status(400).json({ error: 'Only archived orders can be restored' });
+        }
+
+        const { data: archivedEntry } = await supabaseAdmin
+            .from('order_status_history')
+            .select('from_status')
+            .eq('order_id', order.id)
+            .eq('to_status', 'archived')
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        const status = archivedEntry?.from_status || 'completed';
+        const transitionError = getOrderTransitionError(order, status, admin);
+        if (transitionError) {
+            return res.status(400).json({ error: transitionError });
+        }
+
+        const restored = await transitionOrderStatus(order, status, {
+            changedBy: admin.userId,
+            changedByName: admin.email,
+            note: 'Restored from archive'
+        });
+
+        if (!restored) {
+            return res.status(409).json({ error: 'The order was updated by someone else. Reload it and try again.' });
+        }
+
+        await logAdminAction(admin.userId, 'restore_order', 'order', order.id, { status });
+
+        res.json({ success: true, status });
+
+    } catch (err) {
+        console.error('Restore order error:', err);
+        res.status(500).json({ error: 'Failed to restore order' });
+    }
+});
+
+// Refund all or part of an order's card payment through Stripe
+app.post('/api/admin/orders/:id/refund', async (req, res) => {
+    const admin = await verifyAdmin(req, 'super_admin');
+    if (!admin) return res.status(403).json({ error: 'Unauthorized - requires super_admin' });
+
+    const { amount, reason } = req.body;
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return res.status(400).json({ error: 'Enter the amount to refund' });
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: 'Enter a reason for the refund' });
+    }
+    if (reason.length > 500) {
+        return res.status(400).json({ error: 'Reason must be 500 characters or less' });
+    }
+
+    try {
+        const { data: order } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!order.stripe_payment_intent_id) {
+            return res.status(400).json({ error: 'This order wasn\'t paid through Stripe, so it can\'t be refunded here' });
+        }
+
+        const refundable = getRefundableAmount(order);
+        if (refundable === 0) {
+            return res.status(400).json({ error: `A ${order.status} order can't be refunded` });
+        }
+        if (amount > refundable) {
+            return res.status(400).json({ error: `Only ${formatCents(refundable)} is left to refund` });
+        }
+
+        // The key stops a double-click refunding twice
+        const stripeRefund = await stripe.refunds.create({
+            payment_intent: order.stripe_payment_intent_id,
+            amount,
+            reason: 'requested_by_customer',
+            // So the charge.refunded webhook records it the same way if it gets in first
+            metadata: {
+                orderId: order.id,
+                orderNumber: order.order_number,
+                reason: reason.trim(),
+                refundedBy: admin.userId,
+                refundedByName: admin.email
+            }
+        }, {
+            idempotencyKey: `refund-${order.id}-${order.refunded_amount || 0}-${amount}`
+        });
+
+        const updated = await recordRefund(order, {
+            amount,
+            reason: reason.trim(),
+            stripeRefund,
+            refundedBy: admin.userId,
+            refundedByName: admin.email
+        });
+
+        await logAdminAction(admin.userId, 'refund_order', 'order', order.id, {
+            amount,
+            reason: reason.trim(),
+            stripe_refund_id: stripeRefund.id
+        });
+
+        res.json({ success: true, status: updated?.status || order.status, refunded_amount: updated?.refunded_amount });
+
+    } catch (err) {
+        console.error('Refund order error:', err);
+        res.status(err.type === 'StripeInvalidRequestError' ? 400 : 500).json({ error: err.type === 'StripeInvalidRequestError' ? err.message : 'Failed to refund order' });
+    }
+});
+
+// Try a failed notification again (it gets a fresh set of retries)
+app.post('/api/admin/notifications/:id/retry', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: notification } = await supabaseAdmin
+            .from('notifications')
+            .update({
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id)
+            .eq('status', 'failed')
+            .select()
+            .single();
+
+        if (!notification) {
+            return res.status(400).json({ error: 'Only failed notifications can be retried' });
+        }
+
+        await logAdminAction(admin.userId, 'retry_notification', 'notification', notification.id, { channel: notification.channel, recipient: notification.recipient });
+
+        deliverNotificationsSoon();
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Retry notification error:', err);
+        res.status(500).json({ error: 'Failed to retry notification' });
+    }
+});
+
+// Download order photos as ZIP
+app.get('/api/admin/orders/:id/download', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: items } = await supabaseAdmin
+            .from('order_items')
+            .select('*')
+            .eq('order_id', req.params.id)
+            .order('position');
+
+        const { data: order } = await supabaseAdmin
+            .from('orders')
+            .select('order_number')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!items || items.length === 0) {
+            return res.status(404).json({ error: 'No photos found' });
+        }
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${order.order_number}-photos.zip"`);
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.pipe(res);
+
+        for (const item of items) {
+            const { data: fileData } = await supabaseAdmin.storage
+                .from('order-photos')
+                .download(item.original_file_path);
+
+            if (fileData) {
+                const buffer = await fileData.arrayBuffer();
+                archive.append(Buffer.from(buffer), {
+                    name: `${item.position + 1}_${item.original_filename}`
+                });
+            }
+        }
+
+        await archive.finalize();
+
+        await logAdminAction(admin.userId, 'download_photos', 'order', req.params.id);
+
+    } catch (err) {
+        console.error('Download error:', err);
+        res.status(500).json({ error: 'Download failed' });
+    }
+});
+
+// Download tax invoice
+app.get('/api/admin/orders/:id/invoice', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: order, error } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!order.paid_at) {
+            return res.status(400).json({ error: 'Order has not been paid' });
+        }
+
+        const invoice = await issueInvoice(order);
+        if (!invoice) throw new Error('Invoice could not be issued');
+
+        await sendInvoicePdf(res, invoice);
+
+    } catch (err) {
+        console.error('Admin invoice error:', err);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+});
+
+// Delete order (super_admin only)
+app.delete('/api/admin/orders/:id', async (req, res) => {
+    const admin = await verifyAdmin(req, 'super_admin');
+    if (!admin) return res.status(403).json({ error: 'Unauthorized - requires super_admin' });
+
+    try {
+        // Get order details first
+        const { data: order, error: orderError } = await supabaseAdmin
+            .from('orders')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (orderError || !order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (UNPAID_STATUSES.includes(order.status)) {
+            // Nothing was paid, so everything the order was holding goes back
+            await releaseOrderHolds(order);
+        } else if (order.pickup_slot_id && order.status !== 'cancelled' && order.status !== 'expired') {
+            // A paid order's gift card stays spent (refund the order to give
+            // money back), but its pickup place is freed
+            await supabaseAdmin.rpc('release_pickup_slot', { p_slot_id: order.pickup_slot_id });
+        }
+
+        await deleteOrderPhotos(order.id);
+
+        // Delete the order's recorded promo code use
+        await supabaseAdmin
+            .from('promo_code_usage')
+            .delete()
+            .eq('order_id', req.params.id);
+
+        // Delete the order
+        await supabaseAdmin
+            .from('orders')
+            .delete()
+            .eq('id', req.params.id);
+
+        await logAdminAction(admin.userId, 'delete_order', 'order', req.params.id, { order_number: order.order_number });
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Delete order error:', err);
+        res.status(500).json({ error: 'Failed to delete order' });
+    }
+});
+
+// List quote requests
+app.get('/api/admin/quote-requests', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        let query = supabaseAdmin
+            .from('quote_requests')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (req.query.status && req.query.status !== 'all') {
+            query = query.eq('status', req.query.status);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json(data.map(quoteRequest => ({
+            ...quoteRequest,
+            status: isQuoteRequestExpired(quoteRequest) ? 'expired' : quoteRequest.status
+        })));
+
+    } catch (err) {
+        console.error('List quote requests error:', err);
+        res.status(500).json({ error: 'Failed to load quote requests' });
+    }
+});
+
+// Get quote request with sample photo previews
+app.get('/api/admin/quote-requests/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: quoteRequest, error } = await supabaseAdmin
+            .from('quote_requests')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !quoteRequest) {
+            return res.status(404).json({ error: 'Quote request not found' });
+        }
+
+        const samples = await Promise.all((quoteRequest.sample_photo_paths || []).map(async (filePath) => {
+            const { data: signedUrl } = await supabaseAdmin.storage
+                .from('order-photos')
+                .createSignedUrl(filePath, 3600);
+            return { path: filePath, previewUrl: signedUrl?.signedUrl };
+        }));
+
+        let orderNumber = null;
+        if (quoteRequest.order_id) {
+            const { data: order } = await supabaseAdmin
+                .from('orders')
+                .select('order_number')
+                .eq('id', quoteRequest.order_id)
+                .single();
+            orderNumber = order?.order_number || null;
+        }
+
+        const catalogue = await getPricingCatalogue();
+
+        res.json({
+            ...quoteRequest,
+            status: isQuoteRequestExpired(quoteRequest) ? 'expired' : quoteRequest.status,
+            product_name: getProductName(catalogue, quoteRequest.product_type),
+            variant_name: describeVariant(getVariant(catalogue, quoteRequest.variant) || getDefaultVariant(catalogue)),
+            samples,
+            order_number: orderNumber,
+            payment_url: quoteRequest.payment_token ? `${process.env.SITE_URL}/quote.html?token=${quoteRequest.payment_token}` : null
+        });
+
+    } catch (err) {
+        console.error('Get quote request error:', err);
+        res.status(500).json({ error: 'Failed to load quote request' });
+    }
+});
+
+// Price a quote request and email the customer a payment link.
+// Re-sending issues a new link, so older links stop working.
+app.post('/api/admin/quote-requests/:id/send-quote', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const { unit_price, shipping_cost = 0, valid_days = 14, quote_message = null, admin_notes } = req.body;
+
+    if (!Number.isInteger(unit_price) || unit_price < 1) {
+        return res.status(400).json({ error: 'Unit price is required' });
+    }
+    if (!Number.isInteger(shipping_cost) || shipping_cost < 0) {
+        return res.status(400).json({ error: 'Shipping must be zero or more' });
+    }
+    if (!Number.isInteger(valid_days) || valid_days < 1 || valid_days > 90) {
+        return res.status(400).json({ error: 'Quote must be valid for 1 to 90 days' });
+    }
+
+    try {
+        const { data: existing } = await supabaseAdmin
+            .from('quote_requests')
+            .select('status, quantity')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Quote request not found' });
+        }
+        if (['accepting', 'accepted'].includes(existing.status)) {
+            return res.status(400).json({ error: 'This quote has already been accepted' });
+        }
+
+        const subtotal = unit_price * existing.quantity;
+        const paymentToken = crypto.randomBytes(24).toString('base64url');
+
+        const { data: quoteRequest, error } = await supabaseAdmin
+            .from('quote_requests')
+            .update({
+                status: 'quoted',
+                unit_price,
+                subtotal,
+                shipping_cost,
+                total: subtotal + shipping_cost,
+                quote_message,
+                admin_notes,
+                payment_token: paymentToken,
+                quote_expires_at: new Date(Date.now() + valid_days * 24 * 60 * 60 * 1000).toISOString(),
+                quoted_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        const paymentUrl = `${process.env.SITE_URL}/quote.html?token=${paymentToken}`;
+        await sendQuoteEmail(quoteRequest, paymentUrl);
+
+        await logAdminAction(admin.userId, 'send_quote', 'quote_request', req.params.id, { unit_price, shipping_cost, total: quoteRequest.total, valid_days });
+
+        res.json({ success: true, paymentUrl, expiresAt: quoteRequest.quote_expires_at });
+
+    } catch (err) {
+        console.error('Send quote error:', err);
+        res.status(500).json({ error: 'Failed to send quote' });
+    }
+});
+
+// Decline a quote request (or reopen it)
+app.put('/api/admin/quote-requests/:id/status', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const { status } = req.body;
+
+    if (!['new', 'declined'].includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('quote_requests')
+            .update({ status, payment_token: null, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id)
+            .neq('status', 'accepted')
+            .select('id');
+
+        if (error) throw error;
+        if (!data || data.length === 0) {
+            return res.status(400).json({ error: 'Accepted quotes can\'t be changed' });
+        }
+
+        await logAdminAction(admin.userId, 'update_quote_request_status', 'quote_request', req.params.id, { status });
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Update quote request error:', err);
+        res.status(500).json({ error: 'Failed to update quote request' });
+    }
+});
+
+// List customers
+app.get('/api/admin/customers', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: customers, error } = await supabaseAdmin
+            .from('customers')
+            .select('*, gift_cards(kind, status, balance)')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json(customers.map(({ gift_cards: cards, ...customer }) => ({
+            ...customer,
+            store_credit_balance: (cards || [])
+                .filter(card => card.kind === 'store_credit' && card.status === 'active')
+                .reduce((sum, card) => sum + card.balance, 0)
+        })));
+
+    } catch (err) {
+        console.error('List customers error:', err);
+        res.status(500).json({ error: 'Failed to load customers' });
+    }
+});
+
+// Get customer with orders
+app.get('/api/admin/customers/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: customer, error } = await supabaseAdmin
+            .from('customers')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        const [{ data: orders }, { data: storeCredits }] = await Promise.all([
+            supabaseAdmin
+                .from('orders')
+                .select('*')
+                .eq('customer_id', customer.id)
+                .order('created_at', { ascending: false }),
+            supabaseAdmin
+                .from('gift_cards')
+                .select('*')
+                .eq('customer_id', customer.id)
+                .eq('kind', 'store_credit')
+                .order('created_at', { ascending: false })
+        ]);
+
+        res.json({ ...customer, orders: orders || [], store_credits: storeCredits || [] });
+
+    } catch (err) {
+        console.error('Get customer error:', err);
+        res.status(500).json({ error: 'Failed to load customer' });
+    }
+});
+
+// Issue store credit to a customer (e.g. after a misprint)
+app.post('/api/admin/customers/:id/store-credit', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const amount = parseInt(req.body.amount);
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!amount || amount < 1 || amount > GIFT_CARD_MAX_AMOUNT) {
+        return res.status(400).json({ error: `Amount must be between 1 cent and ${formatCents(GIFT_CARD_MAX_AMOUNT)}` });
+    }
+
+    if (!reason) {
+        return res.status(400).json({ error: 'Please give a reason for the credit' });
+    }
+
+    try {
+        const { data: customer } = await supabaseAdmin
+            .from('customers')
+            .select('id, name, email')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+
+        const card = await createGiftCard({
+            kind: 'store_credit',
+            initial_amount: amount,
+            status: 'active',
+            customer_id: customer.id,
+            recipient_name: customer.name,
+            recipient_email: customer.email,
+            reason,
+            issued_by: admin.userId
+        });
+
+        await supabaseAdmin
+            .from('gift_card_transactions')
+            .insert({ gift_card_id: card.id, amount, type: 'issue', note: reason });
+
+        if (customer.email) {
+            await deliverGiftCard(card);
+        }
+
+        await logAdminAction(admin.userId, 'issue_store_credit', 'customer', customer.id, { code: card.code, amount, reason });
+
+        res.json(card);
+
+    } catch (err) {
+        console.error('Issue store credit error:', err);
+        res.status(500).json({ error: 'Failed to issue store credit' });
+    }
+});
+
+// List gift cards and store credit
+app.get('/api/admin/gift-cards', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        let query = supabaseAdmin
+            .from('gift_cards')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (req.query.kind) {
+            query = query.eq('kind', req.query.kind);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        res.json(data);
+
+    } catch (err) {
+        console.error('List gift cards error:', err);
+        res.status(500).json({ error: 'Failed to load gift cards' });
+    }
+});
+
+// Get a gift card with its balance history
+app.get('/api/admin/gift-cards/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: card, error } = await supabaseAdmin
+            .from('gift_cards')
+            .select('*, gift_card_transactions(*, orders(order_number))')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !card) {
+            return res.status(404).json({ error: 'Gift card not found' });
+        }
+
+        const { gift_card_transactions: transactions, ...rest } = card;
+        res.json({
+            ...rest,
+            transactions: (transactions || []).sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        });
+
+    } catch (err) {
+        console.error('Get gift card error:', err);
+        res.status(500).json({ error: 'Failed to load gift card' });
+    }
+});
+
+// Void a gift card so its remaining balance can't be spent
+app.post('/api/admin/gift-cards/:id/void', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: card } = await supabaseAdmin
+            .from('gift_cards')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!card) {
+            return res.status(404).json({ error: 'Gift card not found' });
+        }
+
+        if (card.status === 'void') {
+            return res.status(400).json({ error: 'Gift card is already void' });
+        }
+
+        await voidGiftCard(card, 'Voided by admin');
+
+        await logAdminAction(admin.userId, 'void_gift_card', 'gift_card', card.id, { code: card.code, balance: card.balance });
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Void gift card error:', err);
+        res.status(500).json({ error: 'Failed to void gift card' });
+    }
+});
+
+// Referral leaderboard and recent referrals
+app.get('/api/admin/referrals', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const [leaderboardResult, referralsResult] = await Promise.all([
+            supabaseAdmin
+                .from('referral_leaderboard')
+                .select('*')
+                .order('rewarded', { ascending: false })
+                .order('last_referral_at', { ascending: false })
+                .limit(50),
+            supabaseAdmin
+                .from('referrals')
+                .select('*, referrer:referrer_customer_id(name, email), referred:referred_customer_id(name, email), orders(order_number, total)')
+                .order('created_at', { ascending: false })
+                .limit(100)
+        ]);
+
+        if (leaderboardResult.error) throw leaderboardResult.error;
+        if (referralsResult.error) throw referralsResult.error;
+
+        res.json({ leaderboard: leaderboardResult.data, referrals: referralsResult.data });
+
+    } catch (err) {
+        console.error('List referrals error:', err);
+        res.status(500).json({ error: 'Failed to load referrals' });
+    }
+});
+
+// Revoke an abusive referral. Any credit it earned that hasn't been spent is voided.
+app.post('/api/admin/referrals/:id/revoke', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+    if (!reason) {
+        return res.status(400).json({ error: 'Please give a reason for revoking the referral' });
+    }
+
+    try {
+        const { data: referral } = await supabaseAdmin
+            .from('referrals')
+            .select('*, gift_cards(*)')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!referral) {
+            return res.status(404).json({ error: 'Referral not found' });
+        }
+
+        if (referral.status === 'revoked') {
+            return res.status(400).json({ error: 'Referral is already revoked' });
+        }
+
+        const { error } = await supabaseAdmin
+            .from('referrals')
+            .update({
+                status: 'revoked',
+                revoked_at: new Date().toISOString(),
+                revoked_by: admin.userId,
+                revoked_reason: reason
+            })
+            .eq('id', referral.id);
+
+        if (error) throw error;
+
+        const rewardCard = referral.gift_cards;
+        if (rewardCard && rewardCard.status !== 'void') {
+            await voidGiftCard(rewardCard, `Referral revoked: ${reason}`);
+        }
+
+        await logAdminAction(admin.userId, 'revoke_referral', 'referral', referral.id, {
+            code: referral.referral_code,
+            reason,
+            credit_voided: rewardCard?.status === 'active' ? rewardCard.balance : 0
+        });
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Revoke referral error:', err);
+        res.status(500).json({ error: 'Failed to revoke referral' });
+    }
+});
+
+// List promo codes
+app.get('/api/admin/promo-codes', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        // Campaign codes are listed with their campaign
+        const { data: codes, error } = await supabaseAdmin
+            .from('promo_codes')
+            .select('*')
+            .is('campaign_id', null)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        res.json(codes);
+
+    } catch (err) {
+        console.error('List promo codes error:', err);
+        res.status(500).json({ error: 'Failed to load promo codes' });
+    }
+});
+
+// Create promo code
+app.post('/api/admin/promo-codes', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const {
+        code, discount_type, discount_value, buy_quantity, free_quantity,
+        min_order_amount, max_uses, max_uses_per_customer, expires_at, description,
+        product_types, min_quantity, states, first_order_only, stackable
+    } = req.body;
+
+    if (!code || !discount_type) {
+        return res.status(400).json({ error: 'Code and discount type required' });
+    }
+
+    const validationError = validatePromoRules(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { data: promo, error } = await supabaseAdmin
+            .from('promo_codes')
+            .insert({
+                code: code.toUpperCase(),
+                discount_type,
+                discount_value: ['percentage', 'fixed'].includes(discount_type) ? discount_value : 0,
+                buy_quantity: discount_type === 'buy_x_get_y' ? buy_quantity : null,
+                free_quantity: discount_type === 'buy_x_get_y' ? free_quantity : null,
+                min_order_amount: min_order_amount || 0,
+                max_uses,
+                max_uses_per_customer: max_uses_per_customer || 1,
+                expires_at,
+                description,
+                product_types: product_types?.length ? product_types : null,
+                min_quantity: min_quantity || null,
+                states: states?.length ? states : null,
+                first_order_only: !!first_order_only,
+                stackable: stackable !== false,
+                created_by: admin.userId
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await logAdminAction(admin.userId, 'create_promo_code', 'promo_code', promo.id, { code: promo.code });
+
+        res.json(promo);
+
+    } catch (err) {
+        console.error('Create promo code error:', err);
+        res.status(500).json({ error: 'Failed to create promo code' });
+    }
+});
+
+// Returns an error message if a promo code's discount or rules don't make sense
+function validatePromoRules({ discount_type, discount_value, buy_quantity, free_quantity, min_order_amount, min_quantity, states, product_types }) {
+    if (!PROMO_DISCOUNT_TYPES.includes(discount_type)) {
+        return 'Invalid discount type';
+    }
+    if (discount_type === 'percentage' && (!Number.isInteger(discount_value) || discount_value < 1 || discount_value > 100)) {
+        return 'Percentage must be between 1 and 100';
+    }
+    if (discount_type === 'fixed' && (!Number.isInteger(discount_value) || discount_value < 1)) {
+        return 'Discount amount must be more than zero';
+    }
+    if (discount_type === 'buy_x_get_y' &&
+        (!Number.isInteger(buy_quantity) || buy_quantity < 1 || !Number.isInteger(free_quantity) || free_quantity < 1)) {
+        return 'Buy and free quantities must be at least 1';
+    }
+    if (min_order_amount !== undefined && min_order_amount !== null && (!Number.isInteger(min_order_amount) || min_order_amount < 0)) {
+        return 'Minimum order amount can\'t be negative';
+    }
+    if (min_quantity !== undefined && min_quantity !== null && (!Number.isInteger(min_quantity) || min_quantity < 1)) {
+        return 'Minimum quantity must be at least 1';
+    }
+    if (states && (!Array.isArray(states) || states.some(state => !AUSTRALIAN_STATES.includes(state)))) {
+        return 'Invalid state';
+    }
+    if (product_types && !Array.isArray(product_types)) {
+        return 'Invalid product types';
+    }
+    return null;
+}
+
+// Update promo code
+app.put('/api/admin/promo-codes/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const allowed = [
+        'discount_type', 'discount_value', 'buy_quantity', 'free_quantity', 'min_order_amount',
+        'max_uses', 'max_uses_per_customer', 'expires_at', 'description', 'product_types',
+        'min_quantity', 'states', 'first_order_only', 'stackable', 'is_active'
+    ];
+    const updates = Object.fromEntries(Object.entries(req.body).filter(([key]) => allowed.includes(key)));
+
+    try {
+        const { data: promo } = await supabaseAdmin
+            .from('promo_codes')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!promo) {
+            return res.status(404).json({ error: 'Promo code not found' });
+        }
+
+        // Check the code as it will be once updated, not just the fields sent
+        const validationError = validatePromoRules({ ...promo, ...updates });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { error } = await supabaseAdmin
+            .from('promo_codes')
+            .update({
+                ...updates,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', promo.id);
+
+        if (error) throw error;
+
+        await logAdminAction(admin.userId, 'update_promo_code', 'promo_code', promo.id, updates);
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Update promo code error:', err);
+        res.status(500).json({ error: 'Failed to update promo code' });
+    }
+});
+
+// Delete (deactivate) promo code
+app.delete('/api/admin/promo-codes/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        await supabaseAdmin
+            .from('promo_codes')
+            .update({ is_active: false, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id);
+
+        await logAdminAction(admin.userId, 'deactivate_promo_code', 'promo_code', req.params.id);
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Delete promo code error:', err);
+        res.status(500).json({ error: 'Failed to delete promo code' });
+    }
+});
+
+// List promo campaigns with their stats
+app.get('/api/admin/promo-campaigns', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const [campaignsResult, statsResult] = await Promise.all([
+            supabaseAdmin.from('promo_campaigns').select('*').order('created_at', { ascending: false }),
+            supabaseAdmin.from('promo_campaign_stats').select('*')
+        ]);
+
+        if (campaignsResult.error) throw campaignsResult.error;
+        if (statsResult.error) throw statsResult.error;
+
+        const statsByCampaign = new Map(statsResult.data.map(stats => [stats.campaign_id, stats]));
+
+        res.json(campaignsResult.data.map(campaign => {
+            const stats = statsByCampaign.get(campaign.id) || {};
+            return {
+                ...campaign,
+                issued: stats.issued || 0,
+                redeemed: stats.redeemed || 0,
+                revenue: stats.revenue || 0,
+                discount_given: stats.discount_given || 0
+            };
+        }));
+
+    } catch (err) {
+        console.error('List promo campaigns error:', err);
+        res.status(500).json({ error: 'Failed to load promo campaigns' });
+    }
+});
+
+const MAX_CAMPAIGN_CODES = 1000;
+const CAMPAIGN_INSERT_BATCH = 500;
+
+// Generate a campaign of unique single-use codes sharing a prefix and discount rule
+app.post('/api/admin/promo-campaigns', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const {
+        name, description, discount_type, discount_value, buy_quantity, free_quantity,
+        min_order_amount, expires_at, product_types, min_quantity, states, first_order_only, stackable
+    } = req.body;
+    const prefix = String(req.body.prefix || '').toUpperCase();
+    const count = parseInt(req.body.count);
+
+    if (!name || !discount_type) {
+        return res.status(400).json({ error: 'Name and discount type required' });
+    }
+
+    if (!/^[A-Z0-9]{2,12}$/.test(prefix)) {
+        return res.status(400).json({ error: 'Prefix must be 2-12 letters or numbers' });
+    }
+
+    if (!count || count < 1 || count > MAX_CAMPAIGN_CODES) {
+        return res.status(400).json({ error: `Number of codes must be between 1 and ${MAX_CAMPAIGN_CODES}` });
+    }
+
+    const validationError = validatePromoRules(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { data: campaign, error: campaignError } = await supabaseAdmin
+            .from('promo_campaigns')
+            .insert({ name, prefix, description, created_by: admin.userId })
+            .select()
+            .single();
+
+        if (campaignError) throw campaignError;
+
+        // Shared by every code in the campaign; each code can be used once
+        const rule = {
+            discount_type,
+            discount_value: ['percentage', 'fixed'].includes(discount_type) ? discount_value : 0,
+            buy_quantity: discount_type === 'buy_x_get_y' ? buy_quantity : null,
+            free_quantity: discount_type === 'buy_x_get_y' ? free_quantity : null,
+            min_order_amount: min_order_amount || 0,
+            max_uses: 1,
+            max_uses_per_customer: 1,
+            expires_at,
+            description: description || name,
+            product_types: product_types?.length ? product_types : null,
+            min_quantity: min_quantity || null,
+            states: states?.length ? states : null,
+            first_order_only: !!first_order_only,
+            stackable: stackable !== false,
+            campaign_id: campaign.id,
+            created_by: admin.userId
+        };
+
+        try {
+            for (let inserted = 0; inserted < count;) {
+                const batchSize = Math.min(CAMPAIGN_INSERT_BATCH, count - inserted);
+
+                // A clash with an existing code fails the whole batch, so try again with new codes
+                let batchError = null;
+                for (let attempt = 0; attempt < 3; attempt++) {
+                    const codes = new Set();
+                    while (codes.size < batchSize) {
+                        codes.add(`${prefix}-${generateRandomCode(6)}`);
+                    }
+
+                    ({ error: batchError } = await supabaseAdmin
+                        .from('promo_codes')
+                        .insert([...codes].map(code => ({ ...rule, code }))));
+
+                    if (!batchError || batchError.code !== '23505') break;
+                }
+                if (batchError) throw batchError;
+
+                inserted += batchSize;
+            }
+        } catch (err) {
+            // Don't leave half a campaign behind
+            await supabaseAdmin.from('promo_codes').delete().eq('campaign_id', campaign.id);
+            await supabaseAdmin.from('promo_campaigns').delete().eq('id', campaign.id);
+            throw err;
+        }
+
+        await logAdminAction(admin.userId, 'create_promo_campaign', 'promo_campaign', campaign.id, { name, prefix, count });
+
+        res.json({ ...campaign, issued: count });
+
+    } catch (err) {
+        console.error('Create promo campaign error:', err);
+        res.status(500).json({ error: 'Failed to create promo campaign' });
+    }
+});
+
+// Export a campaign's codes as CSV for printing
+app.get('/api/admin/promo-campaigns/:id/codes.csv', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: campaign } = await supabaseAdmin
+            .from('promo_campaigns')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!campaign) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const { data: codes, error } = await supabaseAdmin
+            .from('promo_codes')
+            .select('*, promo_code_usage(created_at, orders(order_number))')
+            .eq('campaign_id', campaign.id)
+            .order('code');
+
+        if (error) throw error;
+
+        const rows = [['code', 'discount', 'expires', 'active', 'redeemed_at', 'order_number']];
+        for (const code of codes) {
+            const usage = code.promo_code_usage?.[0];
+            rows.push([
+                code.code,
+                formatPromoDiscount(code),
+                code.expires_at ? code.expires_at.slice(0, 10) : '',
+                code.is_active ? 'yes' : 'no',
+                usage ? usage.created_at : '',
+                usage?.orders?.order_number || ''
+            ]);
+        }
+
+        const filename = `Heartsnaps_${campaign.prefix}_codes.csv`;
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(rows.map(row => row.map(toCsvValue).join(',')).join('\n') + '\n');
+
+    } catch (err) {
+        console.error('Export promo campaign error:', err);
+        res.status(500).json({ error: 'Failed to export promo campaign' });
+    }
+});
+
+// Deactivate all of a campaign's codes
+app.post('/api/admin/promo-campaigns/:id/deactivate', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { error } = await supabaseAdmin
+            .from('promo_codes')
+            .update({ is_active: false, updated_at: new Date().toISOString() })
+            .eq('campaign_id', req.params.id)
+            .eq('is_active', true);
+
+        if (error) throw error;
+
+        await logAdminAction(admin.userId, 'deactivate_promo_campaign', 'promo_campaign', req.params.id);
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Deactivate promo campaign error:', err);
+        res.status(500).json({ error: 'Failed to deactivate promo campaign' });
+    }
+});
+
+// List automatic discounts with the paid orders they've applied to
+app.get('/api/admin/automatic-discounts', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const [discountsResult, statsResult] = await Promise.all([
+            supabaseAdmin.from('automatic_discounts').select('*').order('starts_at', { ascending: false }),
+            supabaseAdmin.from('automatic_discount_stats').select('*')
+        ]);
+
+        if (discountsResult.error) throw discountsResult.error;
+        if (statsResult.error) throw statsResult.error;
+
+        const statsByDiscount = new Map(statsResult.data.map(stats => [stats.automatic_discount_id, stats]));
+
+        res.json(discountsResult.data.map(discount => {
+            const stats = statsByDiscount.get(discount.id) || {};
+            return {
+                ...discount,
+                orders: stats.orders || 0,
+                revenue: stats.revenue || 0,
+                discount_given: stats.discount_given || 0
+            };
+        }));
+
+    } catch (err) {
+        console.error('List automatic discounts error:', err);
+        res.status(500).json({ error: 'Failed to load automatic discounts' });
+    }
+});
+
+// Returns an error message if an automatic discount's rules or dates don't make sense
+function validateAutomaticDiscount(body) {
+    if (!body.name || !body.name.trim()) {
+        return 'Name required';
+    }
+    if (body.starts_at && body.ends_at && new Date(body.ends_at) <= new Date(body.starts_at)) {
+        return 'End date must be after the start date';
+    }
+    return validatePromoRules(body);
+}
+
+// Create automatic discount
+app.post('/api/admin/automatic-discounts', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const {
+        name, description, discount_type, discount_value, buy_quantity, free_quantity,
+        min_order_amount, product_types, min_quantity, states, combines_with_promo_codes,
+        starts_at, ends_at
+    } = req.body;
+
+    const validationError = validateAutomaticDiscount(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { data: discount, error } = await supabaseAdmin
+            .from('automatic_discounts')
+            .insert({
+                name: name.trim(),
+                description,
+                discount_type,
+                discount_value: ['percentage', 'fixed'].includes(discount_type) ? discount_value : 0,
+                buy_quantity: discount_type === 'buy_x_get_y' ? buy_quantity : null,
+                free_quantity: discount_type === 'buy_x_get_y' ? free_quantity : null,
+                min_order_amount: min_order_amount || 0,
+                product_types: product_types?.length ? product_types : null,
+                min_quantity: min_quantity || null,
+                states: states?.length ? states : null,
+                combines_with_promo_codes: combines_with_promo_codes !== false,
+                starts_at: starts_at || new Date().toISOString(),
+                ends_at: ends_at || null,
+                created_by: admin.userId
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await logAdminAction(admin.userId, 'create_automatic_discount', 'automatic_discount', discount.id, { name: discount.name });
+
+        res.json(discount);
+
+    } catch (err) {
+        console.error('Create automatic discount error:', err);
+        res.status(500).json({ error: 'Failed to create automatic discount' });
+    }
+});
+
+// Update automatic discount (e.g. to change its dates or switch it on and off)
+app.put('/api/admin/automatic-discounts/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const allowed = [
+        'name', 'description', 'discount_type', 'discount_value', 'buy_quantity', 'free_quantity',
+        'min_order_amount', 'product_types', 'min_quantity', 'states', 'combines_with_promo_codes',
+        'is_active', 'starts_at', 'ends_at'
+    ];
+    const updates = Object.fromEntries(Object.entries(req.body).filter(([key]) => allowed.includes(key)));
+
+    try {
+        const { data: discount } = await supabaseAdmin
+            .from('automatic_discounts')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!discount) {
+            return res.status(404).json({ error: 'Automatic discount not found' });
+        }
+
+        // Check the discount as it will be once updated, not just the fields sent
+        const validationError = validateAutomaticDiscount({ ...discount, ...updates });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { error } = await supabaseAdmin
+            .from('automatic_discounts')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', discount.id);
+
+        if (error) throw error;
+
+        await logAdminAction(admin.userId, 'update_automatic_discount', 'automatic_discount', discount.id, updates);
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Update automatic discount error:', err);
+        res.status(500).json({ error: 'Failed to update automatic discount' });
+    }
+});
+
+// Get pricing catalogue for editing
+app.get('/api/admin/pricing', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const [variantsResult, productsResult, tiersResult, shippingResult, servicesResult, zonesResult, ratesResult] = await Promise.all([
+            supabaseAdmin.from('product_variants').select('*').order('display_order'),
+            supabaseAdmin.from('product_types').select('*').order('display_order'),
+            supabaseAdmin.from('price_tiers').select('*').order('min_quantity'),
+            supabaseAdmin.from('shipping_rules').select('*').eq('shipping_type', 'pickup'),
+            supabaseAdmin.from('shipping_services').select('*').order('display_order'),
+            supabaseAdmin.from('shipping_zones').select('*').order('priority'),
+            supabaseAdmin.from('shipping_rates').select('*').order('min_quantity')
+        ]);
+
+        for (const result of [variantsResult, productsResult, tiersResult, shippingResult, servicesResult, zonesResult, ratesResult]) {
+            if (result.error) throw result.error;
+        }
+
+        res.json({
+            variants: variantsResult.data,
+            products: productsResult.data.map(product => ({
+                ...product,
+                tiers: tiersResult.data.filter(tier => tier.product_type === product.key)
+            })),
+            shipping: shippingResult.data,
+            shippingServices: servicesResult.data,
+            shippingZones: zonesResult.data,
+            shippingRates: ratesResult.data
+        });
+
+    } catch (err) {
+        console.error('Get pricing error:', err);
+        res.status(500).json({ error: 'Failed to load pricing' });
+    }
+});
+
+// Check a tier's quantity range is valid and doesn't overlap its siblings
+// (tiers for the same product and variant)
+async function validatePriceTier(productType, variant, minQuantity, maxQuantity, pricePerUnit, excludeTierId = null) {
+    if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+        return 'Minimum quantity must be at least 1';
+    }
+    if (maxQuantity !== null && (!Number.isInteger(maxQuantity) || maxQuantity < minQuantity)) {
+        return 'Maximum quantity must be blank or at least the minimum';
+    }
+    if (!Number.isInteger(pricePerUnit) || pricePerUnit < 1) {
+        return 'Price per magnet is required';
+    }
+
+    let siblingsQuery = supabaseAdmin
+        .from('price_tiers')
+        .select('id, min_quantity, max_quantity')
+        .eq('product_type', productType);
+    siblingsQuery = variant ? siblingsQuery.eq('variant', variant) : siblingsQuery.is('variant', null);
+
+    const { data: siblings } = await siblingsQuery;
+
+    const overlaps = (siblings || []).some(tier => {
+        if (tier.id === excludeTierId) return false;
+        const tierMax = tier.max_quantity === null ? Infinity : tier.max_quantity;
+        const newMax = maxQuantity === null ? Infinity : maxQuantity;
+        return minQuantity <= tierMax && tier.min_quantity <= newMax;
+    });
+
+    return overlaps ? 'This quantity range overlaps an existing tier' : null;
+}
+
+// Update product type
+app.put('/api/admin/pricing/products/:key', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const { name, description, is_active, display_order } = req.body;
+
+    try {
+        const { error } = await supabaseAdmin
+            .from('product_types')
+            .update({
+                name,
+                description,
+                is_active,
+                display_order,
+                updated_at: new Date().toISOString()
+            })
+            .eq('key', req.params.key);
+
+        if (error) throw error;
+
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'update_product_type', 'product_type', null, { key: req.params.key, name, is_active });
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Update product type error:', err);
+        res.status(500).json({ error: 'Failed to update product' });
+    }
+});
+
+// Check a variant's size and shape are valid
+function validateVariant({ name, shape, width_mm, height_mm }) {
+    if (!name) return 'Name required';
+    if (!['square', 'rectangle', 'round'].includes(shape)) return 'Shape must be square, rectangle or round';
+    if (!(width_mm > 0) || !(height_mm > 0)) return 'Width and height are required';
+    if (shape !== 'rectangle' && width_mm !== height_mm) return 'Square and round magnets must have equal width and height';
+    return null;
+}
+
+// Create product variant (size/shape)
+app.post('/api/admin/pricing/variants', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const { key, name, shape, width_mm, height_mm, display_order = 0 } = req.body;
+
+    if (!key || !/^[a-z0-9-]+$/.test(key)) {
+        return res.status(400).json({ error: 'Key must be lowercase letters, numbers and dashes' });
+    }
+
+    const validationError = validateVariant(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { data: variant, error } = await supabaseAdmin
+            .from('product_variants')
+            .insert({
+                key,
+                name,
+                shape,
+                width_mm,
+                height_mm,
+                width_px: mmToPrintPx(width_mm),
+                height_px: mmToPrintPx(height_mm),
+                display_order
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(400).json({ error: 'A variant with this key already exists' });
+            }
+            throw error;
+        }
+
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'create_product_variant', 'product_variant', null, { key, shape, width_mm, height_mm });
+
+        res.json(variant);
+
+    } catch (err) {
+        console.error('Create variant error:', err);
+        res.status(500).json({ error: 'Failed to create variant' });
+    }
+});
+
+// Update product variant
+app.put('/api/admin/pricing/variants/:key', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const { name, shape, width_mm, height_mm, is_active, display_order } = req.body;
+
+    const validationError = validateVariant(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { error } = await supabaseAdmin
+            .from('product_variants')
+            .update({
+                name,
+                shape,
+                width_mm,
+                height_mm,
+                width_px: mmToPrintPx(width_mm),
+                height_px: mmToPrintPx(height_mm),
+                is_active,
+                display_order,
+                updated_at: new Date().toISOString()
+            })
+            .eq('key', req.params.key);
+
+        if (error) throw error;
+
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'update_product_variant', 'product_variant', null, { key: req.params.key, shape, width_mm, height_mm, is_active });
+
+        res.json({ success: true });
+
+    } catch (err) {
+        console.error('Update variant error:', err);
+        res.status(500).json({ error: 'Failed to update variant' });
+    }
+});
+
+// Create price tier
+app.post('/api/admin/pricing/tiers', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-    if (!code) {
-        return res.status(400).json({ error: 'Promo code required' });
+    const { product_type, variant = null, min_quantity, max_quantity = null, price_per_unit, label } = req.body;
+
+    if (!product_type) {
+        return res.status(400).json({ error: 'Product type required' });
+    }
+
+    const validationError = await validatePriceTier(product_type, variant, min_quantity, max_quantity, price_per_unit);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
     }
 
     try {
-        const { data: promo, error } = await supabaseAdmin
-            .from('promo_codes')
-            .select('*')
-            .eq('code', code.toUpperCase())
-            .eq('is_active', true)
+        const { data: tier, error } = await supabaseAdmin
+            .from('price_tiers')
+            .insert({ product_type, variant, min_quantity, max_quantity, price_per_unit, label })
+            .select()
             .single();
 
-        if (error || !promo) {
-            return res.status(404).json({ error: 'Invalid promo code' });
-        }
+        if (error) throw error;
 
-        // Check expiry
-        if (promo.expires_at && new Date(promo.expires_at) < new Date()) {
-            return res.status(400).json({ error: 'Promo code has expired' });
-        }
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'create_price_tier', 'price_tier', tier.id, { product_type, variant, min_quantity, max_quantity, price_per_unit });
 
-        // Check start date
-        if (promo.starts_at && new Date(promo.starts_at) > new Date()) {
-            return res.status(400).json({ error: 'Promo code is not yet active' });
-        }
+        res.json(tier);
 
-        // Check max uses
-        if (promo.max_uses && promo.uses_count >= promo.max_uses) {
-            return res.status(400).json({ error: 'Promo code has reached its usage limit' });
-        }
+    } catch (err) {
+        console.error('Create price tier error:', err);
+        res.status(500).json({ error: 'Failed to create price tier' });
+    }
+});
 
-        // Check minimum order amount
-        if (subtotal && subtotal < promo.min_order_amount) {
-            return res.status(400).json({
-                error: `Minimum order of $${(promo.min_order_amount / 100).toFixed(2)} required`
-            });
-        }
+// Update price tier
+app.put('/api/admin/pricing/tiers/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-        // Check per-customer usage
-        if (customerId && promo.max_uses_per_customer) {
-            const { count } = await supabaseAdmin
-                .from('promo_code_usage')
-                .select('*', { count: 'exact', head: true })
-                .eq('promo_code_id', promo.id)
-                .eq('customer_id', customerId);
+    const { min_quantity, max_quantity = null, price_per_unit, label } = req.body;
 
-            if (count >= promo.max_uses_per_customer) {
-                return res.status(400).json({ error: 'You have already used this promo code' });
-            }
+    try {
+        const { data: existing } = await supabaseAdmin
+            .from('price_tiers')
+            .select('product_type, variant')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!existing) {
+            return res.status(404).json({ error: 'Price tier not found' });
         }
 
-        // Calculate discount
-        let discount = 0;
-        if (promo.discount_type === 'percentage') {
-            discount = Math.floor((subtotal || 0) * (promo.discount_value / 100));
-        } else {
-            discount = promo.discount_value;
+        const validationError = await validatePriceTier(existing.product_type, existing.variant, min_quantity, max_quantity, price_per_unit, req.params.id);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
-        res.json({
-            valid: true,
-            promoId: promo.id,
-            code: promo.code,
-            discountType: promo.discount_type,
-            discountValue: promo.discount_value,
-            calculatedDiscount: discount,
-            description: promo.description
-        });
+        const { error } = await supabaseAdmin
+            .from('price_tiers')
+            .update({
+                min_quantity,
+                max_quantity,
+                price_per_unit,
+                label,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'update_price_tier', 'price_tier', req.params.id, { min_quantity, max_quantity, price_per_unit });
+
+        res.json({ success: true });
 
     } catch (err) {
-        console.error('Promo validation error:', err);
-        res.status(500).json({ error: 'Failed to validate promo code' });
+        console.error('Update price tier error:', err);
+        res.status(500).json({ error: 'Failed to update price tier' });
     }
 });
 
-// Track order
-app.get('/api/track/:orderNumber', async (req, res) => {
-    const { orderNumber } = req.params;
+// Delete price tier
+app.delete('/api/admin/pricing/tiers/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
     try {
-        const { data: order, error } = await supabaseAdmin
-            .from('orders')
-            .select('order_number, status, product_type, quantity, total, shipping_type, shipping_city, shipping_state, tracking_number, carrier, created_at, paid_at, printed_at, shipped_at, completed_at')
-            .eq('order_number', orderNumber.toUpperCase())
-            .single();
+        const { error } = await supabaseAdmin
+            .from('price_tiers')
+            .delete()
+            .eq('id', req.params.id);
 
-        if (error || !order) {
-            return res.status(404).json({ error: 'Order not found' });
-        }
+        if (error) throw error;
+
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'delete_price_tier', 'price_tier', req.params.id);
+
+        res.json({ success: true });
 
-        res.json(order);
     } catch (err) {
-        console.error('Track order error:', err);
-        res.status(500).json({ error: 'Failed to track order' });
+        console.error('Delete price tier error:', err);
+        res.status(500).json({ error: 'Failed to delete price tier' });
     }
 });
 
-// =============================================================================
-// CUSTOMER API ENDPOINTS
-// =============================================================================
+// Update shipping rule
+app.put('/api/admin/pricing/shipping/:type', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    const { label, cost, free_threshold = null } = req.body;
+
+    if (!label || !Number.isInteger(cost) || cost < 0) {
+        return res.status(400).json({ error: 'Label and cost required' });
+    }
 
-// Upload photo
-app.post('/api/upload-photo', upload.single('file'), async (req, res) => {
     try {
-        const { orderId, position } = req.body;
-        const file = req.file;
+        const { error } = await supabaseAdmin
+            .from('shipping_rules')
+            .update({
+                label,
+                cost,
+                free_threshold,
+                updated_at: new Date().toISOString()
+            })
+            .eq('shipping_type', req.params.type);
 
-        if (!file || !orderId) {
-            return res.status(400).json({ error: 'File and orderId required' });
-        }
+        if (error) throw error;
 
-        // Generate path
-        const ext = file.originalname.split('.').pop();
-        const filePath = `orders/${orderId}/${position}_${Date.now()}.${ext}`;
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'update_shipping_rule', 'shipping_rule', null, { shipping_type: req.params.type, cost, free_threshold });
 
-        // Upload to Supabase Storage
-        const { data, error } = await supabaseAdmin.storage
-            .from('order-photos')
-            .upload(filePath, file.buffer, {
-                contentType: file.mimetype,
-                upsert: false
-            });
+        res.json({ success: true });
 
-        if (error) throw error;
+    } catch (err) {
+        console.error('Update shipping rule error:', err);
+        res.status(500).json({ error: 'Failed to update shipping' });
+    }
+});
 
-        // Create order_item record
-        await supabaseAdmin
-            .from('order_items')
-            .insert({
-                order_id: orderId,
-                original_file_path: filePath,
-                original_filename: file.originalname,
-                file_size: file.size,
-                mime_type: file.mimetype,
-                position: parseInt(position)
-            });
+// Update shipping service (name, description, free-shipping threshold)
+app.put('/api/admin/pricing/shipping-services/:key', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-        // Generate signed URL for preview
-        const { data: signedUrl } = await supabaseAdmin.storage
-            .from('order-photos')
-            .createSignedUrl(filePath, 3600);
+    const { name, description, free_threshold = null, is_active } = req.body;
 
-        res.json({
-            success: true,
-            path: filePath,
-            previewUrl: signedUrl?.signedUrl
-        });
+    if (!name) {
+        return res.status(400).json({ error: 'Name required' });
+    }
+    if (free_threshold !== null && (!Number.isInteger(free_threshold) || free_threshold < 0)) {
+        return res.status(400).json({ error: 'Free shipping threshold must be blank or a positive amount' });
+    }
+
+    try {
+        const { error } = await supabaseAdmin
+            .from('shipping_services')
+            .update({
+                name,
+                description,
+                free_threshold,
+                is_active,
+                updated_at: new Date().toISOString()
+            })
+            .eq('key', req.params.key);
+
+        if (error) throw error;
+
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'update_shipping_service', 'shipping_service', null, { key: req.params.key, free_threshold, is_active });
+
+        res.json({ success: true });
 
     } catch (err) {
-        console.error('Upload error:', err);
-        res.status(500).json({ error: 'Upload failed' });
+        console.error('Update shipping service error:', err);
+        res.status(500).json({ error: 'Failed to update shipping service' });
     }
 });
 
-// Create order
-app.post('/api/orders', async (req, res) => {
-    try {
-        const {
-            customerName, customerPhone, customerEmail,
-            shippingType, shippingAddress,
-            productType, quantity,
-            isGift, giftMessage, notes,
-            promoCode
-        } = req.body;
+const AUSTRALIAN_STATES = ['NSW', 'VIC', 'QLD', 'WA', 'SA', 'TAS', 'ACT', 'NT'];
 
-        // Validate required fields
-        if (!customerName || !customerPhone || !productType || !quantity) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+// Check a zone's states and postcode ranges ({ from, to }) are valid
+function validateShippingZone({ name, states = [], postcode_ranges = [] }) {
+    if (!name) return 'Name required';
+    if (!Array.isArray(states) || states.some(state => !AUSTRALIAN_STATES.includes(state))) {
+        return `States must be from: ${AUSTRALIAN_STATES.join(', ')}`;
+    }
+    if (!Array.isArray(postcode_ranges) || postcode_ranges.some(range =>
+        !Number.isInteger(range.from) || !Number.isInteger(range.to) || range.from > range.to
+    )) {
+        return 'Postcode ranges must look like 2800-2899';
+    }
+    return null;
+}
 
-        // Server-side quantity cap
-        if (quantity < 1 || quantity > 200) {
-            return res.status(400).json({ error: 'Quantity must be between 1 and 200. For larger orders, please email us for a quote.' });
-        }
+// Create shipping zone
+app.post('/api/admin/pricing/shipping-zones', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-        if (shippingType === 'delivery' && !shippingAddress) {
-            return res.status(400).json({ error: 'Shipping address required for delivery' });
-        }
+    const { key, name, states = [], postcode_ranges = [], priority = 50 } = req.body;
 
-        // Calculate pricing
-        const subtotal = calculatePrice(quantity, productType);
-        // Free shipping for orders over $350 or pickup
-        const shippingCost = shippingType === 'pickup' ? 0 :
-            (subtotal >= PRICING.freeShippingThreshold ? 0 : PRICING.shipping);
-        let discountAmount = 0;
-        let promoCodeId = null;
-        let promoCodeUsed = null;
+    if (!key || !/^[a-z0-9-]+$/.test(key)) {
+        return res.status(400).json({ error: 'Key must be lowercase letters, numbers and dashes' });
+    }
 
-        // Validate promo code if provided
-        if (promoCode) {
-            const { data: promo } = await supabaseAdmin
-                .from('promo_codes')
-                .select('*')
-                .eq('code', promoCode.toUpperCase())
-                .eq('is_active', true)
-                .single();
+    const validationError = validateShippingZone(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
 
-            if (promo) {
-                if (promo.discount_type === 'percentage') {
-                    discountAmount = Math.floor(subtotal * (promo.discount_value / 100));
-                } else {
-                    discountAmount = promo.discount_value;
-                }
-                promoCodeId = promo.id;
-                promoCodeUsed = promo.code;
+    try {
+        const { data: zone, error } = await supabaseAdmin
+            .from('shipping_zones')
+            .insert({ key, name, states, postcode_ranges, priority })
+            .select()
+            .single();
 
-                // Increment promo code usage counter
-                await supabaseAdmin
-                    .from('promo_codes')
-                    .update({ uses_count: (promo.uses_count || 0) + 1 })
-                    .eq('id', promo.id);
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(400).json({ error: 'A zone with this key already exists' });
             }
+            throw error;
         }
 
-        const total = subtotal + shippingCost - discountAmount;
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'create_shipping_zone', 'shipping_zone', null, { key, states, postcode_ranges, priority });
 
-        // Generate order number
-        const orderNumber = await generateOrderNumber();
+        res.json(zone);
 
-        // Find or create customer
-        let customerId = null;
-        const { data: existingCustomer } = await supabaseAdmin
-            .from('customers')
-            .select('id')
-            .eq('phone', customerPhone)
-            .single();
+    } catch (err) {
+        console.error('Create shipping zone error:', err);
+        res.status(500).json({ error: 'Failed to create shipping zone' });
+    }
+});
 
-        if (existingCustomer) {
-            customerId = existingCustomer.id;
-            // Update customer info
-            await supabaseAdmin
-                .from('customers')
-                .update({
-                    name: customerName,
-                    email: customerEmail,
-                    default_address_line1: shippingAddress?.line1,
-                    default_address_line2: shippingAddress?.line2,
-                    default_city: shippingAddress?.city,
-                    default_state: shippingAddress?.state,
-                    default_postcode: shippingAddress?.postcode,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', customerId);
-        } else {
-            const { data: newCustomer } = await supabaseAdmin
-                .from('customers')
-                .insert({
-                    name: customerName,
-                    phone: customerPhone,
-                    email: customerEmail,
-                    default_address_line1: shippingAddress?.line1,
-                    default_address_line2: shippingAddress?.line2,
-                    default_city: shippingAddress?.city,
-                    default_state: shippingAddress?.state,
-                    default_postcode: shippingAddress?.postcode
-                })
-                .select('id')
-                .single();
-            customerId = newCustomer?.id;
-        }
+// Update shipping zone
+app.put('/api/admin/pricing/shipping-zones/:key', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-        // Create order
-        const { data: order, error: orderError } = await supabaseAdmin
-            .from('orders')
-            .insert({
-                order_number: orderNumber,
-                customer_id: customerId,
-                customer_name: customerName,
-                customer_phone: customerPhone,
-                customer_email: customerEmail,
-                shipping_type: shippingType,
-                shipping_address_line1: shippingAddress?.line1,
-                shipping_address_line2: shippingAddress?.line2,
-                shipping_city: shippingAddress?.city,
-                shipping_state: shippingAddress?.state,
-                shipping_postcode: shippingAddress?.postcode,
-                product_type: productType,
-                quantity,
-                subtotal,
-                shipping_cost: shippingCost,
-                discount_amount: discountAmount,
-                promo_code_id: promoCodeId,
-                promo_code_used: promoCodeUsed,
-                total,
-                is_gift: isGift,
-                gift_message: giftMessage,
-                notes,
-                status: 'pending'
+    const { name, states = [], postcode_ranges = [], priority, is_active } = req.body;
+
+    const validationError = validateShippingZone(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const { error } = await supabaseAdmin
+            .from('shipping_zones')
+            .update({
+                name,
+                states,
+                postcode_ranges,
+                priority,
+                is_active,
+                updated_at: new Date().toISOString()
             })
-            .select()
-            .single();
+            .eq('key', req.params.key);
 
-        if (orderError) throw orderError;
+        if (error) throw error;
 
-        res.json({
-            success: true,
-            orderId: order.id,
-            orderNumber: order.order_number,
-            subtotal,
-            shippingCost,
-            discountAmount,
-            total
-        });
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'update_shipping_zone', 'shipping_zone', null, { key: req.params.key, states, postcode_ranges, priority, is_active });
+
+        res.json({ success: true });
 
     } catch (err) {
-        console.error('Create order error:', err);
-        res.status(500).json({ error: 'Failed to create order' });
+        console.error('Update shipping zone error:', err);
+        res.status(500).json({ error: 'Failed to update shipping zone' });
     }
 });
 
-// Create checkout session
-app.post('/api/create-checkout', async (req, res) => {
-    try {
-        const { orderId } = req.body;
+// Check a rate's parcel size (quantity range) is valid and doesn't overlap
+// another rate for the same zone and service
+async function validateShippingRate(zoneKey, serviceKey, minQuantity, maxQuantity, cost, excludeRateId = null) {
+    if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+        return 'Minimum quantity must be at least 1';
+    }
+    if (maxQuantity !== null && (!Number.isInteger(maxQuantity) || maxQuantity < minQuantity)) {
+        return 'Maximum quantity must be blank or at least the minimum';
+    }
+    if (!Number.isInteger(cost) || cost < 0) {
+        return 'Cost is required';
+    }
 
-        if (!orderId) {
-            return res.status(400).json({ error: 'Order ID required' });
-        }
+    const { data: siblings } = await supabaseAdmin
+        .from('shipping_rates')
+        .select('id, min_quantity, max_quantity')
+        .eq('zone_key', zoneKey)
+        .eq('service_key', serviceKey);
+
+    const overlaps = (siblings || []).some(rate => {
+        if (rate.id === excludeRateId) return false;
+        const rateMax = rate.max_quantity === null ? Infinity : rate.max_quantity;
+        const newMax = maxQuantity === null ? Infinity : maxQuantity;
+        return minQuantity <= rateMax && rate.min_quantity <= newMax;
+    });
 
-        // Get order details
-        const { data: order, error } = await supabaseAdmin
-            .from('orders')
-            .select('*')
-            .eq('id', orderId)
-            .single();
+    return overlaps ? 'This quantity range overlaps an existing rate for this zone and service' : null;
+}
 
-        if (error || !order) {
-            return res.status(404).json({ error: 'Order not found' });
-        }
+// Create shipping rate
+app.post('/api/admin/pricing/shipping-rates', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-        if (order.status !== 'pending') {
-            return res.status(400).json({ error: 'Order already processed' });
-        }
+    const { zone_key, service_key, min_quantity, max_quantity = null, cost } = req.body;
 
-        // Create line items
-        const lineItems = [
-            {
-                price_data: {
-                    currency: 'aud',
-                    product_data: {
-                        name: `${order.product_type === 'business' ? 'Business' : 'Personal'} Magnets x${order.quantity}`,
-                        description: `Custom ${order.quantity} photo magnet${order.quantity > 1 ? 's' : ''} (63.5mm x 63.5mm)`
-                    },
-                    unit_amount: order.subtotal
-                },
-                quantity: 1
-            }
-        ];
+    if (!zone_key || !service_key) {
+        return res.status(400).json({ error: 'Zone and service required' });
+    }
 
-        // Add shipping if applicable
-        if (order.shipping_cost > 0) {
-            lineItems.push({
-                price_data: {
-                    currency: 'aud',
-                    product_data: {
-                        name: 'Shipping',
-                        description: 'Australia-wide flat rate shipping'
-                    },
-                    unit_amount: order.shipping_cost
-                },
-                quantity: 1
-            });
-        }
+    const validationError = await validateShippingRate(zone_key, service_key, min_quantity, max_quantity, cost);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
 
-        // Add discount if applicable
-        let discounts = [];
-        if (order.discount_amount > 0 && order.promo_code_used) {
-            // Create a coupon for this specific discount
-            const coupon = await stripe.coupons.create({
-                amount_off: order.discount_amount,
-                currency: 'aud',
-                name: `Promo: ${order.promo_code_used}`,
-                duration: 'once'
-            });
-            discounts = [{ coupon: coupon.id }];
-        }
+    try {
+        const { data: rate, error } = await supabaseAdmin
+            .from('shipping_rates')
+            .insert({ zone_key, service_key, min_quantity, max_quantity, cost })
+            .select()
+            .single();
 
-        // Create Stripe checkout session
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: lineItems,
-            discounts,
-            mode: 'payment',
-            success_url: `${process.env.SITE_URL}/track.html?order=${order.order_number}&success=true`,
-            cancel_url: `${process.env.SITE_URL}/?cancelled=true&order=${orderId}`,
-            metadata: {
-                orderId: order.id,
-                orderNumber: order.order_number
-            },
-            customer_email: order.customer_email || undefined,
-            payment_intent_data: {
-                metadata: {
-                    orderId: order.id,
-                    orderNumber: order.order_number
-                }
-            }
-        });
+        if (error) throw error;
 
-        res.json({ url: session.url });
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'create_shipping_rate', 'shipping_rate', rate.id, { zone_key, service_key, min_quantity, max_quantity, cost });
+
+        res.json(rate);
 
     } catch (err) {
-        console.error('Create checkout error:', err);
-        res.status(500).json({ error: 'Failed to create checkout session' });
+        console.error('Create shipping rate error:', err);
+        res.status(500).json({ error: 'Failed to create shipping rate' });
     }
 });
 
-// Look up customer by email/phone
-// Strict rate limit for customer lookup (PII endpoint)
-const lookupLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 5,
-    message: { error: 'Too many lookup attempts, please try again later.' }
-});
-
-app.post('/api/customer/lookup', lookupLimiter, async (req, res) => {
-    const { email, phone } = req.body;
+// Update shipping rate
+app.put('/api/admin/pricing/shipping-rates/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-    if (!email && !phone) {
-        return res.status(400).json({ error: 'Email or phone required' });
-    }
+    const { min_quantity, max_quantity = null, cost } = req.body;
 
     try {
-        let query = supabaseAdmin.from('customers').select('*');
+        const { data: existing } = await supabaseAdmin
+            .from('shipping_rates')
+            .select('zone_key, service_key')
+            .eq('id', req.params.id)
+            .single();
 
-        if (email) {
-            query = query.eq('email', email);
-        } else if (phone) {
-            query = query.eq('phone', phone);
+        if (!existing) {
+            return res.status(404).json({ error: 'Shipping rate not found' });
         }
 
-        const { data: customer, error } = await query.single();
-
-        if (error || !customer) {
-            return res.status(404).json({ error: 'Customer not found' });
+        const validationError = await validateShippingRate(existing.zone_key, existing.service_key, min_quantity, max_quantity, cost, req.params.id);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
-        // Get their orders
-        const { data: orders } = await supabaseAdmin
-            .from('orders')
-            .select('order_number, product_type, quantity, total, status, created_at')
-            .eq('customer_id', customer.id)
-            .order('created_at', { ascending: false })
-            .limit(10);
+        const { error } = await supabaseAdmin
+            .from('shipping_rates')
+            .update({
+                min_quantity,
+                max_quantity,
+                cost,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id);
 
-        res.json({
-            customer: {
-                name: customer.name,
-                phone: customer.phone,
-                email: customer.email,
-                address: {
-                    line1: customer.default_address_line1,
-                    line2: customer.default_address_line2,
-                    city: customer.default_city,
-                    state: customer.default_state,
-                    postcode: customer.default_postcode
-                }
-            },
-            orders: orders || []
-        });
+        if (error) throw error;
 
-    } catch (err) {
-        console.error('Customer lookup error:', err);
-        res.status(500).json({ error: 'Lookup failed' });
-    }
-});
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'update_shipping_rate', 'shipping_rate', req.params.id, { min_quantity, max_quantity, cost });
 
-// =============================================================================
-// ADMIN API ENDPOINTS
-// =============================================================================
+        res.json({ success: true });
 
-// Check admin status
-app.get('/api/admin/check', async (req, res) => {
-    const admin = await verifyAdmin(req);
-    if (!admin) {
-        return res.status(403).json({ isAdmin: false });
+    } catch (err) {
+        console.error('Update shipping rate error:', err);
+        res.status(500).json({ error: 'Failed to update shipping rate' });
     }
-    res.json({ isAdmin: true, role: admin.role, email: admin.email });
 });
 
-// Get dashboard stats
-app.get('/api/admin/stats', async (req, res) => {
+// Delete shipping rate
+app.delete('/api/admin/pricing/shipping-rates/:id', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
     try {
-        const { data: orders } = await supabaseAdmin
-            .from('orders')
-            .select('id, status, total, product_type, created_at');
+        const { error } = await supabaseAdmin
+            .from('shipping_rates')
+            .delete()
+            .eq('id', req.params.id);
 
-        const now = new Date();
-        const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const weekStart = new Date(todayStart);
-        weekStart.setDate(weekStart.getDate() - 7);
-        const monthStart = new Date(todayStart);
-        monthStart.setMonth(monthStart.getMonth() - 1);
+        if (error) throw error;
 
-        const paidOrders = orders.filter(o => o.status !== 'pending' && o.status !== 'cancelled');
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'delete_shipping_rate', 'shipping_rate', req.params.id);
 
-        const stats = {
-            orders: {
-                total: orders.length,
-                pending: orders.filter(o => o.status === 'pending').length,
-                paid: orders.filter(o => o.status === 'paid').length,
-                printing: orders.filter(o => o.status === 'printing').length,
-                shipped: orders.filter(o => o.status === 'shipped').length,
-                ready_pickup: orders.filter(o => o.status === 'ready_pickup').length,
-                completed: orders.filter(o => o.status === 'completed').length,
-                cancelled: orders.filter(o => o.status === 'cancelled').length,
-                needsAction: orders.filter(o => ['paid'].includes(o.status)).length
-            },
-            revenue: {
-                total: paidOrders.reduce((sum, o) => sum + o.total, 0),
-                today: paidOrders.filter(o => new Date(o.created_at) >= todayStart).reduce((sum, o) => sum + o.total, 0),
-                week: paidOrders.filter(o => new Date(o.created_at) >= weekStart).reduce((sum, o) => sum + o.total, 0),
-                month: paidOrders.filter(o => new Date(o.created_at) >= monthStart).reduce((sum, o) => sum + o.total, 0)
-            },
-            products: {
-                personal: orders.filter(o => o.product_type === 'personal').length,
-                business: orders.filter(o => o.product_type === 'business').length
-            }
-        };
+        res.json({ success: true });
 
-        const { count: customerCount } = await supabaseAdmin
-            .from('customers')
-            .select('*', { count: 'exact', head: true });
+    } catch (err) {
+        console.error('Delete shipping rate error:', err);
+        res.status(500).json({ error: 'Failed to delete shipping rate' });
+    }
+});
 
-        stats.customers = { total: customerCount };
+// List pickup locations with their upcoming slots
+app.get('/api/admin/pickup-locations', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-        res.json(stats);
+    try {
+        const [locationsResult, slotsResult] = await Promise.all([
+            supabaseAdmin.from('pickup_locations').select('*').order('display_order'),
+            supabaseAdmin.from('pickup_slots').select('*').gt('ends_at', new Date().toISOString()).order('starts_at')
+        ]);
+
+        if (locationsResult.error) throw locationsResult.error;
+        if (slotsResult.error) throw slotsResult.error;
+
+        res.json(locationsResult.data.map(location => ({
+            ...location,
+            slots: slotsResult.data
+                .filter(slot => slot.location_key === location.key)
+                .map(slot => ({ ...slot, label: formatPickupSlot(slot.starts_at, slot.ends_at) }))
+        })));
 
     } catch (err) {
-        console.error('Stats error:', err);
-        res.status(500).json({ error: 'Failed to load stats' });
+        console.error('Get pickup locations error:', err);
+        res.status(500).json({ error: 'Failed to load pickup locations' });
     }
 });
 
-// List orders
-app.get('/api/admin/orders', async (req, res) => {
+// Create pickup location
+app.post('/api/admin/pickup-locations', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-    const { status, limit = 50, offset = 0 } = req.query;
+    const { key, name, address, opening_hours = null, instructions = null, display_order = 0 } = req.body;
+
+    if (!key || !/^[a-z0-9-]+$/.test(key)) {
+        return res.status(400).json({ error: 'Key must be lowercase letters, numbers and dashes' });
+    }
+    if (!name || !address) {
+        return res.status(400).json({ error: 'Name and address required' });
+    }
 
     try {
-        let query = supabaseAdmin
-            .from('orders')
-            .select('*')
-            .order('created_at', { ascending: false })
-            .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+        const { data: location, error } = await supabaseAdmin
+            .from('pickup_locations')
+            .insert({ key, name, address, opening_hours, instructions, display_order })
+            .select()
+            .single();
 
-        if (status && status !== 'all') {
-            query = query.eq('status', status);
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(400).json({ error: 'A location with this key already exists' });
+            }
+            throw error;
         }
 
-        const { data: orders, error } = await query;
-
-        if (error) throw error;
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'create_pickup_location', 'pickup_location', null, { key, name });
 
-        res.json(orders);
+        res.json(location);
 
     } catch (err) {
-        console.error('List orders error:', err);
-        res.status(500).json({ error: 'Failed to load orders' });
+        console.error('Create pickup location error:', err);
+        res.status(500).json({ error: 'Failed to create pickup location' });
     }
 });
 
-// Get single order with items
-app.get('/api/admin/orders/:id', async (req, res) => {
+// Update pickup location
+app.put('/api/admin/pickup-locations/:key', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-    try {
-        const { data: order, error } = await supabaseAdmin
-            .from('orders')
-            .select('*')
-            .eq('id', req.params.id)
-            .single();
+    const { name, address, opening_hours, instructions, is_active } = req.body;
 
-        if (error || !order) {
-            return res.status(404).json({ error: 'Order not found' });
-        }
+    if (!name || !address) {
+        return res.status(400).json({ error: 'Name and address required' });
+    }
 
-        // Get order items with signed URLs
-        const { data: items } = await supabaseAdmin
-            .from('order_items')
-            .select('*')
-            .eq('order_id', order.id)
-            .order('position');
+    try {
+        const { error } = await supabaseAdmin
+            .from('pickup_locations')
+            .update({
+                name,
+                address,
+                opening_hours,
+                instructions,
+                is_active,
+                updated_at: new Date().toISOString()
+            })
+            .eq('key', req.params.key);
 
-        const itemsWithUrls = await Promise.all((items || []).map(async (item) => {
-            const { data: signedUrl } = await supabaseAdmin.storage
-                .from('order-photos')
-                .createSignedUrl(item.original_file_path, 3600);
-            return { ...item, previewUrl: signedUrl?.signedUrl };
-        }));
+        if (error) throw error;
 
-        res.json({ ...order, items: itemsWithUrls });
+        invalidatePricingCatalogue();
+        await logAdminAction(admin.userId, 'update_pickup_location', 'pickup_location', null, { key: req.params.key, is_active });
+
+        res.json({ success: true });
 
     } catch (err) {
-        console.error('Get order error:', err);
-        res.status(500).json({ error: 'Failed to load order' });
+        console.error('Update pickup location error:', err);
+        res.status(500).json({ error: 'Failed to update pickup location' });
     }
 });
 
-// Update order status
-app.put('/api/admin/orders/:id/status', async (req, res) => {
+// Create pickup slots. repeat_weeks > 1 adds the same time on following weeks.
+app.post('/api/admin/pickup-slots', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-    const { status, tracking_number, carrier, admin_notes } = req.body;
-    const validStatuses = ['pending', 'paid', 'printing', 'shipped', 'ready_pickup', 'completed', 'cancelled', 'archived'];
+    const { location_key, starts_at, ends_at, capacity, repeat_weeks = 1 } = req.body;
+    const startsAt = new Date(starts_at);
+    const endsAt = new Date(ends_at);
 
-    if (!validStatuses.includes(status)) {
-        return res.status(400).json({ error: 'Invalid status' });
+    if (!location_key) {
+        return res.status(400).json({ error: 'Pickup location required' });
+    }
+    if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+        return res.status(400).json({ error: 'End time must be after the start time' });
+    }
+    if (!Number.isInteger(capacity) || capacity < 1) {
+        return res.status(400).json({ error: 'Capacity must be at least 1' });
+    }
+    if (!Number.isInteger(repeat_weeks) || repeat_weeks < 1 || repeat_weeks > 52) {
+        return res.status(400).json({ error: 'Repeat must be between 1 and 52 weeks' });
     }
 
-    try {
-        const updateData = {
-            status,
-            updated_at: new Date().toISOString()
-        };
-
-        if (status === 'printing') updateData.printed_at = new Date().toISOString();
-        if (status === 'shipped') updateData.shipped_at = new Date().toISOString();
-        if (status === 'ready_pickup') updateData.shipped_at = new Date().toISOString();
-        if (status === 'completed') updateData.completed_at = new Date().toISOString();
-
-        if (tracking_number) updateData.tracking_number = tracking_number;
-        if (carrier) updateData.carrier = carrier;
-        if (admin_notes !== undefined) updateData.admin_notes = admin_notes;
+    const week = 7 * 24 * 60 * 60 * 1000;
+    const slots = Array.from({ length: repeat_weeks }, (_, i) => ({
+        location_key,
+        starts_at: new Date(startsAt.getTime() + i * week).toISOString(),
+        ends_at: new Date(endsAt.getTime() + i * week).toISOString(),
+        capacity
+    }));
 
-        await supabaseAdmin
-            .from('orders')
-            .update(updateData)
-            .eq('id', req.params.id);
+    try {
+        const { data, error } = await supabaseAdmin
+            .from('pickup_slots')
+            .insert(slots)
+            .select();
 
-        await logAdminAction(admin.userId, 'update_order_status', 'order', req.params.id, { status, tracking_number });
+        if (error) throw error;
 
-        // TODO: Send customer notification for shipped/ready_pickup
+        await logAdminAction(admin.userId, 'create_pickup_slots', 'pickup_location', null, { location_key, starts_at, repeat_weeks, capacity });
 
-        res.json({ success: true });
+        res.json(data);
 
     } catch (err) {
-        console.error('Update status error:', err);
-        res.status(500).json({ error: 'Failed to update status' });
+        console.error('Create pickup slots error:', err);
+        res.status(500).json({ error: 'Failed to create pickup slots' });
     }
 });
 
-// Download order photos as ZIP
-app.get('/api/admin/orders/:id/download', async (req, res) => {
+// Update pickup slot capacity or close it to new bookings
+app.put('/api/admin/pickup-slots/:id', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-    try {
-        const { data: items } = await supabaseAdmin
-            .from('order_items')
-            .select('*')
-            .eq('order_id', req.params.id)
-            .order('position');
-
-        const { data: order } = await supabaseAdmin
-            .from('orders')
-            .select('order_number')
-            .eq('id', req.params.id)
-            .single();
-
-        if (!items || items.length === 0) {
-            return res.status(404).json({ error: 'No photos found' });
-        }
-
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', `attachment; filename="${order.order_number}-photos.zip"`);
+    const { capacity, is_active } = req.body;
 
-        const archive = archiver('zip', { zlib: { level: 9 } });
-        archive.pipe(res);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+        return res.status(400).json({ error: 'Capacity must be at least 1' });
+    }
 
-        for (const item of items) {
-            const { data: fileData } = await supabaseAdmin.storage
-                .from('order-photos')
-                .download(item.original_file_path);
+    try {
+        const { error } = await supabaseAdmin
+            .from('pickup_slots')
+            .update({ capacity, is_active })
+            .eq('id', req.params.id);
 
-            if (fileData) {
-                const buffer = await fileData.arrayBuffer();
-                archive.append(Buffer.from(buffer), {
-                    name: `${item.position + 1}_${item.original_filename}`
-                });
-            }
-        }
+        if (error) throw error;
 
-        await archive.finalize();
+        await logAdminAction(admin.userId, 'update_pickup_slot', 'pickup_slot', req.params.id, { capacity, is_active });
 
-        await logAdminAction(admin.userId, 'download_photos', 'order', req.params.id);
+        res.json({ success: true });
 
     } catch (err) {
-        console.error('Download error:', err);
-        res.status(500).json({ error: 'Download failed' });
+        console.error('Update pickup slot error:', err);
+        res.status(500).json({ error: 'Failed to update pickup slot' });
     }
 });
 
-// Delete order (super_admin only)
-app.delete('/api/admin/orders/:id', async (req, res) => {
-    const admin = await verifyAdmin(req, 'super_admin');
-    if (!admin) return res.status(403).json({ error: 'Unauthorized - requires super_admin' });
+// Delete pickup slot (only while nobody has booked it)
+app.delete('/api/admin/pickup-slots/:id', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
     try {
-        // Get order details first
-        const { data: order, error: orderError } = await supabaseAdmin
-            .from('orders')
-            .select('order_number')
+        const { data: slot } = await supabaseAdmin
+            .from('pickup_slots')
+            .select('booked_count')
             .eq('id', req.params.id)
             .single();
 
-        if (orderError || !order) {
-            return res.status(404).json({ error: 'Order not found' });
+        if (!slot) {
+            return res.status(404).json({ error: 'Pickup slot not found' });
         }
-
-        // Get order items to delete photos
-        const { data: items } = await supabaseAdmin
-            .from('order_items')
-            .select('original_file_path')
-            .eq('order_id', req.params.id);
-
-        // Delete photos from storage
-        if (items && items.length > 0) {
-            const filePaths = items.map(item => item.original_file_path);
-            await supabaseAdmin.storage
-                .from('order-photos')
-                .remove(filePaths);
+        if (slot.booked_count > 0) {
+            return res.status(400).json({ error: 'This slot has bookings. Close it instead so no one else can book it.' });
         }
 
-        // Delete order items
-        await supabaseAdmin
-            .from('order_items')
-            .delete()
-            .eq('order_id', req.params.id);
-
-        // Delete the order
-        await supabaseAdmin
-            .from('orders')
+        const { error } = await supabaseAdmin
+            .from('pickup_slots')
             .delete()
             .eq('id', req.params.id);
 
-        await logAdminAction(admin.userId, 'delete_order', 'order', req.params.id, { order_number: order.order_number });
+        if (error) throw error;
+
+        await logAdminAction(admin.userId, 'delete_pickup_slot', 'pickup_slot', req.params.id);
 
         res.json({ success: true });
 
     } catch (err) {
-        console.error('Delete order error:', err);
-        res.status(500).json({ error: 'Failed to delete order' });
+        console.error('Delete pickup slot error:', err);
+        res.status(500).json({ error: 'Failed to delete pickup slot' });
     }
 });
 
-// List customers
-app.get('/api/admin/customers', async (req, res) => {
+// Get app settings
+app.get('/api/admin/settings', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
     try {
-        const { data: customers, error } = await supabaseAdmin
-            .from('customers')
-            .select('*')
-            .order('created_at', { ascending: false });
-
-        if (error) throw error;
-
-        res.json(customers);
-
+        res.json(await getAppSettings());
     } catch (err) {
-        console.error('List customers error:', err);
-        res.status(500).json({ error: 'Failed to load customers' });
+        console.error('Get settings error:', err);
+        res.status(500).json({ error: 'Failed to load settings' });
     }
 });
 
-// Get customer with orders
-app.get('/api/admin/customers/:id', async (req, res) => {
+// Update app settings (only the ones sent)
+app.put('/api/admin/settings', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
+    const changes = Object.entries(req.body || {});
+
+    for (const [key, value] of changes) {
+        if (!(key in DEFAULT_APP_SETTINGS)) {
+            return res.status(400).json({ error: `Unknown setting: ${key}` });
+        }
+        if (typeof value !== typeof DEFAULT_APP_SETTINGS[key]) {
+            return res.status(400).json({ error: `Invalid value for ${key}` });
+        }
+
+        const range = APP_SETTING_RANGES[key];
+        if (range && (!Number.isInteger(value) || value < range.min || value > range.max)) {
+            return res.status(400).json({ error: `${key} must be a whole number from ${range.min} to ${range.max}` });
+        }
+    }
+
     try {
-        const { data: customer, error } = await supabaseAdmin
-            .from('customers')
-            .select('*')
-            .eq('id', req.params.id)
-            .single();
+        const settings = { ...(await getAppSettings()), ...req.body };
+        if (settings.recovery_email_delay_hours >= settings.pending_order_expiry_hours) {
+            return res.status(400).json({ error: 'The payment reminder has to be sent before unpaid orders expire' });
+        }
 
-        if (error || !customer) {
-            return res.status(404).json({ error: 'Customer not found' });
+        if (changes.length > 0) {
+            const { error } = await supabaseAdmin
+                .from('app_settings')
+                .upsert(changes.map(([key, value]) => ({
+                    key,
+                    value,
+                    updated_by: admin.userId,
+                    updated_at: new Date().toISOString()
+                })));
+
+            if (error) throw error;
         }
 
-        const { data: orders } = await supabaseAdmin
-            .from('orders')
-            .select('*')
-            .eq('customer_id', customer.id)
-            .order('created_at', { ascending: false });
+        await logAdminAction(admin.userId, 'update_settings', 'app_settings', null, req.body);
 
-        res.json({ ...customer, orders: orders || [] });
+        res.json(await getAppSettings());
 
     } catch (err) {
-        console.error('Get customer error:', err);
-        res.status(500).json({ error: 'Failed to load customer' });
+        console.error('Update settings error:', err);
+        res.status(500).json({ error: 'Failed to update settings' });
     }
 });
 
-// List promo codes
-app.get('/api/admin/promo-codes', async (req, res) => {
+// List email templates (with any saved wording)
+app.get('/api/admin/email-templates', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
     try {
-        const { data: codes, error } = await supabaseAdmin
-            .from('promo_codes')
-            .select('*')
-            .order('created_at', { ascending: false });
-
-        if (error) throw error;
+        const templates = await Promise.all(Object.keys(DEFAULT_EMAIL_TEMPLATES).map(getEmailTemplate));
+        res.json(templates);
+    } catch (err) {
+        console.error('List email templates error:', err);
+        res.status(500).json({ error: 'Failed to load email templates' });
+    }
+});
 
-        res.json(codes);
+// Returns an error message if a template's subject or body won't render
+function validateEmailTemplate({ subject, html }) {
+    if (!subject?.trim() || !html?.trim()) return 'Subject and body required';
 
+    try {
+        parseTemplate(subject);
+        parseTemplate(html);
     } catch (err) {
-        console.error('List promo codes error:', err);
-        res.status(500).json({ error: 'Failed to load promo codes' });
+        return err.message;
     }
-});
+    return null;
+}
 
-// Create promo code
-app.post('/api/admin/promo-codes', async (req, res) => {
+// The order an email is previewed against: the one asked for, or the latest order
+async function findPreviewOrder(orderNumber) {
+    let query = supabaseAdmin.from('orders').select('*');
+    query = orderNumber
+        ? query.eq('order_number', orderNumber.trim().toUpperCase())
+        : query.order('created_at', { ascending: false }).limit(1);
+
+    const { data: orders } = await query;
+    return orders?.[0] || null;
+}
+
+// Save new wording for an email template
+app.put('/api/admin/email-templates/:key', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
-    const { code, discount_type, discount_value, min_order_amount, max_uses, max_uses_per_customer, expires_at, description } = req.body;
+    if (!DEFAULT_EMAIL_TEMPLATES[req.params.key]) {
+        return res.status(404).json({ error: 'Email template not found' });
+    }
 
-    if (!code || !discount_type || !discount_value) {
-        return res.status(400).json({ error: 'Code, discount type, and value required' });
+    const { subject, html } = req.body;
+    const validationError = validateEmailTemplate({ subject, html });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
     }
 
     try {
-        const { data: promo, error } = await supabaseAdmin
-            .from('promo_codes')
-            .insert({
-                code: code.toUpperCase(),
-                discount_type,
-                discount_value,
-                min_order_amount: min_order_amount || 0,
-                max_uses,
-                max_uses_per_customer: max_uses_per_customer || 1,
-                expires_at,
-                description,
-                created_by: admin.userId
-            })
-            .select()
-            .single();
+        const { error } = await supabaseAdmin
+            .from('email_templates')
+            .upsert({
+                key: req.params.key,
+                subject: subject.trim(),
+                html,
+                updated_by: admin.userId,
+                updated_at: new Date().toISOString()
+            });
 
         if (error) throw error;
 
-        await logAdminAction(admin.userId, 'create_promo_code', 'promo_code', promo.id, { code: promo.code });
+        await logAdminAction(admin.userId, 'update_email_template', 'email_template', null, { key: req.params.key });
 
-        res.json(promo);
+        res.json(await getEmailTemplate(req.params.key));
 
     } catch (err) {
-        console.error('Create promo code error:', err);
-        res.status(500).json({ error: 'Failed to create promo code' });
+        console.error('Update email template error:', err);
+        res.status(500).json({ error: 'Failed to save email template' });
     }
 });
 
-// Update promo code
-app.put('/api/admin/promo-codes/:id', async (req, res) => {
+// Go back to the default wording
+app.delete('/api/admin/email-templates/:key', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
     try {
         const { error } = await supabaseAdmin
-            .from('promo_codes')
-            .update({
-                ...req.body,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', req.params.id);
+            .from('email_templates')
+            .delete()
+            .eq('key', req.params.key);
 
         if (error) throw error;
 
-        await logAdminAction(admin.userId, 'update_promo_code', 'promo_code', req.params.id);
+        await logAdminAction(admin.userId, 'reset_email_template', 'email_template', null, { key: req.params.key });
 
         res.json({ success: true });
 
     } catch (err) {
-        console.error('Update promo code error:', err);
-        res.status(500).json({ error: 'Failed to update promo code' });
+        console.error('Reset email template error:', err);
+        res.status(500).json({ error: 'Failed to reset email template' });
     }
 });
 
-// Delete (deactivate) promo code
-app.delete('/api/admin/promo-codes/:id', async (req, res) => {
+// Render a template (including unsaved edits) against a real order
+app.post('/api/admin/email-templates/:key/preview', async (req, res) => {
     const admin = await verifyAdmin(req);
     if (!admin) return res.status(403).json({ error: 'Unauthorized' });
 
+    if (!DEFAULT_EMAIL_TEMPLATES[req.params.key]) {
+        return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const { subject, html, order_number } = req.body;
+    const validationError = validateEmailTemplate({ subject, html });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
     try {
-        await supabaseAdmin
-            .from('promo_codes')
-            .update({ is_active: false, updated_at: new Date().toISOString() })
-            .eq('id', req.params.id);
+        const order = await findPreviewOrder(order_number);
+        if (!order) {
+            return res.status(404).json({ error: order_number ? 'Order not found' : 'There are no orders to preview with yet' });
+        }
 
-        await logAdminAction(admin.userId, 'deactivate_promo_code', 'promo_code', req.params.id);
+        const email = await renderOrderEmail(req.params.key, order, { subject, html });
 
-        res.json({ success: true });
+        res.json({ order_number: order.order_number, ...email });
 
     } catch (err) {
-        console.error('Delete promo code error:', err);
-        res.status(500).json({ error: 'Failed to delete promo code' });
+        console.error('Preview email template error:', err);
+        res.status(500).json({ error: 'Failed to preview email' });
+    }
+});
+
+// Send a template (including unsaved edits) to the signed-in admin
+app.post('/api/admin/email-templates/:key/test', async (req, res) => {
+    const admin = await verifyAdmin(req);
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    if (!DEFAULT_EMAIL_TEMPLATES[req.params.key]) {
+        return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    if (!getNotificationProvider('email')) {
+        return res.status(400).json({ error: 'Email sending is not set up' });
+    }
+
+    const { subject, html, order_number } = req.body;
+    const validationError = validateEmailTemplate({ subject, html });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const order = await findPreviewOrder(order_number);
+        if (!order) {
+            return res.status(404).json({ error: order_number ? 'Order not found' : 'There are no orders to preview with yet' });
+        }
+
+        const email = await renderOrderEmail(req.params.key, order, { subject, html });
+        // Sent straight away rather than queued, so any problem shows here
+        await sendNotificationNow({ channel: 'email', recipient: admin.email, subject: `[Test] ${email.subject}`, body: email.html });
+
+        res.json({ success: true, sent_to: admin.email });
+
+    } catch (err) {
+        console.error('Test email template error:', err);
+        res.status(500).json({ error: 'Failed to send test email' });
     }
 });
 
@@ -1471,6 +7607,81 @@ app.get('/api/admin/logs', async (req, res) => {
     }
 });
 
+// Stripe webhook events, newest first (without their payloads)
+app.get('/api/admin/webhook-events', async (req, res) => {
+    const admin = await verifyAdmin(req, 'super_admin');
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { status } = req.query;
+
+        let query = supabaseAdmin
+            .from('webhook_events')
+            .select('id, type, status, attempts, last_error, received_at, processed_at, object_id:payload->data->object->>id, order_number:payload->data->object->metadata->>orderNumber')
+            .order('received_at', { ascending: false })
+            .limit(100);
+
+        if (status && status !== 'all') {
+            query = query.eq('status', status);
+        }
+
+        const { data: events, error } = await query;
+
+        if (error) throw error;
+
+        res.json(events);
+
+    } catch (err) {
+        console.error('Get webhook events error:', err);
+        res.status(500).json({ error: 'Failed to load webhook events' });
+    }
+});
+
+// Run a failed webhook event again
+app.post('/api/admin/webhook-events/:id/replay', async (req, res) => {
+    const admin = await verifyAdmin(req, 'super_admin');
+    if (!admin) return res.status(403).json({ error: 'Unauthorized' });
+
+    try {
+        const { data: event } = await supabaseAdmin
+            .from('webhook_events')
+            .select('id, type, status')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        if (!event) {
+            return res.status(404).json({ error: 'Webhook event not found' });
+        }
+
+        if (event.status !== 'failed') {
+            return res.status(400).json({ error: 'Only failed events can be replayed' });
+        }
+
+        const status = await processWebhookEvent(event.id);
+        if (!status) {
+            return res.status(409).json({ error: 'The event is already being processed' });
+        }
+
+        await logAdminAction(admin.userId, 'replay_webhook_event', 'webhook_event', null, {
+            event_id: event.id,
+            type: event.type,
+            result: status
+        });
+
+        const { data: updated } = await supabaseAdmin
+            .from('webhook_events')
+            .select('id, type, status, attempts, last_error, received_at, processed_at')
+            .eq('id', event.id)
+            .single();
+
+        res.json(updated);
+
+    } catch (err) {
+        console.error('Replay webhook event error:', err);
+        res.status(500).json({ error: 'Failed to replay webhook event' });
+    }
+});
+
 // Gallery management
 app.post('/api/admin/gallery', upload.single('file'), async (req, res) => {
     const admin = await verifyAdmin(req);
@@ -1566,7 +7777,26 @@ app.get('*', (req, res) => {
 // START SERVER
 // =============================================================================
 
-app.listen(PORT, () => {
-    console.log(`Heartsnaps server running on port ${PORT}`);
+// The tests (see test/) load the app without starting it
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Heartsnaps server running on port ${PORT}`);
+
+        // Pick up retries and anything queued while the server was down
+        setInterval(deliverNotificationsSoon, NOTIFICATION_POLL_MS);
+        deliverNotificationsSoon();
+    });
+}
+
+// The app is the export (as serverless hosts expect), with the helpers the
+// tests exercise alongside it
+module.exports = Object.assign(app, {
+    supabaseAdmin,
+    priceCart,
+    ORDER_STATUS_TRANSITIONS,
+    getOrderTransitionError,
+    getAllowedOrderTransitions,
+    signOrderToken,
+    verifyOrderToken
 });
 
@@ -10,12 +10,40 @@
 -- PROMO CODES TABLE (must be created first for foreign key)
 -- =============================================================================
 
+-- A batch of single-use codes generated together (wedding fairs, influencers).
+-- Every code in the batch shares the prefix and discount rule.
+CREATE TABLE IF NOT EXISTS promo_campaigns (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    description TEXT,
+    created_by UUID REFERENCES auth.users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE promo_campaigns ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to promo_campaigns" ON promo_campaigns;
+CREATE POLICY "Service role full access to promo_campaigns" ON promo_campaigns FOR ALL USING (true);
+
 CREATE TABLE IF NOT EXISTS promo_codes (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     code TEXT UNIQUE NOT NULL,
-    discount_type TEXT NOT NULL,  -- 'percentage' or 'fixed'
-    discount_value INTEGER NOT NULL,  -- percentage (10 = 10%) or cents (500 = $5)
+    discount_type TEXT NOT NULL,  -- 'percentage', 'fixed', 'free_shipping' or 'buy_x_get_y'
+    discount_value INTEGER NOT NULL,  -- percentage (10 = 10%) or cents (500 = $5); 0 for other types
+    buy_quantity INTEGER,  -- buy_x_get_y: buy this many...
+    free_quantity INTEGER,  -- ...and get this many free (the cheapest magnets in the cart)
     min_order_amount INTEGER DEFAULT 0,
+
+    -- Rule conditions (NULL/empty = no restriction)
+    product_types TEXT[],  -- product_types.key the code applies to
+    min_quantity INTEGER,  -- magnets of those products
+    states TEXT[],  -- delivery states the code is valid for
+    first_order_only BOOLEAN DEFAULT false,  -- customers.order_count must be 0
+    stackable BOOLEAN DEFAULT true,  -- can be combined with store credit
+
+    campaign_id UUID REFERENCES promo_campaigns(id) ON DELETE SET NULL,
+
     max_uses INTEGER,
     uses_count INTEGER DEFAULT 0,
     max_uses_per_customer INTEGER DEFAULT 1,
@@ -31,11 +59,57 @@ CREATE TABLE IF NOT EXISTS promo_codes (
 CREATE INDEX IF NOT EXISTS idx_promo_codes_code ON promo_codes(code);
 CREATE INDEX IF NOT EXISTS idx_promo_codes_active ON promo_codes(is_active);
 
+-- Columns added after launch (for databases created from an earlier schema)
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS buy_quantity INTEGER;
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS free_quantity INTEGER;
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS product_types TEXT[];
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS min_quantity INTEGER;
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS states TEXT[];
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS first_order_only BOOLEAN DEFAULT false;
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS stackable BOOLEAN DEFAULT true;
+ALTER TABLE promo_codes ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES promo_campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_promo_codes_campaign_id ON promo_codes(campaign_id);
+
 ALTER TABLE promo_codes ENABLE ROW LEVEL SECURITY;
 
 DROP POLICY IF EXISTS "Service role full access to promo_codes" ON promo_codes;
 CREATE POLICY "Service role full access to promo_codes" ON promo_codes FOR ALL USING (true);
 
+-- Automatic discounts apply to every cart that meets their conditions during
+-- their date window, without a code. They share the promo code rule columns;
+-- when several apply, the customer gets the largest.
+CREATE TABLE IF NOT EXISTS automatic_discounts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,  -- shown on the order summary, e.g. 'Mother''s Day week'
+    discount_type TEXT NOT NULL,  -- 'percentage', 'fixed', 'free_shipping' or 'buy_x_get_y'
+    discount_value INTEGER NOT NULL DEFAULT 0,  -- percentage (10 = 10%) or cents (500 = $5); 0 for other types
+    buy_quantity INTEGER,
+    free_quantity INTEGER,
+    min_order_amount INTEGER DEFAULT 0,
+
+    -- Rule conditions (NULL/empty = no restriction)
+    product_types TEXT[],
+    min_quantity INTEGER,
+    states TEXT[],
+    combines_with_promo_codes BOOLEAN DEFAULT true,  -- if false, the customer gets the larger of the two
+
+    is_active BOOLEAN DEFAULT true,
+    starts_at TIMESTAMPTZ DEFAULT NOW(),
+    ends_at TIMESTAMPTZ,
+    description TEXT,
+    created_by UUID REFERENCES auth.users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_automatic_discounts_active ON automatic_discounts(is_active, starts_at);
+
+ALTER TABLE automatic_discounts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to automatic_discounts" ON automatic_discounts;
+CREATE POLICY "Service role full access to automatic_discounts" ON automatic_discounts FOR ALL USING (true);
+
 
 -- =============================================================================
 -- CUSTOMERS TABLE
@@ -55,6 +129,7 @@ CREATE TABLE IF NOT EXISTS customers (
     default_country TEXT DEFAULT 'Australia',
     order_count INTEGER DEFAULT 0,
     total_spent INTEGER DEFAULT 0,
+    referral_code TEXT UNIQUE,  -- personal code to share with friends; set the first time it's needed
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -63,6 +138,9 @@ CREATE INDEX IF NOT EXISTS idx_customers_user_id ON customers(user_id);
 CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email);
 CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone);
 
+-- Columns added after launch (for databases created from an earlier schema)
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS referral_code TEXT UNIQUE;
+
 ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
 
 DROP POLICY IF EXISTS "Users can view own customer record" ON customers;
@@ -91,6 +169,8 @@ CREATE TABLE IF NOT EXISTS orders (
 
     -- Shipping details
     shipping_type TEXT NOT NULL DEFAULT 'delivery',
+    shipping_service TEXT,  -- shipping_services.key for delivery orders
+    shipping_zone TEXT,  -- shipping_zones.key the address matched when priced
     shipping_address_line1 TEXT,
     shipping_address_line2 TEXT,
     shipping_city TEXT,
@@ -98,13 +178,20 @@ CREATE TABLE IF NOT EXISTS orders (
     shipping_postcode TEXT,
     shipping_country TEXT DEFAULT 'Australia',
 
+    -- Pickup details (snapshot of the booked slot, which may later be deleted)
+    pickup_location TEXT,  -- pickup_locations.key
+    pickup_slot_id UUID,
+    pickup_slot_starts_at TIMESTAMPTZ,
+    pickup_slot_ends_at TIMESTAMPTZ,
+
     -- Gift option
     is_gift BOOLEAN DEFAULT false,
     gift_message TEXT,
 
     -- Product details
-    product_type TEXT NOT NULL,
-    quantity INTEGER NOT NULL,
+    product_type TEXT NOT NULL,  -- 'mixed' when order_lines have different product types
+    variant TEXT DEFAULT 'square-63',  -- product_variants.key (size/shape) of the first line
+    quantity INTEGER NOT NULL,  -- total across order_lines
 
     -- Pricing (all in cents)
     subtotal INTEGER NOT NULL,
@@ -112,16 +199,27 @@ CREATE TABLE IF NOT EXISTS orders (
     discount_amount INTEGER DEFAULT 0,
     promo_code_id UUID REFERENCES promo_codes(id),
     promo_code_used TEXT,
+    automatic_discount_id UUID REFERENCES automatic_discounts(id) ON DELETE SET NULL,
+    automatic_discount_name TEXT,  -- as shown to the customer when the order was placed
+    automatic_discount_amount INTEGER DEFAULT 0,  -- on top of discount_amount (the promo code discount)
+    gift_card_id UUID,  -- gift_cards.id (gift card or store credit spent on the order)
+    gift_card_code TEXT,
+    gift_card_amount INTEGER DEFAULT 0,  -- paid from the gift card; total - gift_card_amount is charged by card
+    gst_amount INTEGER DEFAULT 0,  -- GST included in total
+    refunded_amount INTEGER DEFAULT 0,  -- given back through Stripe (see refunds)
     total INTEGER NOT NULL,
 
     -- Order notes
     notes TEXT,
     admin_notes TEXT,
 
-    -- Status tracking
+    -- Status tracking ('pending' orders nobody pays for become 'expired', and
+    -- 'payment_failed' if the card is declined; refunding a paid order makes
+    -- it 'partially_refunded' or 'refunded', and a chargeback 'disputed')
     status TEXT NOT NULL DEFAULT 'pending',
     stripe_payment_intent_id TEXT,
-    stripe_checkout_session_id TEXT,
+    stripe_checkout_session_id TEXT,  -- latest checkout session until paid
+    stripe_dispute_id TEXT,
     tracking_number TEXT,
     carrier TEXT,
 
@@ -130,6 +228,13 @@ CREATE TABLE IF NOT EXISTS orders (
     printed_at TIMESTAMPTZ,
     shipped_at TIMESTAMPTZ,
     completed_at TIMESTAMPTZ,
+    expired_at TIMESTAMPTZ,
+    photos_deleted_at TIMESTAMPTZ,  -- an expired order's photos have been cleaned up
+    refunded_at TIMESTAMPTZ,             -- first refunded
+    payment_confirmed_at TIMESTAMPTZ,    -- confirmation emails queued after payment
+    disputed_at TIMESTAMPTZ,
+    recovery_email_sent_at TIMESTAMPTZ,  -- reminded to finish paying for an unpaid order
+    resumed_at TIMESTAMPTZ,              -- first opened the resume link from that reminder
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -139,6 +244,35 @@ CREATE INDEX IF NOT EXISTS idx_orders_order_number ON orders(order_number);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
 CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at DESC);
 
+-- Columns added after launch (for databases created from an earlier schema)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS gst_amount INTEGER DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS variant TEXT DEFAULT 'square-63';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_service TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_zone TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pickup_location TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pickup_slot_id UUID;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pickup_slot_starts_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pickup_slot_ends_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS gift_card_id UUID;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS gift_card_code TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS gift_card_amount INTEGER DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS automatic_discount_id UUID REFERENCES automatic_discounts(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS automatic_discount_name TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS automatic_discount_amount INTEGER DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS photos_deleted_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS recovery_email_sent_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount INTEGER DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stripe_dispute_id TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_confirmed_at TIMESTAMPTZ;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS resumed_at TIMESTAMPTZ;
+
+-- Orders paid before payment_confirmed_at existed have had their emails
+UPDATE orders SET payment_confirmed_at = paid_at
+WHERE payment_confirmed_at IS NULL AND paid_at IS NOT NULL AND paid_at < NOW() - INTERVAL '1 hour';
+
 ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
 
 DROP POLICY IF EXISTS "Public can view orders by order_number" ON orders;
@@ -148,6 +282,32 @@ DROP POLICY IF EXISTS "Service role full access to orders" ON orders;
 CREATE POLICY "Service role full access to orders" ON orders FOR ALL USING (true);
 
 
+-- =============================================================================
+-- ORDER LINES TABLE
+-- =============================================================================
+-- One row per product in the cart, each priced on its own tiers. The orders
+-- row keeps the combined quantity, and product_type 'mixed' when lines differ.
+
+CREATE TABLE IF NOT EXISTS order_lines (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    product_type TEXT NOT NULL,
+    variant TEXT,  -- product_variants.key
+    quantity INTEGER NOT NULL,
+    unit_price INTEGER NOT NULL,  -- cents
+    subtotal INTEGER NOT NULL,  -- cents
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_lines_order_id ON order_lines(order_id);
+
+ALTER TABLE order_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to order_lines" ON order_lines;
+CREATE POLICY "Service role full access to order_lines" ON order_lines FOR ALL USING (true);
+
+
 -- =============================================================================
 -- ORDER ITEMS TABLE
 -- =============================================================================
@@ -155,6 +315,7 @@ CREATE POLICY "Service role full access to orders" ON orders FOR ALL USING (true
 CREATE TABLE IF NOT EXISTS order_items (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_line_id UUID REFERENCES order_lines(id) ON DELETE CASCADE,  -- NULL for orders placed before order_lines
     original_file_path TEXT NOT NULL,
     original_filename TEXT NOT NULL,
     file_size INTEGER,
@@ -165,7 +326,10 @@ CREATE TABLE IF NOT EXISTS order_items (
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS order_line_id UUID REFERENCES order_lines(id) ON DELETE CASCADE;
+
 CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_order_line_id ON order_items(order_line_id);
 
 ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
 
@@ -173,6 +337,56 @@ DROP POLICY IF EXISTS "Service role full access to order_items" ON order_items;
 CREATE POLICY "Service role full access to order_items" ON order_items FOR ALL USING (true);
 
 
+-- =============================================================================
+-- ORDER STATUS HISTORY
+-- =============================================================================
+-- Every status an order has been through: who moved it, when and why. Which
+-- moves are allowed is enforced by ORDER_STATUS_TRANSITIONS in server.js.
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status TEXT,  -- NULL when the order was placed
+    to_status TEXT NOT NULL,
+    changed_by UUID REFERENCES auth.users(id),  -- the admin; NULL for customers, Stripe and the system
+    changed_by_name TEXT,  -- admin email, 'Customer', 'Stripe' or 'System'
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id, created_at);
+
+ALTER TABLE order_status_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to order_status_history" ON order_status_history;
+CREATE POLICY "Service role full access to order_status_history" ON order_status_history FOR ALL USING (true);
+
+-- Orders placed before the history table get a history rebuilt from their
+-- timestamp columns (only orders with no history yet, so safe to re-run)
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by_name, note, created_at)
+SELECT
+    order_id,
+    LAG(to_status) OVER (PARTITION BY order_id ORDER BY step),
+    to_status,
+    'System',
+    'Recorded before status history',
+    created_at
+FROM (
+    SELECT o.id AS order_id, e.step, e.to_status, e.created_at
+    FROM orders o
+    CROSS JOIN LATERAL (VALUES
+        (1, 'pending', o.created_at),
+        (2, 'paid', o.paid_at),
+        (3, 'printing', o.printed_at),
+        (4, CASE WHEN o.shipping_type = 'pickup' THEN 'ready_pickup' ELSE 'shipped' END, o.shipped_at),
+        (5, 'completed', o.completed_at),
+        (6, o.status, CASE WHEN o.status IN ('cancelled', 'archived') THEN o.updated_at END)
+    ) AS e(step, to_status, created_at)
+    WHERE e.created_at IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id)
+) events;
+
+
 -- =============================================================================
 -- PROMO CODE USAGE TABLE
 -- =============================================================================
@@ -194,6 +408,53 @@ ALTER TABLE promo_code_usage ENABLE ROW LEVEL SECURITY;
 DROP POLICY IF EXISTS "Service role full access to promo_code_usage" ON promo_code_usage;
 CREATE POLICY "Service role full access to promo_code_usage" ON promo_code_usage FOR ALL USING (true);
 
+-- A promo code held by an order that hasn't been paid yet. Paying moves it into
+-- promo_code_usage; cancelling the order removes it. Reservations stop counting
+-- against the code's limits once they expire. The server keeps expires_at in
+-- line with the order's own expiry (pending_order_expiry_hours from its last
+-- activity), so this default only applies until then.
+CREATE TABLE IF NOT EXISTS promo_code_reservations (
+    order_id UUID PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+    promo_code_id UUID NOT NULL REFERENCES promo_codes(id),
+    customer_id UUID REFERENCES customers(id),
+    discount_applied INTEGER NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '24 hours',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_reservations_code ON promo_code_reservations(promo_code_id);
+
+ALTER TABLE promo_code_reservations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to promo_code_reservations" ON promo_code_reservations;
+CREATE POLICY "Service role full access to promo_code_reservations" ON promo_code_reservations FOR ALL USING (true);
+
+-- Per-campaign totals for the admin promo codes view. Revenue is the total of
+-- the paid orders that used one of the campaign's codes.
+CREATE OR REPLACE VIEW promo_campaign_stats AS
+SELECT
+    c.id AS campaign_id,
+    COUNT(DISTINCT p.id) AS issued,
+    COUNT(u.id) AS redeemed,
+    COALESCE(SUM(o.total), 0) AS revenue,
+    COALESCE(SUM(u.discount_applied), 0) AS discount_given
+FROM promo_campaigns c
+LEFT JOIN promo_codes p ON p.campaign_id = c.id
+LEFT JOIN promo_code_usage u ON u.promo_code_id = p.id
+LEFT JOIN orders o ON o.id = u.order_id
+GROUP BY c.id;
+
+-- Paid orders and discount given per automatic discount
+CREATE OR REPLACE VIEW automatic_discount_stats AS
+SELECT
+    automatic_discount_id,
+    COUNT(*) AS orders,
+    SUM(total) AS revenue,
+    SUM(automatic_discount_amount) AS discount_given
+FROM orders
+WHERE automatic_discount_id IS NOT NULL AND paid_at IS NOT NULL
+GROUP BY automatic_discount_id;
+
 
 -- =============================================================================
 -- ADMINS TABLE
@@ -241,6 +502,60 @@ DROP POLICY IF EXISTS "Service role full access to admin_logs" ON admin_logs;
 CREATE POLICY "Service role full access to admin_logs" ON admin_logs FOR ALL USING (true);
 
 
+-- =============================================================================
+-- APP SETTINGS TABLE
+-- =============================================================================
+-- Switches admins can flip from the dashboard, one row per setting
+
+CREATE TABLE IF NOT EXISTS app_settings (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by UUID REFERENCES auth.users(id),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE app_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to app_settings" ON app_settings;
+CREATE POLICY "Service role full access to app_settings" ON app_settings FOR ALL USING (true);
+
+-- Order status emails are on until switched off, unpaid orders get a reminder
+-- after two hours, expire after two days and their photos are deleted two
+-- weeks later (only on first run)
+INSERT INTO app_settings (key, value) VALUES
+    ('notify_printing', 'true'),
+    ('notify_shipped', 'true'),
+    ('notify_ready_pickup', 'true'),
+    ('notify_completed', 'true'),
+    ('notify_refunded', 'true'),
+    ('notify_payment_failed', 'true'),
+    ('notify_recovery', 'true'),
+    ('recovery_email_delay_hours', '2'),
+    ('pending_order_expiry_hours', '48'),
+    ('expired_order_photo_days', '14')
+ON CONFLICT (key) DO NOTHING;
+
+
+-- =============================================================================
+-- EMAIL TEMPLATES TABLE
+-- =============================================================================
+-- Reworded emails. The defaults live in server.js (DEFAULT_EMAIL_TEMPLATES);
+-- a row here replaces one until it's deleted.
+
+CREATE TABLE IF NOT EXISTS email_templates (
+    key TEXT PRIMARY KEY,
+    subject TEXT NOT NULL,
+    html TEXT NOT NULL,
+    updated_by UUID REFERENCES auth.users(id),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE email_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to email_templates" ON email_templates;
+CREATE POLICY "Service role full access to email_templates" ON email_templates FOR ALL USING (true);
+
+
 -- =============================================================================
 -- GALLERY ITEMS TABLE
 -- =============================================================================
@@ -265,6 +580,589 @@ DROP POLICY IF EXISTS "Service role full access to gallery_items" ON gallery_ite
 CREATE POLICY "Service role full access to gallery_items" ON gallery_items FOR ALL USING (true);
 
 
+-- =============================================================================
+-- PRICING CATALOGUE TABLES
+-- =============================================================================
+-- Single source of truth for /api/pricing, POST /api/orders and the storefront.
+-- Edited from the Pricing view in the admin dashboard.
+
+-- Magnet sizes and shapes. Pixel sizes are the print size at 300 DPI, used by
+-- the storefront cropper and the admin print sheet.
+CREATE TABLE IF NOT EXISTS product_variants (
+    key TEXT PRIMARY KEY,  -- e.g. 'square-63', 'rectangle-2x3', 'round-63'
+    name TEXT NOT NULL,
+    shape TEXT NOT NULL CHECK (shape IN ('square', 'rectangle', 'round')),
+    width_mm NUMERIC(6,1) NOT NULL,
+    height_mm NUMERIC(6,1) NOT NULL,
+    width_px INTEGER NOT NULL,
+    height_px INTEGER NOT NULL,
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE product_variants ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view product_variants" ON product_variants;
+CREATE POLICY "Anyone can view product_variants" ON product_variants FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to product_variants" ON product_variants;
+CREATE POLICY "Service role full access to product_variants" ON product_variants FOR ALL USING (true);
+
+CREATE TABLE IF NOT EXISTS product_types (
+    key TEXT PRIMARY KEY,  -- 'personal', 'business', 'wedding'
+    name TEXT NOT NULL,
+    description TEXT,
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE product_types ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view product_types" ON product_types;
+CREATE POLICY "Anyone can view product_types" ON product_types FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to product_types" ON product_types;
+CREATE POLICY "Service role full access to product_types" ON product_types FOR ALL USING (true);
+
+CREATE TABLE IF NOT EXISTS price_tiers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    product_type TEXT NOT NULL REFERENCES product_types(key) ON DELETE CASCADE ON UPDATE CASCADE,
+    variant TEXT REFERENCES product_variants(key) ON DELETE CASCADE ON UPDATE CASCADE,  -- NULL = default tiers for every variant
+    min_quantity INTEGER NOT NULL,
+    max_quantity INTEGER,  -- NULL = no upper limit
+    price_per_unit INTEGER NOT NULL,  -- cents
+    label TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE price_tiers ADD COLUMN IF NOT EXISTS variant TEXT REFERENCES product_variants(key) ON DELETE CASCADE ON UPDATE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_price_tiers_product_type ON price_tiers(product_type);
+
+ALTER TABLE price_tiers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view price_tiers" ON price_tiers;
+CREATE POLICY "Anyone can view price_tiers" ON price_tiers FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to price_tiers" ON price_tiers;
+CREATE POLICY "Service role full access to price_tiers" ON price_tiers FOR ALL USING (true);
+
+-- Pickup pricing. Delivery is priced by the shipping zones/services/rates below.
+CREATE TABLE IF NOT EXISTS shipping_rules (
+    shipping_type TEXT PRIMARY KEY,  -- 'pickup'
+    label TEXT NOT NULL,
+    cost INTEGER NOT NULL DEFAULT 0,  -- cents
+    free_threshold INTEGER,  -- subtotal in cents at which shipping is free, NULL = never
+    location TEXT,  -- pickup location shown to customers
+    is_active BOOLEAN DEFAULT true,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE shipping_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view shipping_rules" ON shipping_rules;
+CREATE POLICY "Anyone can view shipping_rules" ON shipping_rules FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to shipping_rules" ON shipping_rules;
+CREATE POLICY "Service role full access to shipping_rules" ON shipping_rules FOR ALL USING (true);
+
+-- Delivery services customers can choose between at checkout
+CREATE TABLE IF NOT EXISTS shipping_services (
+    key TEXT PRIMARY KEY,  -- 'standard', 'express', 'tracked'
+    name TEXT NOT NULL,
+    description TEXT,
+    free_threshold INTEGER,  -- cart subtotal in cents at which this service is free, NULL = never
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE shipping_services ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view shipping_services" ON shipping_services;
+CREATE POLICY "Anyone can view shipping_services" ON shipping_services FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to shipping_services" ON shipping_services;
+CREATE POLICY "Service role full access to shipping_services" ON shipping_services FOR ALL USING (true);
+
+-- Delivery zones. An address gets the first zone (lowest priority number)
+-- whose postcode ranges or states contain it; a zone with neither matches any address.
+CREATE TABLE IF NOT EXISTS shipping_zones (
+    key TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    states TEXT[] DEFAULT '{}',  -- e.g. {NSW,ACT}
+    postcode_ranges JSONB DEFAULT '[]',  -- e.g. [{"from": 2800, "to": 2899}]
+    priority INTEGER DEFAULT 50,
+    is_active BOOLEAN DEFAULT true,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE shipping_zones ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view shipping_zones" ON shipping_zones;
+CREATE POLICY "Anyone can view shipping_zones" ON shipping_zones FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to shipping_zones" ON shipping_zones;
+CREATE POLICY "Service role full access to shipping_zones" ON shipping_zones FOR ALL USING (true);
+
+-- Cost per zone and service, by parcel size (total magnets in the order)
+CREATE TABLE IF NOT EXISTS shipping_rates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    zone_key TEXT NOT NULL REFERENCES shipping_zones(key) ON DELETE CASCADE ON UPDATE CASCADE,
+    service_key TEXT NOT NULL REFERENCES shipping_services(key) ON DELETE CASCADE ON UPDATE CASCADE,
+    min_quantity INTEGER NOT NULL DEFAULT 1,
+    max_quantity INTEGER,  -- NULL = no upper limit
+    cost INTEGER NOT NULL,  -- cents
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_rates_zone_service ON shipping_rates(zone_key, service_key);
+
+ALTER TABLE shipping_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view shipping_rates" ON shipping_rates;
+CREATE POLICY "Anyone can view shipping_rates" ON shipping_rates FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to shipping_rates" ON shipping_rates;
+CREATE POLICY "Service role full access to shipping_rates" ON shipping_rates FOR ALL USING (true);
+
+-- Seed the catalogue with the current prices (only on first run)
+INSERT INTO product_variants (key, name, shape, width_mm, height_mm, width_px, height_px, display_order) VALUES
+    ('square-63', 'Square', 'square', 63.5, 63.5, 750, 750, 1),
+    ('rectangle-2x3', 'Rectangle 2x3"', 'rectangle', 50.8, 76.2, 600, 900, 2),
+    ('round-63', 'Round', 'round', 63.5, 63.5, 750, 750, 3)
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO product_types (key, name, description, display_order) VALUES
+    ('personal', 'Personal Magnets', 'Family photos, wedding memories, travel moments, quotes', 1),
+    ('business', 'Business Magnets', 'Logo magnets, business card magnets, promotional items', 2),
+    ('wedding', 'Wedding Magnets', 'Wedding favours, save the dates and thank you gifts', 3)
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO price_tiers (product_type, min_quantity, max_quantity, price_per_unit, label)
+SELECT t.product_type, t.min_quantity, t.max_quantity, t.price_per_unit, t.label
+FROM (VALUES
+    ('personal', 1, 5, 1200, NULL),
+    ('personal', 6, 11, 950, '6-pack rate'),
+    ('personal', 12, 19, 850, '12-pack rate'),
+    ('personal', 20, 49, 750, 'bulk rate'),
+    ('personal', 50, 99, 700, 'bulk rate'),
+    ('personal', 100, NULL, 650, 'bulk rate'),
+    ('business', 1, 5, 1200, NULL),
+    ('business', 6, 11, 950, '6-pack rate'),
+    ('business', 12, 19, 850, '12-pack rate'),
+    ('business', 20, 49, 750, 'bulk rate'),
+    ('business', 50, 99, 700, 'bulk rate'),
+    ('business', 100, NULL, 650, 'bulk rate'),
+    ('wedding', 20, 49, 750, 'bulk rate'),
+    ('wedding', 50, 99, 700, 'bulk rate'),
+    ('wedding', 100, NULL, 650, 'bulk rate')
+) AS t(product_type, min_quantity, max_quantity, price_per_unit, label)
+WHERE NOT EXISTS (SELECT 1 FROM price_tiers);
+
+INSERT INTO shipping_rules (shipping_type, label, cost, free_threshold, location) VALUES
+    ('pickup', 'Free pickup', 0, NULL, 'Forbes NSW')
+ON CONFLICT (shipping_type) DO NOTHING;
+
+-- Delivery used to be a flat rate in shipping_rules; it is now priced by zone
+DELETE FROM shipping_rules WHERE shipping_type = 'delivery';
+
+INSERT INTO shipping_services (key, name, description, free_threshold, display_order) VALUES
+    ('standard', 'Standard', 'Australia Post parcel, 3-7 business days', 35000, 1),
+    ('express', 'Express', 'Australia Post Express, 1-3 business days', NULL, 2),
+    ('tracked', 'Tracked', 'Tracked with signature on delivery', NULL, 3)
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO shipping_zones (key, name, states, postcode_ranges, priority) VALUES
+    ('central-west', 'Central West NSW', '{}', '[{"from": 2790, "to": 2880}]', 10),
+    ('nsw-act', 'NSW & ACT', '{NSW,ACT}', '[]', 20),
+    ('eastern', 'VIC, QLD, SA & TAS', '{VIC,QLD,SA,TAS}', '[]', 30),
+    ('western', 'WA & NT', '{WA,NT}', '[]', 40)
+ON CONFLICT (key) DO NOTHING;
+
+-- Standard is the advertised $8 flat rate everywhere. Express and tracked are
+-- priced by zone and parcel size: small (1-12 magnets), medium (13-50), large (51+).
+INSERT INTO shipping_rates (zone_key, service_key, min_quantity, max_quantity, cost)
+SELECT r.zone_key, r.service_key, r.min_quantity, r.max_quantity, r.cost
+FROM (VALUES
+    ('central-west', 'standard', 1, NULL, 800),
+    ('central-west', 'express', 1, 12, 1400), ('central-west', 'express', 13, 50, 1700), ('central-west', 'express', 51, NULL, 2200),
+    ('central-west', 'tracked', 1, 12, 1100), ('central-west', 'tracked', 13, 50, 1300), ('central-west', 'tracked', 51, NULL, 1700),
+    ('nsw-act', 'standard', 1, NULL, 800),
+    ('nsw-act', 'express', 1, 12, 1500), ('nsw-act', 'express', 13, 50, 1800), ('nsw-act', 'express', 51, NULL, 2300),
+    ('nsw-act', 'tracked', 1, 12, 1100), ('nsw-act', 'tracked', 13, 50, 1300), ('nsw-act', 'tracked', 51, NULL, 1700),
+    ('eastern', 'standard', 1, NULL, 800),
+    ('eastern', 'express', 1, 12, 1600), ('eastern', 'express', 13, 50, 1900), ('eastern', 'express', 51, NULL, 2500),
+    ('eastern', 'tracked', 1, 12, 1200), ('eastern', 'tracked', 13, 50, 1400), ('eastern', 'tracked', 51, NULL, 1800),
+    ('western', 'standard', 1, NULL, 800),
+    ('western', 'express', 1, 12, 1900), ('western', 'express', 13, 50, 2300), ('western', 'express', 51, NULL, 2900),
+    ('western', 'tracked', 1, 12, 1400), ('western', 'tracked', 13, 50, 1700), ('western', 'tracked', 51, NULL, 2200)
+) AS r(zone_key, service_key, min_quantity, max_quantity, cost)
+WHERE NOT EXISTS (SELECT 1 FROM shipping_rates);
+
+
+-- =============================================================================
+-- PICKUP LOCATIONS
+-- =============================================================================
+-- Where customers can collect orders, and the time slots they can book.
+
+CREATE TABLE IF NOT EXISTS pickup_locations (
+    key TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    address TEXT NOT NULL,
+    opening_hours TEXT,  -- shown to customers, e.g. 'Mon-Fri 9am-5pm'
+    instructions TEXT,  -- e.g. 'Ring the bell at the side gate'
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE pickup_locations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view pickup_locations" ON pickup_locations;
+CREATE POLICY "Anyone can view pickup_locations" ON pickup_locations FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to pickup_locations" ON pickup_locations;
+CREATE POLICY "Service role full access to pickup_locations" ON pickup_locations FOR ALL USING (true);
+
+CREATE TABLE IF NOT EXISTS pickup_slots (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    location_key TEXT NOT NULL REFERENCES pickup_locations(key) ON DELETE CASCADE ON UPDATE CASCADE,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    capacity INTEGER NOT NULL DEFAULT 5,  -- orders that can collect in this slot
+    booked_count INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pickup_slots_location_starts ON pickup_slots(location_key, starts_at);
+
+ALTER TABLE pickup_slots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view pickup_slots" ON pickup_slots;
+CREATE POLICY "Anyone can view pickup_slots" ON pickup_slots FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to pickup_slots" ON pickup_slots;
+CREATE POLICY "Service role full access to pickup_slots" ON pickup_slots FOR ALL USING (true);
+
+INSERT INTO pickup_locations (key, name, address, opening_hours, display_order) VALUES
+    ('forbes', 'Forbes', 'Forbes NSW 2871', 'By appointment - book a time below', 1)
+ON CONFLICT (key) DO NOTHING;
+
+
+-- =============================================================================
+-- QUOTE REQUESTS
+-- =============================================================================
+-- Large wedding and corporate orders. An admin sets a custom unit price and
+-- emails a payment link; accepting it creates a normal order.
+
+CREATE TABLE IF NOT EXISTS quote_requests (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+    -- Customer
+    customer_name TEXT NOT NULL,
+    customer_email TEXT NOT NULL,
+    customer_phone TEXT NOT NULL,
+
+    -- What they asked for
+    event_type TEXT NOT NULL DEFAULT 'wedding',  -- 'wedding', 'corporate', 'other'
+    event_date DATE,
+    product_type TEXT NOT NULL,
+    variant TEXT,  -- product_variants.key
+    quantity INTEGER NOT NULL,
+    message TEXT,
+    sample_photo_paths TEXT[] DEFAULT '{}',  -- in the order-photos bucket
+
+    -- Delivery
+    shipping_type TEXT NOT NULL DEFAULT 'delivery',
+    shipping_address_line1 TEXT,
+    shipping_address_line2 TEXT,
+    shipping_city TEXT,
+    shipping_state TEXT,
+    shipping_postcode TEXT,
+
+    -- The quote (all in cents)
+    status TEXT NOT NULL DEFAULT 'new',  -- 'new', 'quoted', 'accepting' (order being created), 'accepted', 'declined'
+    unit_price INTEGER,
+    subtotal INTEGER,
+    shipping_cost INTEGER,
+    total INTEGER,
+    quote_message TEXT,  -- shown to the customer with the price
+    admin_notes TEXT,
+    payment_token TEXT UNIQUE,  -- secret in the payment link, replaced on each re-send
+    quote_expires_at TIMESTAMPTZ,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    quoted_at TIMESTAMPTZ,
+    accepted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_requests_status ON quote_requests(status);
+CREATE INDEX IF NOT EXISTS idx_quote_requests_created_at ON quote_requests(created_at DESC);
+
+ALTER TABLE quote_requests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to quote_requests" ON quote_requests;
+CREATE POLICY "Service role full access to quote_requests" ON quote_requests FOR ALL USING (true);
+
+
+-- =============================================================================
+-- GIFT CARDS AND STORE CREDIT
+-- =============================================================================
+-- Gift cards are bought online; store credit is issued by an admin to a
+-- customer. Both are spent with a code at checkout, over as many orders as it
+-- takes. The balance is kept on the card and every change is in the ledger.
+
+CREATE TABLE IF NOT EXISTS gift_cards (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code TEXT UNIQUE NOT NULL,  -- XXXX-XXXX-XXXX-XXXX
+    kind TEXT NOT NULL DEFAULT 'gift_card',  -- 'gift_card', 'store_credit'
+    status TEXT NOT NULL DEFAULT 'pending',  -- 'pending' (awaiting payment), 'active', 'void'
+    initial_amount INTEGER NOT NULL,  -- in cents
+    balance INTEGER NOT NULL CHECK (balance >= 0),
+
+    -- Gift card purchase
+    purchaser_name TEXT,
+    purchaser_email TEXT,
+    recipient_name TEXT,
+    recipient_email TEXT,
+    message TEXT,
+    deliver_on DATE,  -- emailed to the recipient on this day (Sydney time); NULL = straight away
+    delivered_at TIMESTAMPTZ,
+    stripe_checkout_session_id TEXT,
+    stripe_payment_intent_id TEXT,
+    paid_at TIMESTAMPTZ,
+
+    -- Store credit
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    reason TEXT,
+    issued_by UUID REFERENCES auth.users(id),
+
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gift_cards_customer_id ON gift_cards(customer_id);
+CREATE INDEX IF NOT EXISTS idx_gift_cards_created_at ON gift_cards(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS gift_card_transactions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    gift_card_id UUID REFERENCES gift_cards(id) ON DELETE CASCADE NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    amount INTEGER NOT NULL,  -- cents; positive adds to the balance, negative takes from it
+    type TEXT NOT NULL,  -- 'issue', 'redeem', 'release', 'adjust'
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_gift_card_id ON gift_card_transactions(gift_card_id);
+CREATE INDEX IF NOT EXISTS idx_gift_card_transactions_order_id ON gift_card_transactions(order_id);
+
+ALTER TABLE gift_cards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gift_card_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to gift_cards" ON gift_cards;
+CREATE POLICY "Service role full access to gift_cards" ON gift_cards FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Service role full access to gift_card_transactions" ON gift_card_transactions;
+CREATE POLICY "Service role full access to gift_card_transactions" ON gift_card_transactions FOR ALL USING (true);
+
+
+-- =============================================================================
+-- REFERRALS
+-- =============================================================================
+-- A friend's first order placed with a customer's referral code. The friend
+-- gets a discount on it; the referrer earns store credit once it's paid.
+
+CREATE TABLE IF NOT EXISTS referrals (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    referrer_customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    referred_customer_id UUID NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    order_id UUID UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    referral_code TEXT NOT NULL,
+    discount_amount INTEGER NOT NULL DEFAULT 0,  -- the friend's discount, in cents
+    status TEXT NOT NULL DEFAULT 'pending',  -- 'pending' (order not paid yet), 'rewarded', 'revoked'
+    reward_amount INTEGER,  -- store credit earned by the referrer, in cents
+    reward_gift_card_id UUID REFERENCES gift_cards(id) ON DELETE SET NULL,
+    rewarded_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    revoked_by UUID REFERENCES auth.users(id),
+    revoked_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A customer can only ever be referred once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_referrals_referred_customer_id ON referrals(referred_customer_id);
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer_customer_id ON referrals(referrer_customer_id);
+
+ALTER TABLE referrals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to referrals" ON referrals;
+CREATE POLICY "Service role full access to referrals" ON referrals FOR ALL USING (true);
+
+-- Referral totals per referrer for the admin leaderboard
+CREATE OR REPLACE VIEW referral_leaderboard AS
+SELECT
+    c.id AS customer_id,
+    c.name,
+    c.email,
+    c.referral_code,
+    COUNT(*) FILTER (WHERE r.status = 'rewarded') AS rewarded,
+    COUNT(*) FILTER (WHERE r.status = 'pending') AS pending,
+    COUNT(*) FILTER (WHERE r.status = 'revoked') AS revoked,
+    COALESCE(SUM(r.reward_amount) FILTER (WHERE r.status = 'rewarded'), 0) AS credit_earned,
+    MAX(r.created_at) AS last_referral_at
+FROM referrals r
+JOIN customers c ON c.id = r.referrer_customer_id
+GROUP BY c.id;
+
+
+-- =============================================================================
+-- TAX INVOICES
+-- =============================================================================
+-- One invoice per paid order. Invoice numbers use their own gap-free counter
+-- (separate from order numbers, which count pending orders too).
+
+CREATE TABLE IF NOT EXISTS invoice_counters (
+    name TEXT PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO invoice_counters (name, last_number) VALUES ('tax_invoice', 0)
+ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE invoice_counters ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to invoice_counters" ON invoice_counters;
+CREATE POLICY "Service role full access to invoice_counters" ON invoice_counters FOR ALL USING (true);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    invoice_number TEXT UNIQUE NOT NULL,  -- e.g. INV-000042
+    sequence_number INTEGER UNIQUE NOT NULL,
+    order_id UUID UNIQUE REFERENCES orders(id) ON DELETE SET NULL,
+    order_number TEXT NOT NULL,
+
+    -- Billing snapshot (invoices must not change if the order is edited later)
+    customer_name TEXT NOT NULL,
+    customer_email TEXT,
+    customer_phone TEXT,
+    billing_address TEXT,
+    line_items JSONB NOT NULL,  -- [{description, quantity, unit_price, amount}] in cents, GST inclusive
+
+    -- Amounts (all in cents, GST inclusive)
+    subtotal INTEGER NOT NULL,
+    shipping_cost INTEGER NOT NULL DEFAULT 0,
+    discount_amount INTEGER NOT NULL DEFAULT 0,
+    gst_amount INTEGER NOT NULL,
+    total INTEGER NOT NULL,
+
+    paid_at TIMESTAMPTZ NOT NULL,
+    issued_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_order_id ON invoices(order_id);
+
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to invoices" ON invoices;
+CREATE POLICY "Service role full access to invoices" ON invoices FOR ALL USING (true);
+
+-- =============================================================================
+-- REFUNDS
+-- =============================================================================
+-- Money given back through Stripe, one row per Stripe refund. The Stripe
+-- refund id is unique so the same refund is never counted twice.
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL CHECK (amount > 0),  -- cents
+    reason TEXT,  -- admin's reason, not shown to the customer
+    stripe_refund_id TEXT UNIQUE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',  -- Stripe refund status: pending, succeeded, failed, canceled
+    refunded_by UUID REFERENCES auth.users(id),
+    refunded_by_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
+
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to refunds" ON refunds;
+CREATE POLICY "Service role full access to refunds" ON refunds FOR ALL USING (true);
+
+-- =============================================================================
+-- NOTIFICATIONS (OUTBOX)
+-- =============================================================================
+-- Every email, push and SMS is queued here and delivered by the worker in
+-- server.js, which retries failures with backoff. Rows stay as the delivery log.
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    channel TEXT NOT NULL, -- email, push, sms
+    recipient TEXT, -- email address or phone number (push goes to the shop's topic)
+    subject TEXT, -- email subject or push title
+    body TEXT NOT NULL, -- email HTML, or push/SMS text
+    options JSONB NOT NULL DEFAULT '{}', -- e.g. { "invoice_id": ... } to attach, push priority/tags
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, sending, sent, failed
+    provider TEXT, -- resend, smtp, ntfy, twilio, local
+    provider_message_id TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_order_id ON notifications(order_id);
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to notifications" ON notifications;
+CREATE POLICY "Service role full access to notifications" ON notifications FOR ALL USING (true);
+
+-- =============================================================================
+-- WEBHOOK EVENTS
+-- =============================================================================
+-- Every Stripe webhook event, stored by its Stripe id before it's processed.
+-- Stripe redelivers events, so the id makes sure each one is processed once;
+-- failed events keep their error and can be replayed from the dashboard.
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id TEXT PRIMARY KEY,  -- Stripe event id (evt_...)
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',  -- pending, processing, processed, failed, ignored (no handler)
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received_at ON webhook_events(received_at DESC);
+
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to webhook_events" ON webhook_events;
+CREATE POLICY "Service role full access to webhook_events" ON webhook_events FOR ALL USING (true);
+
 -- =============================================================================
 -- HELPER FUNCTIONS
 -- =============================================================================
@@ -289,17 +1187,34 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Function to calculate order price (in cents)
-CREATE OR REPLACE FUNCTION calculate_order_price(qty INTEGER)
+-- Function to calculate order price (in cents) from the pricing catalogue
+-- (a variant's own tiers take precedence over the product's default tiers)
+DROP FUNCTION IF EXISTS calculate_order_price(INTEGER);
+DROP FUNCTION IF EXISTS calculate_order_price(INTEGER, TEXT);
+CREATE OR REPLACE FUNCTION calculate_order_price(qty INTEGER, p_product_type TEXT DEFAULT 'personal', p_variant TEXT DEFAULT NULL)
 RETURNS INTEGER AS $$
+DECLARE
+    unit_price INTEGER;
+    has_variant_tiers BOOLEAN;
 BEGIN
-    IF qty >= 12 THEN
-        RETURN qty * 700;  -- $7 each
-    ELSIF qty >= 6 THEN
-        RETURN qty * 800;  -- $8 each
-    ELSE
-        RETURN qty * 1000; -- $10 each
+    SELECT EXISTS (
+        SELECT 1 FROM price_tiers WHERE product_type = p_product_type AND variant = p_variant
+    ) INTO has_variant_tiers;
+
+    SELECT price_per_unit INTO unit_price
+    FROM price_tiers
+    WHERE product_type = p_product_type
+      AND (CASE WHEN has_variant_tiers THEN variant = p_variant ELSE variant IS NULL END)
+      AND qty >= min_quantity
+      AND (max_quantity IS NULL OR qty <= max_quantity)
+    ORDER BY min_quantity DESC
+    LIMIT 1;
+
+    IF unit_price IS NULL THEN
+        RETURN NULL;
     END IF;
+
+    RETURN qty * unit_price;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -316,6 +1231,372 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to mark an unpaid order paid and count it in the customer's stats,
+-- together so a crash can't leave one done without the other. Returns the
+-- order, or nothing if it wasn't waiting for payment.
+CREATE OR REPLACE FUNCTION mark_order_paid(p_order_id UUID, p_payment_intent_id TEXT, p_checkout_session_id TEXT)
+RETURNS SETOF orders AS $$
+DECLARE
+    o orders%ROWTYPE;
+BEGIN
+    UPDATE orders
+    SET
+        status = 'paid',
+        paid_at = COALESCE(paid_at, NOW()),
+        stripe_payment_intent_id = p_payment_intent_id,
+        stripe_checkout_session_id = COALESCE(p_checkout_session_id, stripe_checkout_session_id),
+        updated_at = NOW()
+    WHERE id = p_order_id
+      AND status IN ('pending', 'payment_failed')
+    RETURNING * INTO o;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF o.customer_id IS NOT NULL THEN
+        PERFORM increment_customer_stats(o.customer_id, o.total);
+    END IF;
+
+    RETURN NEXT o;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to record a Stripe refund on an order: the refund row, the order's
+-- refunded total and status (refunded once nothing's left to refund, else
+-- partially_refunded), its status history and the customer's spend, together
+-- so a failure part way can't leave a refund half recorded. Returns the
+-- updated order, or nothing if the refund was already recorded.
+DROP FUNCTION IF EXISTS record_order_refund(UUID, INTEGER);
+CREATE OR REPLACE FUNCTION record_order_refund(
+    p_order_id UUID,
+    p_amount INTEGER,
+    p_reason TEXT,
+    p_stripe_refund_id TEXT,
+    p_refund_status TEXT,
+    p_refunded_by UUID,
+    p_refunded_by_name TEXT,
+    p_note TEXT
+)
+RETURNS SETOF orders AS $$
+DECLARE
+    o orders%ROWTYPE;
+    previous_status TEXT;
+BEGIN
+    INSERT INTO refunds (order_id, amount, reason, stripe_refund_id, status, refunded_by, refunded_by_name)
+    VALUES (p_order_id, p_amount, p_reason, p_stripe_refund_id, p_refund_status, p_refunded_by, p_refunded_by_name)
+    ON CONFLICT (stripe_refund_id) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    SELECT status INTO previous_status FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    UPDATE orders
+    SET
+        refunded_amount = COALESCE(refunded_amount, 0) + p_amount,
+        refunded_at = COALESCE(refunded_at, NOW()),
+        status = CASE
+            WHEN COALESCE(refunded_amount, 0) + p_amount >= total - COALESCE(gift_card_amount, 0) THEN 'refunded'
+            ELSE 'partially_refunded'
+        END,
+        updated_at = NOW()
+    WHERE id = p_order_id
+    RETURNING * INTO o;
+
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, changed_by_name, note)
+    VALUES (p_order_id, previous_status, o.status, p_refunded_by, p_refunded_by_name, p_note);
+
+    IF o.customer_id IS NOT NULL THEN
+        UPDATE customers
+        SET
+            total_spent = GREATEST(total_spent - p_amount, 0),
+            updated_at = NOW()
+        WHERE id = o.customer_id;
+    END IF;
+
+    RETURN NEXT o;
+END;
+$$ LANGUAGE plpgsql;
+
+
+-- Function to issue the tax invoice for a paid order (idempotent).
+-- The counter row is locked by the UPDATE, so concurrent calls queue up and
+-- numbers are only consumed when the invoice row is actually inserted.
+CREATE OR REPLACE FUNCTION issue_invoice(p_order_id UUID, p_line_items JSONB)
+RETURNS SETOF invoices AS $$
+DECLARE
+    o orders%ROWTYPE;
+    next_number INTEGER;
+BEGIN
+    SELECT * INTO o FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    IF NOT FOUND OR o.paid_at IS NULL THEN
+        RETURN;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM invoices WHERE order_id = p_order_id) THEN
+        UPDATE invoice_counters
+        SET last_number = last_number + 1
+        WHERE name = 'tax_invoice'
+        RETURNING last_number INTO next_number;
+
+        INSERT INTO invoices (
+            invoice_number, sequence_number, order_id, order_number,
+            customer_name, customer_email, customer_phone, billing_address, line_items,
+            subtotal, shipping_cost, discount_amount, gst_amount, total, paid_at
+        ) VALUES (
+            'INV-' || LPAD(next_number::TEXT, 6, '0'), next_number, o.id, o.order_number,
+            o.customer_name, o.customer_email, o.customer_phone,
+            CASE WHEN o.shipping_type = 'delivery' THEN
+                CONCAT_WS(', ', o.shipping_address_line1, NULLIF(o.shipping_address_line2, ''),
+                    o.shipping_city, CONCAT_WS(' ', o.shipping_state, o.shipping_postcode))
+            END,
+            p_line_items,
+            o.subtotal, o.shipping_cost, COALESCE(o.discount_amount, 0) + COALESCE(o.automatic_discount_amount, 0),
+            COALESCE(NULLIF(o.gst_amount, 0), ROUND(o.total / 11.0)::INTEGER),
+            o.total, o.paid_at
+        );
+    END IF;
+
+    RETURN QUERY SELECT * FROM invoices WHERE order_id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to book a place in a pickup slot. Returns false if the slot is
+-- full, inactive or already started. The UPDATE's row lock stops two orders
+-- taking the last place.
+CREATE OR REPLACE FUNCTION book_pickup_slot(p_slot_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE pickup_slots
+    SET booked_count = booked_count + 1
+    WHERE id = p_slot_id
+      AND is_active
+      AND starts_at > NOW()
+      AND booked_count < capacity;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to give back a place in a pickup slot (order cancelled or deleted)
+CREATE OR REPLACE FUNCTION release_pickup_slot(p_slot_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE pickup_slots
+    SET booked_count = GREATEST(booked_count - 1, 0)
+    WHERE id = p_slot_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to spend part of a gift card's balance on an order. Returns false if
+-- the card can't cover the amount (spent elsewhere, voided or expired). The
+-- UPDATE's row lock stops two orders spending the same balance.
+CREATE OR REPLACE FUNCTION redeem_gift_card(p_gift_card_id UUID, p_order_id UUID, p_amount INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE gift_cards
+    SET balance = balance - p_amount, updated_at = NOW()
+    WHERE id = p_gift_card_id
+      AND status = 'active'
+      AND balance >= p_amount
+      AND (expires_at IS NULL OR expires_at > NOW());
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    INSERT INTO gift_card_transactions (gift_card_id, order_id, amount, type)
+    VALUES (p_gift_card_id, p_order_id, -p_amount, 'redeem');
+
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to put back whatever an order took from gift cards (order cancelled
+-- or deleted). Works from the ledger, so calling it twice does nothing more.
+CREATE OR REPLACE FUNCTION release_gift_card_redemptions(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    spent RECORD;
+BEGIN
+    FOR spent IN
+        SELECT gift_card_id, -SUM(amount) AS amount
+        FROM gift_card_transactions
+        WHERE order_id = p_order_id
+        GROUP BY gift_card_id
+        HAVING SUM(amount) < 0
+    LOOP
+        UPDATE gift_cards
+        SET balance = balance + spent.amount, updated_at = NOW()
+        WHERE id = spent.gift_card_id AND status <> 'void';
+
+        IF FOUND THEN
+            INSERT INTO gift_card_transactions (gift_card_id, order_id, amount, type, note)
+            VALUES (spent.gift_card_id, p_order_id, spent.amount, 'release', 'Order cancelled');
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to check whether a promo code can be used. Returns NULL if it can,
+-- otherwise the reason: 'inactive', 'not_started', 'expired', 'max_uses',
+-- 'customer_limit' or 'min_order'. Every path that applies a promo code goes
+-- through this, so pricing, validation and reservation can't disagree.
+CREATE OR REPLACE FUNCTION check_promo_code(p_promo_code_id UUID, p_customer_id UUID, p_subtotal INTEGER)
+RETURNS TEXT AS $$
+DECLARE
+    promo promo_codes%ROWTYPE;
+    reserved INTEGER;
+    customer_uses INTEGER;
+BEGIN
+    SELECT * INTO promo FROM promo_codes WHERE id = p_promo_code_id;
+
+    IF NOT FOUND OR NOT promo.is_active THEN
+        RETURN 'inactive';
+    END IF;
+    IF promo.starts_at IS NOT NULL AND promo.starts_at > NOW() THEN
+        RETURN 'not_started';
+    END IF;
+    IF promo.expires_at IS NOT NULL AND promo.expires_at < NOW() THEN
+        RETURN 'expired';
+    END IF;
+
+    IF promo.max_uses IS NOT NULL THEN
+        SELECT COUNT(*) INTO reserved
+        FROM promo_code_reservations
+        WHERE promo_code_id = p_promo_code_id AND expires_at > NOW();
+
+        IF COALESCE(promo.uses_count, 0) + reserved >= promo.max_uses THEN
+            RETURN 'max_uses';
+        END IF;
+    END IF;
+
+    IF p_customer_id IS NOT NULL AND promo.max_uses_per_customer IS NOT NULL THEN
+        SELECT
+            (SELECT COUNT(*) FROM promo_code_usage
+             WHERE promo_code_id = p_promo_code_id AND customer_id = p_customer_id) +
+            (SELECT COUNT(*) FROM promo_code_reservations
+             WHERE promo_code_id = p_promo_code_id AND customer_id = p_customer_id AND expires_at > NOW())
+        INTO customer_uses;
+
+        IF customer_uses >= promo.max_uses_per_customer THEN
+            RETURN 'customer_limit';
+        END IF;
+    END IF;
+
+    IF p_subtotal IS NOT NULL AND p_subtotal < COALESCE(promo.min_order_amount, 0) THEN
+        RETURN 'min_order';
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to hold a promo code for a pending order. Returns NULL on success or
+-- the reason from check_promo_code. Locking the promo code row stops two orders
+-- taking the last use.
+CREATE OR REPLACE FUNCTION reserve_promo_code(p_promo_code_id UUID, p_order_id UUID, p_customer_id UUID, p_subtotal INTEGER, p_discount INTEGER)
+RETURNS TEXT AS $$
+DECLARE
+    reason TEXT;
+BEGIN
+    PERFORM 1 FROM promo_codes WHERE id = p_promo_code_id FOR UPDATE;
+
+    reason := check_promo_code(p_promo_code_id, p_customer_id, p_subtotal);
+    IF reason IS NOT NULL THEN
+        RETURN reason;
+    END IF;
+
+    INSERT INTO promo_code_reservations (order_id, promo_code_id, customer_id, discount_applied)
+    VALUES (p_order_id, p_promo_code_id, p_customer_id, p_discount)
+    ON CONFLICT (order_id) DO NOTHING;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to turn an order's reservation into a recorded use once it's paid.
+-- The customer has paid with the discount, so the use is recorded even if the
+-- reservation had lapsed (which can take the code past max_uses), or had been
+-- released and is gone - then the use comes from the order itself. Does nothing
+-- if the order has no promo code or its use is already recorded.
+CREATE OR REPLACE FUNCTION confirm_promo_code(p_order_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    reservation promo_code_reservations%ROWTYPE;
+BEGIN
+    DELETE FROM promo_code_reservations
+    WHERE order_id = p_order_id
+    RETURNING * INTO reservation;
+
+    IF NOT FOUND THEN
+        SELECT promo_code_id, customer_id, discount_amount
+        INTO reservation.promo_code_id, reservation.customer_id, reservation.discount_applied
+        FROM orders
+        WHERE id = p_order_id
+          AND promo_code_id IS NOT NULL
+          AND NOT EXISTS (SELECT 1 FROM promo_code_usage WHERE order_id = p_order_id);
+
+        IF NOT FOUND THEN
+            RETURN;
+        END IF;
+    END IF;
+
+    INSERT INTO promo_code_usage (promo_code_id, order_id, customer_id, discount_applied)
+    VALUES (reservation.promo_code_id, p_order_id, reservation.customer_id, reservation.discount_applied);
+
+    UPDATE promo_codes
+    SET uses_count = COALESCE(uses_count, 0) + 1, updated_at = NOW()
+    WHERE id = reservation.promo_code_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to let go of an unpaid order's promo code (order cancelled, expired or deleted)
+CREATE OR REPLACE FUNCTION release_promo_code(p_order_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM promo_code_reservations WHERE order_id = p_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to hand the notification worker a batch of due notifications. Rows
+-- are marked as sending so two workers never deliver the same one; a row left
+-- sending for 10 minutes (the worker died) is picked up again.
+CREATE OR REPLACE FUNCTION claim_notifications(p_limit INTEGER)
+RETURNS SETOF notifications AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE notifications
+    SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+    WHERE id IN (
+        SELECT id FROM notifications
+        WHERE (status = 'pending' AND next_attempt_at <= NOW())
+           OR (status = 'sending' AND updated_at < NOW() - INTERVAL '10 minutes')
+        ORDER BY next_attempt_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to claim a webhook event for processing. Returns nothing if it has
+-- been processed, or is being processed (unless that attempt has stalled).
+CREATE OR REPLACE FUNCTION claim_webhook_event(p_event_id TEXT)
+RETURNS SETOF webhook_events AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE webhook_events
+    SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+    WHERE id = p_event_id
+      AND (status IN ('pending', 'failed')
+           OR (status = 'processing' AND updated_at < NOW() - INTERVAL '10 minutes'))
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
 
 -- =============================================================================
 -- STORAGE BUCKETS (run these in Supabase dashboard or via API)
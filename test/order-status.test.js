@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_x';
+process.env.QUOTE_SIGNING_SECRET = 'test-quote-secret';
+
+const { ORDER_STATUS_TRANSITIONS, getOrderTransitionError, getAllowedOrderTransitions } = require('../server');
+
+const admin = { role: 'admin' };
+const superAdmin = { role: 'super_admin' };
+
+test('every status an order can move to has its own transitions', () => {
+    for (const [from, targets] of Object.entries(ORDER_STATUS_TRANSITIONS)) {
+        for (const to of Object.keys(targets)) {
+            assert.ok(ORDER_STATUS_TRANSITIONS[to], `${from} -> ${to}`);
+        }
+    }
+});
+
+test('leaves failed payments, expiry, refunds and disputes to Stripe and the expiry job', () => {
+    const automatic = ['pending', 'payment_failed', 'expired', 'refunded', 'partially_refunded', 'disputed'];
+
+    for (const [from, targets] of Object.entries(ORDER_STATUS_TRANSITIONS)) {
+        // Restoring an archived order puts it back where it was
+        if (from === 'archived') continue;
+        for (const to of Object.keys(targets)) {
+            assert.ok(!automatic.includes(to), `${from} -> ${to}`);
+        }
+    }
+});
+
+test('rejects moves the state machine doesn\'t have', () => {
+    assert.equal(
+        getOrderTransitionError({ status: 'pending' }, 'shipped', superAdmin),
+        'An order can\'t go from pending to shipped'
+    );
+    assert.match(getOrderTransitionError({ status: 'refunded' }, 'printing', superAdmin), /can't go from refunded/);
+});
+
+test('leaves going back a step and cancelling a paid order to super admins', () => {
+    assert.equal(getOrderTransitionError({ status: 'paid' }, 'printing', admin), null);
+    assert.equal(
+        getOrderTransitionError({ status: 'paid' }, 'cancelled', admin),
+        'Only a super admin can move an order from paid to cancelled'
+    );
+    assert.equal(getOrderTransitionError({ status: 'paid' }, 'cancelled', superAdmin), null);
+    assert.match(getOrderTransitionError({ status: 'shipped', shipping_type: 'delivery' }, 'printing', admin), /super admin/);
+    assert.equal(getOrderTransitionError({ status: 'pending' }, 'cancelled', admin), null);
+});
+
+test('ships delivery orders and readies pickup orders', () => {
+    assert.match(getOrderTransitionError({ status: 'printing', shipping_type: 'pickup' }, 'shipped', admin), /ready for pickup/);
+    assert.match(getOrderTransitionError({ status: 'printing', shipping_type: 'delivery' }, 'ready_pickup', admin), /Only pickup orders/);
+
+    assert.deepEqual(getAllowedOrderTransitions({ status: 'printing', shipping_type: 'delivery' }, admin), ['shipped']);
+    assert.deepEqual(getAllowedOrderTransitions({ status: 'printing', shipping_type: 'pickup' }, admin), ['ready_pickup']);
+    assert.deepEqual(
+        getAllowedOrderTransitions({ status: 'printing', shipping_type: 'pickup' }, superAdmin),
+        ['ready_pickup', 'paid', 'cancelled']
+    );
+});
+
+test('lets moderators move nothing', () => {
+    for (const status of Object.keys(ORDER_STATUS_TRANSITIONS)) {
+        assert.deepEqual(getAllowedOrderTransitions({ status, shipping_type: 'delivery' }, { role: 'moderator' }), [], status);
+    }
+});
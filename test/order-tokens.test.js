@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_x';
+process.env.QUOTE_SIGNING_SECRET = 'test-quote-secret';
+
+const { signOrderToken, verifyOrderToken } = require('../server');
+
+const orderId = '6f1c2a9e-0d7b-4c1e-9a53-2b8f4e7d1c30';
+const hour = 60 * 60 * 1000;
+
+test('gives back the order id until the token expires', (t) => {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const token = signOrderToken('reorder', orderId, hour);
+
+    assert.equal(verifyOrderToken('reorder', token), orderId);
+
+    Date.now.mock.mockImplementation(() => now + hour - 1);
+    assert.equal(verifyOrderToken('reorder', token), orderId);
+
+    Date.now.mock.mockImplementation(() => now + hour + 1);
+    assert.equal(verifyOrderToken('reorder', token), null);
+});
+
+test('only accepts a token for the purpose it was signed for', () => {
+    const token = signOrderToken('resume', orderId, hour);
+
+    assert.equal(verifyOrderToken('resume', token), orderId);
+    assert.equal(verifyOrderToken('reorder', token), null);
+});
+
+test('rejects a token whose order or expiry has been changed', () => {
+    const [, signature] = signOrderToken('reorder', orderId, hour).split('.');
+    const otherOrder = Buffer.from(JSON.stringify({ orderId: 'another-order', expiresAt: Date.now() + hour })).toString('base64url');
+    const longerExpiry = Buffer.from(JSON.stringify({ orderId, expiresAt: Date.now() + 365 * 24 * hour })).toString('base64url');
+
+    assert.equal(verifyOrderToken('reorder', `${otherOrder}.${signature}`), null);
+    assert.equal(verifyOrderToken('reorder', `${longerExpiry}.${signature}`), null);
+});
+
+test('rejects tokens without an expiry, and anything that isn\'t a token', () => {
+    const body = Buffer.from(JSON.stringify({ orderId })).toString('base64url');
+    const signature = crypto.createHmac('sha256', 'test-quote-secret').update(`reorder:${body}`).digest('base64url');
+
+    assert.equal(verifyOrderToken('reorder', `${body}.${signature}`), null);
+    assert.equal(verifyOrderToken('reorder', undefined), null);
+    assert.equal(verifyOrderToken('reorder', 'bad'), null);
+    assert.equal(verifyOrderToken('reorder', 'a.b'), null);
+});
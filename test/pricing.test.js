@@ -0,0 +1,140 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_x';
+process.env.QUOTE_SIGNING_SECRET = 'test-quote-secret';
+
+const server = require('../server');
+
+// Rows each table answers with. Filters are ignored, so a table only holds the
+// rows a test wants found. The pricing tables are empty, so carts are priced
+// on the fallback catalogue (6 personal magnets are $57, standard post $8).
+let tables;
+
+function fakeQuery(rows) {
+    const query = {
+        single: async () => ({ data: rows[0] || null, error: null }),
+        maybeSingle: async () => ({ data: rows[0] || null, error: null }),
+        then: (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject)
+    };
+    for (const method of ['select', 'eq', 'neq', 'in', 'is', 'lt', 'lte', 'gt', 'gte', 'or', 'order', 'limit']) {
+        query[method] = () => query;
+    }
+    return query;
+}
+
+beforeEach(() => {
+    tables = {};
+    server.supabaseAdmin.from = table => fakeQuery(tables[table] || []);
+    // check_promo_code: no reason the code can't be used
+    server.supabaseAdmin.rpc = async () => ({ data: null, error: null });
+});
+
+function automaticDiscount(fields) {
+    return { id: 'auto-1', name: 'Spring sale', min_order_amount: 0, combines_with_promo_codes: true, ...fields };
+}
+
+function promoCode(fields) {
+    return { id: 'promo-1', code: 'SAVE', min_order_amount: 0, stackable: true, ...fields };
+}
+
+function giftCard(fields) {
+    return { id: 'card-1', code: 'AAAA-BBBB-CCCC-DDDD', kind: 'gift_card', status: 'active', expires_at: null, ...fields };
+}
+
+const pickupCart = { lines: [{ productType: 'personal', variant: null, quantity: 6 }], shippingType: 'pickup' };
+const deliveryCart = {
+    lines: [{ productType: 'personal', variant: null, quantity: 6 }],
+    shippingType: 'delivery',
+    shippingService: 'standard',
+    state: 'NSW',
+    postcode: '2000'
+};
+
+test('stacks an automatic discount, a promo code and a gift card', async () => {
+    tables.automatic_discounts = [automaticDiscount({ discount_type: 'percentage', discount_value: 10 })];
+    tables.promo_codes = [promoCode({ discount_type: 'fixed', discount_value: 500 })];
+    tables.gift_cards = [giftCard({ balance: 2000 })];
+
+    const pricing = await server.priceCart({ ...deliveryCart, promoCode: 'SAVE', giftCardCode: 'AAAA-BBBB-CCCC-DDDD' });
+
+    assert.equal(pricing.subtotal, 5700);
+    assert.equal(pricing.shippingCost, 800);
+    assert.equal(pricing.automaticDiscountAmount, 570);
+    assert.equal(pricing.discountAmount, 500);
+    assert.equal(pricing.total, 5430);
+    assert.equal(pricing.giftCardAmount, 2000);
+    assert.equal(pricing.amountDue, 3430);
+    assert.equal(pricing.gst, 494);
+});
+
+test('caps the promo discount at what the automatic discount leaves', async () => {
+    tables.automatic_discounts = [automaticDiscount({ discount_type: 'percentage', discount_value: 50 })];
+    tables.promo_codes = [promoCode({ discount_type: 'fixed', discount_value: 5000 })];
+
+    const pricing = await server.priceCart({ ...pickupCart, promoCode: 'SAVE' });
+
+    assert.equal(pricing.automaticDiscountAmount, 2850);
+    assert.equal(pricing.discountAmount, 2850);
+    assert.equal(pricing.total, 0);
+    assert.equal(pricing.amountDue, 0);
+});
+
+test('gives the bigger saving when the automatic discount doesn\'t combine with promo codes', async () => {
+    tables.automatic_discounts = [automaticDiscount({ discount_type: 'fixed', discount_value: 1000, combines_with_promo_codes: false })];
+
+    tables.promo_codes = [promoCode({ discount_type: 'fixed', discount_value: 1500 })];
+    const promoWins = await server.priceCart({ ...pickupCart, promoCode: 'SAVE' });
+    assert.equal(promoWins.automaticDiscount, null);
+    assert.equal(promoWins.discountAmount, 1500);
+    assert.equal(promoWins.total, 4200);
+
+    tables.promo_codes = [promoCode({ discount_type: 'fixed', discount_value: 500 })];
+    const automaticWins = await server.priceCart({ ...pickupCart, promoCode: 'SAVE' });
+    assert.equal(automaticWins.automaticDiscountAmount, 1000);
+    assert.equal(automaticWins.discountAmount, 0);
+    assert.match(automaticWins.promoError, /can't be combined with Spring sale/);
+    assert.equal(automaticWins.total, 4700);
+});
+
+test('only spends as much of a gift card as the order costs', async () => {
+    tables.gift_cards = [giftCard({ balance: 10000 })];
+
+    const pricing = await server.priceCart({ ...pickupCart, giftCardCode: 'AAAA-BBBB-CCCC-DDDD' });
+
+    assert.equal(pricing.total, 5700);
+    assert.equal(pricing.giftCardAmount, 5700);
+    assert.equal(pricing.amountDue, 0);
+});
+
+test('keeps back enough gift card balance for the card payment to reach Stripe\'s minimum', async () => {
+    tables.gift_cards = [giftCard({ balance: 5680 })];
+
+    const pricing = await server.priceCart({ ...pickupCart, giftCardCode: 'AAAA-BBBB-CCCC-DDDD' });
+
+    assert.equal(pricing.giftCardAmount, 5650);
+    assert.equal(pricing.amountDue, 50);
+});
+
+test('won\'t price an order whose card payment is under Stripe\'s minimum', async () => {
+    tables.promo_codes = [promoCode({ discount_type: 'fixed', discount_value: 5670 })];
+
+    const pricing = await server.priceCart({ ...pickupCart, promoCode: 'SAVE' });
+
+    assert.equal(pricing.status, 400);
+    assert.match(pricing.error, /at least \$0\.50/);
+});
+
+test('won\'t combine store credit with a promo code that isn\'t stackable', async () => {
+    tables.promo_codes = [promoCode({ discount_type: 'fixed', discount_value: 500, stackable: false })];
+    tables.gift_cards = [giftCard({ kind: 'store_credit', balance: 1000 })];
+
+    const pricing = await server.priceCart({ ...pickupCart, promoCode: 'SAVE', giftCardCode: 'AAAA-BBBB-CCCC-DDDD' });
+
+    assert.equal(pricing.discountAmount, 500);
+    assert.match(pricing.giftCardError, /can't be combined with promo code SAVE/);
+    assert.equal(pricing.giftCardAmount, 0);
+    assert.equal(pricing.amountDue, 5200);
+});